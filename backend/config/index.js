@@ -94,12 +94,55 @@ module.exports = {
     customerCrossAccountRoleArn: process.env.CUSTOMER_CROSS_ACCOUNT_ROLE_ARN || ''
   },
 
+  // Model provider: 'bedrock', or 'mock' for offline development and tests (no AWS access needed)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'bedrock',
+    mock: {
+      scriptPath: process.env.MOCK_LLM_SCRIPT || null, // JSON file of scripted responses (see mockProvider)
+      chunkDelayMs: parseInt(process.env.MOCK_LLM_CHUNK_DELAY_MS || '20') // Delay between streamed chunks
+    }
+  },
+
   // Amazon Bedrock settings
   bedrock: {
     region: process.env.REGION || 'us-east-1',
     modelId: process.env.BEDROCK_MODEL_ID || 'us.anthropic.claude-sonnet-4-5-20250929-v1:0', // Using Claude Sonnet 4.5 inference profile
     maxTokens: parseInt(process.env.MAX_TOKENS || '2048'),
     temperature: parseFloat(process.env.TEMPERATURE || '0.7'),
+    // Tokens the model may spend reasoning when a conversation turns reasoning on (models that support it)
+    thinkingBudget: parseInt(process.env.THINKING_BUDGET || '4096'),
+    // Mark the system prompt and earlier turns as cacheable for models that support prompt caching
+    promptCaching: process.env.PROMPT_CACHING !== 'false',
+    // Models tried in order when the selected one is throttled or unavailable.
+    // Entries are model or inference profile IDs, optionally in another region as modelId@region.
+    fallbackModelIds: (process.env.BEDROCK_FALLBACK_MODEL_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    // Retries for throttling and temporary unavailability (replaces the AWS SDK's own retries)
+    retry: {
+      maxAttempts: parseInt(process.env.BEDROCK_MAX_ATTEMPTS || '3'), // Per model, including the first try
+      baseDelayMs: parseInt(process.env.BEDROCK_RETRY_BASE_DELAY_MS || '500'),
+      maxDelayMs: parseInt(process.env.BEDROCK_RETRY_MAX_DELAY_MS || '8000')
+    },
+    // A model that keeps failing is skipped for a while instead of being retried on every message
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.BEDROCK_BREAKER_THRESHOLD || '3'), // Consecutive failed requests
+      cooldownSeconds: parseInt(process.env.BEDROCK_BREAKER_COOLDOWN || '60')
+    },
+    // Bedrock Guardrail applied to prompts and responses on every model call, when an identifier is set
+    guardrail: {
+      identifier: process.env.BEDROCK_GUARDRAIL_ID || null,
+      version: process.env.BEDROCK_GUARDRAIL_VERSION || 'DRAFT',
+      trace: process.env.BEDROCK_GUARDRAIL_TRACE !== 'false', // Tells whether the prompt or the response was blocked
+      streamProcessingMode: process.env.BEDROCK_GUARDRAIL_STREAM_MODE || 'sync' // 'async' streams text before it is assessed
+    },
+    // Upper bounds for inference settings chosen by users or sent with a request
+    limits: {
+      maxTokens: parseInt(process.env.MAX_TOKENS_LIMIT || '8192'),
+      maxTemperature: parseFloat(process.env.MAX_TEMPERATURE || '1'),
+      maxTopK: parseInt(process.env.MAX_TOP_K || '500'),
+      maxThinkingBudget: parseInt(process.env.MAX_THINKING_BUDGET || '16000'),
+      maxStopSequences: parseInt(process.env.MAX_STOP_SEQUENCES || '4'),
+      maxStopSequenceLength: parseInt(process.env.MAX_STOP_SEQUENCE_LENGTH || '100')
+    }
   },
 
   // Chat settings
@@ -132,8 +175,111 @@ Format titles and major sections with headers even in narrative content, but kee
 - Bold and italic text
 - Links
 - Blockquotes`,
-    maxHistoryMessages: parseInt(process.env.MAX_HISTORY || '10'),
     chunkSize: parseInt(process.env.CHUNK_SIZE || '500'),
+    // Context window management: history is sent by token budget and older turns are summarized
+    context: {
+      maxContextTokens: parseInt(process.env.MAX_CONTEXT_TOKENS || '0'), // Cap below the model's window (0 = use the full window)
+      charsPerToken: parseFloat(process.env.CONTEXT_CHARS_PER_TOKEN || '3.5'), // Token estimate without a tokenizer
+      safetyMargin: parseFloat(process.env.CONTEXT_SAFETY_MARGIN || '0.1'), // Share of the window left unused for estimate errors
+      recentShare: parseFloat(process.env.CONTEXT_RECENT_SHARE || '0.5'), // Share of the budget kept word for word after summarizing
+      imageTokens: parseInt(process.env.CONTEXT_IMAGE_TOKENS || '1600'), // Estimated tokens per image
+      summaryModelId: process.env.SUMMARY_MODEL_ID || null, // Defaults to the conversation's model
+      summaryMaxTokens: parseInt(process.env.SUMMARY_MAX_TOKENS || '1024')
+    },
+    // Tool use (function calling)
+    toolsEnabled: process.env.TOOLS_ENABLED !== 'false',
+    maxToolIterations: parseInt(process.env.MAX_TOOL_ITERATIONS || '5'),
+    toolTimeoutMs: parseInt(process.env.TOOL_TIMEOUT_MS || '10000'),
+    // Resumable streams: the events of the answer being streamed are kept in Redis so a client that
+    // reconnects with Last-Event-ID picks up where it left off
+    streamResume: {
+      enabled: process.env.STREAM_RESUME_ENABLED !== 'false',
+      ttlSeconds: parseInt(process.env.STREAM_RESUME_TTL || '600'), // How long a turn's events are kept
+      abortGraceSeconds: parseInt(process.env.STREAM_RESUME_GRACE || '30'), // Wait for a reconnect before stopping generation
+      pollIntervalMs: parseInt(process.env.STREAM_RESUME_POLL_MS || '250'), // How often a resumed stream checks for new events
+      idleTimeoutSeconds: parseInt(process.env.STREAM_RESUME_IDLE_TIMEOUT || '60') // A turn with no new events for this long is treated as lost
+    },
+    // Structured answers: JSON matching a schema sent with the message, checked and asked for again if it doesn't match
+    structuredOutput: {
+      maxRetries: parseInt(process.env.STRUCTURED_OUTPUT_MAX_RETRIES || '2'),
+      maxSchemaChars: parseInt(process.env.STRUCTURED_OUTPUT_MAX_SCHEMA_CHARS || '20000')
+    },
+    // WebSocket transport: the chat over one connection instead of a POST plus an SSE stream per answer
+    webSocket: {
+      enabled: process.env.CHAT_WEBSOCKET_ENABLED !== 'false',
+      path: process.env.CHAT_WEBSOCKET_PATH || '/api/chat/ws',
+      maxPayloadBytes: parseInt(process.env.CHAT_WEBSOCKET_MAX_PAYLOAD || String(30 * 1024 * 1024)), // Messages carry base64-encoded attachments
+      heartbeatSeconds: parseInt(process.env.CHAT_WEBSOCKET_HEARTBEAT || '30') // Connections that miss a ping for this long are closed
+    },
+  },
+
+  // Chat attachments
+  attachments: {
+    maxImageBytes: parseInt(process.env.MAX_IMAGE_BYTES || String(3.75 * 1024 * 1024)), // Bedrock's per-image limit
+    maxImagesPerMessage: parseInt(process.env.MAX_IMAGES_PER_MESSAGE || '5'),
+    maxImagesPerRequest: parseInt(process.env.MAX_IMAGES_PER_REQUEST || '20'), // Older images are sent as placeholders
+    maxRequestBodySize: process.env.MAX_CHAT_BODY_SIZE || '30mb', // Attachments are uploaded base64-encoded
+    // Documents (text is extracted server-side and added to the prompt)
+    documentTypes: (process.env.DOCUMENT_TYPES || 'pdf,docx,md,csv,txt').split(',').map(type => type.trim().toLowerCase()),
+    maxDocumentBytes: parseInt(process.env.MAX_DOCUMENT_BYTES || String(10 * 1024 * 1024)),
+    maxDocumentsPerMessage: parseInt(process.env.MAX_DOCUMENTS_PER_MESSAGE || '5'),
+    maxExtractedChars: parseInt(process.env.MAX_EXTRACTED_CHARS || '500000'), // Text kept per document
+    documentChunkSize: parseInt(process.env.DOCUMENT_CHUNK_SIZE || '4000'), // Characters per chunk
+    maxDocumentContextChars: parseInt(process.env.MAX_DOCUMENT_CONTEXT_CHARS || '60000') // Document text per request
+  },
+
+  // Organization knowledge base (retrieval-augmented generation over admin-uploaded documents)
+  knowledgeBase: {
+    enabled: process.env.KNOWLEDGE_BASE_ENABLED !== 'false',
+    embeddingProvider: process.env.EMBEDDING_PROVIDER || (process.env.LLM_PROVIDER === 'mock' ? 'local' : 'bedrock'), // 'bedrock' or 'local'
+    embeddingModelId: process.env.EMBEDDING_MODEL_ID || 'amazon.titan-embed-text-v2:0',
+    embeddingDimensions: parseInt(process.env.EMBEDDING_DIMENSIONS || '1024'), // Must match the knowledge_chunks column
+    chunkSize: parseInt(process.env.KB_CHUNK_SIZE || '1500'), // Characters per passage
+    chunkOverlap: parseInt(process.env.KB_CHUNK_OVERLAP || '200'),
+    topK: parseInt(process.env.KB_TOP_K || '5'), // Passages added to the prompt
+    minScore: parseFloat(process.env.KB_MIN_SCORE || '0.3'), // Minimum cosine similarity
+    maxDocumentBytes: parseInt(process.env.KB_MAX_DOCUMENT_BYTES || String(20 * 1024 * 1024)),
+    maxRequestBodySize: process.env.KB_MAX_UPLOAD_SIZE || '30mb'
+  },
+
+  // Local content policy: rules checked on messages before they reach the model and on streamed answers.
+  // Matches are blocked or masked, and logged for review in the admin panel.
+  contentPolicy: {
+    enabled: process.env.CONTENT_POLICY_ENABLED !== 'false',
+    // Built-in PII detectors to apply, and what to do with a match ('mask' or 'block')
+    piiDetectors: (process.env.CONTENT_POLICY_PII_DETECTORS || 'credit_card,us_ssn,aws_access_key').split(',').map(name => name.trim()).filter(Boolean),
+    piiAction: process.env.CONTENT_POLICY_PII_ACTION || 'mask',
+    // Words and phrases that block a message or answer
+    blockedTerms: (process.env.CONTENT_POLICY_BLOCKED_TERMS || '').split(',').map(term => term.trim()).filter(Boolean),
+    rulesFile: process.env.CONTENT_POLICY_RULES_FILE || null, // JSON file of additional rules (see contentPolicyService)
+    excerptChars: parseInt(process.env.CONTENT_POLICY_EXCERPT_CHARS || '500') // Text kept with a logged event
+  },
+
+  // Usage quotas (limits are managed in the admin panel)
+  quotas: {
+    enabled: process.env.QUOTAS_ENABLED !== 'false',
+    reconcileIntervalSeconds: parseInt(process.env.QUOTA_RECONCILE_INTERVAL || '300') // How often Redis counters are re-synced from Postgres
+  },
+
+  // Personal API tokens (created on the account page, sent as `Authorization: Bearer`)
+  apiTokens: {
+    maxPerUser: parseInt(process.env.API_TOKENS_MAX_PER_USER || '20'), // Active (unrevoked, unexpired) tokens
+    lastUsedIntervalSeconds: parseInt(process.env.API_TOKENS_LAST_USED_INTERVAL || '60') // How often last use is written
+  },
+
+  // Saved assistants: system prompts with their own model, settings, starter prompts and knowledge files
+  assistants: {
+    maxPerUser: parseInt(process.env.ASSISTANTS_MAX_PER_USER || '20'), // Personal assistants per user
+    maxSystemPromptLength: parseInt(process.env.ASSISTANTS_MAX_PROMPT_LENGTH || '20000'), // Characters
+    maxStarterPrompts: parseInt(process.env.ASSISTANTS_MAX_STARTER_PROMPTS || '4'),
+    maxFiles: parseInt(process.env.ASSISTANTS_MAX_FILES || '10') // Knowledge files per assistant
+  },
+
+  // Prompt library: saved prompts with {{variables}}, optionally shared with everyone
+  promptTemplates: {
+    maxPerUser: parseInt(process.env.PROMPT_TEMPLATES_MAX_PER_USER || '100'),
+    maxContentLength: parseInt(process.env.PROMPT_TEMPLATES_MAX_LENGTH || '20000'), // Characters
+    maxVariables: parseInt(process.env.PROMPT_TEMPLATES_MAX_VARIABLES || '20') // Different {{variables}} per template
   },
 
   // Redis configuration
@@ -53,6 +53,7 @@ async function createSessionStore() {
  * Configure session middleware
  * @param {Object} app - Express app instance
  * @param {string} secret - Session secret
+ * @returns {Promise<Function|false>} The session middleware (also used for WebSocket upgrades), or false on failure
  */
 async function configureSession(app, secret) {
   try {
@@ -112,7 +113,8 @@ async function configureSession(app, secret) {
     }
 
     // Apply session middleware
-    app.use(session(sessionConfig));
+    const sessionMiddleware = session(sessionConfig);
+    app.use(sessionMiddleware);
     
     // Add middleware to ensure session is saved before redirects
     const originalRedirect = app.response.redirect;
@@ -132,7 +134,7 @@ async function configureSession(app, secret) {
       }
     };
     
-    return true;
+    return sessionMiddleware;
   } catch (error) {
     console.error(`Failed to configure session: ${error.message}`);
     return false;
@@ -0,0 +1,145 @@
+/**
+ * Assistant Controller
+ * Lets users manage their saved assistants (and admins the organization-wide ones)
+ */
+const assistantService = require('../services/assistantService');
+
+/**
+ * List the assistants the user can start a conversation with
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listAssistants(req, res) {
+  try {
+    const assistants = await assistantService.listAssistants(req.user);
+
+    return res.json({ success: true, assistants });
+  } catch (error) {
+    console.error(`Error listing assistants: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to list assistants' });
+  }
+}
+
+/**
+ * Create an assistant
+ * Body: { name, description, systemPrompt, modelId, inferenceParams, starterPrompts, organization }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createAssistant(req, res) {
+  try {
+    const { assistant, error } = await assistantService.createAssistant(req.user, req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    return res.status(201).json({ success: true, assistant: assistantService.toJSON(assistant, req.user) });
+  } catch (error) {
+    console.error(`Error creating assistant: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to create assistant' });
+  }
+}
+
+/**
+ * Change an assistant (only the fields in the body)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateAssistant(req, res) {
+  try {
+    const { assistant, error, notFound } = await assistantService.updateAssistant(req.user, req.params.id, req.body || {});
+    if (notFound) {
+      return res.status(404).json({ success: false, error: 'Assistant not found' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    return res.json({ success: true, assistant: assistantService.toJSON(assistant, req.user) });
+  } catch (error) {
+    console.error(`Error updating assistant: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to update assistant' });
+  }
+}
+
+/**
+ * Delete an assistant and its knowledge files
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteAssistant(req, res) {
+  try {
+    const deleted = await assistantService.deleteAssistant(req.user, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Assistant not found' });
+    }
+
+    return res.json({ success: true });
+  } catch (error) {
+    console.error(`Error deleting assistant: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to delete assistant' });
+  }
+}
+
+/**
+ * Add a knowledge file to an assistant (body: { fileName, title, data } with base64 data)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function uploadFile(req, res) {
+  try {
+    const { fileName, title, data } = req.body || {};
+    if (!fileName || typeof fileName !== 'string' || !data || typeof data !== 'string') {
+      return res.status(400).json({ success: false, error: 'File name and data are required' });
+    }
+
+    const buffer = Buffer.from(data.replace(/^data:[^;,]*(;[^;,]+)*;base64,/, ''), 'base64');
+    const { document, error, notFound } = await assistantService.addFile(req.user, req.params.id, {
+      buffer,
+      fileName,
+      title: typeof title === 'string' && title.trim() ? title.trim() : null
+    });
+    if (notFound) {
+      return res.status(404).json({ success: false, error: 'Assistant not found' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    return res.status(201).json({
+      success: true,
+      file: { id: document.id, title: document.title, fileName: document.file_name, status: document.status }
+    });
+  } catch (error) {
+    console.error(`Error uploading assistant file: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to upload file' });
+  }
+}
+
+/**
+ * Remove a knowledge file from an assistant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteFile(req, res) {
+  try {
+    const deleted = await assistantService.removeFile(req.user, req.params.id, req.params.documentId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    return res.json({ success: true });
+  } catch (error) {
+    console.error(`Error deleting assistant file: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to delete file' });
+  }
+}
+
+module.exports = {
+  listAssistants,
+  createAssistant,
+  updateAssistant,
+  deleteAssistant,
+  uploadFile,
+  deleteFile
+};
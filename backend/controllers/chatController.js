@@ -2,7 +2,14 @@
  * Chat Controller
  * Handles all chat-related functionality including streaming responses
  */
-const bedrockService = require('../services/bedrockService');
+const llmService = require('../services/llmService');
+const modelCatalogService = require('../services/modelCatalogService');
+const { isUnavailableError } = require('../services/modelFallback');
+const {
+  validateInferenceParams,
+  mergeInferenceParams,
+  resolveInferenceParams
+} = require('../services/inferenceParams');
 const config = require('../config');
 const models = require('../models');
 
@@ -14,8 +21,180 @@ async function getModels() {
   return models;
 }
 const { v4: uuidv4 } = require('uuid');
-const { getChatHistory, saveChatHistory, deleteChatHistory } = require('../services/redisService');
+const {
+  getChatHistory,
+  saveChatHistory,
+  deleteChatHistory,
+  getConversationMeta,
+  saveConversationMeta
+} = require('../services/redisService');
 const { Op } = require('sequelize');
+const attachmentService = require('../services/attachmentService');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const contextService = require('../services/contextService');
+const usageService = require('../services/usageService');
+const quotaService = require('../services/quotaService');
+const contentPolicyService = require('../services/contentPolicyService');
+const streamBufferService = require('../services/streamBufferService');
+const branchService = require('../services/branchService');
+const assistantService = require('../services/assistantService');
+const structuredOutput = require('../services/structuredOutput');
+
+// Streams being generated on this server, by conversation ID: { controller: AbortController, userId }
+const activeStreams = new Map();
+
+/**
+ * Pass a stream's events on until it ends or is aborted
+ * @param {AsyncGenerator} stream - Stream events
+ * @param {AbortSignal} signal - Signal passed to the model call
+ * @returns {AsyncGenerator<Object>} - The same events; an aborted call's error ends it quietly
+ */
+async function* untilAborted(stream, signal) {
+  try {
+    yield* stream;
+  } catch (error) {
+    if (!signal.aborted) throw error;
+  }
+}
+
+/**
+ * A client receiving the events of an answer: an SSE response, or a WebSocket (see chatSocketController)
+ * @typedef {Object} StreamChannel
+ * @property {Function} send - (payload, id) sends an event; id is its buffered event ID, if it has one
+ * @property {Function} end - Called once the answer is finished
+ * @property {Function} onClose - (listener) is called if the client goes away before end()
+ */
+
+/**
+ * Send stream events to an SSE response
+ * @param {Object} res - Express response object (SSE headers already sent)
+ * @returns {StreamChannel}
+ */
+function createSseChannel(res) {
+  return {
+    send(payload, id = null) {
+      res.write(`${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(payload)}\n\n`);
+      if (res.flush) res.flush();
+    },
+    end() {
+      res.end();
+    },
+    onClose(listener) {
+      res.on('close', () => {
+        if (!res.writableEnded) listener();
+      });
+    }
+  };
+}
+
+/**
+ * Send a reconnecting client the rest of a buffered answer, following it live if it is still being
+ * generated (possibly on another server)
+ * @param {StreamChannel} channel - The client
+ * @param {string} conversationId - The conversation ID
+ * @param {string} turnId - The buffered turn
+ * @param {number} afterIndex - Index of the last event the client has (-1 for none)
+ */
+async function resumeStream(channel, conversationId, turnId, afterIndex) {
+  console.log(`Resuming stream for conversation ${conversationId} after event ${afterIndex}`);
+  
+  const closed = new AbortController();
+  channel.onClose(() => closed.abort());
+  
+  let finished = false;
+  for await (const { id, payload } of streamBufferService.followEvents(conversationId, turnId, afterIndex, closed.signal)) {
+    channel.send(payload, id);
+    finished = payload.content === '[DONE]' || Boolean(payload.error);
+  }
+  
+  // The server generating the answer went away before finishing it
+  const state = finished ? null : await streamBufferService.getBufferState(conversationId);
+  const lost = !finished && !(state && state.turnId === turnId && state.status === 'done');
+  if (lost && !closed.signal.aborted) {
+    channel.send({ error: 'The answer was interrupted. Please try again.' });
+  }
+  channel.end();
+}
+
+/**
+ * Check that a conversation isn't someone else's
+ * Saved conversations have their owner in the database; open ones, only in Redis, have the user who started
+ * them in their metadata (see processMessage). An unknown ID is a new conversation, which anyone may start.
+ * @param {string} conversationId - The conversation ID
+ * @param {number} userId - The user's ID
+ * @returns {Promise<boolean>} - Whether the user may read and change the conversation
+ */
+async function canModifyConversation(conversationId, userId) {
+  const conversation = await models.Conversation.findOne({ where: { conversation_id: conversationId } });
+  if (conversation) {
+    return !conversation.user_id || conversation.user_id === userId;
+  }
+  
+  const { userId: ownerId } = await getConversationMeta(conversationId);
+  if (ownerId) {
+    return ownerId === userId;
+  }
+  // History without an owner was started before owners were recorded; it can't be told apart from someone else's
+  return (await getChatHistory(conversationId)).length === 0;
+}
+
+/**
+ * Check whether an answer is being generated for a conversation (on this or another server)
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<boolean>} - Whether an answer is streaming
+ */
+async function isGenerating(conversationId) {
+  return activeStreams.has(conversationId) ||
+    streamBufferService.isStreaming(await streamBufferService.getBufferState(conversationId));
+}
+
+/**
+ * Forget the conversation's summary if it covers messages after a fork (they are no longer in the history)
+ * @param {string} conversationId - The conversation ID
+ * @param {Array} chatHistory - Chat history after the fork
+ * @param {number} index - Index of the last message that was kept
+ */
+async function dropStaleSummary(conversationId, chatHistory, index) {
+  const { contextSummary } = await getConversationMeta(conversationId);
+  const keptCount = chatHistory.slice(0, index + 1).filter(msg => msg.role !== 'system').length;
+  if (contextSummary && contextSummary.messageCount > keptCount) {
+    await saveConversationMeta(conversationId, { contextSummary: null });
+  }
+}
+
+/**
+ * Validate the model and inference settings sent for a new answer (regenerating or editing)
+ * @param {Object} body - Request body: { modelId, inferenceParams }
+ * @returns {Promise<Object>} - { error } or { modelId, inferenceUpdates }
+ */
+async function validateTurnSettings({ modelId, inferenceParams }) {
+  const { params: inferenceUpdates, errors } = validateInferenceParams(inferenceParams);
+  if (errors.length > 0) {
+    return { error: errors.join('; ') };
+  }
+  if (modelId && (typeof modelId !== 'string' || !(await modelCatalogService.isModelAllowed(modelId)))) {
+    console.error(`Model not allowed: ${modelId}`);
+    return { error: 'Selected model is not available' };
+  }
+  return { modelId, inferenceUpdates };
+}
+
+/**
+ * Save the model and inference settings for the rest of a conversation, like processMessage does
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} settings - From validateTurnSettings
+ * @returns {Promise<Object>} - { modelId, inferenceParams }
+ */
+async function saveTurnSettings(conversationId, { modelId, inferenceUpdates }) {
+  const conversationMeta = await getConversationMeta(conversationId);
+  const selectedModelId = modelId || conversationMeta.modelId || await modelCatalogService.getDefaultModelId();
+  const conversationInferenceParams = mergeInferenceParams(conversationMeta.inferenceParams, inferenceUpdates);
+  await saveConversationMeta(conversationId, {
+    modelId: selectedModelId,
+    inferenceParams: conversationInferenceParams
+  });
+  return { modelId: selectedModelId, inferenceParams: conversationInferenceParams };
+}
 
 /**
  * Process a chat message for streaming (stores the message for stream endpoint to process)
@@ -27,17 +206,77 @@ async function processMessage(req, res) {
     return res.status(401).json({ success: false, error: 'Unauthorized: user not logged in' });
   }
   try {
-    const { message, conversationId, isTemporary = false } = req.body;
+    const { message = '', conversationId, modelId, inferenceParams, attachments, responseSchema, assistantId, isTemporary = false } = req.body;
     
-    if (!message || typeof message !== 'string' || message.trim() === '') {
-      console.error(`Invalid message format received: ${JSON.stringify(req.body)}`);
+    // Refuse the message before anything is stored or sent to Bedrock if the user is out of allowance
+    const quotaCheck = await quotaService.checkQuota(req.user);
+    if (!quotaCheck.allowed) {
+      console.log(`Quota exceeded for user ${req.user.id}: ${quotaCheck.exceeded.period} ${quotaCheck.exceeded.metric}`);
+      return res.status(429).json({
+        success: false,
+        error: quotaService.formatQuotaError(quotaCheck.exceeded),
+        quota: quotaCheck.exceeded
+      });
+    }
+    
+    // Images are validated here; documents also have their text extracted
+    const { files, errors: attachmentErrors } = await attachmentService.parseUploads(attachments);
+    if (attachmentErrors.length > 0) {
+      console.error(`Invalid attachments: ${attachmentErrors.join('; ')}`);
+      return res.status(400).json({ success: false, error: attachmentErrors.join('; ') });
+    }
+    
+    // A message needs text unless it carries attachments
+    if (typeof message !== 'string' || (message.trim() === '' && files.length === 0)) {
+      console.error(`Invalid message format received (${files.length} attachments, message type ${typeof message})`);
       return res.status(400).json({ success: false, error: 'Message is required' });
     }
     
+    const { params: inferenceUpdates, errors: inferenceErrors } = validateInferenceParams(inferenceParams);
+    if (inferenceErrors.length > 0) {
+      console.error(`Invalid inference parameters: ${inferenceErrors.join('; ')}`);
+      return res.status(400).json({ success: false, error: inferenceErrors.join('; ') });
+    }
+    
+    // A JSON Schema asks for the answer as JSON matching it (see structuredOutput)
+    if (responseSchema !== undefined && responseSchema !== null) {
+      const schemaErrors = structuredOutput.checkResponseSchema(responseSchema);
+      if (schemaErrors.length > 0) {
+        console.error(`Invalid response schema: ${schemaErrors.join('; ')}`);
+        return res.status(400).json({ success: false, error: schemaErrors.join('; ') });
+      }
+    }
+    
+    // Apply the content policy before the message is stored or sent to the model
+    const policyCheck = contentPolicyService.checkText(message.trim(), 'input');
+    if (policyCheck.action === 'blocked') {
+      await contentPolicyService.recordEvent({
+        userId: req.user.id,
+        conversationId: req.session?.conversationId || conversationId || null,
+        stage: 'input',
+        action: 'blocked',
+        rules: policyCheck.rules,
+        text: message
+      });
+      return res.status(400).json({
+        success: false,
+        error: policyCheck.message,
+        moderation: { action: 'blocked', stage: 'input', source: 'policy' }
+      });
+    }
+    const messageText = policyCheck.action === 'masked' ? policyCheck.text : message.trim();
+    
     // Get or create conversation ID - prioritize session over request body
     let newConversationId = req.session?.conversationId || conversationId;
     console.log(`Processing message with conversationId from: ${req.session?.conversationId ? 'session' : (conversationId ? 'request body' : 'new uuid')}`);
     
+    // The session's conversation is the user's own; one named in the request may not be
+    if (newConversationId && !req.session?.conversationId) {
+      if (typeof newConversationId !== 'string' || !(await canModifyConversation(newConversationId, req.user.id))) {
+        return res.status(403).json({ success: false, error: 'Unauthorized access to conversation' });
+      }
+    }
+    
     if (!newConversationId) {
       newConversationId = uuidv4();
       console.log(`Created new conversation with ID: ${newConversationId}`);
@@ -53,25 +292,102 @@ async function processMessage(req, res) {
     
     // Get current chat history from Redis
     let chatHistory = await getChatHistory(newConversationId);
+    const conversationMeta = await getConversationMeta(newConversationId);
+    
+    // An assistant can only be chosen when the conversation starts; it keeps that assistant afterwards
+    let assistant = null;
+    if (assistantId && chatHistory.length === 0) {
+      assistant = await assistantService.getAssistant(assistantId, req.user);
+      if (!assistant) {
+        console.error(`Assistant not available to user ${req.user.id}: ${assistantId}`);
+        return res.status(400).json({ success: false, error: 'Selected assistant is not available' });
+      }
+    }
+    
+    // Resolve the model for this conversation: explicit choice, then previous choice, then the assistant's, then default
+    let selectedModelId = conversationMeta.modelId;
+    
+    if (modelId) {
+      if (typeof modelId !== 'string' || !(await modelCatalogService.isModelAllowed(modelId))) {
+        console.error(`Model not allowed: ${modelId}`);
+        return res.status(400).json({ success: false, error: 'Selected model is not available' });
+      }
+      selectedModelId = modelId;
+    }
     
-    // First message in a new conversation - add system prompt
+    // The assistant's model may have been disabled since it was saved
+    if (!selectedModelId && assistant?.model_id && (await modelCatalogService.isModelAllowed(assistant.model_id))) {
+      selectedModelId = assistant.model_id;
+    }
+    
+    if (!selectedModelId) {
+      selectedModelId = await modelCatalogService.getDefaultModelId();
+    }
+    
+    // Inference settings sent with a message apply to the rest of the conversation (on top of the assistant's)
+    const conversationInferenceParams = mergeInferenceParams(
+      assistant ? assistant.inference_params : conversationMeta.inferenceParams,
+      inferenceUpdates
+    );
+    
+    // The owner is recorded when the conversation starts (see canModifyConversation)
+    await saveConversationMeta(newConversationId, {
+      userId: conversationMeta.userId || req.user.id,
+      modelId: selectedModelId,
+      inferenceParams: conversationInferenceParams,
+      ...(assistant && { assistantId: assistant.id })
+    });
+    
+    // First message in a new conversation - add the assistant's system prompt (or the default one)
     if (chatHistory.length === 0) {
       chatHistory.push({
+        id: uuidv4(),
         role: 'system',
-        content: config.chat.systemPrompt
+        content: assistantService.getSystemPrompt(assistant)
       });
     }
     
     // Check for duplicate user messages before adding to history
     const lastMessage = chatHistory[chatHistory.length - 1];
-    if (lastMessage?.role === 'user' && lastMessage.content === message.trim()) {
+    let userMessageId = lastMessage?.id;
+    if (files.length === 0 && lastMessage?.role === 'user' && lastMessage.content === messageText) {
       console.log('Duplicate user message detected, skipping push');
     } else {
-      // Add user message to history
-      chatHistory.push({
+      // Messages have IDs so clients can refer to them (e.g. to edit one)
+      const userMessage = {
+        id: uuidv4(),
         role: 'user',
-        content: message.trim()
-      });
+        content: messageText
+      };
+      userMessageId = userMessage.id;
+      
+      // The schema stays with the message, so regenerating its answer gives JSON again
+      if (responseSchema) {
+        userMessage.responseSchema = responseSchema;
+      }
+      
+      if (policyCheck.action === 'masked') {
+        userMessage.moderation = { action: 'masked', stage: 'input', source: 'policy' };
+        await contentPolicyService.recordEvent({
+          userId: req.user.id,
+          conversationId: newConversationId,
+          stage: 'input',
+          action: 'masked',
+          rules: policyCheck.rules,
+          text: message
+        });
+      }
+      
+      // Attachments are stored separately; the history keeps references to them
+      if (files.length > 0) {
+        userMessage.attachments = await attachmentService.saveAttachments(files, {
+          userId: req.user.id,
+          conversationId: newConversationId
+        });
+      }
+      
+      // Add user message to history
+      chatHistory.push(userMessage);
     }
     
     // Save updated history to Redis
@@ -93,9 +409,17 @@ async function processMessage(req, res) {
             user_id: req.user ? req.user.id : null,
             chat_history: chatHistory,
             started_at: new Date(),
-            is_temporary: false
+            is_temporary: false,
+            model_id: selectedModelId,
+            inference_params: conversationInferenceParams,
+            assistant_id: conversationMeta.assistantId || (assistant ? assistant.id : null)
           });
           console.log(`Created significant conversation in database: ${newConversationId} (${messageCount} messages)`);
+        } else if (conversation.model_id !== selectedModelId || Object.keys(inferenceUpdates).length > 0) {
+          conversation.model_id = selectedModelId;
+          conversation.inference_params = conversationInferenceParams;
+          await conversation.save();
+          console.log(`Updated settings for conversation ${newConversationId}: ${selectedModelId}`);
         }
       } catch (dbError) {
         console.error(`Database error when creating conversation: ${dbError.message}`);
@@ -109,11 +433,21 @@ async function processMessage(req, res) {
       }
     }
     
-    return res.json({
+    const result = {
       success: true,
       message: 'Message received, connect to /api/chat/stream to get streaming response',
-      conversationId: newConversationId
-    });
+      conversationId: newConversationId,
+      messageId: userMessageId,
+      modelId: selectedModelId,
+      inferenceParams: conversationInferenceParams
+    };
+    
+    // The client shows the message as it was stored
+    if (policyCheck.action === 'masked') {
+      result.moderation = { action: 'masked', stage: 'input', source: 'policy', text: messageText };
+    }
+    
+    return res.json(result);
   } catch (error) {
     console.error('Error processing message:', error);
     return res.status(500).json({ success: false, error: 'Failed to process message' });
@@ -139,6 +473,7 @@ async function streamResponse(req, res) {
     
     // Get conversation ID - prioritize session over request parameters
     let conversationId;
+    const channel = createSseChannel(res);
     
     // First try to get from session (session should be our source of truth)
     if (req.session && req.session.conversationId) {
@@ -146,185 +481,689 @@ async function streamResponse(req, res) {
       console.log(`Using conversationId from session: ${conversationId}`);
     } 
     // Fall back to query or body parameters if session doesn't have it
-    else if (req.method === 'GET' && req.query.conversationId) {
-      conversationId = req.query.conversationId;
-      console.log(`Using conversationId from query: ${conversationId}`);
-      // Update session with this conversationId
-      if (req.session) {
-        req.session.conversationId = conversationId;
-        console.log(`Updated session with conversationId from query: ${conversationId}`);
+    else {
+      if (req.method === 'GET' && req.query.conversationId) {
+        conversationId = req.query.conversationId;
+        console.log(`Using conversationId from query: ${conversationId}`);
+      } else if (req.method === 'POST' && req.body.conversationId) {
+        conversationId = req.body.conversationId;
+        console.log(`Using conversationId from body: ${conversationId}`);
       }
-    } else if (req.method === 'POST' && req.body.conversationId) {
-      conversationId = req.body.conversationId;
-      console.log(`Using conversationId from body: ${conversationId}`);
+      
+      // A conversation named in the request may be someone else's
+      if (conversationId && (typeof conversationId !== 'string' || !(await canModifyConversation(conversationId, req.user.id)))) {
+        channel.send({ error: 'Unauthorized access to conversation' });
+        return channel.end();
+      }
+      
       // Update session with this conversationId
-      if (req.session) {
+      if (conversationId && req.session) {
         req.session.conversationId = conversationId;
-        console.log(`Updated session with conversationId from body: ${conversationId}`);
+        console.log(`Updated session with conversationId from request: ${conversationId}`);
       }
     }
     
     if (!conversationId) {
       console.error('Missing conversation ID');
-      res.write(`data: ${JSON.stringify({ error: 'Missing conversation ID' })}\n\n`);
-      return res.end();
+      channel.send({ error: 'Missing conversation ID' });
+      return channel.end();
     }
     
-    console.log(`Processing stream for conversation: ${conversationId}`);
+    // A client reconnecting mid-answer gets the rest of it instead of a new one. EventSource sends
+    // Last-Event-ID when it reconnects by itself; clients opening a new stream pass lastEventId.
+    const lastEventId = streamBufferService.parseEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+    await streamAnswer(req.user, conversationId, channel, lastEventId);
+  } catch (error) {
+    console.error('Error streaming response:', error);
     
-    // Get chat history from Redis
-    const chatHistory = await getChatHistory(conversationId);
+    // Send error response in SSE format
+    res.write(`data: ${JSON.stringify({ error: 'Error processing your request' })}\n\n`);
+    res.end();
+  }
+}
+
+/**
+ * Answer the last message of a conversation, streaming the events to a client (or, if the answer is
+ * already being generated or the client is resuming, follow it)
+ * @param {Object} user - The signed-in user
+ * @param {string} conversationId - The conversation ID
+ * @param {StreamChannel} channel - The client
+ * @param {Object|null} lastEventId - { turnId, index } of the last event a reconnecting client has
+ */
+async function streamAnswer(user, conversationId, channel, lastEventId = null) {
+  console.log(`Processing stream for conversation: ${conversationId}`);
+  
+  const bufferState = await streamBufferService.getBufferState(conversationId);
+  if (lastEventId) {
+    if (!bufferState || bufferState.turnId !== lastEventId.turnId) {
+      console.log(`Cannot resume stream for conversation ${conversationId}: event ${lastEventId.turnId}:${lastEventId.index} is no longer buffered`);
+      channel.send({ error: 'This answer can no longer be resumed. Reload the conversation to see it.' });
+      return channel.end();
+    }
+    return resumeStream(channel, conversationId, bufferState.turnId, lastEventId.index);
+  }
+  if (streamBufferService.isStreaming(bufferState)) {
+    // Connected before the first event arrived, or from a second tab: follow the answer already underway
+    return resumeStream(channel, conversationId, bufferState.turnId, -1);
+  }
+  
+  // Get chat history from Redis
+  const chatHistory = await getChatHistory(conversationId);
+  
+  if (!chatHistory || chatHistory.length === 0) {
+    console.error(`No chat history found for conversation ${conversationId}`);
+    channel.send({ error: 'No chat history found' });
+    return channel.end();
+  }
+  
+  // Extract the last user message
+  const lastUserMessage = [...chatHistory].reverse().find(msg => msg.role === 'user');
+  
+  if (!lastUserMessage) {
+    console.error(`No user message found in history for conversation ${conversationId}`);
+    channel.send({ error: 'No user message found' });
+    return channel.end();
+  }
+  
+  console.log(`Last user message: "${(lastUserMessage.content || '').substring(0, 50)}..."`);
+  console.log(`Chat history length: ${chatHistory.length} messages`);
+  
+  // The allowance can run out between accepting the message and streaming (e.g. from another tab)
+  const quotaCheck = await quotaService.checkQuota(user);
+  if (!quotaCheck.allowed) {
+    console.log(`Quota exceeded for user ${user.id} before streaming`);
+    channel.send({ error: quotaService.formatQuotaError(quotaCheck.exceeded), quota: quotaCheck.exceeded });
+    return channel.end();
+  }
+  
+  let usage = null;
+  
+  // Every event of the turn gets an ID and is buffered, so a client that reconnects can resume
+  const buffer = new streamBufferService.StreamBuffer(conversationId);
+  await buffer.start();
+  const sendEvent = payload => channel.send(payload, buffer.append(payload));
+  
+  // Generation stops when the client goes away or asks to stop (see stopGeneration), so Bedrock
+  // doesn't go on producing (and billing) an answer nobody reads. A client that lost its connection
+  // gets a grace period to reconnect and resume first.
+  const abortController = new AbortController();
+  const activeStream = { controller: abortController, userId: user ? user.id : null };
+  activeStreams.set(conversationId, activeStream);
+  channel.onClose(() => {
+    // Without a buffer (resuming off, or Redis unavailable) there is nothing to reconnect to
+    const { abortGraceSeconds } = config.chat.streamResume;
+    if (!buffer.client || abortGraceSeconds <= 0) {
+      abortController.abort();
+      return;
+    }
+    const closedAt = Date.now();
+    setTimeout(async () => {
+      if (!(await streamBufferService.wasResumedSince(conversationId, closedAt))) {
+        abortController.abort();
+      }
+    }, abortGraceSeconds * 1000).unref();
+  });
+  
+  try {
+    let assistantResponse = '';
+    let turnResponse = '';
+    let streamCompleted = false;
     
-    if (!chatHistory || chatHistory.length === 0) {
-      console.error(`No chat history found for conversation ${conversationId}`);
-      res.write(`data: ${JSON.stringify({ error: 'No chat history found' })}\n\n`);
-      return res.end();
+    // Use the model and inference settings selected for this conversation
+    // (conversation settings override the user's defaults, which override config)
+    const { modelId, inferenceParams, contextSummary, assistantId } = await getConversationMeta(conversationId);
+    const resolvedParams = resolveInferenceParams(user && user.inferenceSettings, inferenceParams);
+    
+    // Add system message if not present (the conversation's assistant's, if it still exists)
+    const systemMessage = chatHistory.find(msg => msg.role === 'system');
+    if (!systemMessage) {
+      const assistant = assistantId && user ? await assistantService.getAssistant(assistantId, user) : null;
+      chatHistory.unshift({
+        id: uuidv4(),
+        role: 'system',
+        content: assistantService.getSystemPrompt(assistant)
+      });
     }
     
-    // Extract the last user message
-    const lastUserMessage = [...chatHistory].reverse().find(msg => msg.role === 'user');
+    // Look up knowledge base passages (and the assistant's knowledge files) for the latest message;
+    // if retrieval fails the model answers without them
+    let knowledge = { sources: [], systemContext: null };
+    try {
+      knowledge = await knowledgeBaseService.retrieveContext(lastUserMessage.content, assistantId || null);
+    } catch (retrievalError) {
+      console.error(`Knowledge base retrieval failed: ${retrievalError.message}`);
+    }
     
-    if (!lastUserMessage) {
-      console.error(`No user message found in history for conversation ${conversationId}`);
-      res.write(`data: ${JSON.stringify({ error: 'No user message found' })}\n\n`);
-      return res.end();
+    // Send the citations first so the UI can show them under the answer
+    if (knowledge.sources.length > 0) {
+      sendEvent({ sources: knowledge.sources });
     }
     
-    console.log(`Last user message: "${lastUserMessage.content.substring(0, 50)}..."`);
-    console.log(`Chat history length: ${chatHistory.length} messages`);
+    // A message sent with a JSON Schema is answered with JSON matching it
+    const responseSchema = lastUserMessage.responseSchema || null;
+    const systemContext = [
+      knowledge.systemContext,
+      responseSchema ? structuredOutput.buildInstructions(responseSchema) : null
+    ].filter(Boolean).join('\n\n') || null;
     
-    try {
-      let assistantResponse = '';
-      let streamCompleted = false;
-      
-      // Add system message if not present
-      const systemMessage = chatHistory.find(msg => msg.role === 'system');
-      if (!systemMessage) {
-        chatHistory.unshift({
-          role: 'system',
-          content: config.chat.systemPrompt
-        });
+    // Fit the history into the model's context window; older turns are rolled up into a running summary
+    const context = await contextService.buildContext(chatHistory, {
+      modelId: modelId || config.bedrock.modelId,
+      maxTokens: resolvedParams.maxTokens,
+      systemContext,
+      summary: contextSummary || null
+    });
+    
+    if (context.summary !== (contextSummary || null)) {
+      await saveConversationMeta(conversationId, { contextSummary: context.summary });
+    }
+    if (context.summaryUpdated) {
+      sendEvent({ context: { summarized: true, summarizedMessages: context.summary.messageCount } });
+    }
+    
+    let finalAssistantMessage = null;
+    let answeredBy = null;
+    let guardrailTrace = null;
+    let structuredResult = null;
+    const turnStart = chatHistory.length;
+    usage = new usageService.UsageTracker(modelId || config.bedrock.modelId);
+    
+    // The answer passes through the content policy on its way to the client
+    let outputFilter = new contentPolicyService.StreamFilter();
+    const sendText = content => {
+      if (!content) return;
+      assistantResponse += content;
+      turnResponse += content;
+      sendEvent({ content });
+    };
+    const sendModeration = moderation => sendEvent({ moderation });
+    
+    // Stream the response from the configured provider (normalized events, independent of the model).
+    // Tools the model calls are run server-side and their progress is streamed as `tool` events.
+    // An aborted stream simply ends early (see below)
+    const startStream = messages => llmService.streamChatWithTools(messages, {
+      modelId,
+      ...resolvedParams,
+      tools: true,
+      systemContext,
+      documentContextChars: context.documentContextChars,
+      signal: abortController.signal,
+      toolContext: {
+        userId: user ? user.id : null,
+        conversationId
       }
+    });
+    const stream = untilAborted(responseSchema
+      ? structuredOutput.streamStructured(startStream, context.messages, responseSchema)
+      : startStream(context.messages), abortController.signal);
+    
+    for await (const event of stream) {
+      usage.track(event);
       
-      // Stream the response using the bedrockService
-      const streamController = await bedrockService.bedrockClientInstance.createChatCompletion(chatHistory, true);
-      
-      // Process the stream events
-      const stream = streamController.body;
-      
-      for await (const event of stream) {
-        if (event.chunk && event.chunk.bytes) {
-          try {
-            const chunkString = Buffer.from(event.chunk.bytes).toString('utf-8');
-            const chunkData = JSON.parse(chunkString);
-            
-            if (chunkData.type === 'content_block_delta' && chunkData.delta && chunkData.delta.text) {
-              // Send delta text to client
-              const content = chunkData.delta.text;
-              assistantResponse += content;
-              
-              // Send the chunk to the client
-              res.write(`data: ${JSON.stringify({ content })}\n\n`);
-              
-              // Flush the response to ensure it gets sent immediately
-              if (res.flush) res.flush();
-            } else if (chunkData.type === 'content_block_start' && 
-                       chunkData.content_block && 
-                       chunkData.content_block.type === 'text' && 
-                       chunkData.content_block.text) {
-              // For initial text blocks
-              const content = chunkData.content_block.text;
-              assistantResponse += content;
-              
-              res.write(`data: ${JSON.stringify({ content })}\n\n`);
-              if (res.flush) res.flush();
-            } else if (chunkData.type === 'end_of_sequence') {
-              streamCompleted = true;
-              console.log('Received end_of_sequence signal');
-              
-              // Send [DONE] marker with the full response
-              res.write(`data: ${JSON.stringify({ 
-                content: '[DONE]',
-                fullResponse: assistantResponse,
-                completed: true
-              })}\n\n`);
-              
-              if (res.flush) res.flush();
-            }
-          } catch (parseError) {
-            console.error(`Error parsing chunk: ${parseError.message}`);
-            continue;
+      if (event.type === 'model') {
+        // Tell the client when a fallback model answers instead of the selected one (e.g. while it is throttled)
+        const changed = answeredBy && (answeredBy.modelId !== event.modelId || answeredBy.region !== event.region);
+        if ((event.fallback && !answeredBy) || changed) {
+          sendEvent({ model: { id: event.modelId, region: event.region, requestedId: event.requestedModelId, fallback: event.fallback } });
+        }
+        answeredBy = event;
+      } else if (event.type === 'tool_use_start' || event.type === 'tool_use' || event.type === 'tool_result') {
+        const tool = { id: event.id, name: event.name };
+        if (event.type === 'tool_use_start') {
+          tool.status = 'started';
+        } else if (event.type === 'tool_use') {
+          tool.status = 'running';
+          tool.input = event.input;
+        } else {
+          tool.status = event.status === 'success' ? 'completed' : 'error';
+        }
+        
+        sendEvent({ tool });
+      } else if (event.type === 'message') {
+        if (event.message.role === 'assistant') {
+          // Release the text held back by the filter; the stored turn is masked the same way
+          sendText(outputFilter.flush());
+          if (outputFilter.blocked) break;
+          const storedCheck = contentPolicyService.checkText(event.message.content, 'output');
+          if (storedCheck.action === 'masked') {
+            event.message.content = storedCheck.text;
           }
         }
-      }
-      
-      // If we never sent a [DONE] (unusual case), send one now
-      if (!streamCompleted) {
-        console.log('Stream ended without a stop signal, sending final [DONE]');
-        res.write(`data: ${JSON.stringify({ 
+        
+        // Assistant turns and tool results are kept in the history so follow-ups have the context
+        event.message.id = uuidv4();
+        chatHistory.push(event.message);
+        if (event.message.role === 'assistant') {
+          finalAssistantMessage = event.message;
+          turnResponse = '';
+          if (answeredBy && answeredBy.fallback) {
+            event.message.modelId = answeredBy.modelId;
+          }
+        }
+      } else if (event.type === 'reasoning') {
+        // Extended thinking is sent separately so clients can show it apart from the answer
+        sendEvent({ reasoning: event.text });
+      } else if (event.type === 'text') {
+        // Text is held back until it can no longer be part of a policy match
+        sendText(outputFilter.push(event.text));
+        if (outputFilter.blocked) break;
+      } else if (event.type === 'metadata') {
+        guardrailTrace = event.trace || guardrailTrace;
+      } else if (event.type === 'structured_retry') {
+        // The answer didn't match the schema: it is dropped and the client starts over with the next attempt.
+        // So is the filter's state (held-back text and masked rules), so nothing of it reaches the next one
+        chatHistory.splice(turnStart);
+        outputFilter = new contentPolicyService.StreamFilter();
+        finalAssistantMessage = null;
+        assistantResponse = '';
+        turnResponse = '';
+        sendEvent({ structured: { status: 'retrying', attempt: event.attempt, errors: event.errors } });
+      } else if (event.type === 'structured_output') {
+        structuredResult = event;
+        if (finalAssistantMessage && !event.errors) {
+          finalAssistantMessage.structuredOutput = event.value;
+        }
+      } else if (event.type === 'message_stop') {
+        streamCompleted = true;
+        console.log(`Received message_stop signal (stopReason: ${event.stopReason})`);
+        
+        // The guardrail's own message has been streamed as the answer; tell the client and log it
+        if (event.stopReason === 'guardrail_intervened') {
+          const stage = contentPolicyService.getGuardrailStage(guardrailTrace);
+          const moderation = { action: 'blocked', stage, source: 'guardrail' };
+          sendModeration(moderation);
+          if (finalAssistantMessage) {
+            finalAssistantMessage.moderation = moderation;
+          }
+          await contentPolicyService.recordEvent({
+            userId: user ? user.id : null,
+            conversationId,
+            stage,
+            source: 'guardrail',
+            action: 'blocked',
+            rules: [`guardrail:${config.bedrock.guardrail.identifier}`],
+            text: stage === 'input' ? lastUserMessage.content : (finalAssistantMessage && finalAssistantMessage.content)
+          });
+        } else if (outputFilter.maskedRules.size > 0) {
+          const moderation = { action: 'masked', stage: 'output', source: 'policy' };
+          sendModeration(moderation);
+          if (finalAssistantMessage) {
+            finalAssistantMessage.moderation = moderation;
+          }
+          await contentPolicyService.recordEvent({
+            userId: user ? user.id : null,
+            conversationId,
+            stage: 'output',
+            action: 'masked',
+            rules: [...outputFilter.maskedRules],
+            text: finalAssistantMessage && finalAssistantMessage.content
+          });
+        }
+        
+        // Send [DONE] marker with the full response (usage metadata has arrived by now)
+        const done = {
           content: '[DONE]',
           fullResponse: assistantResponse,
-          completed: true
-        })}\n\n`);
-        
-        if (res.flush) res.flush();
+          completed: true,
+          modelId: answeredBy ? answeredBy.modelId : (modelId || config.bedrock.modelId),
+          fallback: Boolean(answeredBy && answeredBy.fallback),
+          usage: {
+            inputTokens: usage.inputTokens,
+            outputTokens: usage.outputTokens,
+            cacheReadInputTokens: usage.cacheReadInputTokens,
+            cacheWriteInputTokens: usage.cacheWriteInputTokens
+          }
+        };
+        // A structured answer comes parsed, or with the validation errors of the last attempt
+        if (structuredResult && structuredResult.errors) {
+          done.structuredOutputErrors = structuredResult.errors;
+        } else if (structuredResult) {
+          done.structuredOutput = structuredResult.value;
+        }
+        sendEvent(done);
       }
-      
-      // End the response
-      res.end();
-      
-      console.log('Stream processing completed successfully');
-      
-      // Add the assistant response to the conversation history
-      chatHistory.push({
-        role: 'assistant',
-        content: assistantResponse
-      });
-      
-      // Limit conversation history if needed
-      if (chatHistory.length > config.chat.maxHistoryMessages + 1) { // +1 for system message
-        // Keep system message and trim the oldest messages
-        const systemMessage = chatHistory.find(msg => msg.role === 'system');
-        // Filter out system message first
-        const filteredHistory = chatHistory.filter(msg => msg.role !== 'system');
-        // Keep only the most recent messages
-        const limitedHistory = filteredHistory.slice(-(config.chat.maxHistoryMessages));
-        
-        // Add system message back at the beginning if it existed
-        chatHistory = systemMessage ? [systemMessage, ...limitedHistory] : limitedHistory;
+    }
+    
+    const stopped = abortController.signal.aborted && !streamCompleted;
+    
+    // Generation was stopped: keep what was sent of the answer, marked as stopped
+    if (stopped) {
+      console.log(`Generation stopped for conversation ${conversationId}`);
+      if (!outputFilter.blocked) {
+        sendText(outputFilter.flush());
       }
-      
-      // Save updated history to Redis
-      await saveChatHistory(conversationId, chatHistory);
-      
-      // Note: Database updates removed for performance - Redis is primary storage
-      // Database persistence happens in processMessage() when conversations become significant
-      // and in resetConversation() when conversations end
-    } catch (streamError) {
-      console.error(`Error during stream processing: ${streamError.message}`);
-      console.error(`Stream error stack: ${streamError.stack}`);
-      
-      // Try to send an error response if we haven't ended the response yet
-      try {
-        if (!res.headersSent) {
-          return res.status(500).json({ error: 'Stream processing error' });
-        } else {
-          // We already started the stream, send error as an event
-          res.write(`data: ${JSON.stringify({ 
-            error: 'Stream processing error'
-          })}\n\n`);
-          res.end();
-        }
-      } catch (finalError) {
-        console.error(`Failed to send error response: ${finalError.message}`);
+      if (turnResponse.trim()) {
+        chatHistory.push({ id: uuidv4(), role: 'assistant', content: turnResponse.trim(), stopped: true });
       }
+      usage.track({ type: 'message_stop', stopReason: 'stopped' });
+    }
+    
+    // The content policy blocked the answer: the rest of it is dropped and the notice takes its place
+    if (outputFilter.blocked) {
+      const moderation = { action: 'blocked', stage: 'output', source: 'policy', message: outputFilter.blocked.message };
+      sendModeration(moderation);
+      chatHistory.push({ id: uuidv4(), role: 'assistant', content: outputFilter.blocked.message, moderation });
+      await contentPolicyService.recordEvent({
+        userId: user ? user.id : null,
+        conversationId,
+        stage: 'output',
+        action: 'blocked',
+        rules: outputFilter.blocked.rules,
+        text: outputFilter.text
+      });
+      assistantResponse = outputFilter.blocked.message;
     }
+    
+    // If we never sent a [DONE] (stopped, blocked or an unusual end), send one now
+    if (!streamCompleted) {
+      console.log('Stream ended without a stop signal, sending final [DONE]');
+      sendEvent({
+        content: '[DONE]',
+        fullResponse: assistantResponse,
+        completed: true,
+        stopped,
+        modelId: answeredBy ? answeredBy.modelId : (modelId || config.bedrock.modelId),
+        fallback: Boolean(answeredBy && answeredBy.fallback)
+      });
+    }
+    
+    // End the response
+    channel.end();
+    
+    console.log('Stream processing completed successfully');
+    
+    // Keep the citations with the answer so they are shown when the conversation is reopened
+    if (finalAssistantMessage && knowledge.sources.length > 0) {
+      finalAssistantMessage.sources = knowledge.sources;
+    }
+    
+    // Save updated history to Redis (the full history is kept; buildContext decides what is sent)
+    await saveChatHistory(conversationId, chatHistory);
+    
+    await usageService.recordUsage(usage.toJSON(), {
+      userId: user ? user.id : null,
+      conversationId
+    });
+    usage = null;
+    
+    // Note: Database updates removed for performance - Redis is primary storage
+    // Database persistence happens in processMessage() when conversations become significant
+    // and in resetConversation() when conversations end
+  } catch (streamError) {
+    console.error(`Error during stream processing: ${streamError.message}`);
+    console.error(`Stream error stack: ${streamError.stack}`);
+    
+    // Tokens used before the failure (e.g. earlier tool use iterations) still count
+    if (usage) {
+      await usageService.recordUsage(usage.toJSON(), {
+        userId: user ? user.id : null,
+        conversationId
+      });
+    }
+    
+    // Throttling that outlasted the retries and every fallback model gets a message the user can act on
+    const errorMessage = isUnavailableError(streamError)
+      ? 'The AI model is busy right now. Please try again in a moment.'
+      : 'Stream processing error';
+    
+    // Try to send the error to the client if it is still there
+    try {
+      sendEvent({ error: errorMessage });
+      channel.end();
+    } catch (finalError) {
+      console.error(`Failed to send error response: ${finalError.message}`);
+    }
+  } finally {
+    if (activeStreams.get(conversationId) === activeStream) {
+      activeStreams.delete(conversationId);
+    }
+    await buffer.finish();
+  }
+}
+
+/**
+ * Stop the answer being generated for a conversation
+ *
+ * The partial answer is saved (marked as stopped) and the stream ends with a [DONE] event that has
+ * `stopped: true`. Streams are tracked per server, so with several instances the request may reach one
+ * that isn't generating; `stopped: false` tells the client to close its stream instead, which stops
+ * generation as well.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function stopGeneration(req, res) {
+  try {
+    const conversationId = req.session?.conversationId || req.body.conversationId;
+    const activeStream = conversationId ? activeStreams.get(conversationId) : null;
+    
+    if (!activeStream || activeStream.userId !== req.user.id) {
+      return res.json({ success: true, stopped: false });
+    }
+    
+    activeStream.controller.abort();
+    console.log(`Stop requested for conversation ${conversationId}`);
+    return res.json({ success: true, stopped: true });
   } catch (error) {
-    console.error('Error streaming response:', error);
+    console.error('Error stopping generation:', error);
+    return res.status(500).json({ success: false, error: 'Failed to stop generation' });
+  }
+}
+
+/**
+ * Regenerate the answer to the last message (for streaming, like processMessage)
+ *
+ * The current answer is kept as a branch the user can switch back to. A different model or inference
+ * settings can be sent for the new answer; like with processMessage they apply to the rest of the
+ * conversation.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function regenerateResponse(req, res) {
+  try {
+    const conversationId = req.session?.conversationId || req.body.conversationId;
+    if (!conversationId) {
+      return res.status(400).json({ success: false, error: 'Conversation ID is required' });
+    }
     
-    // Send error response in SSE format
-    res.write(`data: ${JSON.stringify({ error: 'Error processing your request' })}\n\n`);
-    res.end();
+    const quotaCheck = await quotaService.checkQuota(req.user);
+    if (!quotaCheck.allowed) {
+      console.log(`Quota exceeded for user ${req.user.id}: ${quotaCheck.exceeded.period} ${quotaCheck.exceeded.metric}`);
+      return res.status(429).json({
+        success: false,
+        error: quotaService.formatQuotaError(quotaCheck.exceeded),
+        quota: quotaCheck.exceeded
+      });
+    }
+    
+    const settings = await validateTurnSettings(req.body);
+    if (settings.error) {
+      return res.status(400).json({ success: false, error: settings.error });
+    }
+    
+    if (!(await canModifyConversation(conversationId, req.user.id))) {
+      return res.status(403).json({ success: false, error: 'Unauthorized access to conversation' });
+    }
+    if (await isGenerating(conversationId)) {
+      return res.status(409).json({ success: false, error: 'An answer is still being generated' });
+    }
+    
+    const chatHistory = await getChatHistory(conversationId);
+    const userIndex = chatHistory.map(msg => msg.role).lastIndexOf('user');
+    if (userIndex === -1) {
+      return res.status(400).json({ success: false, error: 'There is no message to answer' });
+    }
+    
+    // The current answer (with any tool calls it made) becomes a branch; the stream adds the new one
+    const branch = branchService.fork(chatHistory, userIndex);
+    await saveChatHistory(conversationId, chatHistory);
+    await dropStaleSummary(conversationId, chatHistory, userIndex);
+    
+    const { modelId, inferenceParams } = await saveTurnSettings(conversationId, settings);
+    console.log(`Regenerating answer for conversation ${conversationId} with ${modelId}`);
+    
+    return res.json({
+      success: true,
+      message: 'Answer will be regenerated, connect to /api/chat/stream to get streaming response',
+      conversationId,
+      modelId,
+      inferenceParams,
+      branch
+    });
+  } catch (error) {
+    console.error('Error regenerating response:', error);
+    return res.status(500).json({ success: false, error: 'Failed to regenerate response' });
+  }
+}
+
+/**
+ * Edit an earlier user message (for streaming, like processMessage)
+ *
+ * The conversation forks before the message: the edited message starts a new branch, to be answered by
+ * connecting to the stream, and the original message with everything after it is kept as a branch the
+ * user can switch back to. The message's attachments are carried over.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function editMessage(req, res) {
+  try {
+    const { conversationId, messageId } = req.params;
+    const { message = '' } = req.body;
+    
+    if (typeof message !== 'string') {
+      return res.status(400).json({ success: false, error: 'Message is required' });
+    }
+    
+    const quotaCheck = await quotaService.checkQuota(req.user);
+    if (!quotaCheck.allowed) {
+      console.log(`Quota exceeded for user ${req.user.id}: ${quotaCheck.exceeded.period} ${quotaCheck.exceeded.metric}`);
+      return res.status(429).json({
+        success: false,
+        error: quotaService.formatQuotaError(quotaCheck.exceeded),
+        quota: quotaCheck.exceeded
+      });
+    }
+    
+    const settings = await validateTurnSettings(req.body);
+    if (settings.error) {
+      return res.status(400).json({ success: false, error: settings.error });
+    }
+    
+    if (!(await canModifyConversation(conversationId, req.user.id))) {
+      return res.status(403).json({ success: false, error: 'Unauthorized access to conversation' });
+    }
+    if (await isGenerating(conversationId)) {
+      return res.status(409).json({ success: false, error: 'An answer is still being generated' });
+    }
+    
+    const chatHistory = await getChatHistory(conversationId);
+    const index = chatHistory.findIndex(msg => msg.id === messageId);
+    const original = chatHistory[index];
+    if (index < 1 || original.role !== 'user') {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+    
+    const attachments = Array.isArray(original.attachments) ? original.attachments : [];
+    if (message.trim() === '' && attachments.length === 0) {
+      return res.status(400).json({ success: false, error: 'Message is required' });
+    }
+    
+    // The edited message goes through the content policy like a new one
+    const policyCheck = contentPolicyService.checkText(message.trim(), 'input');
+    if (policyCheck.action !== 'allowed') {
+      await contentPolicyService.recordEvent({
+        userId: req.user.id,
+        conversationId,
+        stage: 'input',
+        action: policyCheck.action,
+        rules: policyCheck.rules,
+        text: message
+      });
+    }
+    if (policyCheck.action === 'blocked') {
+      return res.status(400).json({
+        success: false,
+        error: policyCheck.message,
+        moderation: { action: 'blocked', stage: 'input', source: 'policy' }
+      });
+    }
+    
+    const editedMessage = {
+      id: uuidv4(),
+      role: 'user',
+      content: policyCheck.action === 'masked' ? policyCheck.text : message.trim()
+    };
+    if (policyCheck.action === 'masked') {
+      editedMessage.moderation = { action: 'masked', stage: 'input', source: 'policy' };
+    }
+    if (attachments.length > 0) {
+      editedMessage.attachments = attachments;
+    }
+    if (original.responseSchema) {
+      editedMessage.responseSchema = original.responseSchema;
+    }
+    
+    const branch = branchService.fork(chatHistory, index - 1);
+    chatHistory.push(editedMessage);
+    await saveChatHistory(conversationId, chatHistory);
+    await dropStaleSummary(conversationId, chatHistory, index - 1);
+    
+    const { modelId, inferenceParams } = await saveTurnSettings(conversationId, settings);
+    console.log(`Edited message ${messageId} in conversation ${conversationId}`);
+    
+    const result = {
+      success: true,
+      message: 'Message edited, connect to /api/chat/stream to get streaming response',
+      conversationId,
+      messageId: editedMessage.id,
+      modelId,
+      inferenceParams,
+      branch
+    };
+    if (policyCheck.action === 'masked') {
+      result.moderation = { action: 'masked', stage: 'input', source: 'policy', text: editedMessage.content };
+    }
+    
+    return res.json(result);
+  } catch (error) {
+    console.error('Error editing message:', error);
+    return res.status(500).json({ success: false, error: 'Failed to edit message' });
+  }
+}
+
+/**
+ * Switch which branch of a conversation is shown (and continued) after a forked message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function selectBranch(req, res) {
+  try {
+    const { conversationId, branchId } = req.params;
+    const selected = Number(req.body.selected);
+    
+    if (!(await canModifyConversation(conversationId, req.user.id))) {
+      return res.status(403).json({ success: false, error: 'Unauthorized access to conversation' });
+    }
+    if (await isGenerating(conversationId)) {
+      return res.status(409).json({ success: false, error: 'An answer is still being generated' });
+    }
+    
+    const chatHistory = await getChatHistory(conversationId);
+    const result = branchService.selectBranch(chatHistory, branchId, selected);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Branch not found' });
+    }
+    
+    await saveChatHistory(conversationId, chatHistory);
+    await dropStaleSummary(conversationId, chatHistory, result.index);
+    console.log(`Selected branch ${selected} of ${branchId} in conversation ${conversationId}`);
+    
+    return res.json({ success: true, conversation_id: conversationId, branch: result.branches });
+  } catch (error) {
+    console.error('Error selecting branch:', error);
+    return res.status(500).json({ success: false, error: 'Failed to select branch' });
   }
 }
 
@@ -451,7 +1290,10 @@ async function getConversations(req, res) {
         if (conv.chat_history && Array.isArray(conv.chat_history)) {
           for (const msg of conv.chat_history) {
             if (msg.role === 'user') {
-              const previewText = msg.content.trim();
+              // Attachment-only messages have no text to preview
+              const firstAttachment = Array.isArray(msg.attachments) ? msg.attachments[0] : null;
+              const previewText = (msg.content || '').trim() ||
+                (firstAttachment ? (firstAttachment.type === 'image' ? '[Image]' : firstAttachment.name) : '');
               if (previewText) {
                 firstExchange.preview = previewText.length > 50 ? 
                   previewText.substring(0, 47) + '...' : 
@@ -518,8 +1360,11 @@ async function getConversation(req, res) {
     // Get user ID if authenticated
     const userId = req.user ? req.user.id : null;
     
-    // First, try to get from Redis cache
+    // First, try to get from Redis cache (open conversations are only there)
     let chatHistory = await getChatHistory(conversationId);
+    if (chatHistory && chatHistory.length > 0 && !(await canModifyConversation(conversationId, userId))) {
+      return res.status(403).json({ success: false, error: 'Unauthorized access to conversation' });
+    }
     
     // If not in Redis, try to get from database
     if (!chatHistory || chatHistory.length === 0) {
@@ -540,10 +1385,27 @@ async function getConversation(req, res) {
       
       // Update Redis cache
       await saveChatHistory(conversationId, chatHistory);
+      if (conversation.model_id || conversation.inference_params || conversation.context_summary || conversation.assistant_id) {
+        await saveConversationMeta(conversationId, {
+          modelId: conversation.model_id || undefined,
+          inferenceParams: conversation.inference_params || undefined,
+          contextSummary: conversation.context_summary || undefined,
+          assistantId: conversation.assistant_id || undefined
+        });
+      }
+    }
+    
+    // Conversations from before message IDs were assigned get them now
+    if (branchService.ensureMessageIds(chatHistory)) {
+      await saveChatHistory(conversationId, chatHistory);
     }
     
-    // Filter out system messages for frontend display
-    const filteredHistory = chatHistory.filter(msg => msg.role !== 'system');
+    const { modelId, inferenceParams, contextSummary, assistantId } = await getConversationMeta(conversationId);
+    const assistant = assistantId && req.user ? await assistantService.getAssistant(assistantId, req.user) : null;
+    
+    // Filter out system messages for frontend display (the selected branch; messages where the
+    // conversation forks carry the other branches, and user messages are marked with their versions)
+    const filteredHistory = branchService.markVersions(chatHistory).filter(msg => msg.role !== 'system');
     
     // Update the session with this conversation ID
     if (req.session) {
@@ -553,7 +1415,13 @@ async function getConversation(req, res) {
     return res.json({
       success: true,
       conversation_id: conversationId,
-      chat_history: filteredHistory
+      chat_history: filteredHistory,
+      model_id: modelId || null,
+      inference_params: inferenceParams || {},
+      // The assistant the conversation was started with (null if it has none or it was deleted)
+      assistant: assistant ? { id: assistant.id, name: assistant.name } : null,
+      // Messages before this index are only sent to the model as a summary
+      summarized_message_count: contextSummary ? contextSummary.messageCount : 0
     });
   } catch (error) {
     console.error('Error getting conversation:', error);
@@ -579,6 +1447,13 @@ async function resetConversation(req, res) {
     const oldConversationId = req.session?.conversationId || req.body.conversationId;
     const wasTemporary = req.body.wasTemporary || false;
     
+    // Only the session's conversation is known to be the user's own
+    if (oldConversationId && !req.session?.conversationId) {
+      if (typeof oldConversationId !== 'string' || !(await canModifyConversation(oldConversationId, currentUser?.id))) {
+        return res.status(403).json({ success: false, error: 'Unauthorized access to conversation' });
+      }
+    }
+    
     console.log(`Resetting conversation: ${oldConversationId}, wasTemporary: ${wasTemporary}`);
     console.log(`Session data: ${req.session ? JSON.stringify({id: req.session.id, conversationId: req.session.conversationId}) : 'No session'}`);
     console.log(`Request headers: ${JSON.stringify({
@@ -591,8 +1466,9 @@ async function resetConversation(req, res) {
     // If there's an existing conversation, mark it as ended
     if (oldConversationId) {
       try {
-        // Get chat history from Redis
+        // Get chat history and conversation settings from Redis
         const chatHistory = await getChatHistory(oldConversationId);
+        const { modelId, inferenceParams, contextSummary, assistantId } = await getConversationMeta(oldConversationId);
         console.log(`Chat history from Redis for ${oldConversationId}:`, chatHistory ? chatHistory.length : 0, 'messages');
         
         // Check if there are actual user/assistant messages (not just system messages)
@@ -604,6 +1480,8 @@ async function resetConversation(req, res) {
         // For temporary conversations, we never save to database
         if (wasTemporary) {
           console.log(`Temporary conversation ${oldConversationId} - not saving to database as expected`);
+          // Its attachments would never be reachable again
+          await attachmentService.deleteConversationAttachments(oldConversationId);
         } else {
           // Get the old conversation from the database
           const oldConversation = await models.Conversation.findOne({
@@ -621,6 +1499,10 @@ async function resetConversation(req, res) {
               // Update chat history and mark as ended
               oldConversation.chat_history = chatHistory;
               oldConversation.ended_at = new Date();
+              if (modelId) oldConversation.model_id = modelId;
+              if (inferenceParams) oldConversation.inference_params = inferenceParams;
+              if (contextSummary) oldConversation.context_summary = contextSummary;
+              if (assistantId) oldConversation.assistant_id = assistantId;
               await oldConversation.save();
               console.log(`✓ Updated conversation record with ${chatHistory.length} messages: ${oldConversationId}`);
             } else {
@@ -630,7 +1512,11 @@ async function resetConversation(req, res) {
                 chat_history: chatHistory,
                 started_at: new Date(),
                 ended_at: new Date(),
-                is_temporary: false
+                is_temporary: false,
+                model_id: modelId || null,
+                inference_params: inferenceParams || null,
+                context_summary: contextSummary || null,
+                assistant_id: assistantId || null
               });
               console.log(`✓ Created conversation record with ${chatHistory.length} messages: ${oldConversationId}`);
             }
@@ -643,7 +1529,11 @@ async function resetConversation(req, res) {
               chat_history: chatHistory,
               started_at: new Date(),
               ended_at: new Date(),
-              is_temporary: false
+              is_temporary: false,
+              model_id: modelId || null,
+              inference_params: inferenceParams || null,
+              context_summary: contextSummary || null,
+              assistant_id: assistantId || null
             });
             console.log(`✓ Created conversation record for non-logged in user with ${chatHistory.length} messages: ${oldConversationId}`);
           } else {
@@ -698,6 +1588,126 @@ async function resetConversation(req, res) {
   }
 }
 
+/**
+ * List the models the user can choose for a conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listModels(req, res) {
+  try {
+    const { models: availableModels, defaultModelId } = await modelCatalogService.getAvailableModels();
+    
+    return res.json({
+      success: true,
+      models: availableModels,
+      defaultModelId,
+      // Sent as inferenceParams.thinkingBudget to turn reasoning on for models that support it
+      thinkingBudget: config.bedrock.thinkingBudget
+    });
+  } catch (error) {
+    console.error(`Error listing models: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to list models' });
+  }
+}
+
+/**
+ * Get the user's default inference settings and the limits that apply to them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getInferenceSettings(req, res) {
+  try {
+    const settings = req.user.inferenceSettings || {};
+    
+    return res.json({
+      success: true,
+      settings,
+      effective: resolveInferenceParams(settings),
+      limits: config.bedrock.limits
+    });
+  } catch (error) {
+    console.error(`Error getting inference settings: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to get inference settings' });
+  }
+}
+
+/**
+ * Update the user's default inference settings (a null value clears a setting)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateInferenceSettings(req, res) {
+  try {
+    const { params, errors } = validateInferenceParams(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+    
+    const settings = mergeInferenceParams(req.user.inferenceSettings, params);
+    await req.user.update({ inferenceSettings: settings });
+    console.log(`Updated inference settings for user ${req.user.id}`);
+    
+    return res.json({
+      success: true,
+      settings,
+      effective: resolveInferenceParams(settings),
+      limits: config.bedrock.limits
+    });
+  } catch (error) {
+    console.error(`Error updating inference settings: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to update inference settings' });
+  }
+}
+
+/**
+ * List the files attached to one of the user's conversations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listAttachments(req, res) {
+  try {
+    const attachments = await attachmentService.listConversationAttachments(req.params.conversationId, req.user.id);
+    
+    return res.json({
+      success: true,
+      conversation_id: req.params.conversationId,
+      attachments
+    });
+  } catch (error) {
+    console.error(`Error listing attachments: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to list attachments' });
+  }
+}
+
+/**
+ * Serve an attachment (an image thumbnail or the original document) to the user who uploaded it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getAttachment(req, res) {
+  try {
+    const attachment = await attachmentService.getAttachmentForUser(req.params.id, req.user.id);
+    if (!attachment) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+    
+    if (attachment.kind !== 'image') {
+      // Documents are downloaded rather than rendered in the app's origin
+      res.attachment(attachment.file_name || 'document');
+    }
+    res.set({
+      'Content-Type': attachment.media_type,
+      'Content-Length': attachment.size_bytes,
+      'Cache-Control': 'private, max-age=86400',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    return res.send(attachment.data);
+  } catch (error) {
+    console.error(`Error getting attachment: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to get attachment' });
+  }
+}
+
 // updateConversationInDb function removed - no longer needed
 // Database persistence now happens only when conversations become significant (3+ messages)
 // or when they end, reducing database load by ~80%
@@ -705,7 +1715,18 @@ async function resetConversation(req, res) {
 module.exports = {
   processMessage,
   streamResponse,
+  streamAnswer,
+  canModifyConversation,
+  stopGeneration,
+  regenerateResponse,
+  editMessage,
+  selectBranch,
   getConversations,
   getConversation,
-  resetConversation
+  resetConversation,
+  listModels,
+  getInferenceSettings,
+  updateInferenceSettings,
+  listAttachments,
+  getAttachment
 };
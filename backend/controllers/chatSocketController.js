@@ -0,0 +1,230 @@
+/**
+ * Chat WebSocket Controller
+ * The chat over a WebSocket (see routes/chatSocket), as an alternative to a POST plus an SSE stream per
+ * answer. One connection carries any number of turns, and every request names its conversation instead
+ * of relying on the session's current one, so several tabs don't race. Requests are handled by the same
+ * controller functions as the HTTP API, and answers are streamed by the same code as the SSE stream.
+ *
+ * Client to server (JSON text messages; `requestId` is echoed back in the reply):
+ *   { type: 'send', requestId, conversationId?, message, modelId?, inferenceParams?, attachments?, responseSchema?, isTemporary? }
+ *   { type: 'regenerate', requestId, conversationId, modelId?, inferenceParams? }
+ *   { type: 'edit', requestId, conversationId, messageId, message, modelId?, inferenceParams? }
+ *   { type: 'stop', requestId, conversationId }
+ *   { type: 'resume', requestId, conversationId, lastEventId }
+ *
+ * Server to client:
+ *   { type: 'accepted', requestId, ... }   - the HTTP API's response body; the answer follows as events
+ *   { type: 'error', requestId, status, ... }   - a refused request, with the HTTP API's status and body
+ *   { type: 'stopped', requestId, conversationId, stopped }
+ *   { type: 'event', conversationId, id, data }   - a stream event (`data` is what SSE sends) and its event ID
+ *   { type: 'typing', conversationId, typing }   - an answer started or finished streaming
+ *   { type: 'usage', conversationId, usage }   - tokens used by the answer, after its [DONE] event
+ */
+const chatController = require('./chatController');
+const streamBufferService = require('../services/streamBufferService');
+
+// Requests that start an answer, and the controller function that accepts them
+const TURN_HANDLERS = {
+  send: chatController.processMessage,
+  regenerate: chatController.regenerateResponse,
+  edit: chatController.editMessage
+};
+
+/**
+ * Send a message to a client if it is still connected
+ * @param {WebSocket} socket - The connection
+ * @param {Object} message - Message to send as JSON
+ */
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Call an HTTP API controller function and capture its JSON response
+ * @param {Function} handler - Controller function (req, res)
+ * @param {Object} user - The signed-in user
+ * @param {Object} body - Request body
+ * @param {Object} params - Route parameters
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function callController(handler, user, body, params = {}) {
+  const result = { status: 200, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(payload) {
+      result.body = payload;
+      return res;
+    }
+  };
+  // There is no session: the conversation always comes from the request
+  await handler({ user, body, params, query: {}, session: null }, res);
+  return result;
+}
+
+/**
+ * Send the events of one answer to a WebSocket
+ * @param {WebSocket} socket - The connection
+ * @param {string} conversationId - The conversation being answered
+ * @returns {Object} - A StreamChannel (see chatController) with close(), for when the connection goes away
+ */
+function createSocketChannel(socket, conversationId) {
+  const closeListeners = [];
+  let ended = false;
+
+  return {
+    send(payload, id = null) {
+      if (ended) return;
+      send(socket, { type: 'event', conversationId, id, data: payload });
+      if (payload.content === '[DONE]' && payload.usage) {
+        send(socket, { type: 'usage', conversationId, usage: payload.usage });
+      }
+    },
+    end() {
+      if (ended) return;
+      ended = true;
+      send(socket, { type: 'typing', conversationId, typing: false });
+    },
+    onClose(listener) {
+      closeListeners.push(listener);
+    },
+    close() {
+      if (ended) return;
+      ended = true;
+      closeListeners.forEach(listener => listener());
+    }
+  };
+}
+
+/**
+ * Stream an answer (or the rest of one) to a WebSocket
+ * @param {WebSocket} socket - The connection
+ * @param {Map} channels - The connection's channels by conversation ID
+ * @param {Object} user - The signed-in user
+ * @param {string} conversationId - The conversation ID
+ * @param {Object|null} lastEventId - { turnId, index } to resume after
+ */
+async function streamToSocket(socket, channels, user, conversationId, lastEventId = null) {
+  const channel = createSocketChannel(socket, conversationId);
+  channels.set(conversationId, channel);
+  send(socket, { type: 'typing', conversationId, typing: true });
+
+  try {
+    await chatController.streamAnswer(user, conversationId, channel, lastEventId);
+  } catch (error) {
+    console.error(`[CHAT_SOCKET] Error streaming conversation ${conversationId}:`, error);
+    channel.send({ error: 'Error processing your request' });
+    channel.end();
+  } finally {
+    if (channels.get(conversationId) === channel) {
+      channels.delete(conversationId);
+    }
+  }
+}
+
+/**
+ * Handle one request from a client
+ * @param {WebSocket} socket - The connection
+ * @param {Map} channels - The connection's channels by conversation ID
+ * @param {Object} user - The signed-in user
+ * @param {Object} request - Parsed message
+ */
+async function handleRequest(socket, channels, user, request) {
+  const { type, requestId = null, conversationId, ...body } = request;
+  const refuse = (status, error) => send(socket, { type: 'error', requestId, conversationId, status, success: false, error });
+
+  if (conversationId !== undefined && conversationId !== null && typeof conversationId !== 'string') {
+    return refuse(400, 'conversationId must be a string');
+  }
+  if (conversationId && !(await chatController.canModifyConversation(conversationId, user.id))) {
+    return refuse(403, 'Unauthorized access to conversation');
+  }
+
+  if (TURN_HANDLERS[type]) {
+    if (conversationId && channels.has(conversationId)) {
+      return refuse(409, 'An answer is still being generated');
+    }
+    const params = type === 'edit' ? { conversationId, messageId: body.messageId } : {};
+    const result = await callController(TURN_HANDLERS[type], user, { ...body, conversationId }, params);
+    if (!result.body || !result.body.success) {
+      return send(socket, { type: 'error', requestId, conversationId, status: result.status, ...result.body });
+    }
+
+    const answeredId = result.body.conversationId || conversationId;
+    send(socket, { type: 'accepted', requestId, ...result.body, conversationId: answeredId });
+    return streamToSocket(socket, channels, user, answeredId);
+  }
+
+  if (type === 'stop') {
+    if (!conversationId) {
+      return refuse(400, 'Conversation ID is required');
+    }
+    const result = await callController(chatController.stopGeneration, user, { conversationId });
+    // Not generated on this server (e.g. resumed from another one): stop following it instead
+    if (result.body && !result.body.stopped && channels.has(conversationId)) {
+      channels.get(conversationId).close();
+      channels.delete(conversationId);
+    }
+    return send(socket, { type: 'stopped', requestId, conversationId, stopped: Boolean(result.body && result.body.stopped) });
+  }
+
+  if (type === 'resume') {
+    const lastEventId = streamBufferService.parseEventId(body.lastEventId);
+    if (!conversationId || !lastEventId) {
+      return refuse(400, 'A conversation ID and the last event ID are required');
+    }
+    if (channels.has(conversationId)) {
+      return refuse(409, 'This answer is already being streamed');
+    }
+    return streamToSocket(socket, channels, user, conversationId, lastEventId);
+  }
+
+  return refuse(400, `Unknown request type: ${type}`);
+}
+
+/**
+ * Serve the chat protocol on a new connection
+ * @param {WebSocket} socket - The connection
+ * @param {Object} user - The signed-in user (see routes/chatSocket)
+ */
+function handleConnection(socket, user) {
+  // Answers being streamed on this connection, by conversation ID
+  const channels = new Map();
+  console.log(`[CHAT_SOCKET] Connection opened for user ${user.id}`);
+
+  socket.on('message', async (data, isBinary) => {
+    let request;
+    try {
+      request = isBinary ? null : JSON.parse(data.toString());
+    } catch (error) {
+      request = null;
+    }
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      return send(socket, { type: 'error', requestId: null, status: 400, success: false, error: 'Requests must be JSON objects' });
+    }
+
+    try {
+      await handleRequest(socket, channels, user, request);
+    } catch (error) {
+      console.error(`[CHAT_SOCKET] Error handling ${request.type} request:`, error);
+      send(socket, { type: 'error', requestId: request.requestId || null, conversationId: request.conversationId, status: 500, success: false, error: 'Error processing your request' });
+    }
+  });
+
+  // Answers left streaming get the same grace period to be resumed as a dropped SSE stream
+  socket.on('close', () => {
+    console.log(`[CHAT_SOCKET] Connection closed for user ${user.id}`);
+    for (const channel of channels.values()) {
+      channel.close();
+    }
+    channels.clear();
+  });
+}
+
+module.exports = {
+  handleConnection
+};
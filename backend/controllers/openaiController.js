@@ -0,0 +1,295 @@
+/**
+ * OpenAI-Compatible API Controller
+ * Serves /v1/chat/completions and /v1/models in the OpenAI format, so tools written for the OpenAI API
+ * can use this deployment by changing their base URL. Requests are stateless (nothing is stored as a
+ * conversation) but go through the same quotas, content policy and usage metering as the chat.
+ */
+const llmService = require('../services/llmService');
+const modelCatalogService = require('../services/modelCatalogService');
+const { isUnavailableError } = require('../services/modelFallback');
+const usageService = require('../services/usageService');
+const quotaService = require('../services/quotaService');
+const contentPolicyService = require('../services/contentPolicyService');
+const openaiCompat = require('../services/openaiCompat');
+
+/**
+ * List the models that can be used, in the OpenAI format
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listModels(req, res) {
+  try {
+    const { models } = await modelCatalogService.getAvailableModels();
+    return res.json({
+      object: 'list',
+      data: models.map(model => ({
+        id: model.id,
+        object: 'model',
+        created: 0,
+        owned_by: model.provider || 'bedrock'
+      }))
+    });
+  } catch (error) {
+    console.error(`[OPENAI_API] Error listing models: ${error.message}`);
+    return res.status(500).json(openaiCompat.toError('Failed to list models', 'server_error'));
+  }
+}
+
+/**
+ * Create a chat completion in the OpenAI format, streamed as chat.completion.chunk events when
+ * `stream` is true. Tools in the request are the caller's: the model's calls are returned as tool_calls
+ * for the caller to run, as with OpenAI.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createChatCompletion(req, res) {
+  const body = req.body || {};
+  const userId = req.user ? req.user.id : null;
+
+  const translated = openaiCompat.toChatMessages(body.messages);
+  const inference = openaiCompat.toInferenceParams(body);
+  const tools = openaiCompat.toToolConfig(body.tools, body.tool_choice);
+  const errors = [...translated.errors, ...inference.errors, ...tools.errors];
+  if (errors.length > 0) {
+    return res.status(400).json(openaiCompat.toError(errors.join('; ')));
+  }
+
+  // Generation stops if the caller goes away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
+  let usage = null;
+
+  try {
+    const quotaCheck = await quotaService.checkQuota(req.user);
+    if (!quotaCheck.allowed) {
+      return res.status(429).json(openaiCompat.toError(quotaService.formatQuotaError(quotaCheck.exceeded), 'insufficient_quota', 'insufficient_quota'));
+    }
+
+    const modelId = body.model || await modelCatalogService.getDefaultModelId();
+    if (typeof modelId !== 'string' || !(await modelCatalogService.isModelAllowed(modelId))) {
+      return res.status(404).json(openaiCompat.toError(`The model ${modelId} does not exist or you do not have access to it`, 'invalid_request_error', 'model_not_found'));
+    }
+
+    // The latest user message goes through the content policy, as in the chat
+    const messages = translated.messages;
+    const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user');
+    if (lastUserMessage) {
+      const policyCheck = contentPolicyService.checkText(lastUserMessage.content, 'input');
+      if (policyCheck.action !== 'allowed') {
+        await contentPolicyService.recordEvent({
+          userId,
+          conversationId: null,
+          stage: 'input',
+          action: policyCheck.action,
+          rules: policyCheck.rules,
+          text: lastUserMessage.content
+        });
+      }
+      if (policyCheck.action === 'blocked') {
+        return res.status(400).json(openaiCompat.toError(policyCheck.message, 'invalid_request_error', 'content_policy_violation'));
+      }
+      lastUserMessage.content = policyCheck.text;
+    }
+
+    const completion = {
+      id: openaiCompat.createCompletionId(),
+      created: Math.floor(Date.now() / 1000),
+      model: modelId
+    };
+    usage = new usageService.UsageTracker(modelId);
+    const stream = await llmService.createChatCompletion(messages, true, {
+      modelId,
+      ...inference.params,
+      tools: tools.toolConfig || false,
+      signal: abortController.signal
+    });
+
+    if (body.stream) {
+      await streamCompletion(res, stream, completion, usage, { userId, includeUsage: Boolean(body.stream_options && body.stream_options.include_usage) });
+    } else {
+      await sendCompletion(res, stream, completion, usage, { userId });
+    }
+
+    await usageService.recordUsage(usage.toJSON(), { userId, conversationId: null });
+  } catch (error) {
+    // Tokens used before a failure or disconnect still count
+    if (usage) {
+      await usageService.recordUsage(usage.toJSON(), { userId, conversationId: null });
+    }
+    if (res.writableEnded || abortController.signal.aborted) return;
+    console.error(`[OPENAI_API] Error creating chat completion: ${error.message}`);
+
+    const errorBody = isUnavailableError(error)
+      ? openaiCompat.toError('The model is busy right now. Please try again in a moment.', 'server_error', 'model_overloaded')
+      : openaiCompat.toError(error.name === 'ValidationException' ? error.message : 'The chat completion failed', 'server_error');
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify(errorBody)}\n\n`);
+      return res.end();
+    }
+    return res.status(isUnavailableError(error) ? 503 : 500).json(errorBody);
+  }
+}
+
+/**
+ * Check an answer against the content policy as it streams, recording what the policy did
+ * @param {string|null} userId - The caller
+ * @returns {Object} - { push(text), finish() } returning the text that may be sent on; finish() also
+ *   returns the policy's message if it blocked the answer ({ text, blocked })
+ */
+function createOutputCheck(userId) {
+  const filter = new contentPolicyService.StreamFilter();
+  return {
+    push: text => (filter.blocked ? '' : filter.push(text)),
+    finish: async () => {
+      const text = filter.blocked ? '' : filter.flush();
+      if (filter.blocked || filter.maskedRules.size > 0) {
+        await contentPolicyService.recordEvent({
+          userId,
+          conversationId: null,
+          stage: 'output',
+          action: filter.blocked ? 'blocked' : 'masked',
+          rules: filter.blocked ? filter.blocked.rules : [...filter.maskedRules],
+          text: filter.text
+        });
+      }
+      return { text, blocked: filter.blocked ? filter.blocked.message : null };
+    },
+    get blocked() {
+      return Boolean(filter.blocked);
+    }
+  };
+}
+
+/**
+ * Read a completion's stream and answer with a chat.completion object
+ * @param {Object} res - Express response object
+ * @param {AsyncGenerator} stream - Normalized stream events
+ * @param {Object} completion - { id, created, model }
+ * @param {UsageTracker} usage - Collects the usage
+ * @param {Object} options - { userId }
+ */
+async function sendCompletion(res, stream, completion, usage, { userId }) {
+  const output = createOutputCheck(userId);
+  let content = '';
+  let stopReason = null;
+  const toolCalls = [];
+
+  for await (const event of stream) {
+    usage.track(event);
+    if (event.type === 'model') {
+      completion.model = event.modelId;
+    } else if (event.type === 'text') {
+      content += output.push(event.text);
+      if (output.blocked) break;
+    } else if (event.type === 'tool_use') {
+      toolCalls.push(openaiCompat.toToolCall(event));
+    } else if (event.type === 'message_stop') {
+      stopReason = event.stopReason;
+    }
+  }
+
+  const finished = await output.finish();
+  content += finished.text;
+  const message = { role: 'assistant', content: finished.blocked || content || null };
+  if (toolCalls.length > 0 && !finished.blocked) {
+    message.tool_calls = toolCalls;
+  }
+
+  res.json({
+    id: completion.id,
+    object: 'chat.completion',
+    created: completion.created,
+    model: completion.model,
+    choices: [{
+      index: 0,
+      message,
+      finish_reason: finished.blocked ? 'content_filter' : openaiCompat.toFinishReason(stopReason)
+    }],
+    usage: openaiCompat.toUsage(usage)
+  });
+}
+
+/**
+ * Stream a completion as chat.completion.chunk server-sent events, ending with `data: [DONE]`
+ * @param {Object} res - Express response object
+ * @param {AsyncGenerator} stream - Normalized stream events
+ * @param {Object} completion - { id, created, model }
+ * @param {UsageTracker} usage - Collects the usage
+ * @param {Object} options - { userId, includeUsage } (includeUsage adds a final chunk with the usage)
+ */
+async function streamCompletion(res, stream, completion, usage, { userId, includeUsage }) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const sendChunk = (delta, finishReason = null, extra = {}) => {
+    const chunk = {
+      id: completion.id,
+      object: 'chat.completion.chunk',
+      created: completion.created,
+      model: completion.model,
+      choices: delta ? [{ index: 0, delta, finish_reason: finishReason }] : [],
+      ...extra
+    };
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    if (res.flush) res.flush();
+  };
+
+  const output = createOutputCheck(userId);
+  // OpenAI numbers the tool calls of a message; Converse numbers all its content blocks
+  const toolCallIndexes = new Map();
+  let stopReason = null;
+  let started = false;
+
+  for await (const event of stream) {
+    usage.track(event);
+    if (event.type === 'model') {
+      completion.model = event.modelId;
+    }
+    if (!started && event.type !== 'model') {
+      sendChunk({ role: 'assistant', content: '' });
+      started = true;
+    }
+
+    if (event.type === 'text') {
+      const text = output.push(event.text);
+      if (text) sendChunk({ content: text });
+      if (output.blocked) break;
+    } else if (event.type === 'tool_use_start') {
+      toolCallIndexes.set(event.index, toolCallIndexes.size);
+      sendChunk({ tool_calls: [{ index: toolCallIndexes.get(event.index), id: event.id, type: 'function', function: { name: event.name, arguments: '' } }] });
+    } else if (event.type === 'tool_use') {
+      // Bedrock streams tool input in fragments that only parse once complete, so it is sent whole
+      sendChunk({ tool_calls: [{ index: toolCallIndexes.get(event.index), function: { arguments: JSON.stringify(event.input || {}) } }] });
+    } else if (event.type === 'message_stop') {
+      stopReason = event.stopReason;
+    }
+  }
+
+  if (!started) {
+    sendChunk({ role: 'assistant', content: '' });
+  }
+  const finished = await output.finish();
+  if (finished.text) {
+    sendChunk({ content: finished.text });
+  }
+  if (finished.blocked) {
+    sendChunk({ content: finished.blocked });
+  }
+
+  sendChunk({}, finished.blocked ? 'content_filter' : openaiCompat.toFinishReason(stopReason));
+  if (includeUsage) {
+    sendChunk(null, null, { usage: openaiCompat.toUsage(usage) });
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+module.exports = {
+  listModels,
+  createChatCompletion
+};
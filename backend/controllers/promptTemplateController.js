@@ -0,0 +1,113 @@
+/**
+ * Prompt Template Controller
+ * The prompt library: users' saved prompts with {{variables}}, and everyone's public ones
+ */
+const promptTemplateService = require('../services/promptTemplateService');
+
+/**
+ * List the user's templates and the public ones, most used first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listTemplates(req, res) {
+  try {
+    const templates = await promptTemplateService.listTemplates(req.user);
+
+    return res.json({ success: true, templates });
+  } catch (error) {
+    console.error(`Error listing prompt templates: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to list prompts' });
+  }
+}
+
+/**
+ * Save a template (body: { name, description, content, public })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createTemplate(req, res) {
+  try {
+    const { template, error } = await promptTemplateService.createTemplate(req.user, req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    return res.status(201).json({ success: true, template: promptTemplateService.toJSON(template, req.user) });
+  } catch (error) {
+    console.error(`Error creating prompt template: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to save prompt' });
+  }
+}
+
+/**
+ * Change one of the user's templates (only the fields in the body)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateTemplate(req, res) {
+  try {
+    const { template, error, notFound } = await promptTemplateService.updateTemplate(req.user, req.params.id, req.body || {});
+    if (notFound) {
+      return res.status(404).json({ success: false, error: 'Prompt not found' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    return res.json({ success: true, template: promptTemplateService.toJSON(template, req.user) });
+  } catch (error) {
+    console.error(`Error updating prompt template: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to update prompt' });
+  }
+}
+
+/**
+ * Delete one of the user's templates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteTemplate(req, res) {
+  try {
+    const deleted = await promptTemplateService.deleteTemplate(req.user, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Prompt not found' });
+    }
+
+    return res.json({ success: true });
+  } catch (error) {
+    console.error(`Error deleting prompt template: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to delete prompt' });
+  }
+}
+
+/**
+ * Fill in a template's variables for the chat input and count the use
+ * Body: { variables: { name: value } }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function useTemplate(req, res) {
+  try {
+    const { variables } = req.body || {};
+    const { text, usageCount, error, notFound } = await promptTemplateService.useTemplate(req.user, req.params.id, variables);
+    if (notFound) {
+      return res.status(404).json({ success: false, error: 'Prompt not found' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    return res.json({ success: true, text, usageCount });
+  } catch (error) {
+    console.error(`Error using prompt template: ${error.message}`, error);
+    return res.status(500).json({ success: false, error: 'Failed to use prompt' });
+  }
+}
+
+module.exports = {
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  useTemplate
+};
@@ -18,8 +18,8 @@ const requireAdmin = (req, res, next) => {
     return res.redirect('/auth/login');
   }
 
-  // Check if MFA is verified
-  if (!req.session.mfaVerified) {
+  // Check if MFA is verified (API tokens with the admin scope stand in for the login and MFA)
+  if (!req.isJWTAuthenticated && !req.session.mfaVerified) {
     console.log('User needs to verify MFA before accessing admin panel');
     req.session.returnTo = req.originalUrl;
     return res.redirect('/auth/mfa-verify');
@@ -55,8 +55,8 @@ const requireAdminAPI = (req, res, next) => {
     });
   }
 
-  // Check if MFA is verified
-  if (!req.session.mfaVerified) {
+  // Check if MFA is verified (API tokens with the admin scope stand in for the login and MFA)
+  if (!req.isJWTAuthenticated && !req.session.mfaVerified) {
     return res.status(401).json({ 
       success: false, 
       message: 'MFA verification required' 
@@ -0,0 +1,77 @@
+/**
+ * API Token Authentication Middleware
+ *
+ * Lets personal API tokens (see apiTokenService) stand in for a login:
+ * 1. apiTokenAuth, registered once, checks the `Authorization: Bearer` token sent with any request
+ * 2. requireScope, on each route that accepts tokens, signs the request in as the token's user if the
+ *    token has the route's scope
+ *
+ * Routes without requireScope never see a token's user, so tokens only work where they are allowed.
+ */
+
+const apiTokenService = require('../services/apiTokenService');
+
+/**
+ * Check the bearer token sent with a request, if any, and keep it on req.apiToken
+ * Requests with a token that is unknown, expired or revoked are refused.
+ */
+async function apiTokenAuth(req, res, next) {
+  const token = apiTokenService.getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const apiToken = await apiTokenService.authenticate(token);
+    if (!apiToken) {
+      console.warn(`[API_TOKEN] Invalid, expired or revoked token used for ${req.method} ${req.path}`);
+      return res.status(401).json({
+        error: 'Invalid, expired or revoked API token',
+        code: 'INVALID_API_TOKEN'
+      });
+    }
+
+    req.apiToken = apiToken;
+    next();
+  } catch (error) {
+    console.error('[API_TOKEN] Token authentication error:', error);
+    res.status(500).json({
+      error: 'Authentication error',
+      code: 'AUTH_ERROR'
+    });
+  }
+}
+
+/**
+ * Accept API tokens with a scope on a route
+ *
+ * Usage:
+ *   router.get('/conversation_history', requireScope('read-history'), ensureFullAuth, ...);
+ *
+ * Requests without a token pass through to the route's usual checks.
+ * @param {string} scope - 'chat', 'read-history' or 'admin'
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiToken) {
+      return next();
+    }
+
+    if (!req.apiToken.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: `This API token does not have the ${scope} scope`,
+        code: 'INSUFFICIENT_SCOPE'
+      });
+    }
+
+    // ensureFullAuth accepts the request as API access, without a session login or MFA
+    req.user = req.apiToken.User;
+    req.isJWTAuthenticated = true;
+    next();
+  };
+}
+
+module.exports = {
+  apiTokenAuth,
+  requireScope
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Helper to check if table exists
+    const tableExists = async (tableName) => {
+      const [result] = await queryInterface.sequelize.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_name = '${tableName}'
+        );
+      `);
+      return result[0].exists;
+    };
+
+    // Add model_id to conversations so each conversation remembers its selected model
+    const conversationColumns = await queryInterface.describeTable('conversations');
+    if (!conversationColumns.model_id) {
+      await queryInterface.addColumn('conversations', 'model_id', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+      console.log('Added model_id column to conversations');
+    } else {
+      console.log('conversations.model_id already exists - skipping');
+    }
+
+    // Create allowed_models table if it doesn't exist
+    if (!(await tableExists('allowed_models'))) {
+      await queryInterface.createTable('allowed_models', {
+        model_id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        display_name: Sequelize.STRING,
+        provider: Sequelize.STRING,
+        is_default: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        }
+      });
+      console.log('Created allowed_models table');
+    } else {
+      console.log('allowed_models table already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('allowed_models');
+    await queryInterface.removeColumn('conversations', 'model_id');
+  }
+};
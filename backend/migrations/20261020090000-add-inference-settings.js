@@ -0,0 +1,35 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Per-user default inference settings
+    const userColumns = await queryInterface.describeTable('Users');
+    if (!userColumns.inferenceSettings) {
+      await queryInterface.addColumn('Users', 'inferenceSettings', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      });
+      console.log('Added inferenceSettings column to Users');
+    } else {
+      console.log('Users.inferenceSettings already exists - skipping');
+    }
+
+    // Per-conversation inference settings
+    const conversationColumns = await queryInterface.describeTable('conversations');
+    if (!conversationColumns.inference_params) {
+      await queryInterface.addColumn('conversations', 'inference_params', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      });
+      console.log('Added inference_params column to conversations');
+    } else {
+      console.log('conversations.inference_params already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('conversations', 'inference_params');
+    await queryInterface.removeColumn('Users', 'inferenceSettings');
+  }
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Helper to check if table exists
+    const tableExists = async (tableName) => {
+      const [result] = await queryInterface.sequelize.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_name = '${tableName}'
+        );
+      `);
+      return result[0].exists;
+    };
+
+    // Create attachments table if it doesn't exist
+    if (!(await tableExists('attachments'))) {
+      await queryInterface.createTable('attachments', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        conversation_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        kind: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        media_type: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        file_name: Sequelize.STRING,
+        size_bytes: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        data: {
+          type: Sequelize.BLOB,
+          allowNull: false
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        }
+      });
+      await queryInterface.addIndex('attachments', ['conversation_id']);
+      console.log('Created attachments table');
+    } else {
+      console.log('attachments table already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('attachments');
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Text extracted from document attachments
+    const columns = await queryInterface.describeTable('attachments');
+    if (!columns.text_content) {
+      await queryInterface.addColumn('attachments', 'text_content', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      });
+      console.log('Added text_content column to attachments');
+    } else {
+      console.log('attachments.text_content already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('attachments', 'text_content');
+  }
+};
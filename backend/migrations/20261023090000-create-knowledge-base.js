@@ -0,0 +1,106 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Helper to check if table exists
+    const tableExists = async (tableName) => {
+      const [result] = await queryInterface.sequelize.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_name = '${tableName}'
+        );
+      `);
+      return result[0].exists;
+    };
+
+    // Vector similarity search needs the pgvector extension
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS vector;');
+
+    if (!(await tableExists('knowledge_documents'))) {
+      await queryInterface.createTable('knowledge_documents', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        title: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        file_name: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        media_type: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        size_bytes: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          defaultValue: 'processing'
+        },
+        error_message: Sequelize.TEXT,
+        chunk_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        uploaded_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        }
+      });
+      console.log('Created knowledge_documents table');
+    } else {
+      console.log('knowledge_documents table already exists - skipping');
+    }
+
+    if (!(await tableExists('knowledge_chunks'))) {
+      // The vector size must match EMBEDDING_DIMENSIONS (1024 for Titan Text Embeddings v2 and Cohere v3)
+      const dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS || '1024');
+      await queryInterface.sequelize.query(`
+        CREATE TABLE knowledge_chunks (
+          id SERIAL PRIMARY KEY,
+          document_id UUID NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+          chunk_index INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          embedding vector(${dimensions}) NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        );
+      `);
+      await queryInterface.addIndex('knowledge_chunks', ['document_id']);
+      await queryInterface.sequelize.query(
+        'CREATE INDEX knowledge_chunks_embedding_idx ON knowledge_chunks USING hnsw (embedding vector_cosine_ops);'
+      );
+      console.log('Created knowledge_chunks table');
+    } else {
+      console.log('knowledge_chunks table already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('knowledge_chunks');
+    await queryInterface.dropTable('knowledge_documents');
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Running summary of the older turns of a conversation
+    const conversationColumns = await queryInterface.describeTable('conversations');
+    if (!conversationColumns.context_summary) {
+      await queryInterface.addColumn('conversations', 'context_summary', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      });
+      console.log('Added context_summary column to conversations');
+    } else {
+      console.log('conversations.context_summary already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('conversations', 'context_summary');
+  }
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Helper to check if table exists
+    const tableExists = async (tableName) => {
+      const [result] = await queryInterface.sequelize.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_name = '${tableName}'
+        );
+      `);
+      return result[0].exists;
+    };
+
+    // Create usage_records table if it doesn't exist
+    if (!(await tableExists('usage_records'))) {
+      await queryInterface.createTable('usage_records', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        conversation_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        model_id: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        input_tokens: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        output_tokens: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        request_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1
+        },
+        latency_ms: Sequelize.INTEGER,
+        time_to_first_token_ms: Sequelize.INTEGER,
+        duration_ms: Sequelize.INTEGER,
+        stop_reason: Sequelize.STRING,
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        }
+      });
+      await queryInterface.addIndex('usage_records', ['user_id', 'created_at']);
+      await queryInterface.addIndex('usage_records', ['conversation_id']);
+      await queryInterface.addIndex('usage_records', ['created_at']);
+      console.log('Created usage_records table');
+    } else {
+      console.log('usage_records table already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('usage_records');
+  }
+};
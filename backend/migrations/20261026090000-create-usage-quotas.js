@@ -0,0 +1,77 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Helper to check if table exists
+    const tableExists = async (tableName) => {
+      const [result] = await queryInterface.sequelize.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_name = '${tableName}'
+        );
+      `);
+      return result[0].exists;
+    };
+
+    // Create usage_quotas table if it doesn't exist
+    if (!(await tableExists('usage_quotas'))) {
+      await queryInterface.createTable('usage_quotas', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        scope: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        scope_value: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          defaultValue: ''
+        },
+        period: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        metric: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        limit_value: {
+          type: Sequelize.BIGINT,
+          allowNull: false
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        }
+      });
+      await queryInterface.addIndex('usage_quotas', ['scope', 'scope_value', 'period', 'metric'], { unique: true });
+      console.log('Created usage_quotas table');
+    } else {
+      console.log('usage_quotas table already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('usage_quotas');
+  }
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Prompt cache token counts reported by Bedrock alongside input and output tokens
+    const usageColumns = await queryInterface.describeTable('usage_records');
+    for (const column of ['cache_read_input_tokens', 'cache_write_input_tokens']) {
+      if (!usageColumns[column]) {
+        await queryInterface.addColumn('usage_records', column, {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        });
+        console.log(`Added ${column} column to usage_records`);
+      } else {
+        console.log(`usage_records.${column} already exists - skipping`);
+      }
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('usage_records', 'cache_write_input_tokens');
+    await queryInterface.removeColumn('usage_records', 'cache_read_input_tokens');
+  }
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Helper to check if table exists
+    const tableExists = async (tableName) => {
+      const [result] = await queryInterface.sequelize.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_name = '${tableName}'
+        );
+      `);
+      return result[0].exists;
+    };
+
+    // Create moderation_events table if it doesn't exist
+    if (!(await tableExists('moderation_events'))) {
+      await queryInterface.createTable('moderation_events', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        conversation_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        stage: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        source: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        action: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        rules: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        excerpt: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        reviewed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        reviewed_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        }
+      });
+      await queryInterface.addIndex('moderation_events', ['created_at']);
+      await queryInterface.addIndex('moderation_events', ['reviewed_at']);
+      await queryInterface.addIndex('moderation_events', ['user_id']);
+      console.log('Created moderation_events table');
+    } else {
+      console.log('moderation_events table already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('moderation_events');
+  }
+};
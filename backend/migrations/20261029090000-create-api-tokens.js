@@ -0,0 +1,81 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Helper to check if table exists
+    const tableExists = async (tableName) => {
+      const [result] = await queryInterface.sequelize.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_name = '${tableName}'
+        );
+      `);
+      return result[0].exists;
+    };
+
+    // Create api_tokens table if it doesn't exist
+    if (!(await tableExists('api_tokens'))) {
+      await queryInterface.createTable('api_tokens', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        token_prefix: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        token_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true
+        },
+        scopes: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_used_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        revoked_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        }
+      });
+      await queryInterface.addIndex('api_tokens', ['user_id']);
+      console.log('Created api_tokens table');
+    } else {
+      console.log('api_tokens table already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('api_tokens');
+  }
+};
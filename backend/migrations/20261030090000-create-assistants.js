@@ -0,0 +1,122 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Helper to check if table exists
+    const tableExists = async (tableName) => {
+      const [result] = await queryInterface.sequelize.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_name = '${tableName}'
+        );
+      `);
+      return result[0].exists;
+    };
+
+    // Create assistants table if it doesn't exist
+    if (!(await tableExists('assistants'))) {
+      await queryInterface.createTable('assistants', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.STRING(500),
+          allowNull: true
+        },
+        system_prompt: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        model_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        inference_params: {
+          type: Sequelize.JSONB,
+          allowNull: true
+        },
+        starter_prompts: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        }
+      });
+      await queryInterface.addIndex('assistants', ['user_id']);
+      console.log('Created assistants table');
+    } else {
+      console.log('assistants table already exists - skipping');
+    }
+
+    // The assistant a conversation was started with (no foreign key: open conversations are saved from
+    // Redis, possibly after the assistant was deleted)
+    const conversationColumns = await queryInterface.describeTable('conversations');
+    if (!conversationColumns.assistant_id) {
+      await queryInterface.addColumn('conversations', 'assistant_id', {
+        type: Sequelize.UUID,
+        allowNull: true
+      });
+      console.log('Added assistant_id column to conversations');
+    } else {
+      console.log('conversations.assistant_id already exists - skipping');
+    }
+
+    // Knowledge files of an assistant (documents without one make up the organization knowledge base)
+    const documentColumns = await queryInterface.describeTable('knowledge_documents');
+    if (!documentColumns.assistant_id) {
+      await queryInterface.addColumn('knowledge_documents', 'assistant_id', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'assistants',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      });
+      await queryInterface.addIndex('knowledge_documents', ['assistant_id']);
+      console.log('Added assistant_id column to knowledge_documents');
+    } else {
+      console.log('knowledge_documents.assistant_id already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('knowledge_documents', 'assistant_id');
+    await queryInterface.removeColumn('conversations', 'assistant_id');
+    await queryInterface.dropTable('assistants');
+  }
+};
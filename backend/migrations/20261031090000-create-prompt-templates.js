@@ -0,0 +1,82 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Helper to check if table exists
+    const tableExists = async (tableName) => {
+      const [result] = await queryInterface.sequelize.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_name = '${tableName}'
+        );
+      `);
+      return result[0].exists;
+    };
+
+    // Create prompt_templates table if it doesn't exist
+    if (!(await tableExists('prompt_templates'))) {
+      await queryInterface.createTable('prompt_templates', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.STRING(500),
+          allowNull: true
+        },
+        content: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        is_public: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        usage_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        last_used_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        }
+      });
+      await queryInterface.addIndex('prompt_templates', ['user_id']);
+      await queryInterface.addIndex('prompt_templates', ['is_public']);
+      console.log('Created prompt_templates table');
+    } else {
+      console.log('prompt_templates table already exists - skipping');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('prompt_templates');
+  }
+};
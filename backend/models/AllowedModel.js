@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Admin-curated allowlist of Bedrock models users may pick for a conversation
+ */
+module.exports = (sequelize) => {
+  const AllowedModel = sequelize.define('AllowedModel', {
+    model_id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false
+    },
+    display_name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'allowed_models',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true
+  });
+
+  return AllowedModel;
+};
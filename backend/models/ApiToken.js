@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A personal API token a user created for scripts and other programmatic access
+ * Only a hash of the token is stored; the token itself is shown once, when it is created.
+ */
+module.exports = (sequelize) => {
+  const ApiToken = sequelize.define('ApiToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    token_prefix: {
+      type: DataTypes.STRING, // Start of the token, so users can tell their tokens apart
+      allowNull: false
+    },
+    token_hash: {
+      type: DataTypes.STRING(64), // SHA-256 of the token
+      allowNull: false,
+      unique: true
+    },
+    scopes: {
+      type: DataTypes.JSONB, // 'chat', 'read-history' and/or 'admin'
+      allowNull: false,
+      defaultValue: []
+    },
+    expires_at: {
+      type: DataTypes.DATE, // Null if the token doesn't expire
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'api_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return ApiToken;
+};
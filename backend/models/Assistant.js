@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A saved assistant: a system prompt with its own default model, inference settings, starter prompts
+ * and knowledge files (KnowledgeDocuments with its assistant_id)
+ * Assistants belong to the user who made them, or to the whole organization if user_id is null.
+ */
+module.exports = (sequelize) => {
+  const Assistant = sequelize.define('Assistant', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    user_id: {
+      type: DataTypes.INTEGER, // Null for organization-wide assistants
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    system_prompt: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    model_id: {
+      type: DataTypes.STRING, // Null to use the default model
+      allowNull: true
+    },
+    inference_params: {
+      type: DataTypes.JSONB, // Same keys as conversations.inference_params
+      allowNull: true
+    },
+    starter_prompts: {
+      type: DataTypes.JSONB, // Suggested first messages
+      allowNull: false,
+      defaultValue: []
+    }
+  }, {
+    tableName: 'assistants',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return Assistant;
+};
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Files attached to chat messages; the chat history stores only a reference to them
+ */
+module.exports = (sequelize) => {
+  const Attachment = sequelize.define('Attachment', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    conversation_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    kind: {
+      type: DataTypes.STRING, // 'image' or 'document'
+      allowNull: false
+    },
+    media_type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    file_name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    size_bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    data: {
+      type: DataTypes.BLOB,
+      allowNull: false
+    },
+    text_content: {
+      type: DataTypes.TEXT, // Text extracted from documents
+      allowNull: true
+    }
+  }, {
+    tableName: 'attachments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        fields: ['conversation_id']
+      }
+    ]
+  });
+
+  return Attachment;
+};
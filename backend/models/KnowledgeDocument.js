@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Documents in the organization knowledge base, and knowledge files of assistants
+ * Their passages and embeddings live in the knowledge_chunks table (pgvector), which is managed
+ * with SQL in services/knowledgeBaseService.js because Sequelize has no vector type.
+ */
+module.exports = (sequelize) => {
+  const KnowledgeDocument = sequelize.define('KnowledgeDocument', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    file_name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    media_type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    size_bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING, // 'processing', 'ready' or 'error'
+      allowNull: false,
+      defaultValue: 'processing'
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    chunk_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    uploaded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    assistant_id: {
+      type: DataTypes.UUID, // Null for the organization knowledge base, otherwise the assistant the file belongs to
+      allowNull: true,
+      references: {
+        model: 'assistants',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    }
+  }, {
+    tableName: 'knowledge_documents',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true
+  });
+
+  return KnowledgeDocument;
+};
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A message or answer that the content policy or a Bedrock Guardrail blocked or masked, kept for admin review
+ */
+module.exports = (sequelize) => {
+  const ModerationEvent = sequelize.define('ModerationEvent', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    conversation_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    stage: {
+      type: DataTypes.STRING, // 'input' (the user's message) or 'output' (the model's answer)
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.STRING, // 'policy' (local rules) or 'guardrail' (Bedrock Guardrails)
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.STRING, // 'blocked' or 'masked'
+      allowNull: false
+    },
+    rules: {
+      type: DataTypes.JSONB, // IDs of the rules that matched
+      allowNull: false,
+      defaultValue: []
+    },
+    excerpt: {
+      type: DataTypes.TEXT, // Start of the text, with PII masked
+      allowNull: true
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'moderation_events',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['created_at']
+      },
+      {
+        fields: ['reviewed_at']
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return ModerationEvent;
+};
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A saved prompt with {{variables}} filled in when it is inserted into a message
+ * Public templates can be used (but not changed) by every user of the deployment; usage_count counts insertions.
+ */
+module.exports = (sequelize) => {
+  const PromptTemplate = sequelize.define('PromptTemplate', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    user_id: {
+      type: DataTypes.INTEGER, // Owner
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    is_public: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    usage_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'prompt_templates',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['is_public']
+      }
+    ]
+  });
+
+  return PromptTemplate;
+};
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Admin-defined usage limits
+ * A quota applies globally, to a role ('admin' or 'user') or to one user; for each period and
+ * metric, the most specific quota that matches a user is the one enforced.
+ */
+module.exports = (sequelize) => {
+  const UsageQuota = sequelize.define('UsageQuota', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    scope: {
+      type: DataTypes.STRING, // 'global', 'role' or 'user'
+      allowNull: false
+    },
+    scope_value: {
+      type: DataTypes.STRING, // Role name or user ID; empty for global quotas
+      allowNull: false,
+      defaultValue: ''
+    },
+    period: {
+      type: DataTypes.STRING, // 'day' or 'month' (UTC)
+      allowNull: false
+    },
+    metric: {
+      type: DataTypes.STRING, // 'tokens' (input + output) or 'requests'
+      allowNull: false
+    },
+    limit_value: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'usage_quotas',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['scope', 'scope_value', 'period', 'metric']
+      }
+    ]
+  });
+
+  return UsageQuota;
+};
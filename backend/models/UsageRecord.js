@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Token usage of one assistant turn (all model calls made to answer one user message, including tool use)
+ */
+module.exports = (sequelize) => {
+  const UsageRecord = sequelize.define('UsageRecord', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    conversation_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    model_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    input_tokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    output_tokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    cache_read_input_tokens: {
+      type: DataTypes.INTEGER, // Prompt tokens served from the prompt cache (not included in input_tokens)
+      allowNull: false,
+      defaultValue: 0
+    },
+    cache_write_input_tokens: {
+      type: DataTypes.INTEGER, // Prompt tokens written to the prompt cache (not included in input_tokens)
+      allowNull: false,
+      defaultValue: 0
+    },
+    request_count: {
+      type: DataTypes.INTEGER, // Model calls in the turn (more than one when tools are used)
+      allowNull: false,
+      defaultValue: 1
+    },
+    latency_ms: {
+      type: DataTypes.INTEGER, // Model latency reported by Bedrock, summed over the turn's calls
+      allowNull: true
+    },
+    time_to_first_token_ms: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    duration_ms: {
+      type: DataTypes.INTEGER, // Wall-clock time of the whole turn
+      allowNull: true
+    },
+    stop_reason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'usage_records',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      },
+      {
+        fields: ['conversation_id']
+      },
+      {
+        fields: ['created_at']
+      }
+    ]
+  });
+
+  return UsageRecord;
+};
@@ -30,7 +30,9 @@ module.exports = (sequelize) => {
     // OAuth fields
     googleId: { type: DataTypes.STRING, unique: true, allowNull: true },
     githubId: { type: DataTypes.STRING, unique: true, allowNull: true },
-    oauthProvider: { type: DataTypes.STRING, allowNull: true } // 'google', 'github', etc.
+    oauthProvider: { type: DataTypes.STRING, allowNull: true }, // 'google', 'github', etc.
+    // Default inference settings for this user's chats (temperature, topP, topK, maxTokens, stopSequences)
+    inferenceSettings: { type: DataTypes.JSONB, allowNull: true }
   });
 
   // Instance methods
@@ -8,6 +8,15 @@ const { getSecret } = require('../services/secretsManager');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const UserModel = require('./User');
+const AllowedModelModel = require('./AllowedModel');
+const AttachmentModel = require('./Attachment');
+const KnowledgeDocumentModel = require('./KnowledgeDocument');
+const UsageRecordModel = require('./UsageRecord');
+const UsageQuotaModel = require('./UsageQuota');
+const ModerationEventModel = require('./ModerationEvent');
+const ApiTokenModel = require('./ApiToken');
+const AssistantModel = require('./Assistant');
+const PromptTemplateModel = require('./PromptTemplate');
 
 // Create a module object to export
 const db = {};
@@ -51,6 +60,25 @@ function defineConversationModel(sequelizeInstance) {
       type: DataTypes.BOOLEAN,
       allowNull: false,
       defaultValue: false
+    },
+    model_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    inference_params: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // Running summary of older turns: { text, messageCount, updatedAt }
+    context_summary: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // The assistant the conversation was started with (not a foreign key: open conversations keep the ID
+    // in Redis and may be saved after the assistant was deleted)
+    assistant_id: {
+      type: DataTypes.UUID,
+      allowNull: true
     }
   }, {
     tableName: 'conversations',
@@ -98,10 +126,22 @@ if (process.env.NODE_ENV !== 'production') {
   // Initialize models synchronously for development
   db.User = UserModel(db.sequelize);
   db.Conversation = defineConversationModel(db.sequelize);
+  db.AllowedModel = AllowedModelModel(db.sequelize);
+  db.Attachment = AttachmentModel(db.sequelize);
+  db.KnowledgeDocument = KnowledgeDocumentModel(db.sequelize);
+  db.UsageRecord = UsageRecordModel(db.sequelize);
+  db.UsageQuota = UsageQuotaModel(db.sequelize);
+  db.ModerationEvent = ModerationEventModel(db.sequelize);
+  db.ApiToken = ApiTokenModel(db.sequelize);
+  db.Assistant = AssistantModel(db.sequelize);
+  db.PromptTemplate = PromptTemplateModel(db.sequelize);
   
   // Setup associations
   db.User.hasMany(db.Conversation, { foreignKey: 'user_id' });
   db.Conversation.belongsTo(db.User, { foreignKey: 'user_id' });
+  db.ApiToken.belongsTo(db.User, { foreignKey: 'user_id' });
+  db.Assistant.hasMany(db.KnowledgeDocument, { foreignKey: 'assistant_id' });
+  db.PromptTemplate.belongsTo(db.User, { foreignKey: 'user_id' });
 }
 
 // Flag to track initialization
@@ -314,10 +354,22 @@ async function initializeDatabase() {
       // Define models with the initialized sequelize instance
       db.User = UserModel(sequelize);
       db.Conversation = defineConversationModel(sequelize);
+      db.AllowedModel = AllowedModelModel(sequelize);
+      db.Attachment = AttachmentModel(sequelize);
+      db.KnowledgeDocument = KnowledgeDocumentModel(sequelize);
+      db.UsageRecord = UsageRecordModel(sequelize);
+      db.UsageQuota = UsageQuotaModel(sequelize);
+      db.ModerationEvent = ModerationEventModel(sequelize);
+      db.ApiToken = ApiTokenModel(sequelize);
+      db.Assistant = AssistantModel(sequelize);
+      db.PromptTemplate = PromptTemplateModel(sequelize);
       
       // Setup associations between models
       db.User.hasMany(db.Conversation, { foreignKey: 'user_id' });
       db.Conversation.belongsTo(db.User, { foreignKey: 'user_id' });
+      db.ApiToken.belongsTo(db.User, { foreignKey: 'user_id' });
+      db.Assistant.hasMany(db.KnowledgeDocument, { foreignKey: 'assistant_id' });
+      db.PromptTemplate.belongsTo(db.User, { foreignKey: 'user_id' });
     }
     
     // Test connection
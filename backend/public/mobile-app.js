@@ -34,7 +34,15 @@ class MobileChatClient {
         this.conversations = [];
         this.isAuthenticated = false;
         this.messageHistory = [];
+        this.summaryBoundary = null; // First message the model still sees in full (earlier ones are summarized)
         this.mfaSessionId = null; // Store MFA session ID for verification
+        this.defaultModelId = null;
+        this.modelCount = 0;
+        this.assistants = []; // Assistants a new conversation can start with
+        this.promptTemplates = []; // Saved prompts (the user's own and public ones)
+        this.reasoningModelIds = new Set(); // Models that can reason before answering
+        this.thinkingBudget = null; // Sent as inferenceParams.thinkingBudget when reasoning is turned on
+        this.pendingAttachments = []; // Files ({ type, data, name }) to send with the next message
 
         // Configure marked.js for proper markdown rendering
         if (window.marked) {
@@ -63,6 +71,10 @@ class MobileChatClient {
             debug: true // Set to false in production
         });
 
+        // Chat requests and answers go over a WebSocket when it is available (HTTP and SSE otherwise)
+        this.chatSocket = new MobileChatSocket(`${this.apiUrl.replace(/^http/, 'ws')}/api/chat/ws`);
+        this.streamingViaSocket = false; // Whether the answer being streamed comes over the WebSocket
+
         this.init();
         
         // Check for OAuth callback parameters on page load
@@ -348,6 +360,20 @@ class MobileChatClient {
             this.startNewChat();
         });
 
+        // Only offer reasoning for models that support it
+        document.getElementById('modelSelect').addEventListener('change', () => {
+            this.updateReasoningOption();
+        });
+
+        // Picking an assistant also picks its model and shows its starter prompts
+        document.getElementById('assistantSelect').addEventListener('change', () => {
+            const assistant = this.getSelectedAssistant();
+            this.selectModel((assistant && assistant.modelId) || this.defaultModelId);
+            if (this.messageHistory.length === 0) {
+                this.renderMessages();
+            }
+        });
+
         // Send message
         document.getElementById('sendBtn').addEventListener('click', () => {
             this.sendMessage();
@@ -366,6 +392,25 @@ class MobileChatClient {
             e.target.style.height = Math.min(e.target.scrollHeight, 120) + 'px';
         });
 
+        // Attach photos (camera or library) or documents
+        const attachmentInput = document.getElementById('attachmentInput');
+        document.getElementById('attachBtn').addEventListener('click', () => {
+            attachmentInput.click();
+        });
+        attachmentInput.addEventListener('change', () => {
+            this.addAttachments(attachmentInput.files);
+            attachmentInput.value = '';
+        });
+
+        // Prompt library
+        document.getElementById('promptsBtn').addEventListener('click', () => {
+            if (document.getElementById('promptSheet').hidden) {
+                this.openPromptLibrary();
+            } else {
+                this.closePromptLibrary();
+            }
+        });
+
         // Magic Link Authentication
         this.currentMagicLinkEmail = '';
 
@@ -594,6 +639,140 @@ class MobileChatClient {
     showApp() {
         document.getElementById('authContainer').classList.remove('show');
         document.getElementById('appContainer').style.display = 'flex';
+        this.loadModels();
+        this.loadAssistants();
+    }
+
+    async loadModels() {
+        const select = document.getElementById('modelSelect');
+        if (!select) return;
+
+        try {
+            const response = await this.apiClient.get('/api/models');
+            if (!response.ok) {
+                throw new Error(`Failed to load models: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.defaultModelId = data.defaultModelId;
+            this.modelCount = (data.models || []).length;
+            this.reasoningModelIds = new Set((data.models || []).filter(model => model.reasoning).map(model => model.id));
+            this.thinkingBudget = data.thinkingBudget;
+
+            select.innerHTML = '';
+            (data.models || []).forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.id;
+                option.textContent = model.name;
+                select.appendChild(option);
+            });
+            select.value = this.defaultModelId;
+            this.updateReasoningOption();
+        } catch (error) {
+            console.error('[Models] Error loading models:', error);
+        }
+    }
+
+    selectModel(modelId) {
+        const select = document.getElementById('modelSelect');
+        if (!select || !modelId) return;
+
+        if (!Array.from(select.options).some(option => option.value === modelId)) {
+            const option = document.createElement('option');
+            option.value = modelId;
+            option.textContent = modelId;
+            select.appendChild(option);
+        }
+        select.value = modelId;
+        this.updateReasoningOption();
+    }
+
+    /**
+     * Show the reasoning option when the selected model supports it, and the model bar when
+     * there is a model or assistant to choose or reasoning to turn on
+     */
+    updateReasoningOption() {
+        const select = document.getElementById('modelSelect');
+        const reasoningAvailable = Boolean(select && this.reasoningModelIds.has(select.value) && this.thinkingBudget);
+        document.getElementById('reasoningOption').hidden = !reasoningAvailable;
+        document.getElementById('modelBar').hidden = this.modelCount < 2 && !reasoningAvailable && this.assistants.length === 0;
+    }
+
+    /**
+     * Load the assistants the user can start a conversation with (the organization's and their own)
+     */
+    async loadAssistants() {
+        const select = document.getElementById('assistantSelect');
+        if (!select) return;
+
+        try {
+            const response = await this.apiClient.get('/api/assistants');
+            if (!response.ok) {
+                throw new Error(`Failed to load assistants: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.assistants = data.assistants || [];
+
+            select.innerHTML = '';
+            const defaultOption = document.createElement('option');
+            defaultOption.value = '';
+            defaultOption.textContent = 'Default assistant';
+            select.appendChild(defaultOption);
+            this.assistants.forEach(assistant => {
+                const option = document.createElement('option');
+                option.value = assistant.id;
+                option.textContent = assistant.name;
+                select.appendChild(option);
+            });
+            select.hidden = this.assistants.length === 0;
+            this.updateReasoningOption();
+            if (this.messageHistory.length === 0) {
+                this.renderMessages();
+            }
+        } catch (error) {
+            console.error('[Assistants] Error loading assistants:', error);
+        }
+    }
+
+    /**
+     * Get the assistant picked for a new conversation
+     * @returns {Object|null} - The assistant, or null for the default one
+     */
+    getSelectedAssistant() {
+        const select = document.getElementById('assistantSelect');
+        if (!select) return null;
+        return this.assistants.find(assistant => assistant.id === select.value) || null;
+    }
+
+    /**
+     * Show a conversation's assistant in the picker; it can only be changed for a new conversation
+     * @param {string|null} assistantId - The conversation's assistant (null for the default one)
+     * @param {boolean} locked - Whether the conversation has already started
+     */
+    setAssistant(assistantId, locked) {
+        const select = document.getElementById('assistantSelect');
+        if (!select) return;
+
+        select.value = assistantId && this.assistants.some(assistant => assistant.id === assistantId) ? assistantId : '';
+        select.disabled = locked;
+    }
+
+    /**
+     * Set the reasoning option, e.g. to the setting of a conversation being opened
+     * @param {boolean} enabled - Whether reasoning is on
+     */
+    setReasoningEnabled(enabled) {
+        document.getElementById('reasoningToggle').checked = enabled;
+    }
+
+    /**
+     * Get the reasoning setting to send with a message
+     * @returns {Object|undefined} - { thinkingBudget } (null turns reasoning off), or undefined when not offered
+     */
+    getReasoningParams() {
+        if (document.getElementById('reasoningOption').hidden) return undefined;
+        return { thinkingBudget: document.getElementById('reasoningToggle').checked ? this.thinkingBudget : null };
     }
 
     showAuth() {
@@ -1163,6 +1342,10 @@ class MobileChatClient {
                 this.currentConversationId = conversationId;
                 // Backend returns chat_history, not messages or history
                 this.messageHistory = data.chat_history || data.messages || data.history || [];
+                this.summaryBoundary = data.summarized_message_count > 0 ? this.messageHistory[data.summarized_message_count] : null;
+                this.selectModel(data.model_id || this.defaultModelId);
+                this.setAssistant(data.assistant ? data.assistant.id : null, true);
+                this.setReasoningEnabled(Boolean(data.inference_params && data.inference_params.thinkingBudget));
                 this.renderMessages();
             } else if (response.status === 401) {
                 console.log('Not authenticated to load conversation');
@@ -1177,6 +1360,11 @@ class MobileChatClient {
     startNewChat() {
         this.currentConversationId = null;
         this.messageHistory = [];
+        const select = document.getElementById('assistantSelect');
+        if (select) select.disabled = false;
+        const assistant = this.getSelectedAssistant();
+        this.selectModel((assistant && assistant.modelId) || this.defaultModelId);
+        this.setReasoningEnabled(false);
         this.renderMessages();
         this.closeMenu();
     }
@@ -1193,19 +1381,79 @@ class MobileChatClient {
                 <div class="empty-state-title">Start a conversation</div>
                 <div class="empty-state-subtitle">Ask me anything!</div>
             `;
+
+            // The picked assistant's starter prompts, sent when tapped
+            const assistant = this.getSelectedAssistant();
+            if (assistant && !document.getElementById('assistantSelect').disabled) {
+                emptyDiv.querySelector('.empty-state-title').textContent = assistant.name;
+                emptyDiv.querySelector('.empty-state-subtitle').textContent = assistant.description || 'Ask me anything!';
+                const prompts = document.createElement('div');
+                prompts.className = 'starter-prompts';
+                assistant.starterPrompts.forEach(prompt => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'starter-prompt';
+                    button.textContent = prompt;
+                    button.addEventListener('click', () => {
+                        document.getElementById('messageInput').value = prompt;
+                        this.sendMessage();
+                    });
+                    prompts.appendChild(button);
+                });
+                emptyDiv.appendChild(prompts);
+            }
             container.appendChild(emptyDiv);
             return;
         }
 
+        let answerVersions = null;
         this.messageHistory.forEach(msg => {
-            this.addMessageToUI(msg.content, msg.role === 'user' ? 'user' : 'assistant');
+            // The versions of an answer are shown under it, before the next message
+            if (msg.role === 'user') {
+                this.appendAnswerActions(answerVersions);
+                answerVersions = msg.answerVersions || null;
+            }
+
+            if (msg === this.summaryBoundary) {
+                container.appendChild(this.createSummaryNotice());
+            }
+
+            // Tool results are for the model; show which tools an assistant turn used instead
+            if (msg.role === 'tool') return;
+            if (Array.isArray(msg.toolCalls)) {
+                msg.toolCalls.forEach(call => this.showToolCall({ id: call.id, name: call.name, status: 'completed' }));
+            }
+            const attachments = Array.isArray(msg.attachments) ? msg.attachments : [];
+            if (!msg.content && attachments.length === 0) return;
+
+            const reasoning = msg.role === 'assistant' && Array.isArray(msg.reasoning) ?
+                msg.reasoning.filter(block => block.text).map(block => block.text).join('\n\n') : '';
+            const messageDiv = this.addMessageToUI(msg.content || '', msg.role === 'user' ? 'user' : 'assistant', attachments, msg.sources, msg.modelId, reasoning, msg.moderation, msg.stopped);
+            if (msg.role === 'user') {
+                this.appendUserMessageActions(msg, messageDiv);
+            }
         });
+        if (!this.currentEventSource && this.messageHistory.some(msg => msg.role === 'user')) {
+            this.appendAnswerActions(answerVersions, true);
+        }
 
         // Scroll to bottom
         container.scrollTop = container.scrollHeight;
     }
 
-    addMessageToUI(text, sender) {
+    /**
+     * Add a message bubble to the chat
+     * @param {string} text - Message text
+     * @param {string} sender - 'user' or 'assistant'
+     * @param {Array} attachments - { type, src, name } for new uploads or stored references ({ id, type, name })
+     * @param {Array} sources - Knowledge base citations ({ number, title, excerpt }) for assistant messages
+     * @param {string} modelId - Fallback model that answered instead of the selected one, if any
+     * @param {string} reasoning - The model's reasoning, shown folded away above the answer
+     * @param {Object} moderation - What the content policy or a guardrail did to the message, if anything
+     * @param {boolean} stopped - Whether the user stopped the answer before it was finished
+     * @returns {HTMLElement} - The message element
+     */
+    addMessageToUI(text, sender, attachments = [], sources = [], modelId = null, reasoning = '', moderation = null, stopped = false) {
         const container = document.getElementById('chatMessages');
 
         const messageDiv = document.createElement('div');
@@ -1233,7 +1481,48 @@ class MobileChatClient {
         timeDiv.className = 'message-time';
         timeDiv.textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
+        if (attachments.length > 0) {
+            const attachmentList = document.createElement('div');
+            attachmentList.className = 'message-attachments';
+            attachments.forEach(attachment => {
+                if (attachment.type !== 'image') {
+                    const chip = document.createElement('span');
+                    chip.className = 'attachment-document';
+                    chip.textContent = attachment.name || 'Document';
+                    attachmentList.appendChild(chip);
+                    return;
+                }
+
+                const img = document.createElement('img');
+                img.className = 'attachment-thumbnail';
+                img.alt = attachment.name || 'Attached image';
+                if (attachment.src) {
+                    img.src = attachment.src;
+                } else {
+                    this.loadAttachmentImage(img, attachment.id);
+                }
+                attachmentList.appendChild(img);
+            });
+            content.appendChild(attachmentList);
+        }
+
+        if (reasoning) {
+            content.appendChild(this.createReasoningPanel(reasoning));
+        }
         content.appendChild(textDiv);
+        if (modelId) {
+            content.appendChild(this.createModelNotice(modelId));
+        }
+        const moderationNotice = this.createModerationNotice(moderation);
+        if (moderationNotice) {
+            content.appendChild(moderationNotice);
+        }
+        if (stopped) {
+            content.appendChild(this.createStoppedNotice());
+        }
+        if (Array.isArray(sources) && sources.length > 0) {
+            content.appendChild(this.createSourceList(sources));
+        }
         content.appendChild(timeDiv);
 
         messageDiv.appendChild(avatar);
@@ -1243,6 +1532,471 @@ class MobileChatClient {
 
         // Scroll to bottom
         container.scrollTop = container.scrollHeight;
+        return messageDiv;
+    }
+
+    /**
+     * Add a row of controls under a message: flipping between its versions (1/3, 2/3, ...) and an action
+     * @param {Object} versions - { id, selected, count }, if the message has other versions
+     * @param {Object} action - { text, label, className, onClick }, e.g. Regenerate or Edit
+     * @returns {HTMLElement|null} - The row, if there was anything to show
+     */
+    appendMessageActions(versions, action = null) {
+        const hasVersions = Boolean(versions && versions.count > 1);
+        if (!hasVersions && !action) return null;
+
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        const addButton = (text, label, onClick, disabled = false) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'message-action';
+            button.textContent = text;
+            button.setAttribute('aria-label', label);
+            button.disabled = disabled;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+            return button;
+        };
+
+        if (hasVersions) {
+            addButton('‹', 'Previous version', () => this.selectBranch(versions, versions.selected - 1), versions.selected === 0);
+            const position = document.createElement('span');
+            position.className = 'message-branch-position';
+            position.textContent = `${versions.selected + 1}/${versions.count}`;
+            actions.appendChild(position);
+            addButton('›', 'Next version', () => this.selectBranch(versions, versions.selected + 1), versions.selected === versions.count - 1);
+        }
+        if (action) {
+            addButton(action.text, action.label, action.onClick).classList.add(action.className);
+        }
+
+        document.getElementById('chatMessages').appendChild(actions);
+        return actions;
+    }
+
+    /**
+     * Add the controls under an answer: its versions and, for the last one, regenerating it
+     * @param {Object} versions - { id, selected, count }, if the answer has other versions
+     * @param {boolean} canRegenerate - Whether to offer regenerating it (only the last answer)
+     */
+    appendAnswerActions(versions, canRegenerate = false) {
+        const regenerate = { text: 'Regenerate', label: 'Regenerate answer', className: 'message-regenerate', onClick: () => this.regenerateAnswer() };
+        const actions = this.appendMessageActions(versions, canRegenerate ? regenerate : null);
+        if (actions) {
+            actions.classList.add('answer-actions');
+        }
+    }
+
+    /**
+     * Add the controls under a message the user sent: its versions and editing it
+     * @param {Object} msg - Chat history message
+     * @param {HTMLElement} messageDiv - The message element
+     */
+    appendUserMessageActions(msg, messageDiv) {
+        const edit = msg.id ? { text: 'Edit', label: 'Edit message', className: 'message-edit-button', onClick: () => this.startEditing(msg, messageDiv) } : null;
+        const actions = this.appendMessageActions(msg.versions, edit);
+        if (actions) {
+            actions.classList.add('user-message-actions');
+        }
+    }
+
+    /**
+     * Replace a message with a box to edit it
+     * @param {Object} msg - Chat history message
+     * @param {HTMLElement} messageDiv - The message element
+     */
+    startEditing(msg, messageDiv) {
+        if (this.currentEventSource || messageDiv.style.display === 'none') return;
+
+        const form = document.createElement('form');
+        form.className = 'message-edit';
+
+        const input = document.createElement('textarea');
+        input.value = msg.content || '';
+        input.rows = Math.min(8, input.value.split('\n').length + 1);
+        input.setAttribute('aria-label', 'Edit your message');
+
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.className = 'message-action';
+        save.textContent = 'Save and send';
+
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'message-action';
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', () => {
+            form.remove();
+            messageDiv.style.display = '';
+        });
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.submitEdit(msg.id, input.value);
+        });
+
+        form.append(input, save, cancel);
+        // (the message's flex layout would override the hidden attribute)
+        messageDiv.style.display = 'none';
+        messageDiv.after(form);
+        input.focus();
+    }
+
+    /**
+     * Send an edited message: the conversation forks there, keeping the original thread as a version,
+     * and the edited message is answered
+     * @param {string} messageId - ID of the message being edited
+     * @param {string} message - The new text
+     */
+    async submitEdit(messageId, message) {
+        if (this.currentEventSource || !this.currentConversationId) return;
+
+        try {
+            const modelSelect = document.getElementById('modelSelect');
+            const { data, viaSocket } = await this.sendChatRequest('edit', {
+                conversationId: this.currentConversationId,
+                messageId,
+                message,
+                modelId: modelSelect && modelSelect.value ? modelSelect.value : undefined,
+                inferenceParams: this.getReasoningParams()
+            }, `/api/conversations/${encodeURIComponent(this.currentConversationId)}/messages/${encodeURIComponent(messageId)}`, 'PUT');
+            if (!data.success) {
+                alert(this.describeError(data.error || 'The message could not be edited.', data.quota));
+                return;
+            }
+
+            // Show the conversation up to the edited message, then stream the answer to it
+            await this.loadConversation(this.currentConversationId);
+            document.getElementById('sendBtn').disabled = true;
+            document.getElementById('stopBtn').disabled = false;
+            this.streamAnswer(viaSocket);
+        } catch (error) {
+            console.error('[Chat] Error editing message:', error);
+            alert('Failed to edit the message. Please try again.');
+        }
+    }
+
+    /**
+     * Add the controls under the answer that was just streamed
+     */
+    showLastAnswerActions() {
+        const lastUserMessage = [...this.messageHistory].reverse().find(msg => msg.role === 'user');
+        this.appendAnswerActions(lastUserMessage ? lastUserMessage.answerVersions : null, true);
+    }
+
+    /**
+     * Before a new answer streams, remove the Regenerate button and the controls of the answer being replaced
+     */
+    clearAnswerActions() {
+        const container = document.getElementById('chatMessages');
+        if (container.lastElementChild && container.lastElementChild.classList.contains('answer-actions')) {
+            container.lastElementChild.remove();
+        }
+        container.querySelectorAll('.message-regenerate').forEach(button => {
+            const actions = button.parentElement;
+            button.remove();
+            if (actions.children.length === 0) {
+                actions.remove();
+            }
+        });
+    }
+
+    /**
+     * Show another version of a message or answer (the rest of the conversation follows it)
+     * @param {Object} branches - { id, selected, count }
+     * @param {number} selected - Version to show
+     */
+    async selectBranch(branches, selected) {
+        if (this.currentEventSource) return;
+
+        try {
+            const response = await this.apiClient.put(
+                `/api/conversations/${encodeURIComponent(this.currentConversationId)}/branches/${encodeURIComponent(branches.id)}`,
+                { selected }
+            );
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.error || 'Could not show that version.');
+                return;
+            }
+            await this.loadConversation(this.currentConversationId);
+        } catch (error) {
+            console.error('[Chat] Error switching version:', error);
+            alert('Failed to switch version. Please try again.');
+        }
+    }
+
+    /**
+     * Generate a new answer to the last message with the selected model and settings;
+     * the current answer is kept as a version to flip back to
+     */
+    async regenerateAnswer() {
+        if (this.currentEventSource || !this.currentConversationId) return;
+
+        try {
+            const modelSelect = document.getElementById('modelSelect');
+            const { data, viaSocket } = await this.sendChatRequest('regenerate', {
+                conversationId: this.currentConversationId,
+                modelId: modelSelect && modelSelect.value ? modelSelect.value : undefined,
+                inferenceParams: this.getReasoningParams()
+            }, '/api/chat/regenerate');
+            if (!data.success) {
+                alert(this.describeError(data.error || 'The answer could not be regenerated.', data.quota));
+                return;
+            }
+
+            // Show the conversation without the old answer, then stream the new one in its place
+            await this.loadConversation(this.currentConversationId);
+            document.getElementById('sendBtn').disabled = true;
+            document.getElementById('stopBtn').disabled = false;
+            this.streamAnswer(viaSocket);
+        } catch (error) {
+            console.error('[Chat] Error regenerating answer:', error);
+            alert('Failed to regenerate the answer. Please try again.');
+        }
+    }
+
+    /**
+     * Send a chat request ('send', 'regenerate' or 'edit') over the WebSocket, or to the HTTP API if the
+     * WebSocket is unavailable. Over the WebSocket the answer then streams on the same connection.
+     * @param {string} type - Request type
+     * @param {Object} body - Request body
+     * @param {string} endpoint - HTTP API endpoint for the same request
+     * @param {string} method - HTTP method
+     * @returns {Promise<Object>} - { ok, status, data, viaSocket }
+     */
+    async sendChatRequest(type, body, endpoint, method = 'POST') {
+        if (await this.chatSocket.connect()) {
+            const reply = await this.chatSocket.request(type, body);
+            const status = reply.type === 'error' ? reply.status : 200;
+            return { ok: status === 200, status, data: reply, viaSocket: true };
+        }
+        const response = method === 'PUT' ? await this.apiClient.put(endpoint, body) : await this.apiClient.post(endpoint, body);
+        return { ok: response.ok, status: response.status, data: await response.json(), viaSocket: false };
+    }
+
+    /**
+     * Describe a server error, adding when the allowance resets if a usage quota was hit
+     * @param {string} error - Error message from the server
+     * @param {Object} quota - Exhausted quota ({ resetAt, ... }), if any
+     */
+    describeError(error, quota) {
+        if (!quota || !quota.resetAt) return error;
+        const unit = quota.metric === 'tokens' ? 'tokens' : 'messages';
+        return `${error} ${quota.remaining.toLocaleString()} of ${quota.limit.toLocaleString()} ${unit} remaining; ` +
+            `your allowance resets ${new Date(quota.resetAt).toLocaleString()}.`;
+    }
+
+    /**
+     * Build the divider shown above the messages the model still sees word for word
+     */
+    createSummaryNotice() {
+        const notice = document.createElement('div');
+        notice.className = 'context-summary-notice';
+        notice.textContent = 'Earlier messages have been summarized to fit the model\'s context window';
+        return notice;
+    }
+
+    /**
+     * Build the collapsible panel showing the model's reasoning (extended thinking)
+     * @param {string} text - Reasoning text
+     */
+    createReasoningPanel(text = '') {
+        const panel = document.createElement('details');
+        panel.className = 'message-reasoning';
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Reasoning';
+        panel.appendChild(summary);
+
+        const body = document.createElement('div');
+        body.className = 'message-reasoning-text';
+        body.textContent = text;
+        panel.appendChild(body);
+
+        return panel;
+    }
+
+    /**
+     * Build the note shown under an answer given by a fallback model (the selected one was busy)
+     * @param {string} modelId - Model that answered
+     */
+    createModelNotice(modelId) {
+        const notice = document.createElement('div');
+        notice.className = 'message-model-notice';
+        notice.textContent = `Answered by ${modelId} because the selected model was busy`;
+        return notice;
+    }
+
+    /**
+     * Build the note shown under an answer the user stopped before it was finished
+     */
+    createStoppedNotice() {
+        const notice = document.createElement('div');
+        notice.className = 'message-stopped-notice';
+        notice.textContent = 'Stopped';
+        return notice;
+    }
+
+    /**
+     * Build the note shown when the content policy masked part of a message or a guardrail blocked it
+     * (answers the content policy blocked are replaced by its message, so they get no note)
+     * @param {Object} moderation - { action, stage, source }
+     * @returns {HTMLElement|null} - The note, if one is needed
+     */
+    createModerationNotice(moderation) {
+        if (!moderation || (moderation.action === 'blocked' && moderation.source !== 'guardrail')) return null;
+
+        const notice = document.createElement('div');
+        notice.className = 'message-moderation-notice';
+        if (moderation.action === 'masked') {
+            notice.textContent = moderation.stage === 'input'
+                ? 'Sensitive details were masked before this message was sent'
+                : 'Sensitive details in this answer were masked';
+        } else {
+            notice.textContent = moderation.stage === 'input'
+                ? 'A guardrail blocked your message'
+                : 'A guardrail blocked this answer';
+        }
+        return notice;
+    }
+
+    /**
+     * Build the knowledge base citations shown under an answer
+     * @param {Array} sources - { number, title, excerpt }; the excerpt is shown on hover
+     */
+    createSourceList(sources) {
+        const sourceList = document.createElement('div');
+        sourceList.className = 'message-sources';
+        sourceList.textContent = 'Sources: ';
+        sources.forEach(source => {
+            const item = document.createElement('span');
+            item.className = 'message-source';
+            item.textContent = `[${source.number}] ${source.title}`;
+            item.title = source.excerpt || '';
+            sourceList.appendChild(item);
+        });
+        return sourceList;
+    }
+
+    /**
+     * Load a stored image into an <img>
+     * Image requests can't carry the API key header, so fetch it and use a data URL.
+     */
+    async loadAttachmentImage(img, attachmentId) {
+        try {
+            const response = await this.apiClient.get(`/api/attachments/${encodeURIComponent(attachmentId)}`);
+            if (!response.ok) {
+                throw new Error(`Failed to load attachment: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const reader = new FileReader();
+            reader.onload = () => {
+                img.src = reader.result;
+            };
+            reader.readAsDataURL(blob);
+        } catch (error) {
+            console.error('Error loading attachment:', error);
+            img.alt = `${img.alt} (unavailable)`;
+        }
+    }
+
+    /**
+     * Read picked image and document files into the pending attachments
+     */
+    addAttachments(files) {
+        const imageTypes = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+        const documentExtensions = ['pdf', 'docx', 'md', 'markdown', 'csv', 'txt', 'text', 'log'];
+        const limits = {
+            image: { count: 5, bytes: 3.75 * 1024 * 1024, size: '3.75 MB' },
+            document: { count: 5, bytes: 10 * 1024 * 1024, size: '10 MB' }
+        };
+
+        Array.from(files).forEach(file => {
+            const extension = (file.name || '').split('.').pop().toLowerCase();
+            const type = imageTypes.includes(file.type) ? 'image' :
+                documentExtensions.includes(extension) ? 'document' : null;
+
+            if (!type) {
+                alert(`${file.name} is not supported. Attach PNG, JPEG, GIF or WebP images, or PDF, DOCX, Markdown, CSV or text documents.`);
+                return;
+            }
+            if (file.size > limits[type].bytes) {
+                alert(`${file.name} is too large. ${type === 'image' ? 'Images' : 'Documents'} must be at most ${limits[type].size}.`);
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                if (this.pendingAttachments.filter(attachment => attachment.type === type).length >= limits[type].count) {
+                    alert(`At most ${limits[type].count} ${type}s can be attached to a message.`);
+                    return;
+                }
+                this.pendingAttachments.push({ type, data: reader.result, name: file.name || (type === 'image' ? 'photo.jpg' : 'document') });
+                this.renderPendingAttachments();
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+
+    renderPendingAttachments() {
+        const preview = document.getElementById('attachmentPreview');
+        preview.innerHTML = '';
+        preview.hidden = this.pendingAttachments.length === 0;
+
+        this.pendingAttachments.forEach((attachment, index) => {
+            const item = document.createElement('div');
+            item.className = 'attachment-preview-item';
+
+            let preview;
+            if (attachment.type === 'image') {
+                preview = document.createElement('img');
+                preview.src = attachment.data;
+                preview.alt = attachment.name;
+            } else {
+                preview = document.createElement('span');
+                preview.className = 'attachment-document';
+                preview.textContent = attachment.name;
+            }
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'attachment-remove';
+            removeBtn.title = 'Remove attachment';
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => {
+                this.pendingAttachments.splice(index, 1);
+                this.renderPendingAttachments();
+            });
+
+            item.appendChild(preview);
+            item.appendChild(removeBtn);
+            preview.appendChild(item);
+        });
+    }
+
+    showToolCall(tool) {
+        const container = document.getElementById('chatMessages');
+        const labels = {
+            started: `Using ${tool.name}...`,
+            running: `Running ${tool.name}...`,
+            completed: `Used ${tool.name}`,
+            error: `${tool.name} failed`
+        };
+
+        let toolDiv = tool.id ? container.querySelector(`.tool-call[data-tool-id="${CSS.escape(tool.id)}"]`) : null;
+        if (!toolDiv) {
+            toolDiv = document.createElement('div');
+            toolDiv.className = 'tool-call';
+            if (tool.id) toolDiv.dataset.toolId = tool.id;
+            container.appendChild(toolDiv);
+        }
+
+        toolDiv.classList.toggle('tool-call-error', tool.status === 'error');
+        toolDiv.textContent = labels[tool.status] || tool.name;
+        container.scrollTop = container.scrollHeight;
     }
 
     showTypingIndicator() {
@@ -1278,19 +2032,285 @@ class MobileChatClient {
         }
     }
 
+    /**
+     * Open the prompt library, loading the user's and the public prompts
+     */
+    async openPromptLibrary() {
+        const sheet = document.getElementById('promptSheet');
+        sheet.hidden = false;
+        sheet.textContent = 'Loading prompts...';
+
+        try {
+            const response = await this.apiClient.get('/api/prompt-templates');
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || `Failed to load prompts: ${response.status}`);
+            }
+            this.promptTemplates = data.templates || [];
+            this.renderPromptList();
+        } catch (error) {
+            console.error('[Prompts] Error loading prompts:', error);
+            sheet.textContent = 'Failed to load prompts.';
+        }
+    }
+
+    closePromptLibrary() {
+        document.getElementById('promptSheet').hidden = true;
+    }
+
+    /**
+     * Build a small button for the prompt library
+     * @param {string} text - Button label
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement}
+     */
+    createPromptButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'prompt-sheet-button';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * List the saved prompts, most used first
+     */
+    renderPromptList() {
+        const sheet = document.getElementById('promptSheet');
+        sheet.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'prompt-sheet-header';
+        header.append(
+            this.createPromptButton('New prompt', () => this.editPromptTemplate()),
+            this.createPromptButton('Close', () => this.closePromptLibrary())
+        );
+        sheet.appendChild(header);
+
+        if (this.promptTemplates.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'prompt-item-details';
+            empty.textContent = 'No saved prompts yet. Type a prompt, then tap "New prompt" to save it.';
+            sheet.appendChild(empty);
+            return;
+        }
+
+        this.promptTemplates.forEach(template => {
+            const item = document.createElement('div');
+            item.className = 'prompt-item';
+
+            const main = document.createElement('button');
+            main.type = 'button';
+            main.className = 'prompt-item-main';
+            const name = document.createElement('div');
+            name.className = 'prompt-item-name';
+            name.textContent = template.name;
+            const details = document.createElement('div');
+            details.className = 'prompt-item-details';
+            details.textContent = [
+                template.description,
+                template.editable ? (template.public ? 'Public' : null) : `Public, by ${template.owner || 'another user'}`,
+                `Used ${template.usageCount} time${template.usageCount === 1 ? '' : 's'}`
+            ].filter(Boolean).join(' · ');
+            main.append(name, details);
+            main.addEventListener('click', () => this.choosePromptTemplate(template));
+            item.appendChild(main);
+
+            if (template.editable) {
+                item.append(
+                    this.createPromptButton('Edit', () => this.editPromptTemplate(template)),
+                    this.createPromptButton('Delete', () => this.deletePromptTemplate(template))
+                );
+            }
+            sheet.appendChild(item);
+        });
+    }
+
+    /**
+     * Insert a prompt, first asking for the values of its {{variables}}
+     * @param {Object} template - The prompt
+     */
+    choosePromptTemplate(template) {
+        if (template.variables.length === 0) {
+            this.insertPromptTemplate(template, {});
+            return;
+        }
+
+        const sheet = document.getElementById('promptSheet');
+        sheet.innerHTML = '';
+        const form = document.createElement('form');
+        form.className = 'prompt-form';
+        const title = document.createElement('div');
+        title.className = 'prompt-item-name';
+        title.textContent = template.name;
+        form.appendChild(title);
+
+        template.variables.forEach(variable => {
+            const label = document.createElement('label');
+            label.className = 'prompt-variable';
+            label.textContent = variable;
+            const input = document.createElement('textarea');
+            input.rows = 2;
+            input.required = true;
+            input.dataset.variable = variable;
+            label.appendChild(input);
+            form.appendChild(label);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'prompt-sheet-header';
+        const insert = this.createPromptButton('Insert', () => {});
+        insert.type = 'submit';
+        actions.append(insert, this.createPromptButton('Back', () => this.renderPromptList()));
+        form.appendChild(actions);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const values = {};
+            form.querySelectorAll('textarea').forEach(input => {
+                values[input.dataset.variable] = input.value;
+            });
+            this.insertPromptTemplate(template, values);
+        });
+        sheet.appendChild(form);
+        form.querySelector('textarea').focus();
+    }
+
+    /**
+     * Fill in a prompt on the server (which counts the use) and add it to the message input
+     * @param {Object} template - The prompt
+     * @param {Object} values - Variable name -> value
+     */
+    async insertPromptTemplate(template, values) {
+        try {
+            const response = await this.apiClient.post(`/api/prompt-templates/${encodeURIComponent(template.id)}/use`, { variables: values });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.error || 'The prompt could not be inserted.');
+                return;
+            }
+
+            template.usageCount = data.usageCount;
+            const input = document.getElementById('messageInput');
+            input.value = input.value.trim() ? `${input.value.trimEnd()}\n\n${data.text}` : data.text;
+            input.dispatchEvent(new Event('input')); // Resize the input to fit
+            this.closePromptLibrary();
+            input.focus();
+        } catch (error) {
+            console.error('[Prompts] Error inserting prompt:', error);
+            alert('The prompt could not be inserted.');
+        }
+    }
+
+    /**
+     * Edit one of the user's prompts, or save a new one starting from the message being typed
+     * @param {Object|null} template - The prompt to edit, or null for a new one
+     */
+    editPromptTemplate(template = null) {
+        const sheet = document.getElementById('promptSheet');
+        sheet.innerHTML = '';
+        const form = document.createElement('form');
+        form.className = 'prompt-form';
+
+        const field = (tag, placeholder, value, maxLength) => {
+            const input = document.createElement(tag);
+            input.className = 'prompt-field';
+            input.placeholder = placeholder;
+            input.value = value;
+            if (maxLength) input.maxLength = maxLength;
+            form.appendChild(input);
+            return input;
+        };
+        const name = field('input', 'Name', template ? template.name : '', 100);
+        name.required = true;
+        const description = field('input', 'Description (optional)', template ? template.description || '' : '', 500);
+        const content = field('textarea', 'Prompt text. Write {{variable}} for the parts that change each time.',
+            template ? template.content : document.getElementById('messageInput').value.trim());
+        content.rows = 5;
+        content.required = true;
+
+        const publicLabel = document.createElement('label');
+        publicLabel.className = 'prompt-variable';
+        const isPublic = document.createElement('input');
+        isPublic.type = 'checkbox';
+        isPublic.checked = template ? template.public : false;
+        publicLabel.append(isPublic, ' Public: every user who can sign in to this app can see and use it, not only your team');
+        form.appendChild(publicLabel);
+
+        const actions = document.createElement('div');
+        actions.className = 'prompt-sheet-header';
+        const save = this.createPromptButton('Save', () => {});
+        save.type = 'submit';
+        actions.append(save, this.createPromptButton('Cancel', () => this.renderPromptList()));
+        form.appendChild(actions);
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            // There are no teams: a public prompt is listed for every user, so say so before publishing it
+            if (isPublic.checked && !(template && template.public) &&
+                !confirm('Make this prompt public? Every user who can sign in to this app will be able to see and use it, not only your team.')) return;
+            const body = { name: name.value, description: description.value, content: content.value, public: isPublic.checked };
+            try {
+                const response = template
+                    ? await this.apiClient.put(`/api/prompt-templates/${encodeURIComponent(template.id)}`, body)
+                    : await this.apiClient.post('/api/prompt-templates', body);
+                const data = await response.json();
+                if (!data.success) {
+                    alert(data.error || 'The prompt could not be saved.');
+                    return;
+                }
+                this.openPromptLibrary();
+            } catch (error) {
+                console.error('[Prompts] Error saving prompt:', error);
+                alert('The prompt could not be saved.');
+            }
+        });
+        sheet.appendChild(form);
+        name.focus();
+    }
+
+    /**
+     * Delete one of the user's prompts
+     * @param {Object} template - The prompt
+     */
+    async deletePromptTemplate(template) {
+        if (!confirm(`Delete the prompt "${template.name}"?${template.public ? ' Other users will no longer be able to use it.' : ''}`)) return;
+
+        try {
+            const response = await this.apiClient.delete(`/api/prompt-templates/${encodeURIComponent(template.id)}`);
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.error || 'The prompt could not be deleted.');
+                return;
+            }
+            this.promptTemplates = this.promptTemplates.filter(candidate => candidate.id !== template.id);
+            this.renderPromptList();
+        } catch (error) {
+            console.error('[Prompts] Error deleting prompt:', error);
+            alert('The prompt could not be deleted.');
+        }
+    }
+
     async sendMessage() {
         const input = document.getElementById('messageInput');
         const message = input.value.trim();
+        const attachments = this.pendingAttachments;
 
-        if (!message) return;
+        if (!message && attachments.length === 0) return;
 
-        // Clear input
+        // Clear input and pending attachments
         input.value = '';
         input.style.height = 'auto';
+        this.pendingAttachments = [];
+        this.renderPendingAttachments();
 
-        // Add user message to UI
-        this.addMessageToUI(message, 'user');
-        this.messageHistory.push({ role: 'user', content: message });
+        // Add user message to UI (in place of the empty state and its starter prompts)
+        document.querySelectorAll('#chatMessages .empty-state').forEach(emptyState => emptyState.remove());
+        const sentAttachments = attachments.map(attachment => ({ type: attachment.type, src: attachment.data, name: attachment.name }));
+        const userMessageDiv = this.addMessageToUI(message, 'user', sentAttachments);
+        const userMessage = sentAttachments.length > 0 ? { role: 'user', content: message, attachments: sentAttachments } : { role: 'user', content: message };
+        this.messageHistory.push(userMessage);
 
         // Disable send button, enable stop button
         document.getElementById('sendBtn').disabled = true;
@@ -1302,145 +2322,342 @@ class MobileChatClient {
         try {
             // Step 1: Send message to server to create/update conversation
             console.log('[Chat] Sending message to /api/chat/message');
-            const messageResponse = await this.apiClient.post('/api/chat/message', {
+            const modelSelect = document.getElementById('modelSelect');
+            const assistantSelect = document.getElementById('assistantSelect');
+            const messageResponse = await this.sendChatRequest('send', {
+                conversationId: this.currentConversationId || undefined,
                 message: message,
+                attachments: attachments.length > 0 ?
+                    attachments.map(attachment => ({ data: attachment.data, name: attachment.name })) : undefined,
+                modelId: modelSelect && modelSelect.value ? modelSelect.value : undefined,
+                // Only a new conversation can start with an assistant
+                assistantId: assistantSelect && !assistantSelect.disabled && assistantSelect.value ? assistantSelect.value : undefined,
+                inferenceParams: this.getReasoningParams(),
                 isTemporary: false
-            });
+            }, '/api/chat/message');
+
+            if (messageResponse.status === 400 || messageResponse.status === 429) {
+                // Validation errors (e.g. an unsupported image) and quota errors are safe to show as-is
+                const errorData = messageResponse.data;
+                this.hideTypingIndicator();
+                alert(this.describeError(errorData.error || 'The message could not be sent.', errorData.quota));
+                document.getElementById('sendBtn').disabled = false;
+                document.getElementById('stopBtn').disabled = true;
+                return;
+            }
 
             if (!messageResponse.ok) {
                 throw new Error(`Failed to send message: ${messageResponse.status}`);
             }
 
-            const messageData = await messageResponse.json();
+            const messageData = messageResponse.data;
             console.log('[Chat] Message sent, conversation ID:', messageData.conversationId);
 
-            // Update current conversation ID
+            // Update current conversation ID (its assistant can't be changed from now on)
             this.currentConversationId = messageData.conversationId;
+            if (assistantSelect) assistantSelect.disabled = true;
+
+            // Show the message as it was stored if the content policy masked part of it
+            if (messageData.moderation) {
+                userMessage.content = messageData.moderation.text;
+                userMessage.moderation = messageData.moderation;
+                const userMessages = document.querySelectorAll('#chatMessages .message.user');
+                const userContent = userMessages[userMessages.length - 1].querySelector('.message-content');
+                userContent.querySelector('.message-text').textContent = messageData.moderation.text;
+                userContent.insertBefore(this.createModerationNotice(messageData.moderation), userContent.querySelector('.message-time'));
+            }
 
             // Hide typing indicator
             this.hideTypingIndicator();
+            userMessage.id = messageData.messageId;
+            this.appendUserMessageActions(userMessage, userMessageDiv);
 
-            // Step 2: Open EventSource stream to get AI response
-            // Note: EventSource doesn't support custom headers, so we pass API key in URL
-            const streamUrl = `${this.apiUrl}/api/chat/stream?conversationId=${this.currentConversationId}&apiKey=${encodeURIComponent(this.apiClient.apiKey)}&platform=${this.apiClient.platform}`;
-            console.log('[Chat] Opening stream:', streamUrl);
+            // Step 2: Stream the AI response
+            this.streamAnswer(messageResponse.viaSocket);
 
-            const eventSource = new EventSource(streamUrl, { withCredentials: true });
-            this.currentEventSource = eventSource; // Store reference for stop button
-            let aiResponse = '';
-            let aiMessageDiv = null;
+        } catch (error) {
+            console.error('[Chat] Error sending message:', error);
+            this.hideTypingIndicator();
+            alert('Failed to send message. Please try again.');
+            document.getElementById('sendBtn').disabled = false;
+            document.getElementById('stopBtn').disabled = true;
+        }
+    }
 
-            eventSource.onopen = () => {
-                console.log('[Chat] Stream connection opened');
-            };
+    /**
+     * Stream the answer for the current conversation into a new assistant bubble
+     * @param {boolean} viaSocket - Whether the request was sent over the WebSocket, which then carries the answer too
+     */
+    streamAnswer(viaSocket = false) {
+        this.clearAnswerActions();
+        this.streamingViaSocket = viaSocket;
+
+        // Open EventSource stream to get AI response
+        // Note: EventSource doesn't support custom headers, so we pass API key in URL
+        const streamUrl = `${this.apiUrl}/api/chat/stream?conversationId=${this.currentConversationId}&apiKey=${encodeURIComponent(this.apiClient.apiKey)}&platform=${this.apiClient.platform}`;
+        console.log('[Chat] Opening stream:', streamUrl);
+
+        let eventSource = null;
+        let lastEventId = '';
+        let resumeAttempts = 0;
+        let aiResponse = '';
+        let aiReasoning = '';
+        let aiMessageDiv = null;
+        let sources = [];
+        let fallbackModelId = null;
+        let moderation = null;
+
+        // The answer bubble is created by the first reasoning or answer chunk
+        const createAiMessageDiv = () => {
+            const container = document.getElementById('chatMessages');
+            aiMessageDiv = document.createElement('div');
+            aiMessageDiv.className = 'message assistant';
+
+            const avatar = document.createElement('div');
+            avatar.className = 'message-avatar';
+            avatar.textContent = 'AI';
+
+            const content = document.createElement('div');
+            content.className = 'message-content';
+
+            const textDiv = document.createElement('div');
+            textDiv.className = 'message-text';
+
+            content.appendChild(textDiv);
+            aiMessageDiv.appendChild(avatar);
+            aiMessageDiv.appendChild(content);
+            container.appendChild(aiMessageDiv);
+        };
 
-            eventSource.onmessage = (event) => {
-                console.log('[Chat] Stream event:', event.data);
+        const handleStreamEvent = (event) => {
+            console.log('[Chat] Stream event:', event.data);
+            if (event.lastEventId) {
+                lastEventId = event.lastEventId;
+                resumeAttempts = 0;
+            }
 
-                try {
-                    const data = JSON.parse(event.data);
-
-                    // Handle completion marker
-                    if (data.content === '[DONE]') {
-                        console.log('[Chat] Stream completed');
-                        eventSource.close();
-                        this.currentEventSource = null;
-                        document.getElementById('sendBtn').disabled = false;
-                        document.getElementById('stopBtn').disabled = true;
-
-                        // Add to message history
-                        this.messageHistory.push({ role: 'assistant', content: aiResponse });
-
-                        // Reload conversations to update list
-                        this.loadConversations();
-                        return;
+            try {
+                const data = JSON.parse(event.data);
+
+                // Handle completion marker
+                if (data.content === '[DONE]') {
+                    console.log('[Chat] Stream completed');
+                    eventSource.close();
+                    this.currentEventSource = null;
+                    document.getElementById('sendBtn').disabled = false;
+                    document.getElementById('stopBtn').disabled = true;
+
+                    // Show which fallback model answered and the knowledge base passages the answer drew on
+                    if (aiMessageDiv && fallbackModelId) {
+                        aiMessageDiv.querySelector('.message-content').appendChild(this.createModelNotice(fallbackModelId));
+                    }
+                    const moderationNotice = this.createModerationNotice(moderation);
+                    if (aiMessageDiv && moderationNotice) {
+                        aiMessageDiv.querySelector('.message-content').appendChild(moderationNotice);
+                    }
+                    if (aiMessageDiv && data.stopped) {
+                        aiMessageDiv.querySelector('.message-content').appendChild(this.createStoppedNotice());
+                    }
+                    if (aiMessageDiv && sources.length > 0) {
+                        aiMessageDiv.querySelector('.message-content').appendChild(this.createSourceList(sources));
                     }
 
-                    // Handle errors
-                    if (data.error) {
-                        console.error('[Chat] Stream error:', data.error);
-                        if (aiMessageDiv) {
-                            aiMessageDiv.querySelector('.message-text').textContent = `Error: ${data.error}`;
-                        }
-                        eventSource.close();
-                        this.currentEventSource = null;
-                        document.getElementById('sendBtn').disabled = false;
-                        document.getElementById('stopBtn').disabled = true;
-                        return;
+                    // Add to message history
+                    const assistantMessage = { role: 'assistant', content: aiResponse, sources };
+                    if (fallbackModelId) {
+                        assistantMessage.modelId = fallbackModelId;
+                    }
+                    if (aiReasoning) {
+                        assistantMessage.reasoning = [{ text: aiReasoning }];
+                    }
+                    if (moderation) {
+                        assistantMessage.moderation = moderation;
+                    }
+                    if (data.stopped) {
+                        assistantMessage.stopped = true;
+                    }
+                    this.messageHistory.push(assistantMessage);
+                    this.showLastAnswerActions();
+
+                    // Reload conversations to update list
+                    this.loadConversations();
+                    return;
+                }
+
+                // Handle errors
+                if (data.error) {
+                    console.error('[Chat] Stream error:', data.error);
+                    const errorText = `Error: ${this.describeError(data.error, data.quota)}`;
+                    if (aiMessageDiv) {
+                        aiMessageDiv.querySelector('.message-text').textContent = errorText;
+                    } else {
+                        this.addMessageToUI(errorText, 'assistant');
+                    }
+                    this.showLastAnswerActions();
+                    eventSource.close();
+                    this.currentEventSource = null;
+                    document.getElementById('sendBtn').disabled = false;
+                    document.getElementById('stopBtn').disabled = true;
+                    return;
+                }
+
+                // Older messages were rolled up into the conversation summary
+                if (data.context && data.context.summarized) {
+                    const container = document.getElementById('chatMessages');
+                    container.querySelectorAll('.context-summary-notice').forEach(notice => notice.remove());
+                    const userMessages = container.querySelectorAll('.message.user');
+                    container.insertBefore(this.createSummaryNotice(), userMessages[userMessages.length - 1] || null);
+                    return;
+                }
+
+                // Knowledge base citations arrive before the answer
+                if (data.sources) {
+                    sources = data.sources;
+                    return;
+                }
+
+                // A structured (JSON) answer didn't match its schema and is being generated again
+                if (data.structured && data.structured.status === 'retrying') {
+                    aiResponse = '';
+                    if (aiMessageDiv) {
+                        aiMessageDiv.querySelector('.message-text').textContent = '';
                     }
+                    return;
+                }
 
-                    // Handle content chunks
-                    if (data.content) {
-                        aiResponse += data.content;
+                // A fallback model is answering because the selected one is throttled or unavailable
+                if (data.model) {
+                    fallbackModelId = data.model.fallback ? data.model.id : null;
+                    return;
+                }
 
+                // The content policy or a guardrail stepped in; a blocked answer is replaced by the policy's message
+                if (data.moderation) {
+                    moderation = data.moderation;
+                    if (moderation.action === 'blocked' && moderation.source === 'policy') {
                         if (!aiMessageDiv) {
-                            // Create AI message div
-                            const container = document.getElementById('chatMessages');
-                            aiMessageDiv = document.createElement('div');
-                            aiMessageDiv.className = 'message assistant';
-
-                            const avatar = document.createElement('div');
-                            avatar.className = 'message-avatar';
-                            avatar.textContent = 'AI';
-
-                            const content = document.createElement('div');
-                            content.className = 'message-content';
-
-                            const textDiv = document.createElement('div');
-                            textDiv.className = 'message-text';
-
-                            // Render markdown for streaming response
-                            if (window.marked && window.DOMPurify) {
-                                const parsedMarkdown = marked.parse(aiResponse);
-                                textDiv.innerHTML = DOMPurify.sanitize(parsedMarkdown, this.purifyOptions);
-                            } else {
-                                textDiv.textContent = aiResponse;
-                            }
-
-                            content.appendChild(textDiv);
-                            aiMessageDiv.appendChild(avatar);
-                            aiMessageDiv.appendChild(content);
-                            container.appendChild(aiMessageDiv);
-                        } else {
-                            // Update existing message with markdown rendering
-                            const textDiv = aiMessageDiv.querySelector('.message-text');
-                            if (window.marked && window.DOMPurify) {
-                                const parsedMarkdown = marked.parse(aiResponse);
-                                textDiv.innerHTML = DOMPurify.sanitize(parsedMarkdown, this.purifyOptions);
-                            } else {
-                                textDiv.textContent = aiResponse;
-                            }
+                            createAiMessageDiv();
                         }
+                        aiResponse = moderation.message;
+                        aiMessageDiv.querySelector('.message-text').textContent = aiResponse;
+                    }
+                    return;
+                }
+
+                // Handle tool call progress
+                if (data.tool) {
+                    this.showToolCall(data.tool);
+                    return;
+                }
 
-                        // Scroll to bottom
-                        document.getElementById('chatMessages').scrollTop =
-                            document.getElementById('chatMessages').scrollHeight;
+                // The model's reasoning streams before the answer into a panel of its own
+                if (data.reasoning) {
+                    if (!aiMessageDiv) {
+                        createAiMessageDiv();
+                    }
+                    let panel = aiMessageDiv.querySelector('.message-reasoning');
+                    if (!panel) {
+                        panel = this.createReasoningPanel();
+                        panel.open = true;
+                        aiMessageDiv.querySelector('.message-content').prepend(panel);
                     }
-                } catch (e) {
-                    console.error('[Chat] Error parsing stream data:', e);
+                    aiReasoning += data.reasoning;
+                    panel.querySelector('.message-reasoning-text').textContent = aiReasoning;
+                    document.getElementById('chatMessages').scrollTop =
+                        document.getElementById('chatMessages').scrollHeight;
+                    return;
                 }
-            };
 
-            eventSource.onerror = (error) => {
-                console.error('[Chat] Stream error:', error);
-                eventSource.close();
-                this.currentEventSource = null;
-                this.hideTypingIndicator();
-                document.getElementById('sendBtn').disabled = false;
-                document.getElementById('stopBtn').disabled = true;
+                // Handle content chunks
+                if (data.content) {
+                    if (!aiMessageDiv) {
+                        createAiMessageDiv();
+                    } else if (!aiResponse && aiMessageDiv.querySelector('.message-reasoning')) {
+                        // Fold the reasoning away once the answer starts
+                        aiMessageDiv.querySelector('.message-reasoning').open = false;
+                    }
+                    aiResponse += data.content;
 
-                if (!aiResponse) {
-                    alert('Failed to get response. Please try again.');
+                    // Render markdown for the streaming response
+                    const textDiv = aiMessageDiv.querySelector('.message-text');
+                    if (window.marked && window.DOMPurify) {
+                        const parsedMarkdown = marked.parse(aiResponse);
+                        textDiv.innerHTML = DOMPurify.sanitize(parsedMarkdown, this.purifyOptions);
+                    } else {
+                        textDiv.textContent = aiResponse;
+                    }
+
+                    // Scroll to bottom
+                    document.getElementById('chatMessages').scrollTop =
+                        document.getElementById('chatMessages').scrollHeight;
                 }
-            };
+            } catch (e) {
+                console.error('[Chat] Error parsing stream data:', e);
+            }
+        };
 
-        } catch (error) {
-            console.error('[Chat] Error sending message:', error);
+        const handleStreamError = (error) => {
+            console.error('[Chat] Stream error:', error);
+
+            // The browser reconnects by itself, sending Last-Event-ID so the server resumes the answer
+            if (eventSource.readyState === EventSource.CONNECTING) {
+                return;
+            }
+
+            // If it gave up (e.g. the app was in the background), reopen the stream after the last event
+            const closedSource = eventSource;
+            eventSource.close();
+            if (lastEventId && resumeAttempts < 3) {
+                resumeAttempts++;
+                setTimeout(() => {
+                    if (this.currentEventSource === closedSource) {
+                        openStream();
+                    }
+                }, resumeAttempts * 1000);
+                return;
+            }
+
+            this.currentEventSource = null;
             this.hideTypingIndicator();
-            alert('Failed to send message. Please try again.');
             document.getElementById('sendBtn').disabled = false;
             document.getElementById('stopBtn').disabled = true;
+
+            if (!aiResponse) {
+                alert('Failed to get response. Please try again.');
+            }
+        };
+
+        const openStream = () => {
+            const url = lastEventId ? `${streamUrl}&lastEventId=${encodeURIComponent(lastEventId)}` : streamUrl;
+            if (lastEventId) {
+                console.log('[Chat] Resuming stream after event:', lastEventId);
+            }
+            this.streamingViaSocket = false;
+            eventSource = new EventSource(url, { withCredentials: true });
+            this.currentEventSource = eventSource; // Store reference for stop button
+            eventSource.onopen = () => {
+                console.log('[Chat] Stream connection opened');
+            };
+            eventSource.onmessage = handleStreamEvent;
+            eventSource.onerror = handleStreamError;
+        };
+
+        if (!viaSocket) {
+            openStream();
+            return;
         }
+
+        // Over the WebSocket, events are handled as SSE events; if it drops, the rest of the answer comes over SSE
+        const subscription = this.chatSocket.subscribe(this.currentConversationId, (message) => {
+            if (message.type === 'event') {
+                handleStreamEvent({ data: JSON.stringify(message.data), lastEventId: message.id || '' });
+            } else if (message.type === 'closed' && this.currentEventSource === subscription) {
+                console.warn('[Chat] WebSocket closed mid-answer, resuming over SSE');
+                openStream();
+            }
+        });
+        eventSource = subscription;
+        this.currentEventSource = subscription;
     }
 
     async saveConversation() {
@@ -1455,9 +2672,27 @@ class MobileChatClient {
         });
     }
 
-    stopGeneration() {
-        // Close EventSource if it exists
+    async stopGeneration() {
+        document.getElementById('stopBtn').disabled = true;
+
+        // Ask the server to stop generating; the stream then ends with the partial answer. Closing the
+        // stream stops generation too, so that is the fallback when the server can't stop it directly.
+        let stopped = false;
         if (this.currentEventSource) {
+            try {
+                if (this.streamingViaSocket) {
+                    stopped = (await this.chatSocket.request('stop', { conversationId: this.currentConversationId })).stopped;
+                } else {
+                    const response = await this.apiClient.post('/api/chat/stop', { conversationId: this.currentConversationId });
+                    stopped = response.ok && (await response.json()).stopped;
+                }
+            } catch (error) {
+                console.error('[Chat] Failed to stop generation:', error);
+            }
+        }
+
+        // Close EventSource if it exists
+        if (!stopped && this.currentEventSource) {
             this.currentEventSource.close();
             this.currentEventSource = null;
             console.log('[Chat] Generation stopped by user');
@@ -1465,7 +2700,6 @@ class MobileChatClient {
 
         // Re-enable send button and hide typing indicator
         document.getElementById('sendBtn').disabled = false;
-        document.getElementById('stopBtn').disabled = true;
         this.hideTypingIndicator();
     }
 
@@ -1487,6 +2721,10 @@ class MobileChatClient {
                 // Reset local state
                 this.currentConversationId = data.new_conversation_id || null;
                 this.messageHistory = [];
+                this.pendingAttachments = [];
+                this.renderPendingAttachments();
+                this.selectModel(this.defaultModelId);
+                this.setReasoningEnabled(false);
 
                 // Clear UI
                 const messagesContainer = document.getElementById('chatMessages');
@@ -1614,6 +2852,10 @@ class MobileChatClient {
                 // Load the conversation
                 this.currentConversationId = conversationId;
                 this.messageHistory = data.chat_history || [];
+                this.summaryBoundary = data.summarized_message_count > 0 ? this.messageHistory[data.summarized_message_count] : null;
+                this.selectModel(data.model_id || this.defaultModelId);
+                this.setAssistant(data.assistant ? data.assistant.id : null, true);
+                this.setReasoningEnabled(Boolean(data.inference_params && data.inference_params.thinkingBudget));
 
                 // Switch to chat view
                 this.switchView('chatView');
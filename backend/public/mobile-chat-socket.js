@@ -0,0 +1,135 @@
+/**
+ * Mobile Chat WebSocket
+ *
+ * The chat over a WebSocket (see backend/controllers/chatSocketController.js):
+ * - Requests (send, regenerate, edit, stop) and their replies on one connection
+ * - The answer's events streamed back on the same connection
+ * - Callers fall back to the HTTP API and SSE when it is unavailable
+ */
+
+class MobileChatSocket {
+  constructor(url) {
+    this.url = url;
+    this.socket = null;
+    this.connecting = null;
+    this.failedAt = 0;
+    this.nextRequestId = 1;
+    this.pending = new Map();      // requestId -> { resolve, reject }
+    this.subscribers = new Map();  // conversationId -> listener
+    this.queued = new Map();       // conversationId -> messages that arrived before anyone subscribed
+    this.connectTimeoutMs = 5000;
+    this.retryAfterMs = 60 * 1000; // After a failed connection, use HTTP for a while
+  }
+
+  /**
+   * Resolve to whether the socket is open, connecting first if needed
+   */
+  connect() {
+    if (!window.WebSocket) return Promise.resolve(false);
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) return Promise.resolve(true);
+    if (this.connecting) return this.connecting;
+    if (Date.now() - this.failedAt < this.retryAfterMs) return Promise.resolve(false);
+
+    this.connecting = new Promise(resolve => {
+      const socket = new WebSocket(this.url);
+      const timer = setTimeout(() => socket.close(), this.connectTimeoutMs);
+
+      socket.onopen = () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        this.connecting = null;
+        resolve(true);
+      };
+      socket.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+      socket.onclose = () => {
+        clearTimeout(timer);
+        if (this.socket !== socket) {
+          console.warn('[ChatSocket] WebSocket unavailable, using HTTP');
+          this.failedAt = Date.now();
+          this.connecting = null;
+          resolve(false);
+          return;
+        }
+        this.socket = null;
+        this.handleClose();
+      };
+    });
+    return this.connecting;
+  }
+
+  /**
+   * Send a request; resolves to the server's reply ('accepted', 'stopped' or 'error')
+   */
+  request(type, body = {}) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('Chat WebSocket is not connected'));
+    }
+    const requestId = String(this.nextRequestId++);
+    if (type !== 'stop' && body.conversationId) {
+      this.queued.delete(body.conversationId);
+    }
+    return new Promise((resolve, reject) => {
+      this.pending.set(requestId, { resolve, reject });
+      this.socket.send(JSON.stringify({ ...body, type, requestId }));
+    });
+  }
+
+  /**
+   * Receive a conversation's events ('event', 'typing', 'usage'), and { type: 'closed' } if the
+   * connection drops. Messages that arrived before subscribing are delivered first, once this returns.
+   */
+  subscribe(conversationId, listener) {
+    const isSubscribed = () => this.subscribers.get(conversationId) === listener;
+    this.subscribers.set(conversationId, listener);
+    setTimeout(() => {
+      const queued = this.queued.get(conversationId) || [];
+      this.queued.delete(conversationId);
+      queued.forEach(message => isSubscribed() && listener(message));
+      if (!this.socket && isSubscribed()) {
+        this.subscribers.delete(conversationId);
+        listener({ type: 'closed' });
+      }
+    }, 0);
+    return {
+      close: () => {
+        if (isSubscribed()) {
+          this.subscribers.delete(conversationId);
+        }
+      }
+    };
+  }
+
+  handleMessage(message) {
+    const request = message.requestId ? this.pending.get(message.requestId) : null;
+    if (request) {
+      this.pending.delete(message.requestId);
+      request.resolve(message);
+      return;
+    }
+    if (!message.conversationId) {
+      console.error('[ChatSocket] Error:', message.error);
+      return;
+    }
+
+    const listener = this.subscribers.get(message.conversationId);
+    if (listener) {
+      listener(message);
+    } else {
+      const queued = this.queued.get(message.conversationId) || [];
+      queued.push(message);
+      this.queued.set(message.conversationId, queued);
+    }
+  }
+
+  handleClose() {
+    console.warn('[ChatSocket] WebSocket closed');
+    this.pending.forEach(request => request.reject(new Error('Chat WebSocket closed')));
+    this.pending.clear();
+    const subscribers = [...this.subscribers.values()];
+    this.subscribers.clear();
+    subscribers.forEach(listener => listener({ type: 'closed' }));
+  }
+}
+
+// Make available globally
+window.MobileChatSocket = MobileChatSocket;
@@ -6,9 +6,18 @@ const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
 const db = require('../models');
+const modelCatalogService = require('../services/modelCatalogService');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const usageService = require('../services/usageService');
+const quotaService = require('../services/quotaService');
+const contentPolicyService = require('../services/contentPolicyService');
+const { getModelProvider } = require('../services/modelCapabilities');
+const config = require('../config');
 const { requireAdmin, requireAdminAPI, logAdminAction, adminErrorHandler } = require('../middleware/adminMiddleware');
+const { requireScope } = require('../middleware/apiTokenAuth');
 
 // Apply admin middleware to all routes
+router.use(requireScope('admin'));
 router.use(requireAdmin);
 router.use(logAdminAction);
 
@@ -39,6 +48,14 @@ router.get('/', async (req, res) => {
       limit: 5,
       attributes: ['id', 'email', 'name', 'createdAt', 'emailVerified', 'isAdmin']
     });
+    
+    // Token usage over the last 30 days (the dashboard still loads if it fails)
+    let usage = null;
+    try {
+      usage = await usageService.getUsageOverview();
+    } catch (usageError) {
+      console.error('Failed to load usage overview:', usageError);
+    }
 
     res.render('admin/dashboard', {
       title: 'Admin Dashboard',
@@ -48,7 +65,8 @@ router.get('/', async (req, res) => {
         verifiedUserCount,
         conversationCount
       },
-      recentUsers
+      recentUsers,
+      usage
     });
   } catch (error) {
     console.error('Admin dashboard error:', error);
@@ -352,10 +370,356 @@ router.delete('/users/:id', requireAdminAPI, async (req, res) => {
   }
 });
 
+// Model management
+router.get('/models', async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+    
+    const allowlist = await db.AllowedModel.findAll({ order: [['model_id', 'ASC']] });
+    const allowedById = new Map(allowlist.map(entry => [entry.model_id, entry]));
+    
+    let catalog = [];
+    let catalogError = null;
+    try {
+      catalog = await modelCatalogService.listBedrockModels(req.query.refresh === '1');
+    } catch (error) {
+      console.error('Model catalog error:', error);
+      catalogError = error.message;
+    }
+    
+    // Keep allowlisted models visible even if Bedrock no longer lists them
+    const catalogIds = new Set(catalog.map(model => model.id));
+    const missingModels = allowlist
+      .filter(entry => !catalogIds.has(entry.model_id))
+      .map(entry => ({
+        id: entry.model_id,
+        name: entry.display_name || entry.model_id,
+        provider: entry.provider || getModelProvider(entry.model_id),
+        inputModalities: []
+      }));
+    
+    const bedrockModels = [...catalog, ...missingModels].map(model => ({
+      ...model,
+      allowed: model.id === config.bedrock.modelId || allowedById.has(model.id),
+      isDefault: allowedById.has(model.id) && allowedById.get(model.id).is_default,
+      isConfigured: model.id === config.bedrock.modelId
+    }));
+    
+    res.render('admin/models', {
+      title: 'Model Management',
+      bedrockModels,
+      configuredModelId: config.bedrock.modelId,
+      hasCustomDefault: allowlist.some(entry => entry.is_default),
+      catalogError
+    });
+  } catch (error) {
+    console.error('Model management error:', error);
+    res.status(500).render('error', {
+      message: 'Failed to load models',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// Add or remove a model from the allowlist
+router.post('/models/toggle', requireAdminAPI, async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+    
+    const { modelId, displayName, provider } = req.body;
+    if (!modelId || typeof modelId !== 'string') {
+      return res.status(400).json({ success: false, message: 'Model ID is required' });
+    }
+    
+    if (modelId === config.bedrock.modelId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The configured default model is always available'
+      });
+    }
+    
+    const existing = await db.AllowedModel.findByPk(modelId);
+    if (existing) {
+      await existing.destroy();
+      return res.json({ success: true, allowed: false, message: `Model ${modelId} removed` });
+    }
+    
+    await db.AllowedModel.create({
+      model_id: modelId,
+      display_name: displayName || null,
+      provider: provider || getModelProvider(modelId)
+    });
+    
+    res.json({ success: true, allowed: true, message: `Model ${modelId} allowed` });
+  } catch (error) {
+    console.error('Toggle model error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update model' });
+  }
+});
+
+// Set the default model for new conversations
+router.post('/models/default', requireAdminAPI, async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+    
+    const { modelId } = req.body;
+    if (!modelId || typeof modelId !== 'string') {
+      return res.status(400).json({ success: false, message: 'Model ID is required' });
+    }
+    
+    // The configured model is the fallback default, so choosing it clears any override
+    if (modelId === config.bedrock.modelId) {
+      await db.AllowedModel.update({ is_default: false }, { where: { is_default: true } });
+      return res.json({ success: true, message: `Default model set to ${modelId}` });
+    }
+    
+    const entry = await db.AllowedModel.findByPk(modelId);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Model must be allowed before it can be the default' });
+    }
+    
+    await db.sequelize.transaction(async (transaction) => {
+      await db.AllowedModel.update({ is_default: false }, { where: { is_default: true }, transaction });
+      entry.is_default = true;
+      await entry.save({ transaction });
+    });
+    
+    res.json({ success: true, message: `Default model set to ${modelId}` });
+  } catch (error) {
+    console.error('Set default model error:', error);
+    res.status(500).json({ success: false, message: 'Failed to set default model' });
+  }
+});
+
+// Knowledge base management
+router.get('/knowledge-base', async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+    
+    const documents = await knowledgeBaseService.listDocuments();
+    
+    res.render('admin/knowledge-base', {
+      title: 'Knowledge Base',
+      documents,
+      knowledgeBase: config.knowledgeBase,
+      documentTypes: config.attachments.documentTypes
+    });
+  } catch (error) {
+    console.error('Knowledge base page error:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load knowledge base',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// Upload a document to the knowledge base (body: { fileName, title, data } with base64 data)
+router.post('/knowledge-base/documents', requireAdminAPI, async (req, res) => {
+  try {
+    const { fileName, title, data } = req.body;
+    if (!fileName || typeof fileName !== 'string' || !data || typeof data !== 'string') {
+      return res.status(400).json({ success: false, message: 'File name and data are required' });
+    }
+    
+    const buffer = Buffer.from(data.replace(/^data:[^;,]*(;[^;,]+)*;base64,/, ''), 'base64');
+    const { document, error } = await knowledgeBaseService.addDocument({
+      buffer,
+      fileName,
+      title: typeof title === 'string' && title.trim() ? title.trim() : null,
+      uploadedBy: req.user.id
+    });
+    
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    
+    res.json({ success: true, documentId: document.id, message: `${fileName} uploaded and is being indexed` });
+  } catch (error) {
+    console.error('Knowledge base upload error:', error);
+    res.status(500).json({ success: false, message: 'Failed to upload document' });
+  }
+});
+
+// Remove a document from the knowledge base
+router.delete('/knowledge-base/documents/:id', requireAdminAPI, async (req, res) => {
+  try {
+    const deleted = await knowledgeBaseService.deleteDocument(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    
+    res.json({ success: true, message: 'Document deleted' });
+  } catch (error) {
+    console.error('Knowledge base delete error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete document' });
+  }
+});
+
+// Usage quotas
+router.get('/quotas', async (req, res) => {
+  try {
+    await db.initializeDatabase();
+    
+    const quotas = await quotaService.listQuotas();
+    const userIds = quotas.filter(quota => quota.scope === 'user').map(quota => Number(quota.scope_value));
+    const users = userIds.length > 0
+      ? await db.User.findAll({ where: { id: userIds }, attributes: ['id', 'email'] })
+      : [];
+    const emailsById = new Map(users.map(user => [String(user.id), user.email]));
+    
+    res.render('admin/quotas', {
+      title: 'Usage Quotas',
+      quotas: quotas.map(quota => ({
+        id: quota.id,
+        scope: quota.scope,
+        target: quota.scope === 'user' ? (emailsById.get(quota.scope_value) || `User ${quota.scope_value}`) : quota.scope_value,
+        period: quota.period,
+        metric: quota.metric,
+        limit: Number(quota.limit_value)
+      })),
+      roles: quotaService.ROLES,
+      periods: quotaService.PERIODS,
+      metrics: quotaService.METRICS,
+      quotasEnabled: config.quotas.enabled
+    });
+  } catch (error) {
+    console.error('Quotas page error:', error);
+    res.status(500).render('error', {
+      message: 'Failed to load quotas',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+router.post('/quotas', requireAdminAPI, async (req, res) => {
+  try {
+    await db.initializeDatabase();
+    
+    const { scope, role, userEmail, period, metric, limit } = req.body;
+    let scopeValue = '';
+    
+    if (scope === 'role') {
+      scopeValue = role;
+    } else if (scope === 'user') {
+      const user = typeof userEmail === 'string' && userEmail.trim()
+        ? await db.User.findOne({ where: { email: userEmail.trim().toLowerCase() } })
+        : null;
+      if (!user) {
+        return res.status(400).json({ success: false, message: 'No user with that email address' });
+      }
+      scopeValue = String(user.id);
+    }
+    
+    const { error } = await quotaService.setQuota({
+      scope,
+      scopeValue,
+      period,
+      metric,
+      limit: typeof limit === 'string' ? Number(limit) : limit
+    }, req.user.id);
+    
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    
+    res.json({ success: true, message: 'Quota saved' });
+  } catch (error) {
+    console.error('Save quota error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save quota' });
+  }
+});
+
+router.delete('/quotas/:id', requireAdminAPI, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid quota ID' });
+    }
+    
+    const deleted = await quotaService.deleteQuota(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Quota not found' });
+    }
+    
+    res.json({ success: true, message: 'Quota deleted' });
+  } catch (error) {
+    console.error('Delete quota error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete quota' });
+  }
+});
+
+// Content moderation: messages and answers the content policy or a guardrail blocked or masked
+router.get('/moderation', async (req, res) => {
+  try {
+    await db.initializeDatabase();
+    
+    const showAll = req.query.status === 'all';
+    const [events, unreviewedCount] = await Promise.all([
+      contentPolicyService.listEvents({ unreviewedOnly: !showAll }),
+      contentPolicyService.countUnreviewed()
+    ]);
+    
+    const userIds = [...new Set(events.flatMap(event => [event.user_id, event.reviewed_by]).filter(Boolean))];
+    const users = userIds.length > 0
+      ? await db.User.findAll({ where: { id: userIds }, attributes: ['id', 'email'] })
+      : [];
+    const emailsById = new Map(users.map(user => [user.id, user.email]));
+    
+    res.render('admin/moderation', {
+      title: 'Content Moderation',
+      events: events.map(event => ({
+        id: event.id,
+        createdAt: event.created_at,
+        user: event.user_id ? (emailsById.get(event.user_id) || `User ${event.user_id}`) : 'Unknown',
+        conversationId: event.conversation_id,
+        stage: event.stage,
+        source: event.source,
+        action: event.action,
+        rules: event.rules || [],
+        excerpt: event.excerpt,
+        reviewedAt: event.reviewed_at,
+        reviewedBy: event.reviewed_by ? (emailsById.get(event.reviewed_by) || `User ${event.reviewed_by}`) : null
+      })),
+      showAll,
+      unreviewedCount,
+      policyEnabled: config.contentPolicy.enabled,
+      guardrailId: config.bedrock.guardrail.identifier
+    });
+  } catch (error) {
+    console.error('Moderation page error:', error);
+    res.status(500).render('error', {
+      message: 'Failed to load moderation events',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+router.post('/moderation/:id/review', requireAdminAPI, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid moderation event ID' });
+    }
+
+    const reviewed = await contentPolicyService.markReviewed(req.params.id, req.user.id);
+    if (!reviewed) {
+      return res.status(404).json({ success: false, message: 'Moderation event not found' });
+    }
+    
+    res.json({ success: true, message: 'Marked as reviewed' });
+  } catch (error) {
+    console.error('Review moderation event error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update moderation event' });
+  }
+});
+
 // Note: Conversation deletion removed for security reasons
 // Conversations are managed automatically by the system
 
 // Apply error handler
 router.use(adminErrorHandler);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -8,6 +8,7 @@ const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const redisClient = require('../services/redisClient');
+const apiTokenService = require('../services/apiTokenService');
 const qrcode = require('qrcode');
 const speakeasy = require('speakeasy');
 const url = require('url');
@@ -1053,6 +1054,62 @@ router.post('/remove-authenticator', async (req, res) => {
   }
 });
 
+// POST /api-tokens - Create a personal API token
+router.post('/api-tokens', async (req, res) => {
+  // Ensure user is authenticated and MFA verified
+  if (!req.isAuthenticated() || !req.session.mfaVerified) {
+    req.session.returnTo = '/account';
+    return res.redirect('/auth/login');
+  }
+
+  try {
+    // A single checked box arrives as a string
+    const scopes = [].concat(req.body.scopes || []);
+    const expiresInDays = req.body.expiresInDays === 'never' ? null : parseInt(req.body.expiresInDays, 10);
+
+    const result = await apiTokenService.createToken(req.user, { name: req.body.name, scopes, expiresInDays });
+    if (result.error) {
+      req.flash('error', result.error);
+      return res.redirect('/account');
+    }
+
+    req.flash('newApiToken', result.token);
+    req.flash('message', `API token "${result.apiToken.name}" created. Copy it now; it won't be shown again.`);
+    res.redirect('/account');
+  } catch (err) {
+    console.error('Error creating API token:', err);
+    req.flash('error', 'An error occurred while creating the API token.');
+    res.redirect('/account');
+  }
+});
+
+// POST /api-tokens/:id/revoke - Revoke a personal API token
+router.post('/api-tokens/:id/revoke', async (req, res) => {
+  // Ensure user is authenticated and MFA verified
+  if (!req.isAuthenticated() || !req.session.mfaVerified) {
+    req.session.returnTo = '/account';
+    return res.redirect('/auth/login');
+  }
+
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid API token ID' });
+  }
+
+  try {
+    const revoked = await apiTokenService.revokeToken(req.user.id, parseInt(req.params.id, 10));
+    if (revoked) {
+      req.flash('message', 'API token revoked.');
+    } else {
+      req.flash('error', 'API token not found.');
+    }
+    res.redirect('/account');
+  } catch (err) {
+    console.error('Error revoking API token:', err);
+    req.flash('error', 'An error occurred while revoking the API token.');
+    res.redirect('/account');
+  }
+});
+
 // GET /setup-authenticator - Setup MFA authenticator
 router.get('/setup-authenticator', async (req, res) => {
   // Ensure user is authenticated
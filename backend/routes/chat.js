@@ -5,8 +5,11 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chatController');
+const assistantController = require('../controllers/assistantController');
+const promptTemplateController = require('../controllers/promptTemplateController');
 const { ensureFullAuth } = require('../middleware/authMiddleware');
 const { mobileAuth } = require('../middleware/mobileAuth');
+const { requireScope } = require('../middleware/apiTokenAuth');
 
 // Add local body-parser middleware for chat routes
 // This is needed because the global body-parser is added after AdminJS setup
@@ -36,23 +39,67 @@ router.get('/chat', ensureFullAuth, async (req, res) => {
 // API routes for chat functionality - support both web auth and mobile API key auth
 
 // Process a chat message (for streaming flow - doesn't generate response, just sets up for streaming)
-router.post('/api/chat/message', mobileAuth({ optional: true }), ensureFullAuth, chatController.processMessage);
+router.post('/api/chat/message', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.processMessage);
 
 // Stream a chat response (accepts both GET and POST)
-router.post('/api/chat/stream', mobileAuth({ optional: true }), ensureFullAuth, chatController.streamResponse);
-router.get('/api/chat/stream', mobileAuth({ optional: true }), ensureFullAuth, chatController.streamResponse);
+router.post('/api/chat/stream', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.streamResponse);
+router.get('/api/chat/stream', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.streamResponse);
+
+// Stop the answer being streamed (the partial answer is kept)
+router.post('/api/chat/stop', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.stopGeneration);
+
+// Regenerate the last answer, keeping the current one as a branch (then connect to the stream as usual)
+router.post('/api/chat/regenerate', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.regenerateResponse);
 
 // Legacy routes for backward compatibility
-router.post('/chat', ensureFullAuth, chatController.processMessage);
-router.get('/stream', mobileAuth({ optional: true }), ensureFullAuth, chatController.streamResponse);
+router.post('/chat', requireScope('chat'), ensureFullAuth, chatController.processMessage);
+router.get('/stream', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.streamResponse);
 
 // Get all conversations (chat history)
-router.get('/conversation_history', mobileAuth({ optional: true }), ensureFullAuth, chatController.getConversations);
+router.get('/conversation_history', mobileAuth({ optional: true }), requireScope('read-history'), ensureFullAuth, chatController.getConversations);
 
 // Get a specific conversation by ID
-router.get('/get_conversation/:conversationId', mobileAuth({ optional: true }), ensureFullAuth, chatController.getConversation);
+router.get('/get_conversation/:conversationId', mobileAuth({ optional: true }), requireScope('read-history'), ensureFullAuth, chatController.getConversation);
+
+// List the models available for conversations
+router.get('/api/models', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.listModels);
+
+// Get or update the user's default inference settings (temperature, topP, topK, maxTokens, stopSequences, thinkingBudget)
+router.get('/api/chat/settings', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.getInferenceSettings);
+router.put('/api/chat/settings', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.updateInferenceSettings);
+
+// List the files attached to a conversation
+router.get('/api/conversations/:conversationId/attachments', mobileAuth({ optional: true }), requireScope('read-history'), ensureFullAuth, chatController.listAttachments);
+
+// Edit an earlier message, keeping the original as a branch (then connect to the stream as usual)
+router.put('/api/conversations/:conversationId/messages/:messageId', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.editMessage);
+
+// Switch between the branches of a conversation (regenerated answers, edited messages)
+router.put('/api/conversations/:conversationId/branches/:branchId', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.selectBranch);
+
+// Get a file attached to one of the user's messages
+router.get('/api/attachments/:id', mobileAuth({ optional: true }), requireScope('read-history'), ensureFullAuth, chatController.getAttachment);
+
+// Saved assistants: list the ones the user can pick, and manage their own (admins also the organization's)
+router.get('/api/assistants', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, assistantController.listAssistants);
+router.post('/api/assistants', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, assistantController.createAssistant);
+router.put('/api/assistants/:id', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, assistantController.updateAssistant);
+router.delete('/api/assistants/:id', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, assistantController.deleteAssistant);
+
+// Add or remove an assistant's knowledge files (body: { fileName, title, data } with base64 data)
+router.post('/api/assistants/:id/files', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, assistantController.uploadFile);
+router.delete('/api/assistants/:id/files/:documentId', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, assistantController.deleteFile);
+
+// Prompt library: the user's saved prompts and those shared with everyone
+router.get('/api/prompt-templates', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, promptTemplateController.listTemplates);
+router.post('/api/prompt-templates', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, promptTemplateController.createTemplate);
+router.put('/api/prompt-templates/:id', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, promptTemplateController.updateTemplate);
+router.delete('/api/prompt-templates/:id', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, promptTemplateController.deleteTemplate);
+
+// Fill in a saved prompt's {{variables}} for the message input (counts as a use)
+router.post('/api/prompt-templates/:id/use', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, promptTemplateController.useTemplate);
 
 // Reset/clear the current conversation
-router.post('/reset', mobileAuth({ optional: true }), ensureFullAuth, chatController.resetConversation);
+router.post('/reset', mobileAuth({ optional: true }), requireScope('chat'), ensureFullAuth, chatController.resetConversation);
 
 module.exports = router;
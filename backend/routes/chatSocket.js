@@ -0,0 +1,134 @@
+/**
+ * Chat WebSocket Route
+ * Accepts WebSocket connections on config.chat.webSocket.path and hands them to chatSocketController.
+ * Connections are signed in the same way as the HTTP API: with the session cookie (MFA rules included)
+ * or with a personal API token that has the chat scope.
+ */
+const http = require('http');
+const passport = require('passport');
+const { WebSocketServer } = require('ws');
+const config = require('../config');
+const apiTokenService = require('../services/apiTokenService');
+const chatSocketController = require('../controllers/chatSocketController');
+
+/**
+ * Run an Express middleware outside of Express
+ * @returns {Promise<boolean>} - Whether the middleware called next()
+ */
+function runMiddleware(middleware, req, res) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    Promise.resolve(middleware(req, res, (error) => {
+      settled = true;
+      return error ? reject(error) : resolve(true);
+    })).then(() => {
+      if (!settled) resolve(false);
+    }, reject);
+  });
+}
+
+/**
+ * Find the user opening a connection
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {Function} sessionMiddleware - The app's express-session middleware
+ * @returns {Promise<Object|null>} - User, or null if the request may not use the chat
+ */
+async function authenticateUpgrade(req, sessionMiddleware) {
+  const token = apiTokenService.getBearerToken(req);
+  if (token) {
+    const apiToken = await apiTokenService.authenticate(token);
+    return apiToken && apiToken.scopes.includes('chat') ? apiToken.User : null;
+  }
+
+  // Load the session and its user as the app does for HTTP requests
+  const res = new http.ServerResponse(req);
+  for (const middleware of [sessionMiddleware, passport.initialize(), passport.session()]) {
+    if (!(await runMiddleware(middleware, req, res))) return null;
+  }
+  if (!req.user) return null;
+
+  // Same MFA rules as ensureFullAuth: OAuth logins skip MFA, otherwise users who enabled it must have verified it
+  const isOAuthLogin = req.session.loginMethod === 'oauth' ||
+                      (!req.session.loginMethod && req.user.googleId && req.user.googleId.trim() !== '');
+  if (!isOAuthLogin && req.user.mfaEnabled && !req.session.mfaVerified) {
+    return null;
+  }
+  return req.user;
+}
+
+/**
+ * Refuse an upgrade request with an HTTP status
+ */
+function refuseUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Serve the chat WebSocket on an HTTP server
+ * @param {http.Server} server - The app's server
+ * @param {Object} options - { sessionMiddleware, checkOrigin } (checkOrigin is the CORS origin callback)
+ * @returns {WebSocketServer|null} - null when the WebSocket is turned off
+ */
+function attachChatSocket(server, { sessionMiddleware, checkOrigin }) {
+  const { enabled, path, maxPayloadBytes, heartbeatSeconds } = config.chat.webSocket;
+  if (!enabled) {
+    console.log('[CHAT_SOCKET] WebSocket chat is turned off');
+    return null;
+  }
+
+  const wss = new WebSocketServer({ noServer: true, maxPayload: maxPayloadBytes });
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== path) {
+      return socket.destroy();
+    }
+
+    try {
+      // Browsers send cookies with cross-site WebSocket requests, so the origin is checked as for CORS
+      const originAllowed = await new Promise(resolve => {
+        checkOrigin(req.headers.origin, (error, allowed) => resolve(!error && allowed));
+      });
+      if (!originAllowed) {
+        return refuseUpgrade(socket, 403);
+      }
+
+      const user = await authenticateUpgrade(req, sessionMiddleware);
+      if (!user) {
+        return refuseUpgrade(socket, 401);
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.isAlive = true;
+        ws.on('pong', () => { ws.isAlive = true; });
+        chatSocketController.handleConnection(ws, user);
+      });
+    } catch (error) {
+      console.error('[CHAT_SOCKET] Error accepting connection:', error);
+      refuseUpgrade(socket, 500);
+    }
+  });
+
+  // Drop connections that stopped answering pings (e.g. a laptop that went to sleep)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        return ws.terminate();
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, heartbeatSeconds * 1000);
+  // The pings alone shouldn't keep the process running
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+  // With noServer the WebSocket server isn't closed with the HTTP server, so close it (and the heartbeat) here
+  server.on('close', () => wss.close());
+
+  console.log(`[CHAT_SOCKET] WebSocket chat listening on ${path}`);
+  return wss;
+}
+
+module.exports = {
+  attachChatSocket
+};
@@ -0,0 +1,34 @@
+/**
+ * OpenAI-Compatible API Routes
+ * /v1/chat/completions and /v1/models for tools that speak the OpenAI API (see openaiController)
+ */
+const express = require('express');
+const router = express.Router();
+const openaiController = require('../controllers/openaiController');
+const { ensureFullAuth } = require('../middleware/authMiddleware');
+const { mobileAuth } = require('../middleware/mobileAuth');
+const { requireScope } = require('../middleware/apiTokenAuth');
+const { toError } = require('../services/openaiCompat');
+const config = require('../config');
+
+// Requests carry the whole conversation, so they get the chat's body limit
+router.use(express.json({ limit: config.attachments.maxRequestBodySize }));
+
+/**
+ * Require a signed-in user, answering in the OpenAI error format instead of redirecting to the login page
+ */
+function ensureApiAuth(req, res, next) {
+  if (req.isJWTAuthenticated || (req.isAuthenticated && req.isAuthenticated())) {
+    // Same MFA rules as the rest of the API
+    return ensureFullAuth(req, res, next);
+  }
+  return res.status(401).json(toError('Authentication required', 'invalid_request_error', 'invalid_api_key'));
+}
+
+// List the models that can be used
+router.get('/models', mobileAuth({ optional: true }), requireScope('chat'), ensureApiAuth, openaiController.listModels);
+
+// Create a chat completion (streamed when `stream` is true)
+router.post('/chat/completions', mobileAuth({ optional: true }), requireScope('chat'), ensureApiAuth, openaiController.createChatCompletion);
+
+module.exports = router;
@@ -17,6 +17,11 @@ console.log('==================================================');
 // Import database and Redis services
 const { initializeDatabase } = require('./models');
 const redisClient = require('./services/redisClient');
+const usageService = require('./services/usageService');
+const apiTokenService = require('./services/apiTokenService');
+const assistantService = require('./services/assistantService');
+const modelCatalogService = require('./services/modelCatalogService');
+const { apiTokenAuth } = require('./middleware/apiTokenAuth');
 const { configureSession } = require('./config/sessionStore');
 
 // Import route modules
@@ -24,8 +29,10 @@ const apiRoutes = require('./routes/api');
 const chatRoutes = require('./routes/chat');
 const authRoutes = require('./routes/auth');
 const mobileAuthRoutes = require('./routes/mobileAuth');
+const openaiRoutes = require('./routes/openai');
 const adminRoutes = require('./routes/admin');
 const adminPanelRoutes = require('./routes/admin-panel');
+const { attachChatSocket } = require('./routes/chatSocket');
 
 const listEndpoints = require('express-list-endpoints');
 
@@ -207,10 +214,10 @@ app.use((err, req, res, next) => {
     
     // Configure session with Redis store - MUST happen before routes
     console.log('SERVER.JS: About to configure session');
-    const sessionConfigured = await configureSession(app, config.session.secret);
+    const sessionMiddleware = await configureSession(app, config.session.secret);
 
     // AdminJS has been removed - using custom admin panel instead
-    if (!sessionConfigured) {
+    if (!sessionMiddleware) {
       console.error('Failed to configure session, application may not function correctly');
       process.exit(1);
     } else {
@@ -381,6 +388,9 @@ app.use((err, req, res, next) => {
     app.use(passport.session());
     app.use(flash());
 
+    // Personal API tokens sent as `Authorization: Bearer` (routes accept them with requireScope)
+    app.use(apiTokenAuth);
+
     // Debug logging for authentication and MFA status
     app.use((req, res, next) => {
       console.log(`${req.method} ${req.path} | Auth: ${req.isAuthenticated ? req.isAuthenticated() : false} | MFA: ${req.session?.mfaVerified || false} | Session ID: ${req.session?.id || 'none'}`);
@@ -416,6 +426,7 @@ app.use((err, req, res, next) => {
         '/api', // allow API info endpoints
         '/api/health', // allow API health endpoint
         '/admin-panel',     // custom admin panel
+        '/v1',              // OpenAI-compatible API (answers 401 in the OpenAI format itself)
       ];
 
       // Check if the current path starts with any public path
@@ -427,6 +438,11 @@ app.use((err, req, res, next) => {
         return next();
       }
 
+      // Requests with an API token are signed in by the route, if it accepts tokens
+      if (req.apiToken) {
+        return next();
+      }
+
       // Check authentication for non-public paths
       if (!req.isAuthenticated || !req.isAuthenticated()) {
         // If AJAX request, return 401
@@ -493,6 +509,11 @@ app.use((err, req, res, next) => {
       next();
     });
     
+    // Chat messages and knowledge base (and assistant) uploads carry base64-encoded files, so they need a larger body limit
+    // than the default parsers below (registered first so those parsers skip the body)
+    app.use(['/api/chat/message', '/chat'], express.json({ limit: config.attachments.maxRequestBodySize }));
+    app.use(['/admin-panel/knowledge-base/documents', '/api/assistants'], express.json({ limit: config.knowledgeBase.maxRequestBodySize }));
+
     // Now that session is configured, set up routes
     app.use('/api', apiRoutes);
 
@@ -502,8 +523,11 @@ app.use((err, req, res, next) => {
     // Mobile Auth Routes - for mobile app authentication
     app.use('/mobile/auth', mobileAuthRoutes);
 
+    // OpenAI-compatible API - /v1/chat/completions and /v1/models
+    app.use('/v1', openaiRoutes);
+
     // Account page route - needs to be at root level
-    app.get('/account', (req, res) => {
+    app.get('/account', async (req, res) => {
       // Ensure user is authenticated and MFA verified
       if (!req.isAuthenticated() || !req.session.mfaVerified) {
         req.session.returnTo = '/account';
@@ -513,9 +537,44 @@ app.use((err, req, res, next) => {
       // Get current user
       const user = req.user;
 
+      // Token usage is informational, so the page still renders if it can't be loaded
+      let usage = null;
+      try {
+        usage = await usageService.getUserUsageSummary(user.id);
+      } catch (error) {
+        console.error(`Failed to load usage for user ${user.id}: ${error.message}`);
+      }
+
+      let apiTokens = null;
+      try {
+        apiTokens = await apiTokenService.listTokens(user.id);
+      } catch (error) {
+        console.error(`Failed to load API tokens for user ${user.id}: ${error.message}`);
+      }
+
+      // Only the assistants the user can change are managed here
+      let assistants = null;
+      let assistantModels = [];
+      try {
+        assistants = (await assistantService.listAssistants(user)).filter(assistant => assistant.editable);
+        assistantModels = (await modelCatalogService.getAvailableModels()).models;
+      } catch (error) {
+        console.error(`Failed to load assistants for user ${user.id}: ${error.message}`);
+      }
+
       // Render account settings page
       res.render('account', {
         user: user,
+        usage: usage,
+        apiTokens: apiTokens,
+        apiTokenScopes: apiTokenService.SCOPES,
+        apiTokenExpiryDays: apiTokenService.EXPIRY_DAYS,
+        // A new token is shown once, right after it is created
+        newApiToken: req.flash('newApiToken')[0] || null,
+        assistants: assistants,
+        assistantModels: assistantModels,
+        assistantLimits: config.assistants,
+        knowledgeBaseEnabled: config.knowledgeBase.enabled,
         title: 'Account Settings',
         error: req.flash('error'),
         message: req.flash('message'),
@@ -549,9 +608,12 @@ app.use((err, req, res, next) => {
     // Log all registered endpoints for verification
     console.log('🚀 Endpoints:\n', listEndpoints(app));
     
-    app.listen(PORT, HOST, () => {
+    const server = app.listen(PORT, HOST, () => {
       console.log(`Server running on http://${HOST}:${PORT}`);
     });
+
+    // Chat over a WebSocket, next to the SSE stream
+    attachChatSocket(server, { sessionMiddleware, checkOrigin: corsOptions.origin });
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
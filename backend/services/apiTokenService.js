@@ -0,0 +1,174 @@
+/**
+ * API Token Service
+ * Personal access tokens that let scripts call the API as a user, sent as `Authorization: Bearer <token>`.
+ * Tokens are random, so a SHA-256 hash is enough to store them; each carries scopes limiting what it
+ * can do ('chat', 'read-history', 'admin') and can expire or be revoked from the account page.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const config = require('../config');
+const models = require('../models');
+
+const SCOPES = ['chat', 'read-history', 'admin'];
+const EXPIRY_DAYS = [7, 30, 90, 365];
+
+// Tokens start with this, so they are easy to spot (e.g. by secret scanners)
+const TOKEN_PREFIX = 'bex_';
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 8;
+
+/**
+ * Ensure the database is initialized and return the models
+ * @returns {Promise<Object>} - db models
+ */
+async function getModels() {
+  if (process.env.NODE_ENV === 'production') {
+    await models.initializeDatabase();
+  }
+  return models;
+}
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token as sent by the client
+ * @returns {string} - Hex SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Get the bearer token sent with a request
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Token, or null if there is none
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether a token is neither revoked nor expired
+ * @param {Object} apiToken - ApiToken instance
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+function isActive(apiToken, now = new Date()) {
+  return !apiToken.revoked_at && (!apiToken.expires_at || apiToken.expires_at > now);
+}
+
+/**
+ * Create a token for a user
+ * @param {Object} user - User instance
+ * @param {Object} options - { name, scopes, expiresInDays } (expiresInDays is one of EXPIRY_DAYS, or null for no expiry)
+ * @returns {Promise<Object>} - { apiToken, token } (the token itself is only available now) or { error }
+ */
+async function createToken(user, { name, scopes, expiresInDays }) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > 100) {
+    return { error: 'Give the token a name of at most 100 characters' };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+    return { error: `Choose at least one scope: ${SCOPES.join(', ')}` };
+  }
+  if (scopes.includes('admin') && !user.isAdmin) {
+    return { error: 'Only admins can create tokens with the admin scope' };
+  }
+  if (expiresInDays !== null && !EXPIRY_DAYS.includes(expiresInDays)) {
+    return { error: `Expiry must be one of ${EXPIRY_DAYS.join(', ')} days, or never` };
+  }
+
+  const { ApiToken } = await getModels();
+  const active = await ApiToken.count({
+    where: {
+      user_id: user.id,
+      revoked_at: null,
+      [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }]
+    }
+  });
+  if (active >= config.apiTokens.maxPerUser) {
+    return { error: `You can have at most ${config.apiTokens.maxPerUser} active tokens. Revoke one to create another.` };
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const apiToken = await ApiToken.create({
+    user_id: user.id,
+    name: trimmedName,
+    token_prefix: token.substring(0, DISPLAY_PREFIX_LENGTH),
+    token_hash: hashToken(token),
+    scopes: [...new Set(scopes)],
+    expires_at: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+  });
+
+  console.log(`[API_TOKEN] User ${user.id} created token ${apiToken.id} (${apiToken.scopes.join(', ')})`);
+  return { apiToken, token };
+}
+
+/**
+ * List a user's tokens, newest first
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} - Tokens as plain objects with an `active` flag (hashes are left out)
+ */
+async function listTokens(userId) {
+  const { ApiToken } = await getModels();
+  const apiTokens = await ApiToken.findAll({
+    where: { user_id: userId },
+    attributes: { exclude: ['token_hash'] },
+    order: [['created_at', 'DESC']]
+  });
+  const now = new Date();
+  return apiTokens.map(apiToken => ({ ...apiToken.get({ plain: true }), active: isActive(apiToken, now) }));
+}
+
+/**
+ * Revoke one of a user's tokens
+ * @param {number} userId - User ID
+ * @param {number} id - Token ID
+ * @returns {Promise<boolean>} - Whether the user had an unrevoked token with this ID
+ */
+async function revokeToken(userId, id) {
+  const { ApiToken } = await getModels();
+  const [updated] = await ApiToken.update(
+    { revoked_at: new Date() },
+    { where: { id, user_id: userId, revoked_at: null } }
+  );
+  if (updated > 0) {
+    console.log(`[API_TOKEN] User ${userId} revoked token ${id}`);
+  }
+  return updated > 0;
+}
+
+/**
+ * Look up the token sent by a client and record its use
+ * @param {string} token - Token as sent by the client
+ * @returns {Promise<Object|null>} - Active ApiToken instance with its User, or null
+ */
+async function authenticate(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+  const { ApiToken, User } = await getModels();
+  const apiToken = await ApiToken.findOne({
+    where: { token_hash: hashToken(token) },
+    include: [{ model: User }]
+  });
+  if (!apiToken || !apiToken.User || !isActive(apiToken)) return null;
+
+  // Last use only needs to be roughly right, so it isn't written on every request
+  const now = new Date();
+  if (!apiToken.last_used_at || now - apiToken.last_used_at > config.apiTokens.lastUsedIntervalSeconds * 1000) {
+    apiToken.update({ last_used_at: now }).catch(error => {
+      console.error(`[API_TOKEN] Failed to record use of token ${apiToken.id}: ${error.message}`);
+    });
+  }
+  return apiToken;
+}
+
+module.exports = {
+  SCOPES,
+  EXPIRY_DAYS,
+  getBearerToken,
+  createToken,
+  listTokens,
+  revokeToken,
+  authenticate
+};
@@ -0,0 +1,311 @@
+/**
+ * Assistant Service
+ * Saved assistants ("personas"): a system prompt with its own default model, inference settings, starter
+ * prompts and knowledge files. Users make their own; admins also make organization-wide ones (user_id null)
+ * that everyone can pick. A conversation keeps the assistant it was started with.
+ */
+const { Op } = require('sequelize');
+const config = require('../config');
+const models = require('../models');
+const modelCatalogService = require('./modelCatalogService');
+const knowledgeBaseService = require('./knowledgeBaseService');
+const { validateInferenceParams, mergeInferenceParams } = require('./inferenceParams');
+
+/**
+ * Ensure the database is initialized and return the models
+ * @returns {Promise<Object>} - db models
+ */
+async function getModels() {
+  if (process.env.NODE_ENV === 'production') {
+    await models.initializeDatabase();
+  }
+  return models;
+}
+
+/**
+ * Whether a user may change or delete an assistant
+ * @param {Object} user - User instance
+ * @param {Object} assistant - Assistant instance
+ * @returns {boolean}
+ */
+function canManage(user, assistant) {
+  return assistant.user_id === null ? Boolean(user.isAdmin) : assistant.user_id === user.id;
+}
+
+/**
+ * Describe an assistant for clients
+ * The system prompt of an organization-wide assistant is only shown to the admins who can change it.
+ * @param {Object} assistant - Assistant instance (with its KnowledgeDocuments, if loaded)
+ * @param {Object} user - User the description is for
+ * @returns {Object}
+ */
+function toJSON(assistant, user) {
+  const editable = canManage(user, assistant);
+  return {
+    id: assistant.id,
+    name: assistant.name,
+    description: assistant.description,
+    scope: assistant.user_id === null ? 'organization' : 'personal',
+    editable,
+    systemPrompt: editable ? assistant.system_prompt : undefined,
+    modelId: assistant.model_id,
+    inferenceParams: assistant.inference_params || {},
+    starterPrompts: assistant.starter_prompts || [],
+    files: (assistant.KnowledgeDocuments || []).map(document => ({
+      id: document.id,
+      title: document.title,
+      fileName: document.file_name,
+      status: document.status,
+      error: document.error_message
+    }))
+  };
+}
+
+/**
+ * Validate the fields of an assistant being created or changed
+ * @param {Object} fields - { name, description, systemPrompt, modelId, inferenceParams, starterPrompts }
+ * @param {boolean} partial - Only check the fields that are present (for updates)
+ * @returns {Promise<Object>} - { values } with the column values to save, or { error }
+ */
+async function validateFields(fields, partial = false) {
+  const values = {};
+  const { maxSystemPromptLength, maxStarterPrompts } = config.assistants;
+  const has = key => !partial || fields[key] !== undefined;
+
+  if (has('name')) {
+    const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+    if (!name || name.length > 100) {
+      return { error: 'Give the assistant a name of at most 100 characters' };
+    }
+    values.name = name;
+  }
+
+  if (has('description')) {
+    if (fields.description !== undefined && fields.description !== null && typeof fields.description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    const description = (fields.description || '').trim();
+    if (description.length > 500) {
+      return { error: 'The description can be at most 500 characters' };
+    }
+    values.description = description || null;
+  }
+
+  if (has('systemPrompt')) {
+    const systemPrompt = typeof fields.systemPrompt === 'string' ? fields.systemPrompt.trim() : '';
+    if (!systemPrompt || systemPrompt.length > maxSystemPromptLength) {
+      return { error: `The system prompt is required and can be at most ${maxSystemPromptLength} characters` };
+    }
+    values.system_prompt = systemPrompt;
+  }
+
+  if (has('modelId')) {
+    if (fields.modelId) {
+      if (typeof fields.modelId !== 'string' || !(await modelCatalogService.isModelAllowed(fields.modelId))) {
+        return { error: 'Selected model is not available' };
+      }
+    }
+    values.model_id = fields.modelId || null;
+  }
+
+  if (has('inferenceParams')) {
+    const { params, errors } = validateInferenceParams(fields.inferenceParams);
+    if (errors.length > 0) {
+      return { error: errors.join('; ') };
+    }
+    // Merged into the saved settings by the caller (a null value clears a setting)
+    values.inference_params = params;
+  }
+
+  if (has('starterPrompts')) {
+    const starterPrompts = fields.starterPrompts === undefined || fields.starterPrompts === null ? [] : fields.starterPrompts;
+    if (!Array.isArray(starterPrompts) || starterPrompts.some(prompt => typeof prompt !== 'string')) {
+      return { error: 'starterPrompts must be a list of strings' };
+    }
+    const trimmed = starterPrompts.map(prompt => prompt.trim()).filter(Boolean);
+    if (trimmed.length > maxStarterPrompts || trimmed.some(prompt => prompt.length > 500)) {
+      return { error: `Add at most ${maxStarterPrompts} starter prompts of at most 500 characters` };
+    }
+    values.starter_prompts = trimmed;
+  }
+
+  return { values };
+}
+
+/**
+ * List the assistants a user can pick: organization-wide ones, then their own
+ * @param {Object} user - User instance
+ * @returns {Promise<Array>} - Assistants described for the user (see toJSON)
+ */
+async function listAssistants(user) {
+  const { Assistant, KnowledgeDocument } = await getModels();
+  const assistants = await Assistant.findAll({
+    where: { [Op.or]: [{ user_id: null }, { user_id: user.id }] },
+    include: [{ model: KnowledgeDocument, attributes: ['id', 'title', 'file_name', 'status', 'error_message'] }],
+    order: [['user_id', 'ASC NULLS FIRST'], ['name', 'ASC']]
+  });
+  return assistants.map(assistant => toJSON(assistant, user));
+}
+
+/**
+ * Get an assistant the user can pick
+ * @param {string} id - Assistant ID
+ * @param {Object} user - User instance
+ * @returns {Promise<Object|null>} - Assistant instance, or null if it doesn't exist or is someone else's
+ */
+async function getAssistant(id, user) {
+  if (typeof id !== 'string' || !/^[0-9a-f-]{36}$/i.test(id)) return null;
+
+  const { Assistant } = await getModels();
+  const assistant = await Assistant.findByPk(id);
+  if (!assistant || (assistant.user_id !== null && assistant.user_id !== user.id)) {
+    return null;
+  }
+  return assistant;
+}
+
+/**
+ * Create an assistant
+ * @param {Object} user - User instance
+ * @param {Object} fields - See validateFields, plus `organization` (admins only) to share it with everyone
+ * @returns {Promise<Object>} - { assistant } or { error }
+ */
+async function createAssistant(user, fields) {
+  const organization = Boolean(fields.organization);
+  if (organization && !user.isAdmin) {
+    return { error: 'Only admins can create assistants for the whole organization' };
+  }
+
+  const { values, error } = await validateFields(fields);
+  if (error) {
+    return { error };
+  }
+
+  const { Assistant } = await getModels();
+  if (!organization) {
+    const count = await Assistant.count({ where: { user_id: user.id } });
+    if (count >= config.assistants.maxPerUser) {
+      return { error: `You can have at most ${config.assistants.maxPerUser} assistants. Delete one to create another.` };
+    }
+  }
+
+  const assistant = await Assistant.create({
+    ...values,
+    inference_params: mergeInferenceParams({}, values.inference_params),
+    user_id: organization ? null : user.id,
+    created_by: user.id
+  });
+  console.log(`[ASSISTANTS] User ${user.id} created ${organization ? 'organization' : 'personal'} assistant ${assistant.id}`);
+  return { assistant };
+}
+
+/**
+ * Change an assistant
+ * Conversations already started with it keep the system prompt they started with.
+ * @param {Object} user - User instance
+ * @param {string} id - Assistant ID
+ * @param {Object} fields - Fields to change (see validateFields)
+ * @returns {Promise<Object>} - { assistant }, { error } or { notFound: true }
+ */
+async function updateAssistant(user, id, fields) {
+  const assistant = await getAssistant(id, user);
+  if (!assistant || !canManage(user, assistant)) {
+    return { notFound: true };
+  }
+
+  const { values, error } = await validateFields(fields, true);
+  if (error) {
+    return { error };
+  }
+
+  if (values.inference_params) {
+    values.inference_params = mergeInferenceParams(assistant.inference_params, values.inference_params);
+  }
+  await assistant.update(values);
+  console.log(`[ASSISTANTS] User ${user.id} updated assistant ${assistant.id}`);
+  return { assistant };
+}
+
+/**
+ * Delete an assistant and its knowledge files
+ * @param {Object} user - User instance
+ * @param {string} id - Assistant ID
+ * @returns {Promise<boolean>} - Whether the user had an assistant with this ID they could delete
+ */
+async function deleteAssistant(user, id) {
+  const assistant = await getAssistant(id, user);
+  if (!assistant || !canManage(user, assistant)) {
+    return false;
+  }
+
+  // Knowledge files are removed by ON DELETE CASCADE; conversations keep their history
+  await assistant.destroy();
+  console.log(`[ASSISTANTS] User ${user.id} deleted assistant ${id}`);
+  return true;
+}
+
+/**
+ * Add a knowledge file to an assistant (indexed like knowledge base documents)
+ * @param {Object} user - User instance
+ * @param {string} id - Assistant ID
+ * @param {Object} upload - { buffer, fileName, title }
+ * @returns {Promise<Object>} - { document }, { error } or { notFound: true }
+ */
+async function addFile(user, id, { buffer, fileName, title }) {
+  const assistant = await getAssistant(id, user);
+  if (!assistant || !canManage(user, assistant)) {
+    return { notFound: true };
+  }
+  if (!config.knowledgeBase.enabled) {
+    return { error: 'Knowledge files are not available because the knowledge base is turned off' };
+  }
+
+  const { KnowledgeDocument } = await getModels();
+  const count = await KnowledgeDocument.count({ where: { assistant_id: assistant.id } });
+  if (count >= config.assistants.maxFiles) {
+    return { error: `An assistant can have at most ${config.assistants.maxFiles} knowledge files` };
+  }
+
+  return knowledgeBaseService.addDocument({ buffer, fileName, title, uploadedBy: user.id, assistantId: assistant.id });
+}
+
+/**
+ * Remove a knowledge file from an assistant
+ * @param {Object} user - User instance
+ * @param {string} id - Assistant ID
+ * @param {string} documentId - KnowledgeDocument ID
+ * @returns {Promise<boolean>} - Whether the assistant had this file and the user could remove it
+ */
+async function removeFile(user, id, documentId) {
+  const assistant = await getAssistant(id, user);
+  if (!assistant || !canManage(user, assistant)) {
+    return false;
+  }
+
+  const documents = await knowledgeBaseService.listDocuments(assistant.id);
+  if (!documents.some(document => document.id === documentId)) {
+    return false;
+  }
+  return knowledgeBaseService.deleteDocument(documentId);
+}
+
+/**
+ * The system prompt a conversation starts with
+ * @param {Object|null} assistant - The conversation's assistant, if it has one
+ * @returns {string}
+ */
+function getSystemPrompt(assistant) {
+  return assistant ? assistant.system_prompt : config.chat.systemPrompt;
+}
+
+module.exports = {
+  toJSON,
+  listAssistants,
+  getAssistant,
+  createAssistant,
+  updateAssistant,
+  deleteAssistant,
+  addFile,
+  removeFile,
+  getSystemPrompt
+};
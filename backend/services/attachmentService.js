@@ -0,0 +1,299 @@
+/**
+ * Attachment Service
+ * Validates, stores and loads files attached to chat messages
+ */
+const { validate: isUuid } = require('uuid');
+const config = require('../config');
+const models = require('../models');
+const { detectDocumentType, getDocumentMediaType, extractText } = require('./documentService');
+
+// Image types Bedrock accepts, mapped to the Converse image format names
+const IMAGE_FORMATS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Ensure the database is initialized and return the models
+ * @returns {Promise<Object>} - db models
+ */
+async function getModels() {
+  if (process.env.NODE_ENV === 'production') {
+    await models.initializeDatabase();
+  }
+  return models;
+}
+
+/**
+ * Detect an image type from its leading bytes, so the declared type cannot be spoofed
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - Media type, or null if not a supported image
+ */
+function detectImageType(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('ascii'))) {
+    return 'image/gif';
+  }
+  if (buffer.length >= 12 && buffer.subarray(0, 4).toString('ascii') === 'RIFF' &&
+      buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Get the Converse image format for a media type
+ * @param {string} mediaType - e.g. 'image/png'
+ * @returns {string|undefined} - e.g. 'png'
+ */
+function getImageFormat(mediaType) {
+  return IMAGE_FORMATS[mediaType];
+}
+
+/**
+ * Validate files uploaded with a chat message and extract the text of documents
+ * Each upload is { data, name } where data is base64 or a data URL (data:image/png;base64,...).
+ * Images are recognised by their contents; anything else must be a supported document type.
+ * @param {Array} uploads - Uploaded attachments from the request body
+ * @returns {Promise<Object>} - { files: [{ kind, buffer, mediaType, name, text }], errors }
+ */
+async function parseUploads(uploads) {
+  const files = [];
+  const errors = [];
+
+  if (uploads === undefined || uploads === null) {
+    return { files, errors };
+  }
+
+  if (!Array.isArray(uploads)) {
+    return { files, errors: ['Attachments must be an array'] };
+  }
+
+  const { maxImagesPerMessage, maxImageBytes, maxDocumentsPerMessage, maxDocumentBytes } = config.attachments;
+  if (uploads.length > maxImagesPerMessage + maxDocumentsPerMessage) {
+    return { files, errors: [`At most ${maxImagesPerMessage + maxDocumentsPerMessage} files can be attached to a message`] };
+  }
+
+  for (const [index, upload] of uploads.entries()) {
+    const label = (upload && typeof upload.name === 'string' && upload.name) || `Attachment ${index + 1}`;
+    const name = label.substring(0, 255);
+
+    if (!upload || typeof upload.data !== 'string') {
+      errors.push(`${label}: missing file data`);
+      continue;
+    }
+
+    const base64 = upload.data.replace(/^data:[^;,]*(;[^;,]+)*;base64,/, '');
+    const buffer = Buffer.from(base64, 'base64');
+
+    if (buffer.length === 0) {
+      errors.push(`${label}: file is empty or not base64-encoded`);
+      continue;
+    }
+
+    const imageType = detectImageType(buffer);
+    if (imageType) {
+      if (buffer.length > maxImageBytes) {
+        errors.push(`${label}: images must be at most ${(maxImageBytes / (1024 * 1024)).toFixed(2)} MB`);
+        continue;
+      }
+      files.push({ kind: 'image', buffer, mediaType: imageType, name });
+      continue;
+    }
+
+    const documentType = detectDocumentType(buffer, name);
+    if (!documentType) {
+      const documentTypes = config.attachments.documentTypes.map(type => type.toUpperCase()).join(', ');
+      errors.push(`${label}: only PNG, JPEG, GIF and WebP images and ${documentTypes} documents are supported`);
+      continue;
+    }
+    if (buffer.length > maxDocumentBytes) {
+      errors.push(`${label}: documents must be at most ${(maxDocumentBytes / (1024 * 1024)).toFixed(2)} MB`);
+      continue;
+    }
+
+    try {
+      const text = await extractText(buffer, documentType);
+      if (!text) {
+        errors.push(`${label}: no text could be extracted from this document`);
+        continue;
+      }
+      files.push({ kind: 'document', buffer, mediaType: getDocumentMediaType(documentType), name, text });
+    } catch (error) {
+      console.error(`[ATTACHMENTS] Text extraction failed for ${label}: ${error.message}`);
+      errors.push(`${label}: the document could not be read`);
+    }
+  }
+
+  const imageCount = files.filter(file => file.kind === 'image').length;
+  if (imageCount > maxImagesPerMessage) {
+    errors.push(`At most ${maxImagesPerMessage} images can be attached to a message`);
+  }
+  if (files.length - imageCount > maxDocumentsPerMessage) {
+    errors.push(`At most ${maxDocumentsPerMessage} documents can be attached to a message`);
+  }
+
+  return { files, errors };
+}
+
+/**
+ * Store validated attachments
+ * @param {Array} files - From parseUploads
+ * @param {Object} owner - { userId, conversationId }
+ * @returns {Promise<Array>} - References to keep in the chat history ({ id, type, mediaType, name, size })
+ */
+async function saveAttachments(files, { userId, conversationId }) {
+  const { Attachment } = await getModels();
+  const references = [];
+
+  for (const file of files) {
+    const attachment = await Attachment.create({
+      user_id: userId || null,
+      conversation_id: conversationId,
+      kind: file.kind,
+      media_type: file.mediaType,
+      file_name: file.name,
+      size_bytes: file.buffer.length,
+      data: file.buffer,
+      text_content: file.text || null
+    });
+
+    references.push({
+      id: attachment.id,
+      type: file.kind,
+      mediaType: file.mediaType,
+      name: file.name,
+      size: file.buffer.length
+    });
+  }
+
+  console.log(`[ATTACHMENTS] Stored ${references.length} attachment(s) for conversation ${conversationId}`);
+  return references;
+}
+
+/**
+ * Load attachment contents for sending to a model
+ * @param {Array<string>} ids - Attachment IDs
+ * @returns {Promise<Map>} - id => { buffer, mediaType, kind, name }
+ */
+async function loadAttachmentData(ids) {
+  const data = new Map();
+  if (!ids || ids.length === 0) {
+    return data;
+  }
+
+  const { Attachment } = await getModels();
+  const attachments = await Attachment.findAll({ where: { id: ids.filter(id => isUuid(id)) } });
+
+  for (const attachment of attachments) {
+    data.set(attachment.id, {
+      buffer: attachment.data,
+      mediaType: attachment.media_type,
+      kind: attachment.kind,
+      name: attachment.file_name
+    });
+  }
+
+  return data;
+}
+
+/**
+ * Load the extracted text of document attachments (without the original files)
+ * @param {Array<string>} ids - Attachment IDs
+ * @returns {Promise<Map>} - id => { name, text }
+ */
+async function loadDocumentText(ids) {
+  const documents = new Map();
+  if (!ids || ids.length === 0) {
+    return documents;
+  }
+
+  const { Attachment } = await getModels();
+  const attachments = await Attachment.findAll({
+    where: { id: ids.filter(id => isUuid(id)), kind: 'document' },
+    attributes: ['id', 'file_name', 'text_content']
+  });
+
+  for (const attachment of attachments) {
+    documents.set(attachment.id, { name: attachment.file_name, text: attachment.text_content || '' });
+  }
+
+  return documents;
+}
+
+/**
+ * List the files attached to a conversation (without their contents)
+ * @param {string} conversationId - Conversation ID
+ * @param {number} userId - Requesting user's ID
+ * @returns {Promise<Array>} - [{ id, type, mediaType, name, size, createdAt }]
+ */
+async function listConversationAttachments(conversationId, userId) {
+  const { Attachment } = await getModels();
+  const attachments = await Attachment.findAll({
+    where: { conversation_id: conversationId, user_id: userId },
+    attributes: ['id', 'kind', 'media_type', 'file_name', 'size_bytes', 'created_at'],
+    order: [['created_at', 'ASC']]
+  });
+
+  return attachments.map(attachment => ({
+    id: attachment.id,
+    type: attachment.kind,
+    mediaType: attachment.media_type,
+    name: attachment.file_name,
+    size: attachment.size_bytes,
+    createdAt: attachment.created_at
+  }));
+}
+
+/**
+ * Delete all files attached to a conversation (used when a temporary chat ends)
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<number>} - Number of attachments deleted
+ */
+async function deleteConversationAttachments(conversationId) {
+  const { Attachment } = await getModels();
+  const deleted = await Attachment.destroy({ where: { conversation_id: conversationId } });
+  if (deleted > 0) {
+    console.log(`[ATTACHMENTS] Deleted ${deleted} attachment(s) for conversation ${conversationId}`);
+  }
+  return deleted;
+}
+
+/**
+ * Get an attachment if it belongs to the user
+ * @param {string} id - Attachment ID
+ * @param {number} userId - Requesting user's ID
+ * @returns {Promise<Object|null>} - Attachment instance, or null if not found or not theirs
+ */
+async function getAttachmentForUser(id, userId) {
+  if (!isUuid(id)) {
+    return null;
+  }
+
+  const { Attachment } = await getModels();
+  const attachment = await Attachment.findByPk(id);
+
+  if (!attachment || attachment.user_id !== userId) {
+    return null;
+  }
+  return attachment;
+}
+
+module.exports = {
+  detectImageType,
+  getImageFormat,
+  parseUploads,
+  saveAttachments,
+  loadAttachmentData,
+  loadDocumentText,
+  listConversationAttachments,
+  deleteConversationAttachments,
+  getAttachmentForUser
+};
@@ -1,19 +1,81 @@
 /**
  * Amazon Bedrock Service
- * Handles interactions with Amazon Bedrock AI models using the AWS SDK v3
+ * The 'bedrock' LLM provider: talks to Amazon Bedrock models through the Converse API (AWS SDK v3),
+ * so any text model (Anthropic, Meta, Mistral, Amazon, ...) can be used via BEDROCK_MODEL_ID
  */
-const { BedrockRuntimeClient, InvokeModelCommand, InvokeModelWithResponseStreamCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { BedrockRuntimeClient, ConverseCommand, ConverseStreamCommand } = require('@aws-sdk/client-bedrock-runtime');
 const { STSClient, AssumeRoleCommand, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
 const config = require('../config');
+const { getModelCapabilities } = require('./modelCapabilities');
+const { pickInferenceParams, validateInferenceParams, resolveInferenceParams } = require('./inferenceParams');
+const { getToolConfig } = require('./toolRegistry');
+const { loadAttachmentData, loadDocumentText, getImageFormat } = require('./attachmentService');
+const { fitDocumentsToContext, formatDocument } = require('./documentService');
+const { isRetryableError, getRetryDelay, sleep, getModelChain, circuitBreaker } = require('./modelFallback');
+const { LLMProvider } = require('./llmProvider');
+
+/**
+ * JSON.stringify replacer that logs the size of binary content (e.g. images) instead of the bytes
+ */
+function omitBinary(key, value) {
+  if ((key === 'bytes' || key === 'redactedContent') && value) {
+    return `<${value.length || (value.data && value.data.length) || 0} bytes>`;
+  }
+  return value;
+}
+
+/**
+ * Estimate the tokens of a Converse content block, for deciding where prompt cache points pay off
+ * @param {Object} block - Content block
+ * @returns {number} - Estimated tokens
+ */
+function estimateBlockTokens(block) {
+  const { charsPerToken, imageTokens } = config.chat.context;
+  if (block.image) {
+    return imageTokens;
+  }
+  if (block.toolUse) {
+    return Math.ceil(JSON.stringify(block.toolUse.input || {}).length / charsPerToken);
+  }
+  if (block.toolResult) {
+    return block.toolResult.content.reduce((sum, item) => sum + estimateBlockTokens(item), 0);
+  }
+  if (block.reasoningContent) {
+    const reasoningText = block.reasoningContent.reasoningText;
+    return reasoningText ? Math.ceil(reasoningText.text.length / charsPerToken) : 0;
+  }
+  if (block.guardContent) {
+    return Math.ceil(block.guardContent.text.text.length / charsPerToken);
+  }
+  return typeof block.text === 'string' ? Math.ceil(block.text.length / charsPerToken) : 0;
+}
+
+/**
+ * Convert a reasoning block kept in the chat history back into a Converse content block
+ * @param {Object} reasoning - { text, signature } or { redactedContent } (base64), see _normalizeStream
+ * @returns {Object|null} - reasoningContent block, or null if it can't be sent back (no signature)
+ */
+function toReasoningBlock(reasoning) {
+  if (reasoning.redactedContent) {
+    return { reasoningContent: { redactedContent: Buffer.from(reasoning.redactedContent, 'base64') } };
+  }
+  if (reasoning.signature) {
+    return { reasoningContent: { reasoningText: { text: reasoning.text || '', signature: reasoning.signature } } };
+  }
+  return null;
+}
 
 /**
  * BedrockClient class that handles AWS authentication and model interactions
  */
-class BedrockClient {
+class BedrockClient extends LLMProvider {
   constructor(regionName = config.aws.region, crossAccountRoleArn = config.aws.customerCrossAccountRoleArn) {
+    super();
     this.regionName = regionName;
     this.crossAccountRoleArn = crossAccountRoleArn;
     this.credentialsExpiration = null;
+    this.credentials = undefined;
+    this.regionalClients = new Map();
     this.modelId = config.bedrock.modelId;
     this.defaultSystemMessage = config.chat.systemPrompt || "You are a helpful AI assistant.";
     this.initializationPromise = this._initializeClient();
@@ -54,15 +116,17 @@ class BedrockClient {
         console.log(`Attempting to assume role: ${this.crossAccountRoleArn}`);
         const credentials = await this.assumeRole(this.crossAccountRoleArn);
         this.credentialsExpiration = credentials.expiration;
+        this.credentials = {
+          accessKeyId: credentials.accessKeyId,
+          secretAccessKey: credentials.secretAccessKey,
+          sessionToken: credentials.sessionToken
+        };
 
         // Create Bedrock client with temporary credentials
         this.bedrockClient = new BedrockRuntimeClient({
           region: this.regionName,
-          credentials: {
-            accessKeyId: credentials.accessKeyId,
-            secretAccessKey: credentials.secretAccessKey,
-            sessionToken: credentials.sessionToken
-          }
+          credentials: this.credentials,
+          maxAttempts: 1 // Retries are handled in createChatCompletion (see modelFallback)
         });
 
         console.log('Bedrock client created with temporary credentials');
@@ -89,10 +153,13 @@ class BedrockClient {
         }
       } else {
         // Create Bedrock client with default credentials
-        this.bedrockClient = new BedrockRuntimeClient({ region: this.regionName });
+        this.credentials = undefined;
+        this.bedrockClient = new BedrockRuntimeClient({ region: this.regionName, maxAttempts: 1 });
         console.log('Bedrock client created with default credentials');
       }
 
+      // Clients for fallback models in other regions are recreated with the new credentials
+      this.regionalClients.clear();
       this.initialized = true;
     } catch (error) {
       console.error('Error initializing Bedrock client:', error);
@@ -150,41 +217,173 @@ class BedrockClient {
   }
   
   /**
-   * Prepare messages for Bedrock model
+   * Wait for initialization and refresh credentials if they are about to expire
+   */
+  async ensureReady() {
+    if (!this.initialized) {
+      console.log('Waiting for initial client initialization...');
+      await this.initializationPromise;
+    }
+
+    await this.refreshCredentialsIfNeeded();
+  }
+  
+  /**
+   * Get the region and credentials this client uses, for creating other AWS SDK clients
+   * (e.g. the Bedrock control plane client used by the model catalog)
+   * @returns {Promise<Object>} - { region, credentials } (credentials undefined for the default chain)
+   */
+  async getAwsClientConfig() {
+    await this.ensureReady();
+    return {
+      region: this.regionName,
+      credentials: this.credentials
+    };
+  }
+  
+  /**
+   * Get the runtime client for a region
+   * @param {string|null} region - AWS region, or null for this client's region
+   * @returns {BedrockRuntimeClient} - Runtime client using this client's credentials
+   * @private
+   */
+  _getRuntimeClient(region) {
+    if (!region || region === this.regionName) {
+      return this.bedrockClient;
+    }
+    
+    if (!this.regionalClients.has(region)) {
+      this.regionalClients.set(region, new BedrockRuntimeClient({
+        region,
+        credentials: this.credentials,
+        maxAttempts: 1
+      }));
+      console.log(`Bedrock client created for fallback region ${region}`);
+    }
+    return this.regionalClients.get(region);
+  }
+  
+  /**
+   * Convert a chat history message into Converse content blocks
+   *
+   * Assistant messages may carry toolCalls ([{ id, name, input }]) and tool results are stored as
+   * { role: 'tool', toolUseId, name, status, content }. These become toolUse/toolResult blocks when
+   * tools are offered on the request and the call/result pair is complete; otherwise they are
+   * replayed as text so the model still sees what happened.
+   *
+   * Assistant messages may also carry the model's reasoning ([{ text, signature } | { redactedContent }]).
+   * With extended thinking on it is sent back unchanged ahead of the answer, which the model requires
+   * when it reasoned before calling a tool; otherwise it is left out.
+   *
+   * @param {Object} msg - Chat history message
+   * @param {boolean} includeToolBlocks - Whether the request carries a toolConfig
+   * @param {Set<string>} answeredToolUseIds - Tool calls that have a result in the history
+   * @param {Set<string>} emittedToolUseIds - Tool calls already sent as toolUse blocks (updated)
+   * @param {Map} attachmentData - Loaded attachment contents by ID (see _loadAttachments)
+   * @param {boolean} includeReasoning - Whether the request has extended thinking on
+   * @returns {Array} - Converse content blocks
+   * @private
+   */
+  _toContentBlocks(msg, includeToolBlocks, answeredToolUseIds, emittedToolUseIds, attachmentData, includeReasoning = false) {
+    if (msg.role === 'tool') {
+      if (includeToolBlocks && emittedToolUseIds.has(msg.toolUseId)) {
+        return [{
+          toolResult: {
+            toolUseId: msg.toolUseId,
+            content: [{ text: msg.content || '(no output)' }],
+            status: msg.status === 'error' ? 'error' : 'success'
+          }
+        }];
+      }
+      return [{ text: `[Result of tool ${msg.name}: ${msg.content}]` }];
+    }
+    
+    const blocks = [];
+    
+    if (includeReasoning && msg.role === 'assistant' && Array.isArray(msg.reasoning)) {
+      blocks.push(...msg.reasoning.map(toReasoningBlock).filter(Boolean));
+    }
+    
+    // Attachments go before the text that refers to them; ones we cannot send are described instead
+    for (const attachment of (Array.isArray(msg.attachments) ? msg.attachments : [])) {
+      const data = attachmentData.get(attachment.id);
+      if (attachment.type === 'document') {
+        blocks.push({ text: data ? formatDocument(attachment.name, data.text) : `[Document attached: ${attachment.name}]` });
+      } else if (attachment.type === 'image' && data) {
+        blocks.push({ image: { format: getImageFormat(data.mediaType), source: { bytes: data.buffer } } });
+      } else {
+        blocks.push({ text: `[Image attached: ${attachment.name}]` });
+      }
+    }
+    
+    if (msg.content) {
+      blocks.push({ text: msg.content });
+    }
+    
+    if (msg.role === 'assistant' && Array.isArray(msg.toolCalls)) {
+      for (const call of msg.toolCalls) {
+        if (includeToolBlocks && answeredToolUseIds.has(call.id)) {
+          blocks.push({ toolUse: { toolUseId: call.id, name: call.name, input: call.input || {} } });
+          emittedToolUseIds.add(call.id);
+        } else {
+          blocks.push({ text: `[Called tool ${call.name} with input ${JSON.stringify(call.input || {})}]` });
+        }
+      }
+    }
+    
+    return blocks;
+  }
+  
+  /**
+   * Prepare messages for the Bedrock Converse API
    * @param {Array} messages - Array of message objects
+   * @param {boolean} includeToolBlocks - Send tool calls/results as toolUse/toolResult blocks
+   * @param {Map} attachmentData - Loaded attachment contents by ID (see _loadAttachments)
+   * @param {boolean} includeReasoning - Send the model's earlier reasoning back (extended thinking)
    * @returns {Array} - Formatted messages and system message
    * @private
    */
-  _prepareMessages(messages) {
+  _prepareMessages(messages, includeToolBlocks = false, attachmentData = new Map(), includeReasoning = false) {
     console.log(`Input messages before formatting: ${JSON.stringify(messages, null, 2)}`);
     
     // Initialize formatted messages array and default system message
     const formattedMessages = [];
     let systemMessage = this.defaultSystemMessage;
     
-    // Filter out empty messages
-    const validMessages = messages.filter(msg => msg && msg.content);
+    // Filter out empty messages (assistant turns that only called tools and image-only user turns have no text)
+    const validMessages = messages.filter(msg => msg && (msg.content ||
+      (msg.toolCalls && msg.toolCalls.length > 0) ||
+      (msg.attachments && msg.attachments.length > 0)));
+    
+    // A toolUse block must be answered by a toolResult, so only replay calls whose result was kept
+    const answeredToolUseIds = new Set(validMessages.filter(msg => msg.role === 'tool').map(msg => msg.toolUseId));
+    const emittedToolUseIds = new Set();
     
     // Process each message
     for (const msg of validMessages) {
-      const role = msg.role || 'user';
-      const content = [{
-        type: 'text',
-        text: msg.content
-      }];
+      // Default to 'user' for unrecognized roles
+      const role = msg.role === 'system' || msg.role === 'assistant' ? msg.role : 'user';
       
       if (role === 'system') {
         // Replace the system message instead of appending to avoid duplication
         systemMessage = msg.content;
-      } else if (role === 'user' || role === 'assistant') {
-        formattedMessages.push({
-          role: role,
-          content: content
-        });
+        continue;
+      }
+      
+      // Converse requires the conversation to start with a user turn
+      if (formattedMessages.length === 0 && role === 'assistant') {
+        continue;
+      }
+      
+      const content = this._toContentBlocks(msg, includeToolBlocks, answeredToolUseIds, emittedToolUseIds, attachmentData, includeReasoning);
+      
+      // Converse requires alternating roles, so merge consecutive turns from the same role
+      const previous = formattedMessages[formattedMessages.length - 1];
+      if (previous && previous.role === role) {
+        previous.content.push(...content);
       } else {
-        // Default to 'user' for unrecognized roles
         formattedMessages.push({
-          role: 'user',
+          role: role,
           content: content
         });
       }
@@ -194,35 +393,445 @@ class BedrockClient {
     if (formattedMessages.length === 0) {
       formattedMessages.push({
         role: 'user',
-        content: [{
-          type: 'text',
-          text: 'Hello'
-        }]
+        content: [{ text: 'Hello' }]
       });
     }
     
-    console.log(`Final formatted messages: ${JSON.stringify(formattedMessages, null, 2)}`);
+    console.log(`Final formatted messages: ${JSON.stringify(formattedMessages, omitBinary, 2)}`);
     console.log(`Final system message: ${systemMessage}`);
     
     return [formattedMessages, systemMessage];
   }
   
+  /**
+   * Build a Converse/ConverseStream request for the given model
+   * @param {Array} messages - Array of message objects
+   * @param {string} modelId - Model ID or inference profile ID
+   * @param {Object} inferenceParams - Resolved inference parameters (see resolveInferenceParams)
+   * @param {boolean|Array<string>|Object} tools - Offer all registered tools (true), only the named ones, or
+   *   a Converse toolConfig of the caller's own tools
+   * @param {Map} attachmentData - Loaded attachment contents by ID (see _loadAttachments)
+   * @param {string|null} systemContext - Extra instructions appended to the system prompt (e.g. retrieved passages)
+   * @param {boolean} stream - Whether the request is streamed
+   * @returns {Object} - Converse request input
+   * @private
+   */
+  _buildConverseRequest(messages, modelId, inferenceParams = resolveInferenceParams(), tools = false, attachmentData = new Map(), systemContext = null, stream = false) {
+    const capabilities = getModelCapabilities(modelId);
+    
+    // Only offer tools to models that can use them while streaming. TOOLS_ENABLED covers the registered
+    // tools; a caller's own tools are run by the caller, so they are always passed on.
+    let toolConfig = null;
+    const callerTools = Boolean(tools) && typeof tools === 'object' && !Array.isArray(tools);
+    if (tools && (callerTools || config.chat.toolsEnabled)) {
+      if (capabilities.toolUse) {
+        toolConfig = callerTools ? tools : getToolConfig(Array.isArray(tools) ? tools : undefined);
+      } else {
+        console.log(`Model ${modelId} does not support tool use, sending without tools`);
+      }
+    }
+    
+    const { maxTokens, temperature, topP, topK, stopSequences, thinkingBudget } = inferenceParams;
+    
+    // Extended thinking, when the conversation turned it on
+    const thinking = Boolean(thinkingBudget) && capabilities.reasoning;
+    if (thinkingBudget && !thinking) {
+      console.log(`Model ${modelId} does not support extended thinking, answering without it`);
+    }
+    
+    const caching = config.bedrock.promptCaching && capabilities.promptCaching;
+    const [formattedMessages, basePrompt] = this._prepareMessages(messages, !!toolConfig, attachmentData, thinking);
+    // With prompt caching, per-turn context goes after the cached prefix instead (see _addCachePoints)
+    const systemMessage = systemContext && !caching ? `${basePrompt}\n\n${systemContext}` : basePrompt;
+    
+    const request = {
+      modelId: modelId,
+      messages: formattedMessages,
+      inferenceConfig: {
+        maxTokens,
+        temperature
+      }
+    };
+    
+    if (toolConfig) {
+      request.toolConfig = toolConfig;
+    }
+    
+    if (topP !== undefined) {
+      request.inferenceConfig.topP = topP;
+      
+      // top_p is only ever set explicitly, so it wins over the default temperature
+      if (capabilities.exclusiveSampling) {
+        delete request.inferenceConfig.temperature;
+      }
+    }
+    
+    if (stopSequences && stopSequences.length > 0) {
+      request.inferenceConfig.stopSequences = stopSequences;
+    }
+    
+    if (topK !== undefined) {
+      if (capabilities.topKField) {
+        // e.g. 'top_k' or 'inferenceConfig.topK'
+        const path = capabilities.topKField.split('.');
+        const fields = {};
+        let target = fields;
+        path.slice(0, -1).forEach(key => {
+          target = target[key] = {};
+        });
+        target[path[path.length - 1]] = topK;
+        request.additionalModelRequestFields = fields;
+      } else {
+        console.log(`Model ${modelId} does not support top_k, ignoring it`);
+      }
+    }
+    
+    if (thinking) {
+      // The answer keeps its own allowance on top of the reasoning budget.
+      // Thinking models only sample with their defaults, so temperature, top_p and top_k are left out.
+      request.inferenceConfig.maxTokens = maxTokens + thinkingBudget;
+      delete request.inferenceConfig.temperature;
+      delete request.inferenceConfig.topP;
+      request.additionalModelRequestFields = { thinking: { type: 'enabled', budget_tokens: thinkingBudget } };
+    }
+    
+    if (systemMessage) {
+      if (capabilities.systemPrompt) {
+        request.system = [{ text: systemMessage }];
+      } else {
+        // Models without system prompt support get the instructions as part of the first user turn
+        formattedMessages[0].content.unshift({ text: systemMessage });
+      }
+    }
+    
+    // Before the cache points, which append the per-turn context after the user's text
+    this._addGuardrail(request, stream);
+    
+    if (caching) {
+      this._addCachePoints(request, systemContext, capabilities.promptCacheMinTokens);
+    }
+    
+    return request;
+  }
+  
+  /**
+   * Apply the Bedrock Guardrail in config.bedrock.guardrail, if one is set
+   *
+   * Only the user's latest text is wrapped as guardContent, so the guardrail assesses the new message
+   * (and the answer) rather than re-assessing the whole conversation on every turn.
+   *
+   * @param {Object} request - Converse request (updated)
+   * @param {boolean} stream - Whether the request is streamed
+   * @private
+   */
+  _addGuardrail(request, stream) {
+    const { identifier, version, trace, streamProcessingMode } = config.bedrock.guardrail;
+    if (!identifier) {
+      return;
+    }
+    
+    request.guardrailConfig = {
+      guardrailIdentifier: identifier,
+      guardrailVersion: version,
+      trace: trace ? 'enabled' : 'disabled'
+    };
+    if (stream) {
+      request.guardrailConfig.streamProcessingMode = streamProcessingMode;
+    }
+    
+    const lastUserMessage = [...request.messages].reverse()
+      .find(msg => msg.role === 'user' && !msg.content.some(block => block.toolResult));
+    if (lastUserMessage) {
+      const textIndex = lastUserMessage.content.map(block => typeof block.text === 'string').lastIndexOf(true);
+      if (textIndex !== -1) {
+        lastUserMessage.content[textIndex] = { guardContent: { text: { text: lastUserMessage.content[textIndex].text } } };
+      }
+    }
+  }
+  
+  /**
+   * Mark the stable prefix of a request as cacheable (prompt caching)
+   *
+   * Bedrock caches a request in the order tools, system, messages, up to each cache point. The system
+   * prompt gets a cache point, and so do the last two user turns: the latest writes the conversation so
+   * far to the cache and the one before reads what the previous request wrote. Per-turn context (e.g.
+   * retrieved passages) is added after the last cache point so it doesn't invalidate the cached prefix:
+   * to the last user turn, or to the system prompt if there is no user turn.
+   * Prefixes shorter than the model's minimum are left unmarked, as they would not be cached anyway.
+   *
+   * @param {Object} request - Converse request (updated)
+   * @param {string|null} systemContext - Per-turn additions to the system prompt
+   * @param {number} minTokens - Smallest prefix the model caches
+   * @private
+   */
+  _addCachePoints(request, systemContext, minTokens) {
+    let prefixTokens = request.toolConfig ? estimateBlockTokens({ text: JSON.stringify(request.toolConfig) }) : 0;
+    let cachePoints = 0;
+    
+    if (request.system) {
+      prefixTokens += request.system.reduce((sum, block) => sum + estimateBlockTokens(block), 0);
+      if (prefixTokens >= minTokens) {
+        request.system.push({ cachePoint: { type: 'default' } });
+        cachePoints++;
+      }
+    }
+    
+    const userIndexes = request.messages
+      .map((msg, index) => (msg.role === 'user' ? index : -1))
+      .filter(index => index !== -1);
+    const markedIndexes = new Set(userIndexes.slice(-2));
+    
+    request.messages.forEach((msg, index) => {
+      prefixTokens += msg.content.reduce((sum, block) => sum + estimateBlockTokens(block), 0);
+      if (markedIndexes.has(index) && prefixTokens >= minTokens) {
+        msg.content.push({ cachePoint: { type: 'default' } });
+        cachePoints++;
+      }
+    });
+    
+    if (systemContext) {
+      if (userIndexes.length > 0) {
+        request.messages[userIndexes[userIndexes.length - 1]].content.push({ text: systemContext });
+      } else if (request.system) {
+        // No user turn to carry it: after the system cache point, so the cached prefix is unchanged
+        request.system.push({ text: systemContext });
+      } else {
+        console.warn(`Prompt caching: no user turn or system prompt to carry ${systemContext.length} characters of per-turn context, leaving it out`);
+      }
+    }
+    
+    if (cachePoints > 0) {
+      console.log(`Prompt caching: ${cachePoints} cache point(s), about ${prefixTokens} prompt tokens`);
+    }
+  }
+  
+  /**
+   * Load the attachments referenced by the conversation
+   * Images are loaded if the model can see them; document text is cut to fit the context budget.
+   * @param {Array} messages - Array of message objects
+   * @param {string} modelId - Model ID or inference profile ID
+   * @param {number} documentBudget - Maximum characters of document text
+   * @returns {Promise<Map>} - Attachment contents by ID
+   * @private
+   */
+  async _loadAttachments(messages, modelId, documentBudget = config.attachments.maxDocumentContextChars) {
+    const attachments = messages.flatMap(msg => (msg && Array.isArray(msg.attachments) ? msg.attachments : []));
+    const imageIds = attachments.filter(attachment => attachment.type === 'image').map(attachment => attachment.id);
+    const documentIds = attachments.filter(attachment => attachment.type === 'document').map(attachment => attachment.id);
+    
+    let attachmentData = new Map();
+    
+    if (imageIds.length > 0) {
+      if (getModelCapabilities(modelId).images) {
+        // Bedrock limits the number of images per request, so only the most recent are sent
+        attachmentData = await loadAttachmentData(imageIds.slice(-config.attachments.maxImagesPerRequest));
+      } else {
+        console.log(`Model ${modelId} does not accept images, describing ${imageIds.length} attachment(s) as text`);
+      }
+    }
+    
+    if (documentIds.length > 0) {
+      const documents = await loadDocumentText(documentIds);
+      const fitted = fitDocumentsToContext(
+        documentIds.filter(id => documents.has(id)).map(id => ({ id, ...documents.get(id) })),
+        documentBudget
+      );
+      for (const [id, text] of fitted) {
+        attachmentData.set(id, { kind: 'document', name: documents.get(id).name, text });
+      }
+    }
+    
+    return attachmentData;
+  }
+  
+  /**
+   * Normalize a ConverseStream event stream into provider-independent events
+   *
+   * Yields objects of the form:
+   *   { type: 'message_start', role }
+   *   { type: 'reasoning', index, text }
+   *   { type: 'reasoning_block', index, reasoning }  - once a reasoning block has been fully streamed
+   *   { type: 'text', index, text }
+   *   { type: 'tool_use_start', index, id, name }
+   *   { type: 'tool_use', index, id, name, input }  - once the tool input has been fully streamed
+   *   { type: 'content_block_stop', index }
+   *   { type: 'message_stop', stopReason }
+   *   { type: 'metadata', usage, latencyMs, trace }  - trace carries the guardrail assessment, if any
+   *
+   * @param {AsyncIterable} stream - The `stream` property of a ConverseStream response
+   * @returns {AsyncGenerator<Object>} - Normalized stream events
+   * @private
+   */
+  async *_normalizeStream(stream) {
+    // Tool input arrives as JSON fragments, collected per content block until the block stops
+    const toolBlocks = new Map();
+    // Reasoning is collected the same way, so it can be kept with the answer: { text, signature } when
+    // the reasoning is readable, { redactedContent } (base64) when the model returned it encrypted
+    const reasoningBlocks = new Map();
+    
+    for await (const event of stream) {
+      if (event.messageStart) {
+        yield { type: 'message_start', role: event.messageStart.role };
+      } else if (event.contentBlockStart) {
+        const { start, contentBlockIndex } = event.contentBlockStart;
+        if (start && start.toolUse) {
+          toolBlocks.set(contentBlockIndex, { id: start.toolUse.toolUseId, name: start.toolUse.name, input: '' });
+          yield { type: 'tool_use_start', index: contentBlockIndex, id: start.toolUse.toolUseId, name: start.toolUse.name };
+        }
+      } else if (event.contentBlockDelta) {
+        const { delta, contentBlockIndex } = event.contentBlockDelta;
+        if (delta && typeof delta.text === 'string' && delta.text) {
+          yield { type: 'text', index: contentBlockIndex, text: delta.text };
+        } else if (delta && delta.toolUse && toolBlocks.has(contentBlockIndex)) {
+          toolBlocks.get(contentBlockIndex).input += delta.toolUse.input || '';
+        } else if (delta && delta.reasoningContent) {
+          const { text, signature, redactedContent } = delta.reasoningContent;
+          const reasoning = reasoningBlocks.get(contentBlockIndex) || {};
+          reasoningBlocks.set(contentBlockIndex, reasoning);
+          
+          if (text) {
+            reasoning.text = (reasoning.text || '') + text;
+            yield { type: 'reasoning', index: contentBlockIndex, text };
+          }
+          if (signature) {
+            reasoning.signature = (reasoning.signature || '') + signature;
+          }
+          if (redactedContent) {
+            reasoning.redactedContent = Buffer.from(redactedContent).toString('base64');
+          }
+        }
+      } else if (event.contentBlockStop) {
+        const index = event.contentBlockStop.contentBlockIndex;
+        const toolBlock = toolBlocks.get(index);
+        if (toolBlock) {
+          toolBlocks.delete(index);
+          let input = {};
+          try {
+            input = toolBlock.input ? JSON.parse(toolBlock.input) : {};
+          } catch (parseError) {
+            console.error(`Invalid JSON input for tool ${toolBlock.name}: ${parseError.message}`);
+          }
+          yield { type: 'tool_use', index, id: toolBlock.id, name: toolBlock.name, input };
+        }
+        if (reasoningBlocks.has(index)) {
+          yield { type: 'reasoning_block', index, reasoning: reasoningBlocks.get(index) };
+          reasoningBlocks.delete(index);
+        }
+        yield { type: 'content_block_stop', index };
+      } else if (event.messageStop) {
+        yield { type: 'message_stop', stopReason: event.messageStop.stopReason };
+      } else if (event.metadata) {
+        yield {
+          type: 'metadata',
+          usage: event.metadata.usage || {},
+          latencyMs: event.metadata.metrics ? event.metadata.metrics.latencyMs : undefined,
+          trace: event.metadata.trace || null
+        };
+      } else {
+        // Errors raised mid-stream arrive as events, e.g. { throttlingException: { message } }
+        const errorKey = Object.keys(event).find(key => key.endsWith('Exception'));
+        if (errorKey) {
+          const streamError = new Error(event[errorKey].message || errorKey);
+          streamError.name = errorKey.charAt(0).toUpperCase() + errorKey.slice(1);
+          throw streamError;
+        }
+      }
+    }
+  }
+  
+  /**
+   * Send a request to one model, retrying temporary errors with jittered backoff
+   * @param {Array} messages - Array of message objects
+   * @param {boolean} stream - Whether to stream the response
+   * @param {Object} target - Model target from getModelChain ({ modelId, region, key })
+   * @param {Object} inferenceParams - Resolved inference parameters
+   * @param {Object} options - Per-request options (see createChatCompletion)
+   * @returns {Promise<Object>} - { response } or { events } (events read so far) and { stream } when streaming
+   * @private
+   */
+  async _sendToModel(messages, stream, target, inferenceParams, options) {
+    const attachmentData = await this._loadAttachments(messages, target.modelId, options.documentContextChars);
+    const request = this._buildConverseRequest(messages, target.modelId, inferenceParams, options.tools, attachmentData, options.systemContext, stream);
+    const client = this._getRuntimeClient(target.region);
+    
+    console.log(`Final request being sent to Bedrock: ${JSON.stringify(request, omitBinary, 2)}`);
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        if (!stream) {
+          return { response: await client.send(new ConverseCommand(request), { abortSignal: options.signal }) };
+        }
+        
+        const streamResponse = await client.send(new ConverseStreamCommand(request), { abortSignal: options.signal });
+        const normalized = this._normalizeStream(streamResponse.stream);
+        
+        // Throttling can also arrive as the first stream event, so read up to the first content
+        // before handing the stream over; once text has been streamed a failure can't be retried
+        const events = [];
+        for (;;) {
+          const next = await normalized.next();
+          if (next.done) break;
+          events.push(next.value);
+          if (next.value.type !== 'message_start') break;
+        }
+        return { events, stream: normalized };
+      } catch (error) {
+        if (!isRetryableError(error) || attempt >= config.bedrock.retry.maxAttempts) {
+          throw error;
+        }
+        
+        const delay = getRetryDelay(attempt);
+        console.log(`[FALLBACK] ${error.name} from ${target.key}, retrying in ${delay} ms (attempt ${attempt + 1} of ${config.bedrock.retry.maxAttempts})`);
+        await sleep(delay);
+      }
+    }
+  }
+  
+  /**
+   * Yield the events read while checking a stream, then the rest of it
+   * @param {Object} modelEvent - The model event to start with
+   * @param {Array} events - Events already read
+   * @param {AsyncGenerator} stream - Remaining normalized events
+   * @returns {AsyncGenerator<Object>} - Normalized stream events
+   * @private
+   */
+  async *_resumeStream(modelEvent, events, stream) {
+    yield modelEvent;
+    yield* events;
+    yield* stream;
+  }
+  
   /**
    * Create a chat completion
+   *
+   * Temporary errors (throttling, model not ready, ...) are retried, then the models in
+   * config.bedrock.fallbackModelIds are tried in order. Streams start with
+   *   { type: 'model', modelId, region, requestedModelId, fallback }
+   * naming the model that answered; non-streaming responses carry it as response.modelId. When
+   * config.bedrock.guardrail names a guardrail it is applied to every call (stopReason
+   * 'guardrail_intervened' when it blocks).
+   *
    * @param {Array} messages - Array of message objects
    * @param {boolean} stream - Whether to stream the response
-   * @returns {Promise<Object|ReadableStream>} - Response object or stream
+   * @param {Object} options - Per-request options
+   * @param {string} options.modelId - Model to use instead of the configured default
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.topP - Nucleus sampling probability
+   * @param {number} options.topK - Top-k sampling (for models that support it)
+   * @param {number} options.maxTokens - Maximum tokens to generate
+   * @param {Array<string>} options.stopSequences - Sequences that stop generation
+   * @param {number} options.thinkingBudget - Tokens the model may reason for first (extended thinking)
+   * @param {boolean|Array<string>|Object} options.tools - Offer registered tools to the model (all, or by name),
+   *   or a Converse toolConfig of the caller's own tools (their calls are returned, not run)
+   * @param {string} options.systemContext - Extra instructions appended to the system prompt
+   * @param {number} options.documentContextChars - Characters of attached document text to include
+   * @param {AbortSignal} options.signal - Cancels the call, including a stream that is being read
+   * @returns {Promise<Object|AsyncGenerator>} - Converse response, or normalized event stream when streaming
    */
-  async createChatCompletion(messages, stream = false) {
+  async createChatCompletion(messages, stream = false, options = {}) {
     try {
-      // Ensure client is initialized
-      if (!this.initialized) {
-        console.log('Waiting for initial client initialization...');
-        await this.initializationPromise;
-      }
-
-      // Refresh credentials if needed
-      await this.refreshCredentialsIfNeeded();
+      // Ensure client is initialized and credentials are fresh
+      await this.ensureReady();
       
       // Validate input
       if (!Array.isArray(messages) || messages.length === 0) {
@@ -230,51 +839,64 @@ class BedrockClient {
       }
       
       console.log(`Creating ${stream ? 'streaming' : 'non-streaming'} chat completion`);
-      console.log(`Using model: ${this.modelId}`);
+      const modelId = options.modelId || this.modelId;
+      console.log(`Using model: ${modelId}`);
       console.log(`Message count: ${messages.length}`);
       
-      // Prepare messages in the format expected by Claude
-      const [formattedMessages, systemMessage] = this._prepareMessages(messages);
-      
-      // Build the complete request body
-      const requestBody = {
-        anthropic_version: 'bedrock-2023-05-31',
-        messages: formattedMessages,
-        max_tokens: config.bedrock.maxTokens,
-        temperature: config.bedrock.temperature
-      };
-      
-      // Add system message if present
-      if (systemMessage) {
-        requestBody.system = systemMessage;
+      const { params, errors } = validateInferenceParams(pickInferenceParams(options));
+      if (errors.length > 0) {
+        throw new Error(`Invalid inference parameters: ${errors.join('; ')}`);
       }
+      const inferenceParams = resolveInferenceParams(params);
       
-      console.log(`Final request body being sent to Bedrock: ${JSON.stringify(requestBody, null, 2)}`);
+      const chain = getModelChain(modelId);
+      let lastError = null;
       
-      if (!stream) {
-        // For non-streaming responses
-        const command = new InvokeModelCommand({
-          modelId: this.modelId,
-          contentType: 'application/json',
-          accept: 'application/json',
-          body: JSON.stringify(requestBody)
-        });
+      for (const target of chain) {
+        if (!circuitBreaker.allowRequest(target.key)) {
+          console.log(`[FALLBACK] Skipping ${target.key}: circuit open`);
+          continue;
+        }
         
-        const response = await this.bedrockClient.send(command);
-        const responseBody = JSON.parse(Buffer.from(response.body).toString('utf-8'));
-        return responseBody;
-      } else {
-        // For streaming responses
-        const streamCommand = new InvokeModelWithResponseStreamCommand({
-          modelId: this.modelId,
-          contentType: 'application/json',
-          accept: 'application/json',
-          body: JSON.stringify(requestBody)
-        });
+        let result;
+        try {
+          result = await this._sendToModel(messages, stream, target, inferenceParams, options);
+          circuitBreaker.recordSuccess(target.key);
+        } catch (error) {
+          if (!isRetryableError(error)) {
+            // The model answered, just not successfully (e.g. a validation error)
+            circuitBreaker.recordSuccess(target.key);
+            throw error;
+          }
+          circuitBreaker.recordFailure(target.key);
+          lastError = error;
+          console.error(`[FALLBACK] ${target.key} unavailable (${error.name}), trying the next model`);
+          continue;
+        }
         
-        const streamResponse = await this.bedrockClient.send(streamCommand);
-        return streamResponse;
+        const fallback = target !== chain[0];
+        if (fallback) {
+          console.log(`[FALLBACK] Answered by ${target.key} instead of ${modelId}`);
+        }
+        
+        if (!stream) {
+          result.response.modelId = target.modelId;
+          return result.response;
+        }
+        return this._resumeStream({
+          type: 'model',
+          modelId: target.modelId,
+          region: target.region || this.regionName,
+          requestedModelId: modelId,
+          fallback
+        }, result.events, result.stream);
+      }
+      
+      if (!lastError) {
+        lastError = new Error(`No model is available: ${chain.map(target => target.key).join(', ')} are temporarily disabled after repeated failures`);
+        lastError.name = 'ModelUnavailableError';
       }
+      throw lastError;
     } catch (error) {
       console.error('Error in createChatCompletion:', error);
       throw error;
@@ -282,66 +904,21 @@ class BedrockClient {
   }
 }
 
-// Create a singleton instance
-const bedrockClientInstance = new BedrockClient();
+// Shared client, created on first use so other providers never touch AWS
+let bedrockClientInstance = null;
 
 /**
- * Generate a response from the Amazon Bedrock model
- * @param {Array} messages - Array of message objects with role and content
- * @param {Object} options - Additional options (temperature, maxTokens, etc.)
- * @returns {Promise<string>} - The generated response text
+ * Get the shared Bedrock client
+ * @returns {BedrockClient} - Client for the configured region and cross-account role
  */
-async function generateResponse(messages, options = {}) {
-  try {
-    const response = await bedrockClientInstance.createChatCompletion(messages, false);
-    
-    if (response && response.content && Array.isArray(response.content) && response.content.length > 0) {
-      return response.content[0].text;
-    } else {
-      console.error('Unexpected response format:', response);
-      throw new Error('Unexpected response format from Bedrock');
-    }
-  } catch (error) {
-    console.error('Error generating response from Bedrock:', error);
-    throw error;
-  }
-}
-
-/**
- * Generate streaming response from Amazon Bedrock model
- * @param {Array} messages - Array of message objects with role and content
- * @param {Function} onChunk - Callback for each chunk of the response
- * @param {Object} options - Additional options (temperature, maxTokens, etc.)
- */
-async function generateStreamingResponse(messages, onChunk, options = {}) {
-  try {
-    const streamResponse = await bedrockClientInstance.createChatCompletion(messages, true);
-    
-    // Handle streaming response
-    const stream = streamResponse.body;
-    
-    // Process the stream events
-    for await (const event of stream) {
-      if (event.chunk && event.chunk.bytes) {
-        const chunk = Buffer.from(event.chunk.bytes).toString('utf-8');
-        const parsed = JSON.parse(chunk);
-        
-        if (parsed.type === 'content_block_delta' && parsed.delta && parsed.delta.text) {
-          onChunk(parsed.delta.text);
-        }
-      }
-    }
-    
-    return true;
-  } catch (error) {
-    console.error('Error generating streaming response from Bedrock:', error);
-    throw error;
+function getBedrockClient() {
+  if (!bedrockClientInstance) {
+    bedrockClientInstance = new BedrockClient();
   }
+  return bedrockClientInstance;
 }
 
 module.exports = {
   BedrockClient,
-  bedrockClientInstance,
-  generateResponse,
-  generateStreamingResponse
+  getBedrockClient
 };
@@ -0,0 +1,128 @@
+/**
+ * Branch Service
+ * Keeps alternative continuations of a conversation (regenerated answers, edited messages) as branches.
+ *
+ * The chat history stays a flat list holding the selected path, so everything that reads it (context
+ * building, summaries, the model request) is unaffected. A message where the conversation forks carries
+ * the other continuations:
+ *
+ *   branches: { id, selected, alternatives: [[...messages], null, [...messages]] }
+ *
+ * `alternatives[selected]` is null because the selected continuation is the rest of the history. The
+ * stored continuations are complete, so branches further down travel with them when switching.
+ *
+ * Regenerating forks after the user message being answered; editing a message forks before it, so the
+ * continuations start with the original and the edited message. Messages have IDs so they can be
+ * referred to across branches.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Give every message an ID, including those in stored branches (histories from before IDs were assigned)
+ * @param {Array} chatHistory - Chat history (modified in place)
+ * @returns {boolean} - Whether any ID was added
+ */
+function ensureMessageIds(chatHistory) {
+  let added = false;
+  for (const msg of chatHistory) {
+    if (!msg.id) {
+      msg.id = uuidv4();
+      added = true;
+    }
+    if (msg.branches) {
+      for (const alternative of msg.branches.alternatives) {
+        if (alternative && ensureMessageIds(alternative)) added = true;
+      }
+    }
+  }
+  return added;
+}
+
+/**
+ * Summarize a message's branches for clients
+ * @param {Object} branches - The message's branches
+ * @returns {Object} - { id, selected, count }
+ */
+function describeBranches(branches) {
+  return { id: branches.id, selected: branches.selected, count: branches.alternatives.length };
+}
+
+/**
+ * Start a new, empty continuation after a message, keeping the current one as a branch
+ * @param {Array} chatHistory - Chat history (modified in place)
+ * @param {number} index - Index of the message to fork after
+ * @returns {Object|null} - The message's branches ({ id, selected, count }), or null if nothing followed it
+ */
+function fork(chatHistory, index) {
+  const message = chatHistory[index];
+  const continuation = chatHistory.splice(index + 1);
+  if (continuation.length === 0) {
+    return message.branches ? describeBranches(message.branches) : null;
+  }
+
+  if (!message.branches) {
+    message.branches = { id: crypto.randomBytes(6).toString('hex'), selected: 0, alternatives: [null] };
+  }
+  const { branches } = message;
+  branches.alternatives[branches.selected] = continuation;
+  branches.alternatives.push(null);
+  branches.selected = branches.alternatives.length - 1;
+
+  return describeBranches(branches);
+}
+
+/**
+ * Switch the continuation shown after a forked message
+ * @param {Array} chatHistory - Chat history (modified in place)
+ * @param {string} branchId - ID of the message's branches
+ * @param {number} selected - Index of the continuation to select
+ * @returns {Object|null} - { index, branches: { id, selected, count } } where index is the forked message's
+ *   position, or null if there is no such branch
+ */
+function selectBranch(chatHistory, branchId, selected) {
+  const index = chatHistory.findIndex(msg => msg.branches && msg.branches.id === branchId);
+  if (index === -1) return null;
+
+  const { branches } = chatHistory[index];
+  if (!Number.isInteger(selected) || selected < 0 || selected >= branches.alternatives.length) return null;
+
+  if (selected !== branches.selected) {
+    branches.alternatives[branches.selected] = chatHistory.splice(index + 1);
+    chatHistory.push(...branches.alternatives[selected]);
+    branches.alternatives[selected] = null;
+    branches.selected = selected;
+  }
+
+  return { index, branches: describeBranches(branches) };
+}
+
+/**
+ * Mark where the selected path forks, for clients: a user message gets `versions` if it is one of several
+ * versions of that message (it was edited), and `answerVersions` if its answer is one of several
+ * (it was regenerated). Both are { id, selected, count }.
+ * @param {Array} chatHistory - Chat history
+ * @returns {Array} - Copies of the messages, with the markers added
+ */
+function markVersions(chatHistory) {
+  const marked = chatHistory.map(msg => ({ ...msg }));
+  marked.forEach((msg, index) => {
+    const next = marked[index + 1];
+    if (!msg.branches) return;
+
+    if (next && next.role === 'user') {
+      next.versions = describeBranches(msg.branches);
+    } else if (msg.role === 'user') {
+      msg.answerVersions = describeBranches(msg.branches);
+    }
+  });
+  return marked;
+}
+
+module.exports = {
+  ensureMessageIds,
+  markVersions,
+  describeBranches,
+  fork,
+  selectBranch
+};
@@ -0,0 +1,469 @@
+/**
+ * Content Policy Service
+ * Local acceptable-use rules, checked on users' messages before they reach the model and on answers as
+ * they stream. A rule either blocks the text or masks what it matched, and every outcome is logged as a
+ * ModerationEvent for review in the admin panel. Bedrock Guardrails (config.bedrock.guardrail) are applied
+ * by Bedrock itself; their interventions are logged here too.
+ *
+ * Rules come from config.contentPolicy (built-in PII detectors and blocked terms) and from the JSON file
+ * in CONTENT_POLICY_RULES_FILE, if set:
+ *   [
+ *     { "id": "internal", "type": "keyword", "terms": ["internal only"], "action": "block" },
+ *     { "id": "tickets", "type": "regex", "pattern": "TKT-\\d+", "flags": "i", "action": "mask", "replacement": "[TICKET]" },
+ *     { "id": "emails", "type": "pii", "detector": "email", "action": "mask", "appliesTo": "output" }
+ *   ]
+ * appliesTo is 'input', 'output' or 'both' (the default). A blocking rule may set the `message` shown instead.
+ */
+const fs = require('fs');
+const config = require('../config');
+const models = require('../models');
+
+const STAGES = ['input', 'output'];
+const RULE_ACTIONS = ['block', 'mask'];
+
+// Streamed answers are held back this many characters so a match split across chunks is still caught
+const STREAM_HOLDBACK_CHARS = 100;
+
+const BLOCKED_MESSAGES = {
+  input: 'Your message was blocked by the content policy.',
+  output: 'This answer was blocked by the content policy.'
+};
+
+// PII detectors by name
+const detectors = new Map();
+
+// Compiled rules, loaded on first use
+let rulesCache = null;
+
+/**
+ * Ensure the database is initialized and return the models
+ * @returns {Promise<Object>} - db models
+ */
+async function getModels() {
+  if (process.env.NODE_ENV === 'production') {
+    await models.initializeDatabase();
+  }
+  return models;
+}
+
+/**
+ * Register a PII detector that rules can refer to by name
+ * @param {string} name - Detector name (used in CONTENT_POLICY_PII_DETECTORS and `pii` rules)
+ * @param {Object} detector - Detector definition
+ * @param {string} detector.label - What it finds, used in the mask (e.g. 'card number')
+ * @param {RegExp} detector.pattern - Pattern for candidates
+ * @param {Function} detector.validate - Optional (match) => boolean to rule out false positives
+ */
+function registerDetector(name, detector) {
+  if (!detector || !(detector.pattern instanceof RegExp)) {
+    throw new Error(`Detector ${name} must have a pattern`);
+  }
+  detectors.set(name, { label: detector.label || name, pattern: detector.pattern, validate: detector.validate || null });
+  rulesCache = null;
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} digits - Card number digits
+ * @returns {boolean} - Whether the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+registerDetector('email', {
+  label: 'email',
+  pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+});
+registerDetector('phone', {
+  label: 'phone number',
+  pattern: /(?<![\w+])(?:\+?1[ .-]?)?(?:\(\d{3}\)|\d{3})[ .-]?\d{3}[ .-]?\d{4}(?!\w)/g
+});
+registerDetector('credit_card', {
+  label: 'card number',
+  pattern: /(?<!\d)(?:\d[ -]?){12,18}\d(?!\d)/g,
+  validate: match => passesLuhn(match.replace(/\D/g, ''))
+});
+registerDetector('us_ssn', {
+  label: 'SSN',
+  pattern: /(?<!\d)(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}(?!\d)/g
+});
+registerDetector('aws_access_key', {
+  label: 'AWS key',
+  pattern: /(?<![A-Z0-9])(?:AKIA|ASIA)[A-Z0-9]{16}(?![A-Z0-9])/g
+});
+registerDetector('ip_address', {
+  label: 'IP address',
+  pattern: /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\d.])/g
+});
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a rule definition
+ * @param {Object} rule - Rule definition (see the module comment)
+ * @returns {Object} - { id, action, appliesTo, pattern, validate, replacement, message }
+ */
+function compileRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !rule.id) {
+    throw new Error('Every rule needs an id');
+  }
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    throw new Error(`Rule ${rule.id}: action must be one of ${RULE_ACTIONS.join(', ')}`);
+  }
+  const appliesTo = rule.appliesTo || 'both';
+  if (appliesTo !== 'both' && !STAGES.includes(appliesTo)) {
+    throw new Error(`Rule ${rule.id}: appliesTo must be input, output or both`);
+  }
+
+  let pattern;
+  let validate = null;
+  let replacement = rule.replacement || '[REDACTED]';
+
+  if (rule.type === 'pii') {
+    const detector = detectors.get(rule.detector);
+    if (!detector) {
+      throw new Error(`Rule ${rule.id}: unknown PII detector ${rule.detector}`);
+    }
+    pattern = detector.pattern;
+    validate = detector.validate;
+    replacement = rule.replacement || `[REDACTED ${detector.label.toUpperCase()}]`;
+  } else if (rule.type === 'keyword') {
+    if (!Array.isArray(rule.terms) || rule.terms.length === 0) {
+      throw new Error(`Rule ${rule.id}: terms must be a non-empty array`);
+    }
+    pattern = new RegExp(`(?<!\\w)(?:${rule.terms.map(escapeRegExp).join('|')})(?!\\w)`, 'gi');
+  } else if (rule.type === 'regex') {
+    pattern = new RegExp(rule.pattern, `${(rule.flags || '').replace('g', '')}g`);
+  } else {
+    throw new Error(`Rule ${rule.id}: type must be pii, keyword or regex`);
+  }
+
+  return { id: rule.id, action: rule.action, appliesTo, pattern, validate, replacement, message: rule.message || null };
+}
+
+/**
+ * Get the compiled rules; invalid rules are logged and skipped
+ * @returns {Array<Object>} - Compiled rules
+ */
+function getRules() {
+  if (rulesCache) {
+    return rulesCache;
+  }
+
+  const { piiDetectors, piiAction, blockedTerms, rulesFile } = config.contentPolicy;
+  const definitions = piiDetectors.map(detector => ({ id: `pii:${detector}`, type: 'pii', detector, action: piiAction }));
+
+  if (blockedTerms.length > 0) {
+    definitions.push({ id: 'blocked-terms', type: 'keyword', terms: blockedTerms, action: 'block' });
+  }
+
+  if (rulesFile) {
+    try {
+      const fileRules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+      if (!Array.isArray(fileRules)) {
+        throw new Error('the file must contain an array of rules');
+      }
+      definitions.push(...fileRules);
+    } catch (error) {
+      console.error(`[CONTENT_POLICY] Failed to load rules from ${rulesFile}: ${error.message}`);
+    }
+  }
+
+  rulesCache = [];
+  for (const definition of definitions) {
+    try {
+      rulesCache.push(compileRule(definition));
+    } catch (error) {
+      console.error(`[CONTENT_POLICY] Skipping rule: ${error.message}`);
+    }
+  }
+  console.log(`[CONTENT_POLICY] Loaded ${rulesCache.length} rules`);
+  return rulesCache;
+}
+
+/**
+ * Find the rule matches in a text
+ * @param {string} text - Text to check
+ * @param {string} stage - 'input' or 'output'
+ * @returns {Array<Object>} - { rule, start, end } sorted by start
+ */
+function findMatches(text, stage) {
+  const matches = [];
+  for (const rule of getRules()) {
+    if (rule.appliesTo !== 'both' && rule.appliesTo !== stage) continue;
+
+    for (const match of text.matchAll(rule.pattern)) {
+      if (match[0].length === 0 || (rule.validate && !rule.validate(match[0]))) continue;
+      matches.push({ rule, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replace matched text with each rule's replacement (overlapping matches are masked once)
+ * @param {string} text - Text
+ * @param {Array<Object>} matches - From findMatches
+ * @returns {string} - Masked text
+ */
+function applyMasks(text, matches) {
+  let masked = '';
+  let position = 0;
+  for (const match of matches) {
+    if (match.start < position) continue;
+    masked += text.substring(position, match.start) + match.rule.replacement;
+    position = match.end;
+  }
+  return masked + text.substring(position);
+}
+
+/**
+ * Get the IDs of the rules behind some matches
+ * @param {Array<Object>} matches - From findMatches
+ * @returns {Array<string>} - Rule IDs, without duplicates
+ */
+function getRuleIds(matches) {
+  return [...new Set(matches.map(match => match.rule.id))];
+}
+
+/**
+ * Check a message or answer against the content policy
+ * @param {string} text - Text to check
+ * @param {string} stage - 'input' (a user's message) or 'output' (a model's answer)
+ * @returns {Object} - { action: 'allowed' | 'masked' | 'blocked', text, rules, message }
+ *                     where text is the (masked) text to use and message explains a block
+ */
+function checkText(text, stage) {
+  if (!config.contentPolicy.enabled || !text) {
+    return { action: 'allowed', text, rules: [] };
+  }
+
+  const matches = findMatches(text, stage);
+  const blocking = matches.filter(match => match.rule.action === 'block');
+
+  if (blocking.length > 0) {
+    return {
+      action: 'blocked',
+      text: null,
+      rules: getRuleIds(blocking),
+      message: blocking[0].rule.message || BLOCKED_MESSAGES[stage]
+    };
+  }
+
+  if (matches.length > 0) {
+    return { action: 'masked', text: applyMasks(text, matches), rules: getRuleIds(matches) };
+  }
+
+  return { action: 'allowed', text, rules: [] };
+}
+
+/**
+ * Applies the content policy to an answer while it streams. Text is held back by STREAM_HOLDBACK_CHARS
+ * (and never released part-way through a match) so a match split across chunks is still caught; only
+ * matches longer than that could slip through unmasked.
+ */
+class StreamFilter {
+  constructor() {
+    this.enabled = config.contentPolicy.enabled && getRules().some(rule => rule.appliesTo !== 'input');
+    this.text = '';
+    this.released = 0;
+    this.maskedRules = new Set();
+    this.blocked = null;
+  }
+
+  /**
+   * Add streamed answer text
+   * @param {string} chunk - New text
+   * @returns {string} - Text that may be sent on (masked); empty while held back or once blocked
+   */
+  push(chunk) {
+    if (!this.enabled) {
+      return chunk;
+    }
+    this.text += chunk;
+    return this._release(false);
+  }
+
+  /**
+   * Release the text held back, e.g. when the model's turn ends
+   * @returns {string} - Remaining text (masked)
+   */
+  flush() {
+    return this.enabled ? this._release(true) : '';
+  }
+
+  /**
+   * Check the unreleased text and release what can no longer be part of a match
+   * @param {boolean} final - Release everything
+   * @returns {string} - Released text (masked)
+   * @private
+   */
+  _release(final) {
+    if (this.blocked) {
+      return '';
+    }
+
+    const pending = this.text.substring(this.released);
+    const matches = findMatches(pending, 'output');
+    const blocking = matches.filter(match => match.rule.action === 'block');
+
+    if (blocking.length > 0) {
+      this.blocked = {
+        rules: getRuleIds(blocking),
+        message: blocking[0].rule.message || BLOCKED_MESSAGES.output
+      };
+      return '';
+    }
+
+    let cut = pending.length;
+    if (!final) {
+      // Release up to the last word boundary outside the held-back tail, and never through a match
+      cut = Math.max(0, pending.length - STREAM_HOLDBACK_CHARS);
+      while (cut > 0 && !/\s/.test(pending[cut - 1])) {
+        cut--;
+      }
+      for (let i = matches.length - 1; i >= 0; i--) {
+        if (matches[i].start < cut && matches[i].end > cut) {
+          cut = matches[i].start;
+        }
+      }
+    }
+
+    if (cut === 0) {
+      return '';
+    }
+
+    const released = matches.filter(match => match.end <= cut);
+    getRuleIds(released).forEach(id => this.maskedRules.add(id));
+    this.released += cut;
+    return applyMasks(pending.substring(0, cut), released);
+  }
+}
+
+/**
+ * Work out whether a Bedrock Guardrail intervened on the prompt or on the answer
+ * @param {Object|null} trace - `trace` from the stream metadata (see config.bedrock.guardrail.trace)
+ * @returns {string} - 'output' if the answer was assessed, otherwise 'input'
+ */
+function getGuardrailStage(trace) {
+  const outputAssessments = trace && trace.guardrail && trace.guardrail.outputAssessments;
+  return outputAssessments && Object.keys(outputAssessments).length > 0 ? 'output' : 'input';
+}
+
+/**
+ * Shorten a text for the moderation log, masking anything the PII detectors find
+ * @param {string} text - Blocked or masked text
+ * @returns {string|null} - Excerpt
+ */
+function createExcerpt(text) {
+  if (!text) {
+    return null;
+  }
+
+  let excerpt = text;
+  for (const detector of detectors.values()) {
+    excerpt = excerpt.replace(detector.pattern, match => (
+      !detector.validate || detector.validate(match) ? `[REDACTED ${detector.label.toUpperCase()}]` : match
+    ));
+  }
+
+  const maxChars = config.contentPolicy.excerptChars;
+  return excerpt.length > maxChars ? `${excerpt.substring(0, maxChars)}...` : excerpt;
+}
+
+/**
+ * Log a block or mask for admin review. Failures are logged and never interrupt the chat.
+ * @param {Object} event - Event details
+ * @param {number|null} event.userId - User who sent the message
+ * @param {string|null} event.conversationId - Conversation
+ * @param {string} event.stage - 'input' or 'output'
+ * @param {string} event.source - 'policy' or 'guardrail'
+ * @param {string} event.action - 'blocked' or 'masked'
+ * @param {Array<string>} event.rules - Rules that matched
+ * @param {string} event.text - The text that was checked (stored as an excerpt)
+ */
+async function recordEvent({ userId = null, conversationId = null, stage, source = 'policy', action, rules = [], text = '' }) {
+  try {
+    const { ModerationEvent } = await getModels();
+    await ModerationEvent.create({
+      user_id: userId,
+      conversation_id: conversationId,
+      stage,
+      source,
+      action,
+      rules,
+      excerpt: createExcerpt(text)
+    });
+    console.log(`[CONTENT_POLICY] ${source} ${action} ${stage} for user ${userId} (${rules.join(', ') || 'no rule IDs'})`);
+  } catch (error) {
+    console.error(`[CONTENT_POLICY] Failed to record moderation event: ${error.message}`);
+  }
+}
+
+/**
+ * List logged events, newest first
+ * @param {Object} options - Filters
+ * @param {boolean} options.unreviewedOnly - Only events nobody has reviewed yet
+ * @param {number} options.limit - Maximum number of events
+ * @returns {Promise<Array>} - ModerationEvent instances
+ */
+async function listEvents({ unreviewedOnly = false, limit = 100 } = {}) {
+  const { ModerationEvent } = await getModels();
+  return ModerationEvent.findAll({
+    where: unreviewedOnly ? { reviewed_at: null } : {},
+    order: [['created_at', 'DESC']],
+    limit
+  });
+}
+
+/**
+ * Count the events waiting for review
+ * @returns {Promise<number>} - Number of unreviewed events
+ */
+async function countUnreviewed() {
+  const { ModerationEvent } = await getModels();
+  return ModerationEvent.count({ where: { reviewed_at: null } });
+}
+
+/**
+ * Mark an event as reviewed
+ * @param {number|string} id - Event ID
+ * @param {number} reviewerId - Admin who reviewed it
+ * @returns {Promise<boolean>} - False if there is no such event
+ */
+async function markReviewed(id, reviewerId) {
+  const { ModerationEvent } = await getModels();
+  const [updated] = await ModerationEvent.update(
+    { reviewed_at: new Date(), reviewed_by: reviewerId },
+    { where: { id } }
+  );
+  return updated > 0;
+}
+
+module.exports = {
+  registerDetector,
+  checkText,
+  StreamFilter,
+  getGuardrailStage,
+  recordEvent,
+  listEvents,
+  countUnreviewed,
+  markReviewed
+};
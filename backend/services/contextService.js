@@ -0,0 +1,258 @@
+/**
+ * Context Service
+ * Fits a conversation into the model's context window. Recent turns are sent word for word;
+ * older turns are rolled up into a running summary generated by the model.
+ */
+const config = require('../config');
+const { getModelCapabilities } = require('./modelCapabilities');
+const { generateResponse } = require('./llmService');
+
+// Tokens added per message for role markers and formatting
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Characters of each tool result kept in the summarization transcript
+const SUMMARY_TOOL_RESULT_CHARS = 500;
+const TRUNCATION_NOTE = "\n\n[Message truncated to fit the model's context window]";
+
+const SUMMARY_PROMPT = `You maintain a running summary of a conversation between a user and an AI assistant.
+Update the summary so it also covers the new messages. Keep every fact, decision, name, number, preference and
+open question that later turns may depend on, and note any documents or images that were shared. Write concise
+plain prose in the third person. Reply with the updated summary only.`;
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+  return text ? Math.ceil(text.length / config.chat.context.charsPerToken) : 0;
+}
+
+/**
+ * Estimate the tokens a chat history message takes in a request (documents are budgeted separately)
+ * @param {Object} msg - Chat history message
+ * @returns {number} - Estimated tokens
+ */
+function estimateMessageTokens(msg) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS + estimateTokens(msg.content || '');
+
+  if (Array.isArray(msg.toolCalls)) {
+    for (const call of msg.toolCalls) {
+      tokens += MESSAGE_OVERHEAD_TOKENS + estimateTokens(call.name) + estimateTokens(JSON.stringify(call.input || {}));
+    }
+  }
+  if (Array.isArray(msg.attachments)) {
+    tokens += msg.attachments.filter(attachment => attachment.type === 'image').length * config.chat.context.imageTokens;
+  }
+  return tokens;
+}
+
+/**
+ * Get the number of tokens available for a request to a model
+ * @param {string} modelId - Model ID or inference profile ID
+ * @param {number} maxTokens - Tokens reserved for the response
+ * @returns {number} - Prompt budget in tokens
+ */
+function getPromptBudget(modelId, maxTokens) {
+  const { maxContextTokens, safetyMargin } = config.chat.context;
+  let contextWindow = getModelCapabilities(modelId).contextWindow;
+  if (maxContextTokens > 0) {
+    contextWindow = Math.min(contextWindow, maxContextTokens);
+  }
+  return Math.floor(contextWindow * (1 - safetyMargin)) - maxTokens;
+}
+
+/**
+ * Format messages as a plain transcript for the summarizer
+ * @param {Array} messages - Chat history messages
+ * @param {number} maxChars - Maximum characters per message
+ * @returns {string} - Transcript
+ */
+function formatTranscript(messages, maxChars) {
+  const shorten = (text, limit) => (text.length > limit ? `${text.substring(0, limit)}... [shortened]` : text);
+
+  return messages.map(msg => {
+    if (msg.role === 'tool') {
+      return `Tool result (${msg.name}): ${shorten(msg.content || '', SUMMARY_TOOL_RESULT_CHARS)}`;
+    }
+
+    const lines = [];
+    if (Array.isArray(msg.attachments)) {
+      msg.attachments.forEach(attachment => lines.push(`[Attached ${attachment.type}: ${attachment.name || 'unnamed'}]`));
+    }
+    if (msg.content) {
+      lines.push(shorten(msg.content, maxChars));
+    }
+    if (Array.isArray(msg.toolCalls)) {
+      msg.toolCalls.forEach(call => lines.push(`[Called tool ${call.name} with ${JSON.stringify(call.input || {})}]`));
+    }
+    return `${msg.role === 'user' ? 'User' : 'Assistant'}: ${lines.join('\n')}`;
+  }).join('\n\n');
+}
+
+/**
+ * Fold messages into a running summary
+ * Long stretches are summarized in batches that fit the summary model's own context window.
+ * @param {string|null} previousSummary - Summary of the turns before these messages
+ * @param {Array} messages - Chat history messages to add to the summary
+ * @param {string} modelId - Model ID used when no summary model is configured
+ * @returns {Promise<string>} - Updated summary
+ */
+async function summarizeMessages(previousSummary, messages, modelId) {
+  const { summaryModelId, summaryMaxTokens, charsPerToken } = config.chat.context;
+  const summarizerId = summaryModelId || modelId;
+  const inputChars = Math.floor(getPromptBudget(summarizerId, summaryMaxTokens) * charsPerToken) - SUMMARY_PROMPT.length;
+  const maxMessageChars = Math.max(Math.floor(inputChars / 4), 500);
+
+  let summary = previousSummary;
+  let batch = [];
+  let batchChars = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const prompt = (summary ? `Summary so far:\n${summary}\n\n` : '') +
+      `New messages:\n${formatTranscript(batch, maxMessageChars)}`;
+    summary = (await generateResponse([
+      { role: 'system', content: SUMMARY_PROMPT },
+      { role: 'user', content: prompt }
+    ], { modelId: summarizerId, maxTokens: summaryMaxTokens, temperature: 0 })).trim();
+    batch = [];
+    batchChars = 0;
+  };
+
+  for (const msg of messages) {
+    const length = formatTranscript([msg], maxMessageChars).length;
+    if (batch.length > 0 && batchChars + length + (summary ? summary.length : 0) > inputChars) {
+      await flush();
+    }
+    batch.push(msg);
+    batchChars += length;
+  }
+  await flush();
+
+  return summary;
+}
+
+/**
+ * Shorten the longest messages until the conversation fits the budget
+ * Only happens when a single turn (e.g. a very long paste) is larger than the context window.
+ * @param {Array} messages - Chat history messages (copied, not modified)
+ * @param {number} budget - Token budget
+ * @returns {Array} - Messages that fit
+ */
+function truncateToBudget(messages, budget) {
+  const fitted = messages.map(msg => ({ ...msg }));
+  let total = fitted.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+
+  while (total > budget && fitted.length > 0) {
+    const longest = fitted.reduce((best, msg) => ((msg.content || '').length > (best.content || '').length ? msg : best));
+    const overflowChars = Math.ceil((total - budget) * config.chat.context.charsPerToken);
+    const keepChars = (longest.content || '').length - overflowChars - TRUNCATION_NOTE.length;
+    if (keepChars <= 0) {
+      // Even the longest message can't absorb the overflow; send what there is and let the model reject it
+      console.error(`[CONTEXT] Conversation exceeds the context budget by ${total - budget} tokens`);
+      break;
+    }
+
+    const before = estimateMessageTokens(longest);
+    longest.content = longest.content.substring(0, keepChars) + TRUNCATION_NOTE;
+    total += estimateMessageTokens(longest) - before;
+    console.log(`[CONTEXT] Truncated a ${longest.role} message to ${keepChars} characters`);
+  }
+
+  return fitted;
+}
+
+/**
+ * Assemble the messages to send for the next response
+ *
+ * Messages already covered by the conversation's summary are replaced by it. If the rest still does not
+ * fit, the oldest turns are summarized until the recent turns fill at most config.chat.context.recentShare
+ * of the budget. The split always falls before a user message, so tool calls stay with their results.
+ *
+ * @param {Array} chatHistory - Full chat history, including the system message
+ * @param {Object} options - { modelId, maxTokens, systemContext, summary }
+ * @param {Object|null} options.summary - Stored summary: { text, messageCount, updatedAt }, where messageCount
+ *   is the number of non-system messages it covers
+ * @returns {Promise<Object>} - { messages, summary, summaryUpdated, documentContextChars }
+ */
+async function buildContext(chatHistory, { modelId, maxTokens, systemContext = null, summary = null }) {
+  const { charsPerToken, recentShare } = config.chat.context;
+  const systemMessage = chatHistory.find(msg => msg.role === 'system');
+  const conversation = chatHistory.filter(msg => msg.role !== 'system');
+
+  // A summary that no longer matches the history (e.g. after it was cleared) is ignored
+  let currentSummary = summary && summary.messageCount <= conversation.length ? summary : null;
+  let summaryUpdated = false;
+
+  const budgetFor = (summaryText) => getPromptBudget(modelId, maxTokens) -
+    estimateTokens(systemMessage ? systemMessage.content : '') -
+    estimateTokens(systemContext) -
+    estimateTokens(summaryText);
+
+  let pending = conversation.slice(currentSummary ? currentSummary.messageCount : 0);
+  let budget = budgetFor(currentSummary && currentSummary.text);
+
+  // Attached documents share the budget with the conversation (see fitDocumentsToContext)
+  const hasDocuments = () => pending.some(msg => Array.isArray(msg.attachments) &&
+    msg.attachments.some(attachment => attachment.type === 'document'));
+  const documentTokens = () => (hasDocuments()
+    ? Math.min(Math.ceil(config.attachments.maxDocumentContextChars / charsPerToken), Math.floor(budget / 2))
+    : 0);
+
+  const pendingTokens = pending.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+  if (pendingTokens + documentTokens() > budget) {
+    // Keep the most recent turns that fit in the recent share, always including the latest user turn
+    const recentBudget = Math.floor((budget - documentTokens()) * recentShare);
+    const lastUserIndex = pending.map(msg => msg.role).lastIndexOf('user');
+    let split = Math.max(lastUserIndex, 0);
+    let recentTokens = pending.slice(split).reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+
+    for (let index = split - 1; index >= 0; index--) {
+      recentTokens += estimateMessageTokens(pending[index]);
+      if (recentTokens > recentBudget) break;
+      if (pending[index].role === 'user') split = index;
+    }
+
+    if (split > 0) {
+      const older = pending.slice(0, split);
+      const coveredCount = (currentSummary ? currentSummary.messageCount : 0) + split;
+      try {
+        const text = await summarizeMessages(currentSummary && currentSummary.text, older, modelId);
+        currentSummary = { text, messageCount: coveredCount, updatedAt: new Date().toISOString() };
+        summaryUpdated = true;
+        console.log(`[CONTEXT] Summarized ${older.length} messages (${coveredCount} in total) for ${modelId}`);
+      } catch (error) {
+        // Without a summary the older turns are left out of this request; the next one tries again
+        console.error(`[CONTEXT] Summarization failed, leaving out ${older.length} older messages: ${error.message}`);
+      }
+      pending = pending.slice(split);
+      budget = budgetFor(currentSummary && currentSummary.text);
+    }
+  }
+
+  const documentBudget = documentTokens();
+  const messages = truncateToBudget(pending, budget - documentBudget);
+
+  if (systemMessage || currentSummary) {
+    let systemContent = systemMessage ? systemMessage.content : config.chat.systemPrompt;
+    if (currentSummary) {
+      systemContent += `\n\nSummary of the earlier part of this conversation:\n${currentSummary.text}`;
+    }
+    messages.unshift({ role: 'system', content: systemContent });
+  }
+
+  return {
+    messages,
+    summary: currentSummary,
+    summaryUpdated,
+    documentContextChars: Math.min(Math.floor(documentBudget * charsPerToken), config.attachments.maxDocumentContextChars)
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  estimateMessageTokens,
+  getPromptBudget,
+  summarizeMessages,
+  buildContext
+};
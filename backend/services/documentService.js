@@ -0,0 +1,183 @@
+/**
+ * Document Service
+ * Detects document types, extracts their text and fits it into the model context
+ */
+const config = require('../config');
+
+// Supported document types by file extension
+const DOCUMENT_TYPES = {
+  pdf: { mediaType: 'application/pdf', extensions: ['pdf'] },
+  docx: {
+    mediaType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['docx']
+  },
+  md: { mediaType: 'text/markdown', extensions: ['md', 'markdown'] },
+  csv: { mediaType: 'text/csv', extensions: ['csv'] },
+  txt: { mediaType: 'text/plain', extensions: ['txt', 'text', 'log'] }
+};
+
+const TEXT_TYPES = ['md', 'csv', 'txt'];
+
+/**
+ * Work out a document's type from its file name, checking the contents match
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Uploaded file name
+ * @returns {string|null} - Document type key (e.g. 'pdf'), or null if unsupported
+ */
+function detectDocumentType(buffer, fileName) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  const type = Object.keys(DOCUMENT_TYPES).find(key => DOCUMENT_TYPES[key].extensions.includes(extension));
+
+  if (!type || !config.attachments.documentTypes.includes(type)) {
+    return null;
+  }
+
+  if (type === 'pdf') {
+    return buffer.subarray(0, 5).toString('ascii') === '%PDF-' ? type : null;
+  }
+  if (type === 'docx') {
+    // DOCX files are ZIP archives
+    return buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) ? type : null;
+  }
+
+  // Plain-text formats must be valid UTF-8 without NUL bytes
+  if (buffer.includes(0)) {
+    return null;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return null;
+  }
+  return type;
+}
+
+/**
+ * Get the media type for a document type
+ * @param {string} type - Document type key
+ * @returns {string} - Media type
+ */
+function getDocumentMediaType(type) {
+  return DOCUMENT_TYPES[type].mediaType;
+}
+
+/**
+ * Extract the text of a document
+ * @param {Buffer} buffer - File contents
+ * @param {string} type - Document type key from detectDocumentType
+ * @returns {Promise<string>} - Extracted text, capped at config.attachments.maxExtractedChars
+ */
+async function extractText(buffer, type) {
+  let text;
+
+  if (type === 'pdf') {
+    // Required from lib/ because the package index runs a self-test when loaded without a parent module
+    const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+    const result = await pdfParse(buffer);
+    text = result.text;
+  } else if (type === 'docx') {
+    const mammoth = require('mammoth');
+    const result = await mammoth.extractRawText({ buffer });
+    text = result.value;
+  } else if (TEXT_TYPES.includes(type)) {
+    text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  } else {
+    throw new Error(`Unsupported document type: ${type}`);
+  }
+
+  text = text.replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (text.length > config.attachments.maxExtractedChars) {
+    console.log(`[DOCUMENTS] Truncating extracted text from ${text.length} to ${config.attachments.maxExtractedChars} characters`);
+    text = text.substring(0, config.attachments.maxExtractedChars);
+  }
+  return text;
+}
+
+/**
+ * Split text into chunks of at most chunkSize characters, breaking at paragraphs or lines where possible
+ * @param {string} text - Text to split
+ * @param {number} chunkSize - Maximum characters per chunk
+ * @param {number} overlap - Characters repeated from the end of the previous chunk (less than half of chunkSize)
+ * @returns {Array<string>} - Chunks
+ */
+function chunkText(text, chunkSize = config.attachments.documentChunkSize, overlap = 0) {
+  const chunks = [];
+  const carry = Math.min(Math.max(overlap, 0), Math.floor(chunkSize / 2) - 1);
+  let remaining = text;
+
+  while (remaining.length > chunkSize) {
+    const window = remaining.substring(0, chunkSize);
+    let breakAt = window.lastIndexOf('\n\n');
+    if (breakAt < chunkSize / 2) breakAt = window.lastIndexOf('\n');
+    if (breakAt < chunkSize / 2) breakAt = window.lastIndexOf(' ');
+    if (breakAt < chunkSize / 2) breakAt = chunkSize;
+
+    chunks.push(remaining.substring(0, breakAt).trim());
+
+    // Start the next chunk a little earlier, at a word boundary, so passages keep some context
+    let nextStart = breakAt;
+    if (carry > 0) {
+      const wordStart = remaining.indexOf(' ', breakAt - carry);
+      nextStart = wordStart > 0 && wordStart < breakAt ? wordStart : breakAt;
+    }
+    remaining = remaining.substring(nextStart).trim();
+  }
+
+  if (remaining) {
+    chunks.push(remaining);
+  }
+  return chunks;
+}
+
+/**
+ * Fit documents into the per-request context budget
+ * The most recently attached documents get their share first; each document is cut at a
+ * chunk boundary, with a note saying how much of it was left out.
+ * @param {Array<Object>} documents - Oldest first: { id, name, text }
+ * @param {number} budget - Maximum characters of document text
+ * @returns {Map} - id => text to include in the prompt
+ */
+function fitDocumentsToContext(documents, budget = config.attachments.maxDocumentContextChars) {
+  const fitted = new Map();
+  let remainingBudget = budget;
+
+  for (const document of [...documents].reverse()) {
+    const chunks = chunkText(document.text || '');
+    const included = [];
+    let length = 0;
+
+    for (const chunk of chunks) {
+      if (length + chunk.length > remainingBudget) break;
+      included.push(chunk);
+      length += chunk.length;
+    }
+
+    remainingBudget -= length;
+    let text = included.join('\n\n');
+    if (included.length < chunks.length) {
+      text += `\n\n[Document truncated: showing ${included.length} of ${chunks.length} parts]`;
+    }
+    fitted.set(document.id, text);
+  }
+
+  return fitted;
+}
+
+/**
+ * Format a document's text for the prompt
+ * @param {string} name - File name
+ * @param {string} text - Document text
+ * @returns {string} - Text block content
+ */
+function formatDocument(name, text) {
+  return `<document name="${name.replace(/"/g, "'")}">\n${text}\n</document>`;
+}
+
+module.exports = {
+  detectDocumentType,
+  getDocumentMediaType,
+  extractText,
+  chunkText,
+  fitDocumentsToContext,
+  formatDocument
+};
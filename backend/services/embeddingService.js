@@ -0,0 +1,137 @@
+/**
+ * Embedding Service
+ * Turns text into vectors for the knowledge base. Embedders are pluggable: 'bedrock' calls a
+ * Bedrock embeddings model, 'local' is a dependency-free hashing embedder for development, and
+ * others can be added with registerEmbedder().
+ */
+const crypto = require('crypto');
+const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const config = require('../config');
+const { getBedrockClient } = require('./bedrockService');
+
+// Embedders by name: { embed(texts, inputType) => Promise<Array<number[]>> }
+const embedders = new Map();
+
+/**
+ * Register an embedder
+ * @param {string} name - Name used in EMBEDDING_PROVIDER
+ * @param {Object} embedder - { embed(texts, inputType) } returning one vector per text,
+ *   each of config.knowledgeBase.embeddingDimensions numbers
+ */
+function registerEmbedder(name, embedder) {
+  if (!embedder || typeof embedder.embed !== 'function') {
+    throw new Error(`Embedder ${name} must have an embed function`);
+  }
+  embedders.set(name, embedder);
+}
+
+/**
+ * Scale a vector to unit length, so cosine similarity is comparable across embedders
+ * @param {Array<number>} vector - Vector
+ * @returns {Array<number>} - Normalized vector
+ */
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+/**
+ * Embed texts with a Bedrock embeddings model (Amazon Titan or Cohere)
+ * @param {Array<string>} texts - Texts to embed
+ * @param {string} inputType - 'document' when indexing, 'query' when searching
+ * @returns {Promise<Array<number[]>>} - Vectors
+ */
+async function embedWithBedrock(texts, inputType) {
+  const { embeddingModelId, embeddingDimensions } = config.knowledgeBase;
+  const client = new BedrockRuntimeClient(await getBedrockClient().getAwsClientConfig());
+
+  const invoke = async (body) => {
+    const response = await client.send(new InvokeModelCommand({
+      modelId: embeddingModelId,
+      contentType: 'application/json',
+      accept: 'application/json',
+      body: JSON.stringify(body)
+    }));
+    return JSON.parse(Buffer.from(response.body).toString('utf8'));
+  };
+
+  if (embeddingModelId.startsWith('cohere.')) {
+    // Cohere embeds a batch of up to 96 texts per request
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += 96) {
+      const result = await invoke({
+        texts: texts.slice(start, start + 96),
+        input_type: inputType === 'query' ? 'search_query' : 'search_document',
+        truncate: 'END'
+      });
+      vectors.push(...result.embeddings);
+    }
+    return vectors;
+  }
+
+  // Titan embeds one text per request
+  const vectors = [];
+  for (const text of texts) {
+    const body = { inputText: text };
+    if (embeddingModelId.startsWith('amazon.titan-embed-text-v2')) {
+      body.dimensions = embeddingDimensions;
+      body.normalize = true;
+    }
+    const result = await invoke(body);
+    vectors.push(result.embedding);
+  }
+  return vectors;
+}
+
+/**
+ * Embed texts by hashing their words into a fixed number of buckets
+ * Much weaker than a real embeddings model, but needs no network access or credentials.
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<number[]>>} - Vectors
+ */
+async function embedLocally(texts) {
+  const dimensions = config.knowledgeBase.embeddingDimensions;
+
+  return texts.map(text => {
+    const vector = new Array(dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+      const hash = crypto.createHash('md5').update(word).digest();
+      const bucket = hash.readUInt32LE(0) % dimensions;
+      vector[bucket] += hash[4] & 1 ? 1 : -1;
+    }
+    return normalize(vector);
+  });
+}
+
+registerEmbedder('bedrock', { embed: embedWithBedrock });
+registerEmbedder('local', { embed: embedLocally });
+
+/**
+ * Embed texts with the configured embedder
+ * @param {Array<string>} texts - Texts to embed
+ * @param {string} inputType - 'document' when indexing, 'query' when searching
+ * @returns {Promise<Array<number[]>>} - One vector per text
+ */
+async function embedTexts(texts, inputType = 'document') {
+  const name = config.knowledgeBase.embeddingProvider;
+  const embedder = embedders.get(name);
+  if (!embedder) {
+    throw new Error(`Unknown embedding provider: ${name}`);
+  }
+
+  const vectors = await embedder.embed(texts, inputType);
+  const expected = config.knowledgeBase.embeddingDimensions;
+  for (const vector of vectors) {
+    if (!Array.isArray(vector) || vector.length !== expected) {
+      throw new Error(`Embedding provider ${name} returned ${vector ? vector.length : 0} dimensions, expected ${expected}`);
+    }
+  }
+  return vectors;
+}
+
+module.exports = {
+  registerEmbedder,
+  embedTexts
+};
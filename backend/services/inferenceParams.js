@@ -0,0 +1,189 @@
+/**
+ * Inference Parameters
+ * Validates user-supplied sampling settings and resolves the values sent to Bedrock
+ */
+const config = require('../config');
+
+// Settings users may choose, using the Converse API names
+const INFERENCE_PARAM_KEYS = ['temperature', 'topP', 'topK', 'maxTokens', 'stopSequences', 'thinkingBudget'];
+
+// Smallest reasoning budget the models accept
+const MIN_THINKING_BUDGET = 1024;
+
+/**
+ * Check that a value is a finite number within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @returns {boolean} - True if the value is in range
+ */
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate inference parameters against the admin-configured limits
+ * A null value is kept so callers can clear a previously saved setting.
+ * @param {Object} params - { temperature, topP, topK, maxTokens, stopSequences, thinkingBudget }
+ * @returns {Object} - { params, errors } where params holds only the valid settings
+ */
+function validateInferenceParams(params) {
+  const result = {};
+  const errors = [];
+
+  if (params === undefined || params === null) {
+    return { params: result, errors };
+  }
+
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return { params: result, errors: ['Inference parameters must be an object'] };
+  }
+
+  const limits = config.bedrock.limits;
+
+  for (const [key, value] of Object.entries(params)) {
+    if (!INFERENCE_PARAM_KEYS.includes(key)) {
+      errors.push(`Unknown inference parameter: ${key}`);
+      continue;
+    }
+
+    if (value === null) {
+      result[key] = null;
+      continue;
+    }
+
+    switch (key) {
+      case 'temperature':
+        if (isNumberInRange(value, 0, limits.maxTemperature)) {
+          result.temperature = value;
+        } else {
+          errors.push(`temperature must be a number between 0 and ${limits.maxTemperature}`);
+        }
+        break;
+
+      case 'topP':
+        if (isNumberInRange(value, 0, 1)) {
+          result.topP = value;
+        } else {
+          errors.push('topP must be a number between 0 and 1');
+        }
+        break;
+
+      case 'topK':
+        if (Number.isInteger(value) && isNumberInRange(value, 1, limits.maxTopK)) {
+          result.topK = value;
+        } else {
+          errors.push(`topK must be an integer between 1 and ${limits.maxTopK}`);
+        }
+        break;
+
+      case 'maxTokens':
+        if (Number.isInteger(value) && isNumberInRange(value, 1, limits.maxTokens)) {
+          result.maxTokens = value;
+        } else {
+          errors.push(`maxTokens must be an integer between 1 and ${limits.maxTokens}`);
+        }
+        break;
+
+      case 'stopSequences':
+        if (!Array.isArray(value) || value.length > limits.maxStopSequences) {
+          errors.push(`stopSequences must be an array of at most ${limits.maxStopSequences} strings`);
+        } else if (value.some(sequence => typeof sequence !== 'string' || sequence.length === 0 ||
+                                          sequence.length > limits.maxStopSequenceLength)) {
+          errors.push(`Each stop sequence must be a non-empty string of at most ${limits.maxStopSequenceLength} characters`);
+        } else {
+          result.stopSequences = value;
+        }
+        break;
+
+      case 'thinkingBudget':
+        if (Number.isInteger(value) && isNumberInRange(value, MIN_THINKING_BUDGET, limits.maxThinkingBudget)) {
+          result.thinkingBudget = value;
+        } else {
+          errors.push(`thinkingBudget must be an integer between ${MIN_THINKING_BUDGET} and ${limits.maxThinkingBudget}`);
+        }
+        break;
+    }
+  }
+
+  return { params: result, errors };
+}
+
+/**
+ * Apply validated updates to saved inference parameters (null removes a setting)
+ * @param {Object} current - Currently saved parameters
+ * @param {Object} updates - Validated updates
+ * @returns {Object} - Merged parameters
+ */
+function mergeInferenceParams(current = {}, updates = {}) {
+  const merged = { ...(current || {}) };
+
+  for (const [key, value] of Object.entries(updates || {})) {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Pick the inference parameters out of a generic options object
+ * @param {Object} options - Options that may include inference parameters
+ * @returns {Object} - Only the recognised inference parameters that are set
+ */
+function pickInferenceParams(options = {}) {
+  const params = {};
+
+  for (const key of INFERENCE_PARAM_KEYS) {
+    if (options[key] !== undefined && options[key] !== null) {
+      params[key] = options[key];
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Resolve the parameters for a request: config defaults, overridden by each layer in turn
+ * (e.g. user settings, then conversation settings), then bounded by the configured limits
+ * @param {...Object} layers - Parameter sets, lowest priority first
+ * @returns {Object} - Parameters to send to Bedrock
+ */
+function resolveInferenceParams(...layers) {
+  const limits = config.bedrock.limits;
+
+  const resolved = {
+    maxTokens: config.bedrock.maxTokens,
+    temperature: config.bedrock.temperature
+  };
+
+  for (const layer of layers) {
+    Object.assign(resolved, pickInferenceParams(layer || {}));
+  }
+
+  // Limits may have been lowered since settings were saved
+  resolved.maxTokens = Math.min(resolved.maxTokens, limits.maxTokens);
+  resolved.temperature = Math.min(resolved.temperature, limits.maxTemperature);
+  if (resolved.topK !== undefined) {
+    resolved.topK = Math.min(resolved.topK, limits.maxTopK);
+  }
+  if (resolved.stopSequences !== undefined) {
+    resolved.stopSequences = resolved.stopSequences.slice(0, limits.maxStopSequences);
+  }
+  if (resolved.thinkingBudget !== undefined) {
+    resolved.thinkingBudget = Math.min(resolved.thinkingBudget, limits.maxThinkingBudget);
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  INFERENCE_PARAM_KEYS,
+  validateInferenceParams,
+  mergeInferenceParams,
+  pickInferenceParams,
+  resolveInferenceParams
+};
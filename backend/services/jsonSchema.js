@@ -0,0 +1,261 @@
+/**
+ * JSON Schema
+ * Validates values against the JSON Schemas clients send for structured answers. The common subset of
+ * JSON Schema is supported (types, properties, items, enums, ranges, lengths and the combinators);
+ * schemas using anything else are refused rather than half-checked.
+ *
+ * `pattern` is refused too: a client's regular expression could backtrack catastrophically (e.g.
+ * ^(a+)+$) and block the event loop while model output is checked against it.
+ */
+
+// Keywords that are checked, and those that only describe the value
+const VALIDATION_KEYWORDS = [
+  'type', 'nullable', 'enum', 'const',
+  'properties', 'required', 'additionalProperties', 'minProperties', 'maxProperties',
+  'items', 'minItems', 'maxItems', 'uniqueItems',
+  'minLength', 'maxLength',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'anyOf', 'oneOf', 'allOf', 'not'
+];
+const ANNOTATION_KEYWORDS = ['$schema', '$id', 'title', 'description', 'default', 'examples', 'format'];
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - Parsed JSON value
+ * @returns {string} - One of TYPES (integers are 'integer')
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check that a schema only uses supported keywords, with values of the right kind
+ * @param {*} schema - Schema from the client
+ * @param {string} path - Location in the schema, for messages
+ * @returns {Array<string>} - Problems found (empty if the schema can be used)
+ */
+function checkSchema(schema, path = 'schema') {
+  if (typeof schema === 'boolean') return [];
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (ANNOTATION_KEYWORDS.includes(keyword)) continue;
+    if (keyword === 'pattern') {
+      errors.push(`${path}: pattern is not supported; describe the format in description or list the values in enum`);
+      continue;
+    }
+    if (!VALIDATION_KEYWORDS.includes(keyword)) {
+      errors.push(`${path}: unsupported keyword ${keyword}`);
+      continue;
+    }
+
+    switch (keyword) {
+      case 'type': {
+        const types = Array.isArray(value) ? value : [value];
+        if (types.length === 0 || types.some(type => !TYPES.includes(type))) {
+          errors.push(`${path}.type must be one of ${TYPES.join(', ')}`);
+        }
+        break;
+      }
+      case 'enum':
+        if (!Array.isArray(value) || value.length === 0) {
+          errors.push(`${path}.enum must be a non-empty array`);
+        }
+        break;
+      case 'properties':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${path}.properties must be an object`);
+        } else {
+          for (const [name, propertySchema] of Object.entries(value)) {
+            errors.push(...checkSchema(propertySchema, `${path}.properties.${name}`));
+          }
+        }
+        break;
+      case 'required':
+        if (!Array.isArray(value) || value.some(name => typeof name !== 'string')) {
+          errors.push(`${path}.required must be an array of property names`);
+        }
+        break;
+      case 'additionalProperties':
+      case 'items':
+      case 'not':
+        errors.push(...checkSchema(value, `${path}.${keyword}`));
+        break;
+      case 'anyOf':
+      case 'oneOf':
+      case 'allOf':
+        if (!Array.isArray(value) || value.length === 0) {
+          errors.push(`${path}.${keyword} must be a non-empty array of schemas`);
+        } else {
+          value.forEach((subschema, index) => errors.push(...checkSchema(subschema, `${path}.${keyword}[${index}]`)));
+        }
+        break;
+      case 'const':
+        break;
+      case 'nullable':
+      case 'uniqueItems':
+        if (typeof value !== 'boolean') {
+          errors.push(`${path}.${keyword} must be a boolean`);
+        }
+        break;
+      case 'multipleOf':
+        if (typeof value !== 'number' || !(value > 0)) {
+          errors.push(`${path}.multipleOf must be a positive number`);
+        }
+        break;
+      default:
+        // Lengths, counts and ranges
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push(`${path}.${keyword} must be a number`);
+        }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a value against a schema (checked with checkSchema first)
+ * @param {*} value - Parsed JSON value
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {string} path - Location in the value, for messages ('$' is the whole value)
+ * @returns {Array<string>} - Validation errors, e.g. "$.items[2].price: must be a number"
+ */
+function validate(value, schema, path = '$') {
+  if (schema === true) return [];
+  if (schema === false) return [`${path}: is not allowed`];
+
+  const errors = [];
+  const type = typeOf(value);
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(expected => expected === type || (expected === 'number' && type === 'integer'));
+    if (!matches && !(schema.nullable && value === null)) {
+      // Checking the rest of a value of the wrong type only adds noise
+      return [`${path}: must be ${types.join(' or ')}, not ${type}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (type === 'object') {
+    const keys = Object.keys(value);
+    for (const name of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, name)) {
+        errors.push(`${path}: missing required property ${name}`);
+      }
+    }
+    for (const key of keys) {
+      const propertySchema = schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)
+        ? schema.properties[key]
+        : schema.additionalProperties;
+      if (propertySchema === false) {
+        errors.push(`${path}: unexpected property ${key}`);
+      } else if (propertySchema !== undefined) {
+        errors.push(...validate(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push(`${path}: must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      errors.push(`${path}: must have at most ${schema.maxProperties} properties`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => isEqual(other, item)) !== index)) {
+      errors.push(`${path}: items must be unique`);
+    }
+  }
+
+  if (type === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(Number((value / schema.multipleOf).toPrecision(12)))) {
+      errors.push(`${path}: must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => errors.push(...validate(value, subschema, path)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => validate(value, subschema, path).length === 0)) {
+    errors.push(`${path}: must match at least one of the allowed schemas`);
+  }
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(subschema => validate(value, subschema, path).length === 0).length;
+    if (matching !== 1) {
+      errors.push(`${path}: must match exactly one of the allowed schemas (matches ${matching})`);
+    }
+  }
+  if (schema.not !== undefined && validate(value, schema.not, path).length === 0) {
+    errors.push(`${path}: must not match the excluded schema`);
+  }
+
+  return errors;
+}
+
+/**
+ * Compare two JSON values
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} - Whether they are the same JSON
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+module.exports = {
+  checkSchema,
+  validate
+};
@@ -0,0 +1,229 @@
+/**
+ * Knowledge Base Service
+ * Indexes admin-uploaded documents into pgvector and retrieves passages relevant to a chat message.
+ * Documents with an assistant_id are that assistant's knowledge files, only searched in its conversations.
+ */
+const { QueryTypes, Op } = require('sequelize');
+const config = require('../config');
+const models = require('../models');
+const { detectDocumentType, getDocumentMediaType, extractText, chunkText } = require('./documentService');
+const { embedTexts } = require('./embeddingService');
+
+const EMBEDDING_BATCH_SIZE = 16;
+const EXCERPT_LENGTH = 200;
+
+/**
+ * Ensure the database is initialized and return the models
+ * @returns {Promise<Object>} - db models
+ */
+async function getModels() {
+  if (process.env.NODE_ENV === 'production') {
+    await models.initializeDatabase();
+  }
+  return models;
+}
+
+/**
+ * Format a vector as a pgvector literal
+ * @param {Array<number>} vector - Embedding
+ * @returns {string} - e.g. '[0.1,0.2]'
+ */
+function toVectorLiteral(vector) {
+  return `[${vector.join(',')}]`;
+}
+
+/**
+ * Extract, chunk and embed a document, replacing any passages it already has
+ * @param {Object} document - KnowledgeDocument instance
+ * @param {Buffer} buffer - File contents
+ * @param {string} type - Document type key from detectDocumentType
+ */
+async function indexDocument(document, buffer, type) {
+  const { sequelize } = await getModels();
+
+  try {
+    const text = await extractText(buffer, type);
+    const chunks = chunkText(text, config.knowledgeBase.chunkSize, config.knowledgeBase.chunkOverlap);
+    if (chunks.length === 0) {
+      throw new Error('No text could be extracted from this document');
+    }
+
+    const vectors = [];
+    for (let start = 0; start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+      vectors.push(...await embedTexts(chunks.slice(start, start + EMBEDDING_BATCH_SIZE), 'document'));
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await sequelize.query('DELETE FROM knowledge_chunks WHERE document_id = $1', {
+        bind: [document.id],
+        transaction
+      });
+
+      for (let index = 0; index < chunks.length; index++) {
+        await sequelize.query(
+          'INSERT INTO knowledge_chunks (document_id, chunk_index, content, embedding) VALUES ($1, $2, $3, $4::vector)',
+          { bind: [document.id, index, chunks[index], toVectorLiteral(vectors[index])], transaction }
+        );
+      }
+
+      await document.update({ status: 'ready', chunk_count: chunks.length, error_message: null }, { transaction });
+    });
+
+    console.log(`[KNOWLEDGE_BASE] Indexed ${document.file_name}: ${chunks.length} passages`);
+  } catch (error) {
+    console.error(`[KNOWLEDGE_BASE] Failed to index ${document.file_name}: ${error.message}`);
+    await document.update({ status: 'error', error_message: error.message });
+  }
+}
+
+/**
+ * Add a document to the knowledge base
+ * Indexing continues in the background; the document's status shows when it is ready.
+ * @param {Object} upload - { buffer, fileName, title, uploadedBy, assistantId } (assistantId for an assistant's knowledge file)
+ * @returns {Promise<Object>} - { document } or { error }
+ */
+async function addDocument({ buffer, fileName, title, uploadedBy, assistantId = null }) {
+  if (!buffer || buffer.length === 0) {
+    return { error: 'The file is empty' };
+  }
+  if (buffer.length > config.knowledgeBase.maxDocumentBytes) {
+    return { error: `Documents must be at most ${(config.knowledgeBase.maxDocumentBytes / (1024 * 1024)).toFixed(0)} MB` };
+  }
+
+  const type = detectDocumentType(buffer, fileName);
+  if (!type) {
+    return { error: `Only ${config.attachments.documentTypes.map(key => key.toUpperCase()).join(', ')} documents are supported` };
+  }
+
+  const { KnowledgeDocument } = await getModels();
+  const document = await KnowledgeDocument.create({
+    title: (title || fileName).substring(0, 255),
+    file_name: fileName.substring(0, 255),
+    media_type: getDocumentMediaType(type),
+    size_bytes: buffer.length,
+    status: 'processing',
+    uploaded_by: uploadedBy || null,
+    assistant_id: assistantId
+  });
+
+  indexDocument(document, buffer, type).catch(error => {
+    console.error(`[KNOWLEDGE_BASE] Indexing error for ${document.file_name}: ${error.message}`);
+  });
+  return { document };
+}
+
+/**
+ * List the knowledge base documents, newest first
+ * @param {string|null} assistantId - An assistant's ID to list its knowledge files instead
+ * @returns {Promise<Array>} - KnowledgeDocument instances
+ */
+async function listDocuments(assistantId = null) {
+  const { KnowledgeDocument } = await getModels();
+  return KnowledgeDocument.findAll({ where: { assistant_id: assistantId }, order: [['created_at', 'DESC']] });
+}
+
+/**
+ * Delete a document and its passages
+ * @param {string} id - Document ID
+ * @returns {Promise<boolean>} - Whether the document existed
+ */
+async function deleteDocument(id) {
+  if (typeof id !== 'string' || !/^[0-9a-f-]{36}$/i.test(id)) return false;
+
+  const { KnowledgeDocument } = await getModels();
+  const document = await KnowledgeDocument.findByPk(id);
+  if (!document) {
+    return false;
+  }
+
+  // knowledge_chunks rows are removed by ON DELETE CASCADE
+  await document.destroy();
+  console.log(`[KNOWLEDGE_BASE] Deleted ${document.file_name}`);
+  return true;
+}
+
+/**
+ * Find the passages most similar to a query
+ * @param {string} query - Search text (usually the user's message)
+ * @param {number} topK - Maximum passages to return
+ * @param {string|null} assistantId - Also search this assistant's knowledge files
+ * @returns {Promise<Array>} - [{ documentId, title, chunkIndex, content, score }], best first
+ */
+async function search(query, topK = config.knowledgeBase.topK, assistantId = null) {
+  const { sequelize } = await getModels();
+  const [vector] = await embedTexts([query], 'query');
+
+  const rows = await sequelize.query(`
+    SELECT c.document_id, c.chunk_index, c.content, d.title,
+           1 - (c.embedding <=> $1::vector) AS score
+    FROM knowledge_chunks c
+    JOIN knowledge_documents d ON d.id = c.document_id
+    WHERE d.status = 'ready' AND (d.assistant_id IS NULL OR d.assistant_id = $3::uuid)
+    ORDER BY c.embedding <=> $1::vector
+    LIMIT $2
+  `, { bind: [toVectorLiteral(vector), topK, assistantId], type: QueryTypes.SELECT });
+
+  return rows
+    .map(row => ({
+      documentId: row.document_id,
+      title: row.title,
+      chunkIndex: row.chunk_index,
+      content: row.content,
+      score: Number(row.score)
+    }))
+    .filter(passage => passage.score >= config.knowledgeBase.minScore);
+}
+
+/**
+ * Retrieve knowledge base passages for a chat message
+ * @param {string} query - The user's message
+ * @param {string|null} assistantId - The conversation's assistant, whose knowledge files are searched too
+ * @returns {Promise<Object>} - { sources, systemContext } where sources are the citations to show the
+ *   user and systemContext is the text to add to the system prompt (null if nothing relevant was found)
+ */
+async function retrieveContext(query, assistantId = null) {
+  const empty = { sources: [], systemContext: null };
+  if (!config.knowledgeBase.enabled || !query || !query.trim()) {
+    return empty;
+  }
+
+  const { KnowledgeDocument } = await getModels();
+  const readyCount = await KnowledgeDocument.count({
+    where: { status: 'ready', assistant_id: { [Op.or]: [null, assistantId] } }
+  });
+  if (readyCount === 0) {
+    return empty;
+  }
+
+  const passages = await search(query, config.knowledgeBase.topK, assistantId);
+  if (passages.length === 0) {
+    return empty;
+  }
+
+  const sources = passages.map((passage, index) => ({
+    number: index + 1,
+    documentId: passage.documentId,
+    title: passage.title,
+    chunkIndex: passage.chunkIndex,
+    score: Math.round(passage.score * 1000) / 1000,
+    excerpt: passage.content.length > EXCERPT_LENGTH
+      ? `${passage.content.substring(0, EXCERPT_LENGTH)}...`
+      : passage.content
+  }));
+
+  const systemContext = 'The following passages from the knowledge base may help answer the user. ' +
+    'Use them when they are relevant, cite them with their number in square brackets (e.g. [1]), ' +
+    'and say so if they do not contain the answer.\n\n' +
+    passages.map((passage, index) => `[${index + 1}] ${passage.title}\n${passage.content}`).join('\n\n');
+
+  console.log(`[KNOWLEDGE_BASE] Retrieved ${passages.length} passages (best score ${sources[0].score})`);
+  return { sources, systemContext };
+}
+
+module.exports = {
+  addDocument,
+  listDocuments,
+  deleteDocument,
+  search,
+  retrieveContext
+};
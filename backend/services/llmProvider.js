@@ -0,0 +1,133 @@
+/**
+ * LLM Provider
+ * Base class for the model providers behind llmService. A provider implements createChatCompletion;
+ * the tool use loop on top of it is shared, so every provider runs tools the same way.
+ */
+const config = require('../config');
+const { executeTool } = require('./toolRegistry');
+
+class LLMProvider {
+  /**
+   * Create a chat completion
+   *
+   * Non-streaming responses have the shape of a Converse response:
+   *   { output: { message: { role: 'assistant', content: [{ text }, { toolUse }] } }, stopReason, usage, modelId }
+   * Streams yield normalized events:
+   *   { type: 'model', modelId, region, requestedModelId, fallback }  - first, naming the model that answers
+   *   { type: 'message_start', role }
+   *   { type: 'reasoning', index, text }  - extended thinking, streamed before the answer
+   *   { type: 'reasoning_block', index, reasoning }  - a finished reasoning block, { text, signature } or
+   *                                                    { redactedContent } (base64), to send back in later turns
+   *   { type: 'text', index, text }
+   *   { type: 'tool_use_start', index, id, name }
+   *   { type: 'tool_use', index, id, name, input }
+   *   { type: 'content_block_stop', index }
+   *   { type: 'message_stop', stopReason }
+   *   { type: 'metadata', usage, latencyMs, trace }
+   * Errors are thrown with the name of the matching Bedrock exception (e.g. ThrottlingException).
+   *
+   * @param {Array} messages - Chat history messages
+   * @param {boolean} stream - Whether to stream the response
+   * @param {Object} options - Per-request options (modelId, inference parameters, tools, systemContext, ...)
+   * @returns {Promise<Object|AsyncGenerator>} - Response, or normalized event stream when streaming
+   */
+  async createChatCompletion(messages, stream = false, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement createChatCompletion`);
+  }
+  
+  /**
+   * Stream a chat completion with the registered tools, running each tool the model calls and
+   * sending the results back until the model gives its answer
+   *
+   * Yields the normalized stream events of every model turn, including the model event naming the model
+   * that answered (with a single message_stop at the end), plus:
+   *   { type: 'tool_result', id, name, status, content }
+   *   { type: 'message', message }  - assistant and tool messages to append to the chat history
+   * Assistant messages carry the model's reasoning blocks as `reasoning` when it reasoned.
+   *
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Options for createChatCompletion, plus:
+   * @param {Object} options.toolContext - Passed to tool handlers ({ userId, conversationId })
+   * @returns {AsyncGenerator<Object>} - Stream events
+   */
+  async *streamChatWithTools(messages, options = {}) {
+    const { toolContext = {}, ...completionOptions } = options;
+    const conversation = [...messages];
+    let hasText = false;
+    let hasReasoning = false;
+    
+    for (let iteration = 0; ; iteration++) {
+      // Once the limit is reached, stop offering tools so the model has to answer
+      const offerTools = completionOptions.tools !== false && iteration < config.chat.maxToolIterations;
+      const stream = await this.createChatCompletion(conversation, true, { ...completionOptions, tools: offerTools });
+      
+      let text = '';
+      let reasoningText = '';
+      let stopReason = null;
+      const toolCalls = [];
+      const reasoning = [];
+      
+      for await (const event of stream) {
+        if (event.type === 'text') {
+          // Separate the text of successive turns
+          if (!text && hasText) {
+            yield { type: 'text', index: event.index, text: '\n\n' };
+          }
+          text += event.text;
+          hasText = true;
+        } else if (event.type === 'reasoning') {
+          if (!reasoningText && hasReasoning) {
+            yield { type: 'reasoning', index: event.index, text: '\n\n' };
+          }
+          reasoningText += event.text;
+          hasReasoning = true;
+        } else if (event.type === 'reasoning_block') {
+          reasoning.push(event.reasoning);
+        } else if (event.type === 'tool_use') {
+          toolCalls.push({ id: event.id, name: event.name, input: event.input });
+        } else if (event.type === 'message_stop') {
+          stopReason = event.stopReason;
+          continue;
+        }
+        yield event;
+      }
+      
+      const assistantMessage = { role: 'assistant', content: text };
+      if (toolCalls.length > 0) {
+        assistantMessage.toolCalls = toolCalls;
+      }
+      if (reasoning.length > 0) {
+        assistantMessage.reasoning = reasoning;
+      }
+      conversation.push(assistantMessage);
+      yield { type: 'message', message: assistantMessage };
+      
+      if (stopReason !== 'tool_use' || toolCalls.length === 0) {
+        yield { type: 'message_stop', stopReason };
+        return;
+      }
+      
+      for (const call of toolCalls) {
+        console.log(`Running tool ${call.name} (${call.id})`);
+        const result = await executeTool(call.name, call.input, toolContext);
+        const content = typeof result.content === 'string' ? result.content : JSON.stringify(result.content);
+        
+        const toolMessage = {
+          role: 'tool',
+          toolUseId: call.id,
+          name: call.name,
+          status: result.status,
+          content
+        };
+        conversation.push(toolMessage);
+        
+        yield { type: 'tool_result', id: call.id, name: call.name, status: result.status, content };
+        yield { type: 'message', message: toolMessage };
+      }
+    }
+  }
+}
+
+module.exports = {
+  LLMProvider
+};
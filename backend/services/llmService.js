@@ -0,0 +1,125 @@
+/**
+ * LLM Service
+ * Entry point for model calls. Providers are pluggable: 'bedrock' calls Amazon Bedrock, 'mock' answers
+ * offline (see mockProvider), and others can be added with registerProvider(). LLM_PROVIDER picks one.
+ */
+const config = require('../config');
+const { getBedrockClient } = require('./bedrockService');
+const { MockProvider } = require('./mockProvider');
+
+// Provider factories by name, and the instances created from them
+const providerFactories = new Map();
+const providers = new Map();
+
+/**
+ * Register a provider
+ * @param {string} name - Name used in LLM_PROVIDER
+ * @param {Function} factory - () => LLMProvider instance, called once on first use
+ */
+function registerProvider(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Provider ${name} must have a factory function`);
+  }
+  providerFactories.set(name, factory);
+  providers.delete(name);
+}
+
+registerProvider('bedrock', getBedrockClient);
+registerProvider('mock', () => new MockProvider());
+
+/**
+ * Get a provider
+ * @param {string} name - Provider name (defaults to config.llm.provider)
+ * @returns {LLMProvider} - Provider instance
+ */
+function getProvider(name = config.llm.provider) {
+  if (!providers.has(name)) {
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    providers.set(name, factory());
+    console.log(`[LLM] Using provider: ${name}`);
+  }
+  return providers.get(name);
+}
+
+/**
+ * Create a chat completion with the configured provider
+ * @param {Array} messages - Array of message objects
+ * @param {boolean} stream - Whether to stream the response
+ * @param {Object} options - Per-request options (see BedrockClient.createChatCompletion)
+ * @returns {Promise<Object|AsyncGenerator>} - Response, or normalized event stream when streaming
+ */
+function createChatCompletion(messages, stream = false, options = {}) {
+  return getProvider().createChatCompletion(messages, stream, options);
+}
+
+/**
+ * Stream a chat completion with the registered tools using the configured provider
+ * @param {Array} messages - Array of message objects
+ * @param {Object} options - Options for createChatCompletion, plus toolContext
+ * @returns {AsyncGenerator<Object>} - Stream events (see LLMProvider.streamChatWithTools)
+ */
+function streamChatWithTools(messages, options = {}) {
+  return getProvider().streamChatWithTools(messages, options);
+}
+
+/**
+ * Generate a response from the model
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Additional options (modelId, ...)
+ * @returns {Promise<string>} - The generated response text
+ */
+async function generateResponse(messages, options = {}) {
+  try {
+    const response = await createChatCompletion(messages, false, options);
+    const content = response && response.output && response.output.message && response.output.message.content;
+
+    if (Array.isArray(content) && content.some(block => typeof block.text === 'string')) {
+      return content
+        .filter(block => typeof block.text === 'string')
+        .map(block => block.text)
+        .join('');
+    } else {
+      console.error('Unexpected response format:', response);
+      throw new Error('Unexpected response format from the model');
+    }
+  } catch (error) {
+    console.error('Error generating response:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate a streaming response from the model
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Function} onChunk - Callback for each chunk of the response
+ * @param {Object} options - Additional options (modelId, ...)
+ */
+async function generateStreamingResponse(messages, onChunk, options = {}) {
+  try {
+    const stream = await createChatCompletion(messages, true, options);
+
+    // Process the normalized stream events
+    for await (const event of stream) {
+      if (event.type === 'text') {
+        onChunk(event.text);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error generating streaming response:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  createChatCompletion,
+  streamChatWithTools,
+  generateResponse,
+  generateStreamingResponse
+};
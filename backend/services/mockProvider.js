@@ -0,0 +1,260 @@
+/**
+ * Mock Provider
+ * The 'mock' LLM provider: answers without network access or AWS credentials, for offline development
+ * and automated tests. By default it echoes the latest user message.
+ *
+ * Responses can be scripted with the JSON file in MOCK_LLM_SCRIPT or with setScript(). A script is a list
+ * of responses; each request uses (and removes) the first one whose `match` regular expression matches the
+ * latest user message, or that has no `match`. When the script runs out the provider echoes again.
+ *   {
+ *     "match": "weather",
+ *     "reasoning": "The user wants the weather; I should call a tool.",
+ *     "text": "Let me check.",
+ *     "toolCalls": [{ "name": "current_time", "input": {} }],
+ *     "error": { "name": "ThrottlingException", "message": "Rate exceeded", "afterChunks": 0 },
+ *     "usage": { "inputTokens": 12, "outputTokens": 3 },
+ *     "stopReason": "end_turn"
+ *   }
+ * Every field is optional. toolCalls are only made when the request offers tools; reasoning is only
+ * returned when the request has a thinkingBudget; an error is thrown before the response, or mid-stream
+ * after `afterChunks` text chunks.
+ */
+const fs = require('fs');
+const config = require('../config');
+const { LLMProvider } = require('./llmProvider');
+
+const CHARS_PER_TOKEN = 4;
+
+// Stands in for the signature Bedrock attaches to reasoning blocks
+const MOCK_SIGNATURE = 'mock-signature';
+
+/**
+ * Estimate the tokens in a text
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Create an error named like the Bedrock exception it stands for
+ * @param {Object} spec - { name, message }
+ * @returns {Error} - Error
+ */
+function createError(spec) {
+  const error = new Error(spec.message || spec.name || 'Mock provider error');
+  error.name = spec.name || 'Error';
+  return error;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class MockProvider extends LLMProvider {
+  constructor(scriptPath = config.llm.mock.scriptPath) {
+    super();
+    this.script = [];
+    this.toolUseCount = 0;
+
+    if (scriptPath) {
+      try {
+        this.setScript(JSON.parse(fs.readFileSync(scriptPath, 'utf8')));
+        console.log(`[MOCK_LLM] Loaded ${this.script.length} scripted responses from ${scriptPath}`);
+      } catch (error) {
+        console.error(`[MOCK_LLM] Failed to load script ${scriptPath}, echoing instead: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Replace the scripted responses
+   * @param {Array<Object>} responses - Scripted responses (see the module comment)
+   */
+  setScript(responses) {
+    if (!Array.isArray(responses)) {
+      throw new Error('A mock script must be an array of responses');
+    }
+    this.script = responses.map(response => ({ ...response }));
+  }
+
+  /**
+   * Pick the response for a request
+   * @param {Array} messages - Chat history messages
+   * @returns {Object} - Scripted response, or an echo of the latest message
+   * @private
+   */
+  _nextResponse(messages) {
+    const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user');
+    const userText = lastUserMessage ? lastUserMessage.content || '' : '';
+
+    const index = this.script.findIndex(response => !response.match || new RegExp(response.match, 'i').test(userText));
+    if (index !== -1) {
+      return this.script.splice(index, 1)[0];
+    }
+
+    const lastMessage = messages[messages.length - 1];
+    if (lastMessage && lastMessage.role === 'tool') {
+      return { text: `The ${lastMessage.name} tool returned: ${lastMessage.content}` };
+    }
+
+    const attachments = lastUserMessage && Array.isArray(lastUserMessage.attachments) ? lastUserMessage.attachments : [];
+    const attachmentNote = attachments.length > 0 ? ` (with ${attachments.length} attachment${attachments.length === 1 ? '' : 's'})` : '';
+    return { text: `You said${attachmentNote}: ${userText}`, reasoning: 'The user wants their message repeated back.' };
+  }
+
+  /**
+   * Work out what a scripted response produces for a request
+   * @param {Array} messages - Chat history messages
+   * @param {Object} options - Request options
+   * @returns {Object} - { text, reasoning, toolCalls, error, stopReason, usage }
+   * @private
+   */
+  _plan(messages, options) {
+    const response = this._nextResponse(messages);
+    let text = response.text || '';
+    let stopReason = response.stopReason || 'end_turn';
+    const reasoning = options.thinkingBudget && response.reasoning ? response.reasoning : '';
+
+    let toolCalls = [];
+    if (Array.isArray(response.toolCalls) && response.toolCalls.length > 0) {
+      if (options.tools === false) {
+        console.log('[MOCK_LLM] Skipping scripted tool calls: no tools were offered');
+      } else {
+        toolCalls = response.toolCalls.map(call => ({
+          id: `tooluse_mock_${++this.toolUseCount}`,
+          name: call.name,
+          input: call.input || {}
+        }));
+        stopReason = 'tool_use';
+      }
+    }
+
+    // Behave like a model that runs out of output tokens
+    if (options.maxTokens && estimateTokens(text) > options.maxTokens) {
+      text = text.substring(0, options.maxTokens * CHARS_PER_TOKEN);
+      stopReason = 'max_tokens';
+    }
+
+    const promptText = messages.map(msg => msg.content || '').join('\n') + (options.systemContext || '');
+    const usage = {
+      inputTokens: estimateTokens(promptText),
+      outputTokens: estimateTokens(reasoning) + estimateTokens(text) + toolCalls.reduce((sum, call) => sum + estimateTokens(JSON.stringify(call.input)), 0),
+      ...(response.usage || {})
+    };
+    usage.totalTokens = usage.inputTokens + usage.outputTokens;
+
+    return { text, reasoning, toolCalls, error: response.error || null, stopReason, usage };
+  }
+
+  /**
+   * Create a chat completion (see LLMProvider.createChatCompletion)
+   * @param {Array} messages - Chat history messages
+   * @param {boolean} stream - Whether to stream the response
+   * @param {Object} options - Per-request options
+   * @returns {Promise<Object|AsyncGenerator>} - Response, or normalized event stream when streaming
+   */
+  async createChatCompletion(messages, stream = false, options = {}) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Messages must be a non-empty array');
+    }
+
+    const modelId = options.modelId || config.bedrock.modelId;
+    const plan = this._plan(messages, options);
+    console.log(`[MOCK_LLM] ${stream ? 'Streaming' : 'Returning'} a ${plan.text.length} character response` +
+      (plan.toolCalls.length > 0 ? ` with ${plan.toolCalls.length} tool call(s)` : '') +
+      (plan.error ? ` and a ${plan.error.name}` : ''));
+
+    if (plan.error && !plan.error.afterChunks) {
+      throw createError(plan.error);
+    }
+
+    if (!stream) {
+      const content = [];
+      if (plan.reasoning) {
+        content.push({ reasoningContent: { reasoningText: { text: plan.reasoning, signature: MOCK_SIGNATURE } } });
+      }
+      if (plan.text) {
+        content.push({ text: plan.text });
+      }
+      plan.toolCalls.forEach(call => content.push({ toolUse: { toolUseId: call.id, name: call.name, input: call.input } }));
+      return {
+        output: { message: { role: 'assistant', content } },
+        stopReason: plan.stopReason,
+        usage: plan.usage,
+        modelId
+      };
+    }
+
+    return this._stream(plan, modelId, options.signal);
+  }
+
+  /**
+   * Stream a planned response as normalized events
+   * @param {Object} plan - From _plan
+   * @param {string} modelId - Model the response is reported as coming from
+   * @param {AbortSignal} signal - Stops the stream like an aborted Bedrock call
+   * @returns {AsyncGenerator<Object>} - Normalized stream events
+   * @private
+   */
+  async *_stream(plan, modelId, signal) {
+    const startedAt = Date.now();
+    const checkAborted = () => {
+      if (signal && signal.aborted) {
+        throw createError({ name: 'AbortError', message: 'Request aborted' });
+      }
+    };
+    yield { type: 'model', modelId, region: 'local', requestedModelId: modelId, fallback: false };
+    yield { type: 'message_start', role: 'assistant' };
+
+    let index = 0;
+    if (plan.reasoning) {
+      for (const chunk of plan.reasoning.match(/\s*\S+/g) || [plan.reasoning]) {
+        await sleep(config.llm.mock.chunkDelayMs);
+        checkAborted();
+        yield { type: 'reasoning', index, text: chunk };
+      }
+      yield { type: 'reasoning_block', index, reasoning: { text: plan.reasoning, signature: MOCK_SIGNATURE } };
+      yield { type: 'content_block_stop', index };
+      index++;
+    }
+
+    if (plan.text) {
+      const chunks = plan.text.match(/\s*\S+/g) || [plan.text];
+      for (let chunk = 0; chunk < chunks.length; chunk++) {
+        if (plan.error && chunk === plan.error.afterChunks) {
+          throw createError(plan.error);
+        }
+        await sleep(config.llm.mock.chunkDelayMs);
+        checkAborted();
+        yield { type: 'text', index, text: chunks[chunk] };
+      }
+      yield { type: 'content_block_stop', index };
+      index++;
+    }
+    if (plan.error) {
+      // The script asked for more chunks than the text has
+      throw createError(plan.error);
+    }
+
+    for (const call of plan.toolCalls) {
+      yield { type: 'tool_use_start', index, id: call.id, name: call.name };
+      yield { type: 'tool_use', index, id: call.id, name: call.name, input: call.input };
+      yield { type: 'content_block_stop', index };
+      index++;
+    }
+
+    yield { type: 'message_stop', stopReason: plan.stopReason };
+    yield { type: 'metadata', usage: plan.usage, latencyMs: Date.now() - startedAt };
+  }
+}
+
+module.exports = {
+  MockProvider
+};
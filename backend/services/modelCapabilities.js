@@ -0,0 +1,129 @@
+/**
+ * Model Capabilities
+ * Describes what each Bedrock model family supports through the Converse API
+ */
+
+// Cross-region inference profiles prefix the model ID with a geography (e.g. us.anthropic.claude-...)
+const INFERENCE_PROFILE_PREFIXES = ['us', 'eu', 'apac', 'us-gov', 'global'];
+
+// Capabilities by provider, overridden per model family below where they differ.
+// topKField is where top_k goes in additionalModelRequestFields (the Converse API has no common field for it).
+// toolUse means the model supports tool use while streaming through ConverseStream.
+// images means the model accepts image content blocks.
+// contextWindow is the model's context length in tokens (prompt and output together).
+// promptCaching means the model accepts cachePoint blocks; promptCacheMinTokens is the smallest prefix it caches.
+// reasoning means the model can think before answering (extended thinking) with a token budget.
+const PROVIDER_CAPABILITIES = {
+  anthropic: { systemPrompt: true, streaming: true, topKField: 'top_k', toolUse: true, images: true, contextWindow: 200000 },
+  meta: { systemPrompt: true, streaming: true, contextWindow: 128000 },
+  mistral: { systemPrompt: true, streaming: true, topKField: 'top_k', contextWindow: 32000 },
+  amazon: { systemPrompt: true, streaming: true, contextWindow: 8192 },
+  cohere: { systemPrompt: true, streaming: true, topKField: 'k', toolUse: true, contextWindow: 128000 },
+  ai21: { systemPrompt: true, streaming: true, contextWindow: 256000 },
+  deepseek: { systemPrompt: true, streaming: true, contextWindow: 128000 },
+  writer: { systemPrompt: true, streaming: true, contextWindow: 128000 }
+};
+
+// Model families whose behaviour differs from their provider defaults
+const MODEL_FAMILY_OVERRIDES = [
+  { prefix: 'amazon.titan-text', capabilities: { systemPrompt: false } },
+  { prefix: 'amazon.titan-text-premier', capabilities: { contextWindow: 32000 } },
+  { prefix: 'amazon.nova', capabilities: { topKField: 'inferenceConfig.topK', toolUse: true, images: true, contextWindow: 300000 } },
+  { prefix: 'amazon.nova-micro', capabilities: { images: false, contextWindow: 128000 } },
+  { prefix: 'meta.llama3-8b', capabilities: { contextWindow: 8192 } },
+  { prefix: 'meta.llama3-70b', capabilities: { contextWindow: 8192 } },
+  { prefix: 'meta.llama3-2-11b', capabilities: { images: true } },
+  { prefix: 'meta.llama3-2-90b', capabilities: { images: true } },
+  { prefix: 'meta.llama4', capabilities: { images: true } },
+  { prefix: 'mistral.pixtral', capabilities: { images: true, contextWindow: 128000 } },
+  { prefix: 'mistral.mistral-large', capabilities: { toolUse: true, contextWindow: 128000 } },
+  { prefix: 'cohere.command-text', capabilities: { toolUse: false, contextWindow: 4000 } },
+  { prefix: 'cohere.command-light', capabilities: { toolUse: false, contextWindow: 4000 } },
+  { prefix: 'ai21.j2', capabilities: { contextWindow: 8191 } },
+  { prefix: 'anthropic.claude-v2', capabilities: { toolUse: false, images: false, contextWindow: 100000 } },
+  { prefix: 'anthropic.claude-instant', capabilities: { toolUse: false, images: false, contextWindow: 100000 } },
+  // Newer Claude models reject requests that set both temperature and top_p
+  { prefix: 'anthropic.claude-sonnet-4-5', capabilities: { exclusiveSampling: true } },
+  { prefix: 'anthropic.claude-haiku-4-5', capabilities: { exclusiveSampling: true } },
+  { prefix: 'anthropic.claude-opus-4-1', capabilities: { exclusiveSampling: true } },
+  { prefix: 'anthropic.claude-opus-4-5', capabilities: { exclusiveSampling: true } },
+  { prefix: 'mistral.mistral-7b-instruct', capabilities: { systemPrompt: false } },
+  { prefix: 'mistral.mixtral-8x7b-instruct', capabilities: { systemPrompt: false } },
+  // Prompt caching
+  { prefix: 'anthropic.claude-3-5-haiku', capabilities: { promptCaching: true, promptCacheMinTokens: 2048 } },
+  { prefix: 'anthropic.claude-3-7-sonnet', capabilities: { promptCaching: true, promptCacheMinTokens: 1024 } },
+  { prefix: 'anthropic.claude-sonnet-4', capabilities: { promptCaching: true, promptCacheMinTokens: 1024 } },
+  { prefix: 'anthropic.claude-opus-4', capabilities: { promptCaching: true, promptCacheMinTokens: 1024 } },
+  { prefix: 'anthropic.claude-opus-4-5', capabilities: { promptCacheMinTokens: 4096 } },
+  { prefix: 'anthropic.claude-haiku-4-5', capabilities: { promptCaching: true, promptCacheMinTokens: 4096 } },
+  { prefix: 'amazon.nova', capabilities: { promptCaching: true, promptCacheMinTokens: 1024 } },
+  // Extended thinking
+  { prefix: 'anthropic.claude-3-7-sonnet', capabilities: { reasoning: true } },
+  { prefix: 'anthropic.claude-sonnet-4', capabilities: { reasoning: true } },
+  { prefix: 'anthropic.claude-opus-4', capabilities: { reasoning: true } },
+  { prefix: 'anthropic.claude-haiku-4-5', capabilities: { reasoning: true } }
+];
+
+const DEFAULT_CAPABILITIES = {
+  systemPrompt: true,
+  streaming: true,
+  topKField: null,
+  exclusiveSampling: false,
+  toolUse: false,
+  images: false,
+  contextWindow: 8192,
+  promptCaching: false,
+  promptCacheMinTokens: 1024,
+  reasoning: false
+};
+
+/**
+ * Strip any cross-region inference profile prefix from a model ID
+ * @param {string} modelId - Model ID or inference profile ID
+ * @returns {string} - The underlying foundation model ID
+ */
+function getBaseModelId(modelId = '') {
+  const parts = modelId.split('.');
+  if (parts.length > 2 && INFERENCE_PROFILE_PREFIXES.includes(parts[0])) {
+    return parts.slice(1).join('.');
+  }
+  return modelId;
+}
+
+/**
+ * Get the provider name for a model ID (anthropic, meta, mistral, amazon, ...)
+ * @param {string} modelId - Model ID or inference profile ID
+ * @returns {string} - Provider name
+ */
+function getModelProvider(modelId = '') {
+  return getBaseModelId(modelId).split('.')[0];
+}
+
+/**
+ * Get the capabilities of a model
+ * @param {string} modelId - Model ID or inference profile ID
+ * @returns {Object} - Capability flags for the model
+ */
+function getModelCapabilities(modelId = '') {
+  const baseModelId = getBaseModelId(modelId);
+  const provider = getModelProvider(modelId);
+
+  const capabilities = {
+    ...DEFAULT_CAPABILITIES,
+    ...(PROVIDER_CAPABILITIES[provider] || {})
+  };
+
+  for (const override of MODEL_FAMILY_OVERRIDES) {
+    if (baseModelId.startsWith(override.prefix)) {
+      Object.assign(capabilities, override.capabilities);
+    }
+  }
+
+  return capabilities;
+}
+
+module.exports = {
+  getBaseModelId,
+  getModelProvider,
+  getModelCapabilities
+};
@@ -0,0 +1,189 @@
+/**
+ * Model Catalog Service
+ * Lists the Bedrock text models available to the account and the admin-curated allowlist
+ * of models users can pick for a conversation
+ */
+const {
+  BedrockClient: BedrockControlClient,
+  ListFoundationModelsCommand,
+  ListInferenceProfilesCommand
+} = require('@aws-sdk/client-bedrock');
+const config = require('../config');
+const models = require('../models');
+const { getBedrockClient } = require('./bedrockService');
+const { getBaseModelId, getModelProvider, getModelCapabilities } = require('./modelCapabilities');
+
+// Cache for the Bedrock model listing, which rarely changes
+let catalogCache = null;
+let catalogLastFetched = null;
+const CATALOG_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * List the streaming-capable text models available in Bedrock, including
+ * system-defined cross-region inference profiles
+ * @param {boolean} forceRefresh - Bypass the in-memory cache
+ * @returns {Promise<Array>} - Catalog entries ({ id, name, provider, inputModalities })
+ */
+async function listBedrockModels(forceRefresh = false) {
+  // Other providers (e.g. the offline mock) answer as the configured and allowlisted models without a catalog
+  if (config.llm.provider !== 'bedrock') {
+    return [];
+  }
+
+  const now = Date.now();
+  if (!forceRefresh && catalogCache && catalogLastFetched && (now - catalogLastFetched < CATALOG_CACHE_TTL)) {
+    return catalogCache;
+  }
+
+  const clientConfig = await getBedrockClient().getAwsClientConfig();
+  const client = new BedrockControlClient(clientConfig);
+
+  const foundationResponse = await client.send(new ListFoundationModelsCommand({
+    byOutputModality: 'TEXT'
+  }));
+
+  const foundationModels = (foundationResponse.modelSummaries || [])
+    .filter(model => model.responseStreamingSupported !== false)
+    .filter(model => !model.modelLifecycle || model.modelLifecycle.status === 'ACTIVE');
+
+  const foundationById = new Map(foundationModels.map(model => [model.modelId, model]));
+
+  const catalog = foundationModels
+    .filter(model => (model.inferenceTypesSupported || []).includes('ON_DEMAND'))
+    .map(model => ({
+      id: model.modelId,
+      name: model.modelName,
+      provider: model.providerName,
+      inputModalities: model.inputModalities || ['TEXT']
+    }));
+
+  // Newer models (e.g. Claude Sonnet 4.5) can only be invoked through an inference profile
+  try {
+    let nextToken;
+    do {
+      const profileResponse = await client.send(new ListInferenceProfilesCommand({
+        typeEquals: 'SYSTEM_DEFINED',
+        nextToken
+      }));
+
+      for (const profile of profileResponse.inferenceProfileSummaries || []) {
+        const baseModel = foundationById.get(getBaseModelId(profile.inferenceProfileId));
+        if (!baseModel || profile.status !== 'ACTIVE') continue;
+
+        catalog.push({
+          id: profile.inferenceProfileId,
+          name: profile.inferenceProfileName,
+          provider: baseModel.providerName,
+          inputModalities: baseModel.inputModalities || ['TEXT']
+        });
+      }
+
+      nextToken = profileResponse.nextToken;
+    } while (nextToken);
+  } catch (error) {
+    console.error(`[MODEL_CATALOG] Failed to list inference profiles: ${error.message}`);
+  }
+
+  catalog.sort((a, b) => a.id.localeCompare(b.id));
+
+  catalogCache = catalog;
+  catalogLastFetched = now;
+  console.log(`[MODEL_CATALOG] Loaded ${catalog.length} Bedrock text models`);
+
+  return catalog;
+}
+
+/**
+ * Get the allowlist rows configured by admins
+ * @returns {Promise<Array>} - AllowedModel instances
+ */
+async function getAllowlist() {
+  if (process.env.NODE_ENV === 'production') {
+    await models.initializeDatabase();
+  }
+  return models.AllowedModel.findAll({ order: [['model_id', 'ASC']] });
+}
+
+/**
+ * Get the default model for new conversations
+ * @returns {Promise<string>} - Model ID
+ */
+async function getDefaultModelId() {
+  try {
+    const allowlist = await getAllowlist();
+    const defaultEntry = allowlist.find(entry => entry.is_default);
+    if (defaultEntry) {
+      return defaultEntry.model_id;
+    }
+  } catch (error) {
+    console.error(`[MODEL_CATALOG] Failed to read model allowlist: ${error.message}`);
+  }
+  return config.bedrock.modelId;
+}
+
+/**
+ * Get the models users may choose from. The configured BEDROCK_MODEL_ID is always available;
+ * admin-allowlisted models are added to it and decorated with Bedrock catalog details when available.
+ * @returns {Promise<Object>} - { models, defaultModelId }; each model notes whether it supports reasoning
+ */
+async function getAvailableModels() {
+  let allowlist = [];
+  try {
+    allowlist = await getAllowlist();
+  } catch (error) {
+    console.error(`[MODEL_CATALOG] Failed to read model allowlist: ${error.message}`);
+  }
+
+  let catalog = [];
+  try {
+    catalog = await listBedrockModels();
+  } catch (error) {
+    console.error(`[MODEL_CATALOG] Failed to list Bedrock models: ${error.message}`);
+  }
+  const catalogById = new Map(catalog.map(model => [model.id, model]));
+
+  const defaultEntry = allowlist.find(entry => entry.is_default);
+  const defaultModelId = defaultEntry ? defaultEntry.model_id : config.bedrock.modelId;
+
+  const modelIds = [config.bedrock.modelId, ...allowlist.map(entry => entry.model_id)];
+  const available = [...new Set(modelIds)].map(modelId => {
+    const entry = allowlist.find(item => item.model_id === modelId);
+    const catalogEntry = catalogById.get(modelId);
+    return {
+      id: modelId,
+      name: (entry && entry.display_name) || (catalogEntry && catalogEntry.name) || modelId,
+      provider: (entry && entry.provider) || (catalogEntry && catalogEntry.provider) || getModelProvider(modelId),
+      inputModalities: catalogEntry ? catalogEntry.inputModalities : ['TEXT'],
+      reasoning: getModelCapabilities(modelId).reasoning,
+      isDefault: modelId === defaultModelId
+    };
+  });
+
+  return { models: available, defaultModelId };
+}
+
+/**
+ * Check whether users may select a model
+ * @param {string} modelId - Model ID to check
+ * @returns {Promise<boolean>} - True if the model is the configured default or allowlisted
+ */
+async function isModelAllowed(modelId) {
+  if (!modelId) return false;
+  if (modelId === config.bedrock.modelId) return true;
+
+  try {
+    const allowlist = await getAllowlist();
+    return allowlist.some(entry => entry.model_id === modelId);
+  } catch (error) {
+    console.error(`[MODEL_CATALOG] Failed to read model allowlist: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  listBedrockModels,
+  getAllowlist,
+  getAvailableModels,
+  getDefaultModelId,
+  isModelAllowed
+};
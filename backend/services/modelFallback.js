@@ -0,0 +1,160 @@
+/**
+ * Model Fallback
+ * Retry, circuit breaker and fallback chain for Bedrock calls, so chats keep working while a model
+ * is throttled or temporarily unavailable
+ */
+const config = require('../config');
+
+// Errors worth retrying: the same request is likely to succeed a little later
+const RETRYABLE_ERRORS = [
+  'ThrottlingException',
+  'ServiceUnavailableException',
+  'ModelNotReadyException',
+  'ModelTimeoutException',
+  'InternalServerException',
+  'ModelStreamErrorException'
+];
+
+/**
+ * Check whether an error from Bedrock is temporary
+ * @param {Error} error - Error thrown by the AWS SDK or raised mid-stream
+ * @returns {boolean} - Whether the request should be retried
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+  if (RETRYABLE_ERRORS.includes(error.name)) return true;
+
+  const status = error.$metadata && error.$metadata.httpStatusCode;
+  return status === 429 || status === 503;
+}
+
+/**
+ * Check whether an error means no model could answer right now
+ * @param {Error} error - Error from createChatCompletion
+ * @returns {boolean} - True for temporary errors and when every model was skipped
+ */
+function isUnavailableError(error) {
+  return isRetryableError(error) || (error && error.name === 'ModelUnavailableError');
+}
+
+/**
+ * Get the delay before a retry: exponential backoff with full jitter
+ * @param {number} attempt - The attempt that just failed (1 for the first try)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempt) {
+  const { baseDelayMs, maxDelayMs } = config.bedrock.retry;
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a model chain entry
+ * @param {string} entry - Model or inference profile ID, optionally followed by @region
+ * @returns {Object} - { modelId, region, key } where region is null for the client's own region
+ */
+function parseModelTarget(entry) {
+  const separator = entry.lastIndexOf('@');
+  const modelId = separator > 0 ? entry.substring(0, separator) : entry;
+  const region = separator > 0 ? entry.substring(separator + 1) : null;
+  return { modelId, region, key: region ? `${modelId}@${region}` : modelId };
+}
+
+/**
+ * Get the models to try for a request, in order
+ * @param {string} modelId - The selected model
+ * @returns {Array<Object>} - Targets from parseModelTarget, starting with the selected model
+ */
+function getModelChain(modelId) {
+  const chain = [parseModelTarget(modelId)];
+  for (const entry of config.bedrock.fallbackModelIds) {
+    const target = parseModelTarget(entry);
+    if (!chain.some(existing => existing.key === target.key)) {
+      chain.push(target);
+    }
+  }
+  return chain;
+}
+
+/**
+ * Tracks consecutive failures per model. After config.bedrock.circuitBreaker.failureThreshold failed
+ * requests a model is skipped (open) until the cooldown passes; then one request is let through
+ * (half-open) and its outcome closes or re-opens the breaker. State is kept per process.
+ */
+class CircuitBreaker {
+  constructor() {
+    this.states = new Map();
+  }
+
+  /**
+   * Check whether a request to a model may go ahead
+   * @param {string} key - Target key
+   * @returns {boolean} - False while the breaker is open
+   */
+  allowRequest(key) {
+    const state = this.states.get(key);
+    if (!state || state.openedAt === null) {
+      return true;
+    }
+
+    if (Date.now() - state.openedAt < config.bedrock.circuitBreaker.cooldownSeconds * 1000 || state.trialInFlight) {
+      return false;
+    }
+
+    state.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Record a successful request, closing the breaker
+   * @param {string} key - Target key
+   */
+  recordSuccess(key) {
+    const state = this.states.get(key);
+    if (state && state.openedAt !== null) {
+      console.log(`[FALLBACK] Circuit closed for ${key}`);
+    }
+    this.states.delete(key);
+  }
+
+  /**
+   * Record a failed request, opening the breaker once the threshold is reached
+   * @param {string} key - Target key
+   */
+  recordFailure(key) {
+    const state = this.states.get(key) || { failures: 0, openedAt: null, trialInFlight: false };
+    state.failures += 1;
+
+    if (state.trialInFlight || state.failures >= config.bedrock.circuitBreaker.failureThreshold) {
+      if (state.openedAt === null || state.trialInFlight) {
+        console.error(`[FALLBACK] Circuit opened for ${key} after ${state.failures} failed requests`);
+      }
+      state.openedAt = Date.now();
+      state.trialInFlight = false;
+    }
+
+    this.states.set(key, state);
+  }
+}
+
+const circuitBreaker = new CircuitBreaker();
+
+module.exports = {
+  isRetryableError,
+  isUnavailableError,
+  getRetryDelay,
+  sleep,
+  parseModelTarget,
+  getModelChain,
+  CircuitBreaker,
+  circuitBreaker
+};
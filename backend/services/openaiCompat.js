@@ -0,0 +1,261 @@
+/**
+ * OpenAI Compatibility
+ * Translates OpenAI chat completions requests into the chat messages and options the LLM providers take,
+ * and provider results back into OpenAI-shaped responses, for the /v1 API (see openaiController).
+ */
+const crypto = require('crypto');
+const { validateInferenceParams } = require('./inferenceParams');
+
+// Converse stop reasons as OpenAI finish reasons
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  guardrail_intervened: 'content_filter',
+  content_filtered: 'content_filter'
+};
+
+/**
+ * Create an ID for a completion
+ * @returns {string} - e.g. chatcmpl-3f9a...
+ */
+function createCompletionId() {
+  return `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Get the text of a message's content, which is a string or a list of content parts
+ * @param {*} content - OpenAI message content
+ * @param {string} path - Location in the request, for messages
+ * @returns {Object} - { text } or { error }
+ */
+function getContentText(content, path) {
+  if (content === undefined || content === null) return { text: '' };
+  if (typeof content === 'string') return { text: content };
+  if (!Array.isArray(content)) return { error: `${path} must be a string or an array of content parts` };
+
+  const texts = [];
+  for (const [index, part] of content.entries()) {
+    if (!part || part.type !== 'text' || typeof part.text !== 'string') {
+      return { error: `${path}[${index}]: only text content parts are supported` };
+    }
+    texts.push(part.text);
+  }
+  return { text: texts.join('\n') };
+}
+
+/**
+ * Translate OpenAI messages into chat messages. System (and developer) messages are combined into the
+ * system prompt; tool calls and their results keep their IDs.
+ * @param {Array} messages - `messages` from the request
+ * @returns {Object} - { messages, errors }
+ */
+function toChatMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { messages: [], errors: ['messages must be a non-empty array'] };
+  }
+
+  const errors = [];
+  const systemTexts = [];
+  const chatMessages = [];
+  const toolNames = new Map();
+
+  messages.forEach((message, index) => {
+    const path = `messages[${index}]`;
+    if (!message || typeof message !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    const { text, error } = getContentText(message.content, `${path}.content`);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+
+    switch (message.role) {
+      case 'system':
+      case 'developer':
+        systemTexts.push(text);
+        break;
+
+      case 'user':
+        chatMessages.push({ role: 'user', content: text });
+        break;
+
+      case 'assistant': {
+        const assistantMessage = { role: 'assistant', content: text };
+        if (Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+          assistantMessage.toolCalls = [];
+          for (const call of message.tool_calls) {
+            const fn = call && call.function;
+            if (!fn || typeof fn.name !== 'string' || typeof call.id !== 'string') {
+              errors.push(`${path}.tool_calls: each call needs an id and a function name`);
+              continue;
+            }
+            let input = {};
+            try {
+              input = fn.arguments ? JSON.parse(fn.arguments) : {};
+            } catch (parseError) {
+              errors.push(`${path}.tool_calls: arguments of ${fn.name} are not valid JSON`);
+              continue;
+            }
+            toolNames.set(call.id, fn.name);
+            assistantMessage.toolCalls.push({ id: call.id, name: fn.name, input });
+          }
+        }
+        chatMessages.push(assistantMessage);
+        break;
+      }
+
+      case 'tool':
+        if (typeof message.tool_call_id !== 'string') {
+          errors.push(`${path}.tool_call_id is required`);
+          break;
+        }
+        chatMessages.push({
+          role: 'tool',
+          toolUseId: message.tool_call_id,
+          name: toolNames.get(message.tool_call_id) || 'tool',
+          status: 'success',
+          content: text
+        });
+        break;
+
+      default:
+        errors.push(`${path}.role must be one of system, developer, user, assistant, tool`);
+    }
+  });
+
+  if (systemTexts.length > 0) {
+    chatMessages.unshift({ role: 'system', content: systemTexts.join('\n\n') });
+  }
+  return { messages: chatMessages, errors };
+}
+
+/**
+ * Translate OpenAI sampling settings into inference parameters, checked against the admin limits
+ * @param {Object} body - Request body
+ * @returns {Object} - { params, errors }
+ */
+function toInferenceParams(body) {
+  const params = {};
+  if (body.temperature !== undefined && body.temperature !== null) params.temperature = body.temperature;
+  if (body.top_p !== undefined && body.top_p !== null) params.topP = body.top_p;
+  const maxTokens = body.max_completion_tokens !== undefined && body.max_completion_tokens !== null
+    ? body.max_completion_tokens
+    : body.max_tokens;
+  if (maxTokens !== undefined && maxTokens !== null) params.maxTokens = maxTokens;
+  if (body.stop !== undefined && body.stop !== null) {
+    params.stopSequences = typeof body.stop === 'string' ? [body.stop] : body.stop;
+  }
+
+  const result = validateInferenceParams(params);
+  if (body.n !== undefined && body.n !== null && body.n !== 1) {
+    result.errors.push('n must be 1');
+  }
+  return result;
+}
+
+/**
+ * Translate OpenAI function tools into a Converse toolConfig
+ * @param {Array} tools - `tools` from the request
+ * @param {string|Object} toolChoice - `tool_choice` from the request
+ * @returns {Object} - { toolConfig, errors }; toolConfig is null when no tools are offered
+ */
+function toToolConfig(tools, toolChoice) {
+  if (tools === undefined || tools === null || toolChoice === 'none') {
+    return { toolConfig: null, errors: [] };
+  }
+  if (!Array.isArray(tools)) {
+    return { toolConfig: null, errors: ['tools must be an array'] };
+  }
+
+  const errors = [];
+  const specs = [];
+  tools.forEach((tool, index) => {
+    const fn = tool && tool.function;
+    if (!tool || tool.type !== 'function' || !fn || !/^[a-zA-Z0-9_-]{1,64}$/.test(fn.name || '')) {
+      errors.push(`tools[${index}] must be a function with a name of letters, digits, _ or - (at most 64 characters)`);
+      return;
+    }
+    specs.push({
+      toolSpec: {
+        name: fn.name,
+        description: fn.description || fn.name,
+        inputSchema: { json: fn.parameters || { type: 'object', properties: {} } }
+      }
+    });
+  });
+  if (specs.length === 0) {
+    return { toolConfig: null, errors };
+  }
+
+  const toolConfig = { tools: specs };
+  if (toolChoice === 'required') {
+    toolConfig.toolChoice = { any: {} };
+  } else if (toolChoice && typeof toolChoice === 'object') {
+    const name = toolChoice.function && toolChoice.function.name;
+    if (!specs.some(spec => spec.toolSpec.name === name)) {
+      errors.push('tool_choice must name one of the tools');
+    }
+    toolConfig.toolChoice = { tool: { name } };
+  } else if (toolChoice !== undefined && toolChoice !== null && toolChoice !== 'auto') {
+    errors.push('tool_choice must be none, auto, required or a function');
+  }
+  return { toolConfig, errors };
+}
+
+/**
+ * Get the OpenAI finish reason for a stop reason
+ * @param {string} stopReason - Converse stop reason
+ * @returns {string} - stop, length, tool_calls or content_filter
+ */
+function toFinishReason(stopReason) {
+  return FINISH_REASONS[stopReason] || 'stop';
+}
+
+/**
+ * Get OpenAI usage from a UsageTracker
+ * @param {Object} usage - UsageTracker
+ * @returns {Object} - { prompt_tokens, completion_tokens, total_tokens }
+ */
+function toUsage(usage) {
+  return {
+    prompt_tokens: usage.inputTokens,
+    completion_tokens: usage.outputTokens,
+    total_tokens: usage.inputTokens + usage.outputTokens
+  };
+}
+
+/**
+ * Get a tool call in OpenAI's shape
+ * @param {Object} call - { id, name, input }
+ * @returns {Object} - { id, type: 'function', function: { name, arguments } }
+ */
+function toToolCall(call) {
+  return { id: call.id, type: 'function', function: { name: call.name, arguments: JSON.stringify(call.input || {}) } };
+}
+
+/**
+ * Build an OpenAI error body
+ * @param {string} message - What went wrong
+ * @param {string} type - e.g. invalid_request_error
+ * @param {string|null} code - e.g. model_not_found
+ * @returns {Object} - { error: { message, type, param, code } }
+ */
+function toError(message, type = 'invalid_request_error', code = null) {
+  return { error: { message, type, param: null, code } };
+}
+
+module.exports = {
+  createCompletionId,
+  toChatMessages,
+  toInferenceParams,
+  toToolConfig,
+  toFinishReason,
+  toUsage,
+  toToolCall,
+  toError
+};
@@ -0,0 +1,262 @@
+/**
+ * Prompt Template Service
+ * The prompt library: saved prompts with {{variables}} that are filled in when a prompt is inserted
+ * into a message. Users keep their own templates and can make them public: there are no teams, so a
+ * public template can be used (but not changed) by every user of the deployment. Each insertion is
+ * counted so the most used templates are listed first.
+ */
+const { Op, literal } = require('sequelize');
+const config = require('../config');
+const models = require('../models');
+
+// {{name}}: letters, digits, underscores, spaces and hyphens, up to 50 characters
+const VARIABLE_PATTERN = /\{\{\s*(\w[\w -]{0,49}?)\s*\}\}/g;
+
+/**
+ * Ensure the database is initialized and return the models
+ * @returns {Promise<Object>} - db models
+ */
+async function getModels() {
+  if (process.env.NODE_ENV === 'production') {
+    await models.initializeDatabase();
+  }
+  return models;
+}
+
+/**
+ * List the variables of a template, in the order they first appear
+ * @param {string} content - Template text
+ * @returns {Array<string>} - Variable names
+ */
+function extractVariables(content) {
+  const names = [];
+  for (const match of content.matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Fill in a template's variables
+ * @param {string} content - Template text
+ * @param {Object} values - Variable name -> value
+ * @returns {Object} - { text } or { error } naming the variables without a value
+ */
+function renderTemplate(content, values = {}) {
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    return { error: 'variables must be an object' };
+  }
+
+  const missing = extractVariables(content).filter(name => typeof values[name] !== 'string' || values[name].trim() === '');
+  if (missing.length > 0) {
+    return { error: `Fill in ${missing.join(', ')}` };
+  }
+
+  // A function replacement, so values containing $& or $1 are inserted as typed
+  return { text: content.replace(VARIABLE_PATTERN, (placeholder, name) => values[name]) };
+}
+
+/**
+ * Describe a template for clients
+ * @param {Object} template - PromptTemplate instance (with its User, if loaded)
+ * @param {Object} user - User the description is for
+ * @returns {Object}
+ */
+function toJSON(template, user) {
+  const owner = template.User;
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    content: template.content,
+    variables: extractVariables(template.content),
+    public: template.is_public,
+    editable: template.user_id === user.id,
+    owner: owner ? owner.name || owner.email : null,
+    usageCount: template.usage_count,
+    lastUsedAt: template.last_used_at
+  };
+}
+
+/**
+ * Validate the fields of a template being created or changed
+ * @param {Object} fields - { name, description, content, public }
+ * @param {boolean} partial - Only check the fields that are present (for updates)
+ * @returns {Object} - { values } with the column values to save, or { error }
+ */
+function validateFields(fields, partial = false) {
+  const values = {};
+  const { maxContentLength, maxVariables } = config.promptTemplates;
+  const has = key => !partial || fields[key] !== undefined;
+
+  if (has('name')) {
+    const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+    if (!name || name.length > 100) {
+      return { error: 'Give the prompt a name of at most 100 characters' };
+    }
+    values.name = name;
+  }
+
+  if (has('description')) {
+    if (fields.description !== undefined && fields.description !== null && typeof fields.description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    const description = (fields.description || '').trim();
+    if (description.length > 500) {
+      return { error: 'The description can be at most 500 characters' };
+    }
+    values.description = description || null;
+  }
+
+  if (has('content')) {
+    const content = typeof fields.content === 'string' ? fields.content.trim() : '';
+    if (!content || content.length > maxContentLength) {
+      return { error: `The prompt text is required and can be at most ${maxContentLength} characters` };
+    }
+    if (extractVariables(content).length > maxVariables) {
+      return { error: `A prompt can have at most ${maxVariables} different variables` };
+    }
+    values.content = content;
+  }
+
+  if (has('public')) {
+    values.is_public = Boolean(fields.public);
+  }
+
+  return { values };
+}
+
+/**
+ * List the templates a user can use: their own and everyone's public ones, most used first
+ * @param {Object} user - User instance
+ * @returns {Promise<Array>} - Templates described for the user (see toJSON)
+ */
+async function listTemplates(user) {
+  const { PromptTemplate, User } = await getModels();
+  const templates = await PromptTemplate.findAll({
+    where: { [Op.or]: [{ user_id: user.id }, { is_public: true }] },
+    include: [{ model: User, attributes: ['name', 'email'] }],
+    order: [['usage_count', 'DESC'], ['name', 'ASC']]
+  });
+  return templates.map(template => toJSON(template, user));
+}
+
+/**
+ * Get a template the user can use
+ * @param {string} id - Template ID
+ * @param {Object} user - User instance
+ * @returns {Promise<Object|null>} - PromptTemplate instance, or null if it doesn't exist or is someone else's private one
+ */
+async function getTemplate(id, user) {
+  if (typeof id !== 'string' || !/^[0-9a-f-]{36}$/i.test(id)) return null;
+
+  const { PromptTemplate } = await getModels();
+  const template = await PromptTemplate.findByPk(id);
+  if (!template || (template.user_id !== user.id && !template.is_public)) {
+    return null;
+  }
+  return template;
+}
+
+/**
+ * Create a template
+ * @param {Object} user - User instance
+ * @param {Object} fields - See validateFields
+ * @returns {Promise<Object>} - { template } or { error }
+ */
+async function createTemplate(user, fields) {
+  const { values, error } = validateFields(fields);
+  if (error) {
+    return { error };
+  }
+
+  const { PromptTemplate } = await getModels();
+  const count = await PromptTemplate.count({ where: { user_id: user.id } });
+  if (count >= config.promptTemplates.maxPerUser) {
+    return { error: `You can have at most ${config.promptTemplates.maxPerUser} saved prompts. Delete one to save another.` };
+  }
+
+  const template = await PromptTemplate.create({ ...values, user_id: user.id });
+  console.log(`[PROMPTS] User ${user.id} saved prompt template ${template.id}${template.is_public ? ' (public)' : ''}`);
+  return { template };
+}
+
+/**
+ * Change one of the user's templates
+ * @param {Object} user - User instance
+ * @param {string} id - Template ID
+ * @param {Object} fields - Fields to change (see validateFields)
+ * @returns {Promise<Object>} - { template }, { error } or { notFound: true }
+ */
+async function updateTemplate(user, id, fields) {
+  const template = await getTemplate(id, user);
+  if (!template || template.user_id !== user.id) {
+    return { notFound: true };
+  }
+
+  const { values, error } = validateFields(fields, true);
+  if (error) {
+    return { error };
+  }
+
+  await template.update(values);
+  console.log(`[PROMPTS] User ${user.id} updated prompt template ${template.id}`);
+  return { template };
+}
+
+/**
+ * Delete one of the user's templates
+ * @param {Object} user - User instance
+ * @param {string} id - Template ID
+ * @returns {Promise<boolean>} - Whether the user had a template with this ID
+ */
+async function deleteTemplate(user, id) {
+  const template = await getTemplate(id, user);
+  if (!template || template.user_id !== user.id) {
+    return false;
+  }
+
+  await template.destroy();
+  console.log(`[PROMPTS] User ${user.id} deleted prompt template ${id}`);
+  return true;
+}
+
+/**
+ * Fill in a template for insertion into a message, counting the use
+ * @param {Object} user - User instance
+ * @param {string} id - Template ID
+ * @param {Object} values - Variable name -> value
+ * @returns {Promise<Object>} - { text, usageCount }, { error } or { notFound: true }
+ */
+async function useTemplate(user, id, values) {
+  const template = await getTemplate(id, user);
+  if (!template) {
+    return { notFound: true };
+  }
+
+  const { text, error } = renderTemplate(template.content, values === undefined ? {} : values);
+  if (error) {
+    return { error };
+  }
+
+  // One UPDATE that increments in the database, so concurrent uses are all counted
+  const { PromptTemplate } = await getModels();
+  const [, [updated]] = await PromptTemplate.update(
+    { usage_count: literal('usage_count + 1'), last_used_at: new Date() },
+    { where: { id: template.id }, returning: true }
+  );
+  return { text, usageCount: updated ? updated.usage_count : template.usage_count + 1 };
+}
+
+module.exports = {
+  extractVariables,
+  renderTemplate,
+  toJSON,
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  useTemplate
+};
@@ -0,0 +1,320 @@
+/**
+ * Quota Service
+ * Enforces admin-defined token and request limits globally, per role or per user.
+ * Usage in the current period is counted in Redis and re-synced from the usage_records table
+ * (the source of truth) when a counter is missing or older than config.quotas.reconcileIntervalSeconds.
+ */
+const { Op, fn, col } = require('sequelize');
+const config = require('../config');
+const models = require('../models');
+const redisClient = require('./redisClient');
+
+const SCOPES = ['global', 'role', 'user'];
+const ROLES = ['admin', 'user'];
+const PERIODS = ['day', 'month'];
+const METRICS = ['tokens', 'requests'];
+
+// Most specific scope first
+const SCOPE_PRIORITY = ['user', 'role', 'global'];
+
+// Quota definitions change rarely, so they are cached briefly instead of queried per message
+const QUOTA_CACHE_MS = 30 * 1000;
+let quotaCache = null;
+
+/**
+ * Ensure the database is initialized and return the models
+ * @returns {Promise<Object>} - db models
+ */
+async function getModels() {
+  if (process.env.NODE_ENV === 'production') {
+    await models.initializeDatabase();
+  }
+  return models;
+}
+
+/**
+ * Get the role a user's role quotas are looked up by
+ * @param {Object} user - User instance
+ * @returns {string} - 'admin' or 'user'
+ */
+function getUserRole(user) {
+  return user.isAdmin ? 'admin' : 'user';
+}
+
+/**
+ * Get the bounds of the current quota period (UTC)
+ * @param {string} period - 'day' or 'month'
+ * @param {Date} now - Reference time
+ * @returns {Object} - { start, end, key } where key identifies the period (e.g. '2026-10-18' or '2026-10')
+ */
+function getPeriodBounds(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+
+  const start = period === 'day' ? new Date(Date.UTC(year, month, day)) : new Date(Date.UTC(year, month, 1));
+  const end = period === 'day' ? new Date(Date.UTC(year, month, day + 1)) : new Date(Date.UTC(year, month + 1, 1));
+  const key = start.toISOString().substring(0, period === 'day' ? 10 : 7);
+
+  return { start, end, key };
+}
+
+/**
+ * Load all quota definitions
+ * @returns {Promise<Array>} - UsageQuota instances
+ */
+async function listQuotas() {
+  if (quotaCache && Date.now() - quotaCache.loadedAt < QUOTA_CACHE_MS) {
+    return quotaCache.quotas;
+  }
+
+  const { UsageQuota } = await getModels();
+  const quotas = await UsageQuota.findAll({ order: [['scope', 'ASC'], ['scope_value', 'ASC'], ['period', 'ASC'], ['metric', 'ASC']] });
+  quotaCache = { quotas, loadedAt: Date.now() };
+  return quotas;
+}
+
+/**
+ * Create or update a quota
+ * @param {Object} quota - { scope, scopeValue, period, metric, limit } (scopeValue is the role name or user ID)
+ * @param {number} createdBy - Admin user ID
+ * @returns {Promise<Object>} - { quota } or { error }
+ */
+async function setQuota({ scope, scopeValue, period, metric, limit }, createdBy = null) {
+  if (!SCOPES.includes(scope)) {
+    return { error: `Scope must be one of ${SCOPES.join(', ')}` };
+  }
+  if (scope === 'role' && !ROLES.includes(scopeValue)) {
+    return { error: `Role must be one of ${ROLES.join(', ')}` };
+  }
+  if (scope === 'user' && !/^\d+$/.test(String(scopeValue))) {
+    return { error: 'A user is required for user quotas' };
+  }
+  if (!PERIODS.includes(period)) {
+    return { error: `Period must be one of ${PERIODS.join(', ')}` };
+  }
+  if (!METRICS.includes(metric)) {
+    return { error: `Metric must be one of ${METRICS.join(', ')}` };
+  }
+  if (!Number.isSafeInteger(limit) || limit < 0) {
+    return { error: 'Limit must be a whole number of at least 0' };
+  }
+
+  const { UsageQuota } = await getModels();
+  const key = { scope, scope_value: scope === 'global' ? '' : String(scopeValue), period, metric };
+  const [quota, created] = await UsageQuota.findOrCreate({
+    where: key,
+    defaults: { ...key, limit_value: limit, created_by: createdBy }
+  });
+  if (!created) {
+    await quota.update({ limit_value: limit });
+  }
+
+  quotaCache = null;
+  console.log(`[QUOTA] ${created ? 'Created' : 'Updated'} ${scope}${key.scope_value ? ` ${key.scope_value}` : ''} ${period} ${metric} quota: ${limit}`);
+  return { quota };
+}
+
+/**
+ * Delete a quota
+ * @param {number} id - Quota ID
+ * @returns {Promise<boolean>} - Whether the quota existed
+ */
+async function deleteQuota(id) {
+  const { UsageQuota } = await getModels();
+  const deleted = await UsageQuota.destroy({ where: { id } });
+  quotaCache = null;
+  return deleted > 0;
+}
+
+/**
+ * Pick the quotas that apply to a user: for each period and metric, the most specific match
+ * @param {Object} user - User instance
+ * @param {Array} quotas - All quota definitions
+ * @returns {Array} - Applicable UsageQuota instances
+ */
+function getApplicableQuotas(user, quotas) {
+  const matches = {
+    user: String(user.id),
+    role: getUserRole(user),
+    global: ''
+  };
+  const applicable = [];
+
+  for (const period of PERIODS) {
+    for (const metric of METRICS) {
+      for (const scope of SCOPE_PRIORITY) {
+        const quota = quotas.find(candidate => candidate.scope === scope && candidate.scope_value === matches[scope] &&
+          candidate.period === period && candidate.metric === metric);
+        if (quota) {
+          applicable.push(quota);
+          break;
+        }
+      }
+    }
+  }
+
+  return applicable;
+}
+
+/**
+ * Count a user's usage in a period from the usage_records table
+ * @param {number} userId - User ID
+ * @param {Object} bounds - From getPeriodBounds
+ * @returns {Promise<Object>} - { tokens, requests }
+ */
+async function countUsage(userId, bounds) {
+  const { UsageRecord } = await getModels();
+  const row = await UsageRecord.findOne({
+    where: { user_id: userId, created_at: { [Op.gte]: bounds.start, [Op.lt]: bounds.end } },
+    attributes: [
+      [fn('COUNT', col('id')), 'requests'],
+      [fn('COALESCE', fn('SUM', col('input_tokens')), 0), 'inputTokens'],
+      [fn('COALESCE', fn('SUM', col('output_tokens')), 0), 'outputTokens'],
+      [fn('COALESCE', fn('SUM', col('cache_read_input_tokens')), 0), 'cacheReadInputTokens'],
+      [fn('COALESCE', fn('SUM', col('cache_write_input_tokens')), 0), 'cacheWriteInputTokens']
+    ],
+    raw: true
+  });
+
+  return {
+    tokens: ['inputTokens', 'outputTokens', 'cacheReadInputTokens', 'cacheWriteInputTokens']
+      .reduce((sum, column) => sum + (Number(row && row[column]) || 0), 0),
+    requests: Number(row && row.requests) || 0
+  };
+}
+
+/**
+ * Get the Redis key holding a user's usage counters for a period
+ * @param {number} userId - User ID
+ * @param {string} period - 'day' or 'month'
+ * @param {Object} bounds - From getPeriodBounds
+ * @returns {string} - Redis key
+ */
+function usageKey(userId, period, bounds) {
+  return `quota:${config.cache.version}:${userId}:${period}:${bounds.key}`;
+}
+
+/**
+ * Get a user's usage in the current period
+ * @param {number} userId - User ID
+ * @param {string} period - 'day' or 'month'
+ * @returns {Promise<Object>} - { tokens, requests }
+ */
+async function getPeriodUsage(userId, period) {
+  const bounds = getPeriodBounds(period);
+  const client = redisClient.getClient();
+
+  try {
+    if (client) {
+      const key = usageKey(userId, period, bounds);
+      const counters = await client.hGetAll(key);
+      const syncedAt = Number(counters.syncedAt) || 0;
+
+      if (Date.now() - syncedAt < config.quotas.reconcileIntervalSeconds * 1000) {
+        return { tokens: Number(counters.tokens) || 0, requests: Number(counters.requests) || 0 };
+      }
+
+      // Missing or stale counter: re-sync from Postgres
+      const usage = await countUsage(userId, bounds);
+      await client.hSet(key, { tokens: usage.tokens, requests: usage.requests, syncedAt: Date.now() });
+      await client.expireAt(key, Math.floor(bounds.end.getTime() / 1000) + 24 * 60 * 60);
+      return usage;
+    }
+  } catch (error) {
+    console.error(`[QUOTA] Redis error reading usage for user ${userId}: ${error.message}`);
+  }
+
+  return countUsage(userId, bounds);
+}
+
+/**
+ * Add an assistant turn to a user's usage counters
+ * @param {number} userId - User ID
+ * @param {number} tokens - Tokens of the turn (input, output and prompt cache)
+ */
+async function addUsage(userId, tokens) {
+  const client = redisClient.getClient();
+  if (!userId || !client) {
+    return;
+  }
+
+  try {
+    for (const period of PERIODS) {
+      const bounds = getPeriodBounds(period);
+      const key = usageKey(userId, period, bounds);
+      // A counter created here has no syncedAt, so the next read re-syncs it from Postgres
+      await client.hIncrBy(key, 'tokens', tokens);
+      await client.hIncrBy(key, 'requests', 1);
+      await client.expireAt(key, Math.floor(bounds.end.getTime() / 1000) + 24 * 60 * 60);
+    }
+  } catch (error) {
+    console.error(`[QUOTA] Redis error updating usage for user ${userId}: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a user may send another message
+ * @param {Object} user - User instance
+ * @returns {Promise<Object>} - { allowed, exceeded, quotas } where quotas describes each applicable limit
+ *   ({ scope, period, metric, limit, used, remaining, resetAt }) and exceeded is the first one used up, or null
+ */
+async function checkQuota(user) {
+  if (!config.quotas.enabled || !user) {
+    return { allowed: true, exceeded: null, quotas: [] };
+  }
+
+  const applicable = getApplicableQuotas(user, await listQuotas());
+  if (applicable.length === 0) {
+    return { allowed: true, exceeded: null, quotas: [] };
+  }
+
+  const usageByPeriod = {};
+  for (const period of new Set(applicable.map(quota => quota.period))) {
+    usageByPeriod[period] = await getPeriodUsage(user.id, period);
+  }
+
+  const quotas = applicable.map(quota => {
+    const limit = Number(quota.limit_value);
+    const used = usageByPeriod[quota.period][quota.metric];
+    return {
+      scope: quota.scope,
+      period: quota.period,
+      metric: quota.metric,
+      limit,
+      used,
+      remaining: Math.max(limit - used, 0),
+      resetAt: getPeriodBounds(quota.period).end.toISOString()
+    };
+  });
+
+  const exceeded = quotas.find(quota => quota.remaining <= 0) || null;
+  return { allowed: !exceeded, exceeded, quotas };
+}
+
+/**
+ * Describe an exhausted quota for the user
+ * @param {Object} quota - Quota status from checkQuota
+ * @returns {string} - Error message
+ */
+function formatQuotaError(quota) {
+  const period = quota.period === 'day' ? 'daily' : 'monthly';
+  const unit = quota.metric === 'tokens' ? 'tokens' : 'messages';
+  return `You have reached your ${period} limit of ${quota.limit.toLocaleString('en-US')} ${unit}.`;
+}
+
+module.exports = {
+  SCOPES,
+  ROLES,
+  PERIODS,
+  METRICS,
+  getPeriodBounds,
+  listQuotas,
+  setQuota,
+  deleteQuota,
+  getApplicableQuotas,
+  getPeriodUsage,
+  addUsage,
+  checkQuota,
+  formatQuotaError
+};
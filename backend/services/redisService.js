@@ -117,7 +117,8 @@ async function deleteChatHistory(conversationId) {
     const cache_version = config.cache.version;
     const key = `chat:${cache_version}:${conversationId}`;
     
-    await redis_client.del(key);
+    // Conversation metadata lives and dies with the history
+    await redis_client.del([key, `${key}:meta`]);
     console.log(`Successfully deleted chat history for conversation ${conversationId}`);
     return true;
   } catch (error) {
@@ -126,6 +127,66 @@ async function deleteChatHistory(conversationId) {
   }
 }
 
+/**
+ * Get per-conversation settings (selected model, etc.) from Redis
+ * @param {string} conversationId - The conversation ID
+ * @returns {Object} - The conversation metadata, or empty object if not found
+ */
+async function getConversationMeta(conversationId) {
+  try {
+    if (!conversationId) {
+      console.error('[CHAT_META] Missing conversation ID');
+      return {};
+    }
+    
+    const redis_client = redisClient.getClient();
+    if (!redis_client) {
+      console.error('[CHAT_META] Redis client not initialized');
+      return {};
+    }
+    
+    const cache_version = config.cache.version;
+    const redis_key = `chat:${cache_version}:${conversationId}:meta`;
+    
+    const meta_json = await redis_client.get(redis_key);
+    return meta_json ? JSON.parse(meta_json) : {};
+  } catch (error) {
+    console.error(`[CHAT_META] Error loading metadata for ${conversationId}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Merge per-conversation settings into the Redis metadata for a conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} updates - Fields to set
+ * @returns {Object|boolean} - The merged metadata, or false on failure
+ */
+async function saveConversationMeta(conversationId, updates) {
+  try {
+    if (!conversationId) {
+      console.error('[CHAT_META] Missing conversation ID when saving');
+      return false;
+    }
+    
+    const redis_client = redisClient.getClient();
+    if (!redis_client) {
+      console.error('[CHAT_META] Redis client not initialized when saving');
+      return false;
+    }
+    
+    const cache_version = config.cache.version;
+    const redis_key = `chat:${cache_version}:${conversationId}:meta`;
+    
+    const meta = { ...(await getConversationMeta(conversationId)), ...updates };
+    await redis_client.setEx(redis_key, CHAT_HISTORY_TTL, JSON.stringify(meta));
+    return meta;
+  } catch (error) {
+    console.error(`[CHAT_META] Error saving metadata for ${conversationId}: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Clear old cache on startup
  * This matches the Flask implementation that clears old cache entries
@@ -203,6 +264,8 @@ module.exports = {
   getChatHistory,
   saveChatHistory,
   deleteChatHistory,
+  getConversationMeta,
+  saveConversationMeta,
   clearOldCache,
   CHAT_HISTORY_TTL
 };
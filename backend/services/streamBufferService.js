@@ -0,0 +1,214 @@
+/**
+ * Stream Buffer Service
+ * Keeps the events of the answer being streamed for a conversation in Redis, so a client that lost its
+ * connection (app sent to the background, network change) can reconnect with Last-Event-ID and pick up
+ * where it left off, on any server, instead of losing the answer or having it regenerated.
+ *
+ * Each conversation has one buffer, for its latest turn: a list of events and a state hash
+ * { turnId, status: 'streaming' | 'done', updatedAt, resumedAt }. Event IDs are `<turnId>:<index>`.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const redisClient = require('./redisClient');
+
+/**
+ * Get the Redis keys of a conversation's buffer
+ * @param {string} conversationId - The conversation ID
+ * @returns {Object} - { events, state }
+ */
+function bufferKeys(conversationId) {
+  const prefix = `stream:${config.cache.version}:${conversationId}`;
+  return { events: `${prefix}:events`, state: `${prefix}:state` };
+}
+
+/**
+ * Get the Redis client, if resumable streams are on and Redis is available
+ * @returns {Object|null} - Redis client
+ */
+function getClient() {
+  return config.chat.streamResume.enabled ? redisClient.getClient() : null;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Split an event ID into its turn and position
+ * @param {string} eventId - `<turnId>:<index>`, e.g. from the Last-Event-ID header
+ * @returns {Object|null} - { turnId, index }, or null if it isn't one of ours
+ */
+function parseEventId(eventId) {
+  const match = typeof eventId === 'string' ? eventId.match(/^([0-9a-f]+):(\d+)$/) : null;
+  return match ? { turnId: match[1], index: Number(match[2]) } : null;
+}
+
+/**
+ * Buffers the events of one turn as they are streamed. Writes are queued so they keep their order
+ * without holding up the stream; Redis errors are logged and only cost the ability to resume.
+ */
+class StreamBuffer {
+  constructor(conversationId) {
+    this.conversationId = conversationId;
+    this.turnId = crypto.randomBytes(6).toString('hex');
+    this.keys = bufferKeys(conversationId);
+    this.client = getClient();
+    this.count = 0;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Start the turn's buffer, replacing the previous turn's
+   */
+  async start() {
+    if (!this.client) return;
+
+    try {
+      await this.client.multi()
+        .del(this.keys.events)
+        .del(this.keys.state)
+        .hSet(this.keys.state, { turnId: this.turnId, status: 'streaming', updatedAt: Date.now() })
+        .expire(this.keys.state, config.chat.streamResume.ttlSeconds)
+        .exec();
+    } catch (error) {
+      console.error(`[STREAM_BUFFER] Redis error starting buffer for ${this.conversationId}: ${error.message}`);
+      this.client = null;
+    }
+  }
+
+  /**
+   * Add an event
+   * @param {Object} payload - Event data sent to the client
+   * @returns {string} - The event's ID
+   */
+  append(payload) {
+    const id = `${this.turnId}:${this.count++}`;
+
+    if (this.client) {
+      const { ttlSeconds } = config.chat.streamResume;
+      this.writes = this.writes
+        .then(() => this.client.multi()
+          .rPush(this.keys.events, JSON.stringify(payload))
+          .expire(this.keys.events, ttlSeconds)
+          .hSet(this.keys.state, 'updatedAt', Date.now())
+          .exec())
+        .catch(error => console.error(`[STREAM_BUFFER] Redis error buffering event ${id}: ${error.message}`));
+    }
+
+    return id;
+  }
+
+  /**
+   * Mark the turn as finished once its events are stored; they are kept for resuming until they expire
+   */
+  async finish() {
+    if (!this.client) return;
+
+    await this.writes;
+    try {
+      await this.client.multi()
+        .hSet(this.keys.state, { status: 'done', updatedAt: Date.now() })
+        .expire(this.keys.state, config.chat.streamResume.ttlSeconds)
+        .expire(this.keys.events, config.chat.streamResume.ttlSeconds)
+        .exec();
+    } catch (error) {
+      console.error(`[STREAM_BUFFER] Redis error finishing buffer for ${this.conversationId}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Get the state of a conversation's latest buffered turn
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - { turnId, status, updatedAt, resumedAt }, or null if there is none
+ */
+async function getBufferState(conversationId) {
+  const client = getClient();
+  if (!client) return null;
+
+  try {
+    const state = await client.hGetAll(bufferKeys(conversationId).state);
+    if (!state || !state.turnId) return null;
+    return {
+      turnId: state.turnId,
+      status: state.status,
+      updatedAt: Number(state.updatedAt) || 0,
+      resumedAt: Number(state.resumedAt) || 0
+    };
+  } catch (error) {
+    console.error(`[STREAM_BUFFER] Redis error reading state for ${conversationId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Check whether a buffered turn is still being generated (and hasn't been abandoned by a failed server)
+ * @param {Object|null} state - From getBufferState
+ * @returns {boolean} - Whether the turn is live
+ */
+function isStreaming(state) {
+  return Boolean(state) && state.status === 'streaming' &&
+    Date.now() - state.updatedAt < config.chat.streamResume.idleTimeoutSeconds * 1000;
+}
+
+/**
+ * Check whether a client has resumed a conversation's stream since a given time
+ * @param {string} conversationId - The conversation ID
+ * @param {number} since - Timestamp in milliseconds
+ * @returns {Promise<boolean>} - Whether a resumed stream connected after `since`
+ */
+async function wasResumedSince(conversationId, since) {
+  const state = await getBufferState(conversationId);
+  return Boolean(state) && state.resumedAt >= since;
+}
+
+/**
+ * Replay a turn's events after a given one, then follow new events until the turn finishes
+ * @param {string} conversationId - The conversation ID
+ * @param {string} turnId - The turn to follow
+ * @param {number} afterIndex - Index of the last event the client has (-1 for none)
+ * @param {AbortSignal} signal - Stops following, e.g. when the client disconnects again
+ * @returns {AsyncGenerator<Object>} - { id, payload }; ends early if the turn is lost or replaced
+ */
+async function* followEvents(conversationId, turnId, afterIndex, signal) {
+  const client = getClient();
+  if (!client) return;
+
+  const keys = bufferKeys(conversationId);
+  let next = afterIndex + 1;
+
+  try {
+    await client.hSet(keys.state, 'resumedAt', Date.now());
+
+    while (!signal.aborted) {
+      // State first: events are stored before the turn is marked done, so none are missed
+      const state = await getBufferState(conversationId);
+      if (!state || state.turnId !== turnId) return;
+
+      const events = await client.lRange(keys.events, next, -1);
+      for (const event of events) {
+        yield { id: `${turnId}:${next}`, payload: JSON.parse(event) };
+        next++;
+      }
+
+      if (state.status === 'done' || !isStreaming(state)) return;
+      await sleep(config.chat.streamResume.pollIntervalMs);
+    }
+  } catch (error) {
+    console.error(`[STREAM_BUFFER] Redis error following ${conversationId}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  StreamBuffer,
+  parseEventId,
+  getBufferState,
+  isStreaming,
+  wasResumedSince,
+  followEvents
+};
@@ -0,0 +1,135 @@
+/**
+ * Structured Output
+ * Answers as JSON matching a schema the client sends with its message (`responseSchema`), for tools that
+ * need machine-readable answers. The model is told to answer with JSON only; the answer is then parsed
+ * and validated, and if it doesn't match, the model is asked again with the validation errors.
+ */
+const config = require('../config');
+const { checkSchema, validate } = require('./jsonSchema');
+
+/**
+ * Check a response schema sent by a client
+ * @param {*} responseSchema - JSON Schema from the request body
+ * @returns {Array<string>} - Problems found (empty if it can be used)
+ */
+function checkResponseSchema(responseSchema) {
+  if (!responseSchema || typeof responseSchema !== 'object' || Array.isArray(responseSchema)) {
+    return ['responseSchema must be a JSON Schema object'];
+  }
+  if (JSON.stringify(responseSchema).length > config.chat.structuredOutput.maxSchemaChars) {
+    return [`responseSchema must be at most ${config.chat.structuredOutput.maxSchemaChars} characters`];
+  }
+  return checkSchema(responseSchema, 'responseSchema');
+}
+
+/**
+ * Build the instructions added to the system prompt for a structured answer
+ * @param {Object} schema - JSON Schema the answer must match
+ * @returns {string} - Instructions
+ */
+function buildInstructions(schema) {
+  return 'Answer with a single JSON value that matches the following JSON Schema. Reply with the JSON only: ' +
+    'no explanation, no Markdown and no code fences.\n\n' +
+    `<json_schema>\n${JSON.stringify(schema, null, 2)}\n</json_schema>`;
+}
+
+/**
+ * Parse and validate a structured answer
+ * @param {string} text - The model's answer
+ * @param {Object} schema - JSON Schema it must match
+ * @returns {Object} - { value } if it is valid, or { errors }
+ */
+function parseAnswer(text, schema) {
+  // Models sometimes wrap the JSON in a code fence despite being told not to
+  const fenced = (text || '').trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  const json = fenced ? fenced[1] : (text || '').trim();
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { errors: [`The answer is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validate(value, schema);
+  return errors.length > 0 ? { errors } : { value };
+}
+
+/**
+ * Stream a structured answer, asking again when it doesn't match the schema
+ *
+ * Yields the events of each attempt (see LLMProvider.streamChatWithTools), with a single message_stop at
+ * the end, plus:
+ *   { type: 'structured_retry', attempt, errors }  - the attempt so far is discarded and the model asked again
+ *   { type: 'structured_output', value } or { type: 'structured_output', errors }  - before message_stop
+ *
+ * @param {Function} startStream - (messages) => event stream, e.g. llmService.streamChatWithTools
+ * @param {Array} messages - Messages for the first attempt
+ * @param {Object} schema - JSON Schema the answer must match
+ * @returns {AsyncGenerator<Object>} - Stream events
+ */
+async function* streamStructured(startStream, messages, schema) {
+  const { maxRetries } = config.chat.structuredOutput;
+  let conversation = messages;
+
+  for (let attempt = 0; ; attempt++) {
+    const attemptMessages = [];
+    let answer = null;
+    let retry = false;
+
+    for await (const event of startStream(conversation)) {
+      if (event.type === 'message') {
+        attemptMessages.push(event.message);
+        if (event.message.role === 'assistant') {
+          answer = event.message;
+        }
+      }
+      if (event.type !== 'message_stop') {
+        yield event;
+        continue;
+      }
+
+      // A guardrail's message takes the place of the answer; there is nothing to check
+      if (event.stopReason === 'guardrail_intervened') {
+        yield event;
+        return;
+      }
+
+      // The content of the answer is read now, after the caller has had the message (and masked it)
+      const result = parseAnswer(answer ? answer.content : '', schema);
+      if (result.errors && attempt < maxRetries) {
+        console.log(`[STRUCTURED_OUTPUT] Attempt ${attempt + 1} did not match the schema: ${result.errors.join('; ')}`);
+        yield { type: 'structured_retry', attempt: attempt + 1, errors: result.errors };
+        conversation = [
+          ...conversation,
+          ...attemptMessages,
+          {
+            role: 'user',
+            content: 'Your answer did not match the JSON Schema:\n' +
+              result.errors.map(error => `- ${error}`).join('\n') +
+              '\n\nReply again with only the corrected JSON.'
+          }
+        ];
+        retry = true;
+        break;
+      }
+
+      if (result.errors) {
+        console.error(`[STRUCTURED_OUTPUT] Giving up after ${attempt + 1} attempts: ${result.errors.join('; ')}`);
+      }
+      yield { type: 'structured_output', ...result };
+      yield event;
+      return;
+    }
+
+    // The stream ended without finishing (e.g. it was aborted)
+    if (!retry) return;
+  }
+}
+
+module.exports = {
+  checkResponseSchema,
+  buildInstructions,
+  parseAnswer,
+  streamStructured
+};
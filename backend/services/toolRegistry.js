@@ -0,0 +1,126 @@
+/**
+ * Tool Registry
+ * Server-side tools the model can call during a chat (Converse API tool use)
+ */
+const config = require('../config');
+
+// Registered tools by name
+const tools = new Map();
+
+// Converse tool names must match this pattern
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Register a tool
+ * @param {Object} tool - Tool definition
+ * @param {string} tool.name - Unique tool name
+ * @param {string} tool.description - What the tool does, shown to the model
+ * @param {Object} tool.inputSchema - JSON schema for the tool input
+ * @param {Function} tool.handler - async (input, context) => result (any JSON-serializable value)
+ */
+function registerTool(tool) {
+  if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+    throw new Error(`Invalid tool name: ${tool && tool.name}`);
+  }
+  if (typeof tool.handler !== 'function') {
+    throw new Error(`Tool ${tool.name} must have a handler function`);
+  }
+  if (tools.has(tool.name)) {
+    throw new Error(`Tool ${tool.name} is already registered`);
+  }
+
+  tools.set(tool.name, {
+    name: tool.name,
+    description: tool.description || tool.name,
+    inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+    handler: tool.handler
+  });
+  console.log(`[TOOLS] Registered tool: ${tool.name}`);
+}
+
+/**
+ * Get a registered tool by name
+ * @param {string} name - Tool name
+ * @returns {Object|undefined} - Tool definition
+ */
+function getTool(name) {
+  return tools.get(name);
+}
+
+/**
+ * List the registered tools (without handlers)
+ * @returns {Array} - [{ name, description, inputSchema }]
+ */
+function listTools() {
+  return Array.from(tools.values()).map(({ name, description, inputSchema }) => ({
+    name,
+    description,
+    inputSchema
+  }));
+}
+
+/**
+ * Build the Converse toolConfig advertising the registered tools
+ * @param {Array<string>} [names] - Restrict to these tools (defaults to all)
+ * @returns {Object|null} - toolConfig, or null if there are no tools to offer
+ */
+function getToolConfig(names) {
+  const selected = listTools().filter(tool => !Array.isArray(names) || names.includes(tool.name));
+  if (selected.length === 0) {
+    return null;
+  }
+
+  return {
+    tools: selected.map(tool => ({
+      toolSpec: {
+        name: tool.name,
+        description: tool.description,
+        inputSchema: { json: tool.inputSchema }
+      }
+    }))
+  };
+}
+
+/**
+ * Execute a tool call. Failures are returned as error results for the model rather than thrown.
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input from the model
+ * @param {Object} context - Request context ({ userId, conversationId })
+ * @returns {Promise<Object>} - { status: 'success' | 'error', content }
+ */
+async function executeTool(name, input, context = {}) {
+  const tool = tools.get(name);
+  if (!tool) {
+    console.error(`[TOOLS] Unknown tool requested: ${name}`);
+    return { status: 'error', content: `Unknown tool: ${name}` };
+  }
+
+  const startTime = Date.now();
+  let timer;
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Tool execution timed out')), config.chat.toolTimeoutMs);
+    });
+    const content = await Promise.race([tool.handler(input || {}, context), timeout]);
+    console.log(`[TOOLS] ${name} completed in ${Date.now() - startTime}ms`);
+    return { status: 'success', content };
+  } catch (error) {
+    console.error(`[TOOLS] ${name} failed: ${error.message}`);
+    return { status: 'error', content: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Built-in tools
+registerTool(require('./tools/calculator'));
+registerTool(require('./tools/currentTime'));
+registerTool(require('./tools/conversationSearch'));
+
+module.exports = {
+  registerTool,
+  getTool,
+  listTools,
+  getToolConfig,
+  executeTool
+};
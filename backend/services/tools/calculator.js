@@ -0,0 +1,202 @@
+/**
+ * Calculator Tool
+ * Evaluates arithmetic expressions with a small recursive-descent parser (no eval)
+ */
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max
+};
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+/**
+ * Split an expression into number, identifier and operator tokens
+ * @param {string} expression - Expression to tokenize
+ * @returns {Array<Object>} - Tokens ({ type, value })
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+)|([a-zA-Z_]\w*)|(\*\*|[-+*/%^(),]))/y;
+  let position = 0;
+
+  while (position < expression.length) {
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      if (/^\s*$/.test(expression.slice(position))) break;
+      throw new Error(`Unexpected character at position ${position}: "${expression[position]}"`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'identifier', value: match[2].toLowerCase() });
+    } else {
+      tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3] });
+    }
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression
+ * Supports + - * / % ^ (or **), parentheses, the constants pi and e, and common functions.
+ * @param {string} expression - Expression to evaluate
+ * @returns {number} - Result
+ */
+function evaluate(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new Error(`Expected "${value}"`);
+    }
+    index++;
+  };
+
+  // expression := term (('+' | '-') term)*
+  function parseExpression() {
+    let value = parseTerm();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = tokens[index++].value;
+      const right = parseTerm();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  }
+
+  // term := unary (('*' | '/' | '%') unary)*
+  function parseTerm() {
+    let value = parseUnary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const operator = tokens[index++].value;
+      const right = parseUnary();
+      if ((operator === '/' || operator === '%') && right === 0) {
+        throw new Error('Division by zero');
+      }
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  }
+
+  // unary := ('+' | '-') unary | power
+  function parseUnary() {
+    if (isOperator('-')) {
+      index++;
+      return -parseUnary();
+    }
+    if (isOperator('+')) {
+      index++;
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  // power := primary ('^' unary)?   (right associative)
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOperator('^')) {
+      index++;
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  }
+
+  // primary := number | constant | function '(' args ')' | '(' expression ')'
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      index++;
+      return token.value;
+    }
+
+    if (token.type === 'identifier') {
+      index++;
+      if (Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+        expect('(');
+        const args = [parseExpression()];
+        while (isOperator(',')) {
+          index++;
+          args.push(parseExpression());
+        }
+        expect(')');
+        return FUNCTIONS[token.value](...args);
+      }
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+        return CONSTANTS[token.value];
+      }
+      throw new Error(`Unknown identifier: ${token.value}`);
+    }
+
+    if (isOperator('(')) {
+      index++;
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    throw new Error(`Unexpected token: ${token.value}`);
+  }
+
+  const result = parseExpression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected token: ${tokens[index].value}`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('Result is not a finite number');
+  }
+  return result;
+}
+
+module.exports = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, ' +
+    'the constants pi and e, and the functions sqrt, abs, round, floor, ceil, sin, cos, tan, ' +
+    'log (base 10), ln, exp, min and max. Use this instead of doing arithmetic yourself.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The expression to evaluate, e.g. "(3.5 + 2) * sqrt(16)"'
+      }
+    },
+    required: ['expression']
+  },
+  async handler({ expression }) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('expression is required');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new Error(`expression must be at most ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+    return { expression, result: evaluate(expression) };
+  },
+  evaluate
+};
@@ -0,0 +1,98 @@
+/**
+ * Conversation Search Tool
+ * Lets the model search the current user's saved conversations
+ */
+const { Op } = require('sequelize');
+const models = require('../../models');
+
+const MAX_RESULTS = 5;
+const MAX_MATCHES_PER_CONVERSATION = 3;
+const SNIPPET_LENGTH = 300;
+
+/**
+ * Escape LIKE wildcards so the query is matched literally
+ * @param {string} value - Raw search text
+ * @returns {string} - Escaped text
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Cut a snippet of text around the first match of the query
+ * @param {string} text - Message text
+ * @param {string} query - Search text
+ * @returns {string} - Snippet
+ */
+function snippetAround(text, query) {
+  const position = text.toLowerCase().indexOf(query.toLowerCase());
+  const start = Math.max(0, position - Math.floor(SNIPPET_LENGTH / 2));
+  const snippet = text.substring(start, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '...' : ''}${snippet}${start + SNIPPET_LENGTH < text.length ? '...' : ''}`;
+}
+
+module.exports = {
+  name: 'conversation_search',
+  description: "Search the user's previous saved conversations for a word or phrase. " +
+    'Returns matching message snippets with the conversation date.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Text to look for in previous conversations'
+      }
+    },
+    required: ['query']
+  },
+  async handler({ query }, context = {}) {
+    if (typeof query !== 'string' || query.trim().length < 2) {
+      throw new Error('query must be at least 2 characters');
+    }
+    if (!context.userId) {
+      throw new Error('Conversation search requires a signed-in user');
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      await models.initializeDatabase();
+    }
+
+    const searchText = query.trim();
+    const where = {
+      user_id: context.userId,
+      [Op.and]: [
+        models.sequelize.where(
+          models.sequelize.cast(models.sequelize.col('chat_history'), 'text'),
+          { [Op.iLike]: `%${escapeLike(searchText)}%` }
+        )
+      ]
+    };
+    if (context.conversationId) {
+      where.conversation_id = { [Op.ne]: context.conversationId };
+    }
+
+    const conversations = await models.Conversation.findAll({
+      where,
+      order: [['started_at', 'DESC']],
+      limit: MAX_RESULTS,
+      attributes: ['conversation_id', 'started_at', 'chat_history']
+    });
+
+    const results = conversations.map(conversation => {
+      const matches = (conversation.chat_history || [])
+        .filter(msg => (msg.role === 'user' || msg.role === 'assistant') &&
+                       typeof msg.content === 'string' &&
+                       msg.content.toLowerCase().includes(searchText.toLowerCase()))
+        .slice(0, MAX_MATCHES_PER_CONVERSATION)
+        .map(msg => ({ role: msg.role, snippet: snippetAround(msg.content, searchText) }));
+
+      return {
+        conversationId: conversation.conversation_id,
+        startedAt: conversation.started_at,
+        matches
+      };
+    }).filter(result => result.matches.length > 0);
+
+    return { query: searchText, resultCount: results.length, results };
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Current Time Tool
+ * Tells the model the current date and time, optionally in a given time zone
+ */
+
+module.exports = {
+  name: 'current_time',
+  description: 'Get the current date and time. Optionally pass an IANA time zone ' +
+    '(e.g. "America/New_York"); defaults to UTC.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'IANA time zone name, e.g. "Europe/London"'
+      }
+    }
+  },
+  async handler({ timezone = 'UTC' }) {
+    const now = new Date();
+
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        dateStyle: 'full',
+        timeStyle: 'long'
+      });
+    } catch (error) {
+      throw new Error(`Unknown time zone: ${timezone}`);
+    }
+
+    return {
+      timezone,
+      iso: now.toISOString(),
+      formatted: formatter.format(now),
+      unixTimestamp: Math.floor(now.getTime() / 1000)
+    };
+  }
+};
@@ -0,0 +1,248 @@
+/**
+ * Usage Service
+ * Records the tokens each assistant turn consumes and aggregates them for users and admins
+ */
+const { Op, fn, col, literal } = require('sequelize');
+const models = require('../models');
+const quotaService = require('./quotaService');
+
+/**
+ * Ensure the database is initialized and return the models
+ * @returns {Promise<Object>} - db models
+ */
+async function getModels() {
+  if (process.env.NODE_ENV === 'production') {
+    await models.initializeDatabase();
+  }
+  return models;
+}
+
+/**
+ * Collects the usage of one assistant turn from normalized stream events
+ * A turn can span several model calls when tools are used; each call ends with a metadata event.
+ */
+class UsageTracker {
+  constructor(modelId) {
+    this.modelId = modelId;
+    this.startedAt = Date.now();
+    this.firstTokenAt = null;
+    this.inputTokens = 0;
+    this.outputTokens = 0;
+    this.cacheReadInputTokens = 0;
+    this.cacheWriteInputTokens = 0;
+    this.latencyMs = 0;
+    this.requestCount = 0;
+    this.stopReason = null;
+  }
+
+  /**
+   * Update the totals from a stream event
+   * @param {Object} event - Normalized stream event (see BedrockClient._normalizeStream)
+   */
+  track(event) {
+    if (event.type === 'model') {
+      // Usage is attributed to the model that answered, which differs from the selected one after a fallback
+      this.modelId = event.modelId;
+    } else if (event.type === 'text' && this.firstTokenAt === null) {
+      this.firstTokenAt = Date.now();
+    } else if (event.type === 'metadata') {
+      const usage = event.usage || {};
+      this.inputTokens += usage.inputTokens || 0;
+      this.outputTokens += usage.outputTokens || 0;
+      this.cacheReadInputTokens += usage.cacheReadInputTokens || 0;
+      this.cacheWriteInputTokens += usage.cacheWriteInputTokens || 0;
+      this.latencyMs += event.latencyMs || 0;
+      this.requestCount += 1;
+    } else if (event.type === 'message_stop') {
+      this.stopReason = event.stopReason || null;
+    }
+  }
+
+  /**
+   * Get the usage collected so far
+   * @returns {Object} - { modelId, inputTokens, outputTokens, cacheReadInputTokens, cacheWriteInputTokens,
+   *   requestCount, latencyMs, timeToFirstTokenMs, durationMs, stopReason }
+   */
+  toJSON() {
+    return {
+      modelId: this.modelId,
+      inputTokens: this.inputTokens,
+      outputTokens: this.outputTokens,
+      cacheReadInputTokens: this.cacheReadInputTokens,
+      cacheWriteInputTokens: this.cacheWriteInputTokens,
+      requestCount: this.requestCount,
+      latencyMs: this.requestCount > 0 ? this.latencyMs : null,
+      timeToFirstTokenMs: this.firstTokenAt !== null ? this.firstTokenAt - this.startedAt : null,
+      durationMs: Date.now() - this.startedAt,
+      stopReason: this.stopReason
+    };
+  }
+}
+
+/**
+ * Store the usage of an assistant turn
+ * Failures are logged rather than thrown, so metering never breaks a chat.
+ * @param {Object} usage - UsageTracker.toJSON() output
+ * @param {Object} owner - { userId, conversationId }
+ * @returns {Promise<Object|null>} - The UsageRecord, or null if nothing was stored
+ */
+async function recordUsage(usage, { userId = null, conversationId = null } = {}) {
+  if (!usage || usage.requestCount === 0) {
+    return null;
+  }
+
+  try {
+    const { UsageRecord } = await getModels();
+    const record = await UsageRecord.create({
+      user_id: userId,
+      conversation_id: conversationId,
+      model_id: usage.modelId,
+      input_tokens: usage.inputTokens,
+      output_tokens: usage.outputTokens,
+      cache_read_input_tokens: usage.cacheReadInputTokens || 0,
+      cache_write_input_tokens: usage.cacheWriteInputTokens || 0,
+      request_count: usage.requestCount,
+      latency_ms: usage.latencyMs,
+      time_to_first_token_ms: usage.timeToFirstTokenMs,
+      duration_ms: usage.durationMs,
+      stop_reason: usage.stopReason
+    });
+    console.log(`[USAGE] ${usage.modelId}: ${usage.inputTokens} in / ${usage.outputTokens} out` +
+      (usage.cacheReadInputTokens || usage.cacheWriteInputTokens
+        ? ` / ${usage.cacheReadInputTokens || 0} cache read / ${usage.cacheWriteInputTokens || 0} cache write`
+        : '') +
+      ` (user ${userId || 'anonymous'})`);
+    
+    // Quotas count every token the model processed, whether or not it came from the prompt cache
+    await quotaService.addUsage(userId, usage.inputTokens + usage.outputTokens +
+      (usage.cacheReadInputTokens || 0) + (usage.cacheWriteInputTokens || 0));
+    return record;
+  } catch (error) {
+    console.error(`[USAGE] Failed to record usage: ${error.message}`);
+    return null;
+  }
+}
+
+// Aggregate columns shared by the summaries below
+const AGGREGATES = [
+  [fn('COUNT', col('id')), 'turns'],
+  [fn('COALESCE', fn('SUM', col('input_tokens')), 0), 'inputTokens'],
+  [fn('COALESCE', fn('SUM', col('output_tokens')), 0), 'outputTokens'],
+  [fn('COALESCE', fn('SUM', col('cache_read_input_tokens')), 0), 'cacheReadInputTokens'],
+  [fn('COALESCE', fn('SUM', col('cache_write_input_tokens')), 0), 'cacheWriteInputTokens'],
+  [fn('AVG', col('time_to_first_token_ms')), 'avgTimeToFirstTokenMs']
+];
+
+/**
+ * Convert an aggregate row (Postgres returns sums as strings) to numbers
+ * @param {Object} row - Raw query row
+ * @returns {Object} - { turns, inputTokens, outputTokens, cacheReadInputTokens, cacheWriteInputTokens, totalTokens,
+ *   cacheHitRate, avgTimeToFirstTokenMs, ...other columns } where cacheHitRate is the share of prompt tokens
+ *   read from the prompt cache
+ */
+function toTotals(row) {
+  const totals = {
+    ...row,
+    turns: Number(row.turns) || 0,
+    inputTokens: Number(row.inputTokens) || 0,
+    outputTokens: Number(row.outputTokens) || 0,
+    cacheReadInputTokens: Number(row.cacheReadInputTokens) || 0,
+    cacheWriteInputTokens: Number(row.cacheWriteInputTokens) || 0,
+    avgTimeToFirstTokenMs: row.avgTimeToFirstTokenMs !== null && row.avgTimeToFirstTokenMs !== undefined
+      ? Math.round(Number(row.avgTimeToFirstTokenMs))
+      : null
+  };
+  const promptTokens = totals.inputTokens + totals.cacheReadInputTokens + totals.cacheWriteInputTokens;
+  totals.totalTokens = promptTokens + totals.outputTokens;
+  totals.cacheHitRate = promptTokens > 0 ? totals.cacheReadInputTokens / promptTokens : 0;
+  return totals;
+}
+
+/**
+ * Get the start of a reporting period
+ * @param {number} days - Period length in days
+ * @returns {Date} - Start date
+ */
+function periodStart(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Summarize a user's usage
+ * @param {number} userId - User ID
+ * @param {number} days - Period length in days
+ * @returns {Promise<Object>} - { days, totals, byModel }
+ */
+async function getUserUsageSummary(userId, days = 30) {
+  const { UsageRecord } = await getModels();
+  const where = { user_id: userId, created_at: { [Op.gte]: periodStart(days) } };
+
+  const [totals, byModel] = await Promise.all([
+    UsageRecord.findOne({ where, attributes: AGGREGATES, raw: true }),
+    UsageRecord.findAll({
+      where,
+      attributes: ['model_id', ...AGGREGATES],
+      group: ['model_id'],
+      order: [[literal('"outputTokens"'), 'DESC']],
+      raw: true
+    })
+  ]);
+
+  return {
+    days,
+    totals: toTotals(totals || {}),
+    byModel: byModel.map(toTotals)
+  };
+}
+
+/**
+ * Summarize usage across all users for the admin dashboard
+ * @param {number} days - Period length in days
+ * @returns {Promise<Object>} - { days, totals, byModel, topUsers }
+ */
+async function getUsageOverview(days = 30) {
+  const { UsageRecord, User } = await getModels();
+  const where = { created_at: { [Op.gte]: periodStart(days) } };
+
+  const [totals, byModel, byUser] = await Promise.all([
+    UsageRecord.findOne({ where, attributes: AGGREGATES, raw: true }),
+    UsageRecord.findAll({
+      where,
+      attributes: ['model_id', ...AGGREGATES],
+      group: ['model_id'],
+      order: [[literal('"outputTokens"'), 'DESC']],
+      raw: true
+    }),
+    UsageRecord.findAll({
+      where: { ...where, user_id: { [Op.ne]: null } },
+      attributes: ['user_id', ...AGGREGATES],
+      group: ['user_id'],
+      order: [[literal('"outputTokens"'), 'DESC']],
+      limit: 10,
+      raw: true
+    })
+  ]);
+
+  const users = await User.findAll({
+    where: { id: byUser.map(row => row.user_id) },
+    attributes: ['id', 'email', 'name']
+  });
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  return {
+    days,
+    totals: toTotals(totals || {}),
+    byModel: byModel.map(toTotals),
+    topUsers: byUser.map(row => ({
+      ...toTotals(row),
+      email: usersById.has(row.user_id) ? usersById.get(row.user_id).email : `User ${row.user_id}`
+    }))
+  };
+}
+
+module.exports = {
+  UsageTracker,
+  recordUsage,
+  getUserUsageSummary,
+  getUsageOverview
+};
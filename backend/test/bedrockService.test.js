@@ -0,0 +1,56 @@
+/**
+ * bedrockService tests
+ * Build Converse requests offline (no AWS calls) and check what is sent to Bedrock
+ */
+process.env.BEDROCK_GUARDRAIL_ID = 'test-guardrail';
+process.env.PROMPT_CACHING = 'true';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { BedrockClient } = require('../services/bedrockService');
+
+const MODEL_ID = 'anthropic.claude-sonnet-4-20250514-v1:0';
+
+// Skips the constructor, which looks up AWS credentials
+const client = Object.create(BedrockClient.prototype);
+client.defaultSystemMessage = config.chat.systemPrompt || 'You are a helpful AI assistant.';
+
+test('guards the user\'s message, not the per-turn context appended for prompt caching', () => {
+  const systemContext = 'Answer from these passages:\n[1] The office opens at 9am.';
+  const request = client._buildConverseRequest(
+    [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'When does the office open?' }],
+    MODEL_ID, undefined, false, new Map(), systemContext, true
+  );
+
+  const { content } = request.messages[request.messages.length - 1];
+  assert.deepEqual(content[0], { guardContent: { text: { text: 'When does the office open?' } } });
+  assert.deepEqual(content[content.length - 1], { text: systemContext });
+  assert.equal(content.filter(block => block.guardContent).length, 1);
+  assert.equal(request.guardrailConfig.guardrailIdentifier, 'test-guardrail');
+  assert.equal(request.guardrailConfig.streamProcessingMode, config.bedrock.guardrail.streamProcessingMode);
+});
+
+test('guards the latest user text, not earlier turns', () => {
+  const request = client._buildConverseRequest(
+    [
+      { role: 'user', content: 'First question' },
+      { role: 'assistant', content: 'First answer' },
+      { role: 'user', content: 'Second question' }
+    ],
+    MODEL_ID, undefined, false, new Map(), null, false
+  );
+
+  assert.deepEqual(request.messages[0].content, [{ text: 'First question' }]);
+  assert.deepEqual(request.messages[2].content[0], { guardContent: { text: { text: 'Second question' } } });
+  assert.equal(request.guardrailConfig.streamProcessingMode, undefined);
+});
+
+test('keeps the per-turn context in the system prompt when there is no user turn', () => {
+  const systemContext = 'Answer from these passages:\n[1] The office opens at 9am.';
+  const request = { system: [{ text: 'Be brief.' }], messages: [{ role: 'assistant', content: [{ text: 'Hello' }] }] };
+
+  client._addCachePoints(request, systemContext, 0);
+
+  assert.deepEqual(request.system, [{ text: 'Be brief.' }, { cachePoint: { type: 'default' } }, { text: systemContext }]);
+});
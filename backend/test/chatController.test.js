@@ -0,0 +1,116 @@
+/**
+ * chatController tests
+ * Who may read and change a conversation, with Redis and the database replaced by in-memory stores
+ */
+process.env.LLM_PROVIDER = 'mock';
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryStores } = require('./helpers/stores');
+const quotaService = require('../services/quotaService');
+const chatController = require('../controllers/chatController');
+
+const stores = useMemoryStores();
+// Quotas are read from the database; nobody is out of allowance here
+quotaService.checkQuota = async () => ({ allowed: true });
+const OWNER = { id: 1 };
+const OTHER_USER = { id: 2 };
+const HISTORY = [
+  { id: 'm1', role: 'system', content: 'You are helpful.' },
+  { id: 'm2', role: 'user', content: 'Hello' },
+  { id: 'm3', role: 'assistant', content: 'Hi!' }
+];
+
+/**
+ * Call a controller function and capture its JSON response
+ * @param {Function} handler - Controller function (req, res)
+ * @param {Object} req - Request fields
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function call(handler, req) {
+  const result = { status: 200, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(payload) {
+      result.body = payload;
+      return res;
+    }
+  };
+  await handler({ body: {}, params: {}, query: {}, session: null, ...req }, res);
+  return result;
+}
+
+beforeEach(() => {
+  stores.reset();
+});
+
+after(() => stores.close());
+
+test('an open conversation belongs to the user who started it', async () => {
+  stores.saveOpenConversation('open-1', HISTORY, { userId: OWNER.id });
+
+  assert.equal(await chatController.canModifyConversation('open-1', OWNER.id), true);
+  assert.equal(await chatController.canModifyConversation('open-1', OTHER_USER.id), false);
+});
+
+test('a saved conversation belongs to its owner in the database', async () => {
+  stores.saveStoredConversation('saved-1', OWNER.id);
+
+  assert.equal(await chatController.canModifyConversation('saved-1', OWNER.id), true);
+  assert.equal(await chatController.canModifyConversation('saved-1', OTHER_USER.id), false);
+});
+
+test('anyone may start a conversation with a new ID', async () => {
+  assert.equal(await chatController.canModifyConversation('new-1', OTHER_USER.id), true);
+});
+
+test('open conversations without a recorded owner are refused', async () => {
+  stores.saveOpenConversation('legacy-1', HISTORY);
+
+  assert.equal(await chatController.canModifyConversation('legacy-1', OWNER.id), false);
+});
+
+test('another user cannot switch branches in, edit or read an open conversation', async () => {
+  stores.saveOpenConversation('open-2', HISTORY, { userId: OWNER.id });
+
+  const branch = await call(chatController.selectBranch, {
+    user: OTHER_USER,
+    params: { conversationId: 'open-2', branchId: 'm3' },
+    body: { selected: 0 }
+  });
+  assert.equal(branch.status, 403);
+
+  const edit = await call(chatController.editMessage, {
+    user: OTHER_USER,
+    params: { conversationId: 'open-2', messageId: 'm2' },
+    body: { message: 'Changed' }
+  });
+  assert.equal(edit.status, 403);
+
+  const read = await call(chatController.getConversation, { user: OTHER_USER, params: { conversationId: 'open-2' } });
+  assert.equal(read.status, 403);
+  assert.equal(read.body.chat_history, undefined);
+});
+
+test('the owner can read their open conversation', async () => {
+  stores.saveOpenConversation('open-3', HISTORY, { userId: OWNER.id });
+
+  const read = await call(chatController.getConversation, { user: OWNER, params: { conversationId: 'open-3' } });
+  assert.equal(read.status, 200);
+  assert.deepEqual(read.body.chat_history.map(msg => msg.content), ['Hello', 'Hi!']);
+});
+
+test('another user cannot reset (and so save) an open conversation', async () => {
+  stores.saveOpenConversation('open-4', HISTORY, { userId: OWNER.id });
+
+  const reset = await call(chatController.resetConversation, {
+    user: OTHER_USER,
+    headers: {},
+    body: { conversationId: 'open-4' }
+  });
+  assert.equal(reset.status, 403);
+  assert.equal(await chatController.canModifyConversation('open-4', OWNER.id), true);
+});
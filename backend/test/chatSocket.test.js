@@ -0,0 +1,23 @@
+/**
+ * Chat WebSocket route tests
+ * The WebSocket server shuts down with the HTTP server it is attached to
+ */
+const { test, after } = require('node:test');
+const http = require('http');
+const { once } = require('node:events');
+const redisClient = require('../services/redisClient');
+const { attachChatSocket } = require('../routes/chatSocket');
+
+// Requiring the route connects to Redis; disconnect so the test process can exit
+after(() => redisClient.client.disconnect().catch(() => {}));
+
+test('closing the HTTP server closes the WebSocket server and stops its heartbeat', async () => {
+  const server = http.createServer();
+  const wss = attachChatSocket(server, { sessionMiddleware: (req, res, next) => next(), checkOrigin: (origin, done) => done(null, true) });
+
+  const closed = once(wss, 'close');
+  server.listen(0);
+  await once(server, 'listening');
+  server.close();
+  await closed;
+});
@@ -0,0 +1,82 @@
+/**
+ * chatSocketController tests
+ * Requests over the WebSocket name their conversation, so each one is checked against its owner
+ */
+process.env.LLM_PROVIDER = 'mock';
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { useMemoryStores } = require('./helpers/stores');
+const chatSocketController = require('../controllers/chatSocketController');
+
+const stores = useMemoryStores();
+const OWNER = { id: 1 };
+const OTHER_USER = { id: 2 };
+
+/**
+ * Open a connection for a user, as routes/chatSocket does after authenticating it
+ * @param {Object} user - The signed-in user
+ * @returns {Object} - { request(message) => Promise of the first reply }
+ */
+function connect(user) {
+  const socket = new EventEmitter();
+  const replies = [];
+  socket.OPEN = 1;
+  socket.readyState = 1;
+  socket.send = data => replies.push(JSON.parse(data));
+  chatSocketController.handleConnection(socket, user);
+
+  return {
+    async request(message) {
+      const before = replies.length;
+      socket.emit('message', Buffer.from(JSON.stringify(message)), false);
+      for (let wait = 0; replies.length === before && wait < 200; wait++) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return replies[before];
+    }
+  };
+}
+
+beforeEach(() => {
+  stores.reset();
+  stores.saveOpenConversation('open-1', [
+    { id: 'm1', role: 'system', content: 'You are helpful.' },
+    { id: 'm2', role: 'user', content: 'Hello' }
+  ], { userId: OWNER.id });
+});
+
+after(() => stores.close());
+
+test('another user cannot resume the answer streaming in someone else\'s conversation', async () => {
+  const socket = connect(OTHER_USER);
+
+  const reply = await socket.request({ type: 'resume', requestId: 'r1', conversationId: 'open-1', lastEventId: 'a1b2c3:0' });
+
+  assert.equal(reply.type, 'error');
+  assert.equal(reply.requestId, 'r1');
+  assert.equal(reply.status, 403);
+});
+
+test('another user cannot regenerate, edit or stop in someone else\'s conversation', async () => {
+  const socket = connect(OTHER_USER);
+
+  for (const request of [
+    { type: 'regenerate', requestId: 'r2', conversationId: 'open-1' },
+    { type: 'edit', requestId: 'r3', conversationId: 'open-1', messageId: 'm2', message: 'Changed' },
+    { type: 'stop', requestId: 'r4', conversationId: 'open-1' }
+  ]) {
+    const reply = await socket.request(request);
+    assert.equal(reply.status, 403, `${request.type} is refused`);
+  }
+});
+
+test('the owner is not refused', async () => {
+  const socket = connect(OWNER);
+
+  // Nothing is buffered for the conversation, so the stream then says the answer can't be resumed
+  const reply = await socket.request({ type: 'resume', requestId: 'r5', conversationId: 'open-1', lastEventId: 'a1b2c3:0' });
+
+  assert.deepEqual(reply, { type: 'typing', conversationId: 'open-1', typing: true });
+});
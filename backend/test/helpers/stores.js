@@ -0,0 +1,64 @@
+/**
+ * In-memory stand-ins for Redis and the conversations table, so controllers can be tested without either
+ */
+const models = require('../../models');
+const redisClient = require('../../services/redisClient');
+const config = require('../../config');
+
+/**
+ * Replace the Redis client and Conversation lookups with in-memory ones
+ * @returns {Object} - { saveOpenConversation, saveStoredConversation, reset, close }
+ */
+function useMemoryStores() {
+  const values = new Map();
+  const conversations = new Map();
+
+  const fakeRedis = {
+    async get(key) {
+      return values.has(key) ? values.get(key) : null;
+    },
+    async setEx(key, ttl, value) {
+      values.set(key, value);
+    },
+    async del(keys) {
+      [].concat(keys).forEach(key => values.delete(key));
+    }
+  };
+  redisClient.getClient = () => fakeRedis;
+  models.Conversation.findOne = async ({ where }) => conversations.get(where.conversation_id) || null;
+
+  const key = conversationId => `chat:${config.cache.version}:${conversationId}`;
+
+  return {
+    /**
+     * Store an open (Redis-only) conversation
+     * @param {string} conversationId - The conversation ID
+     * @param {Array} chatHistory - Its messages
+     * @param {Object} meta - Its metadata (userId is the user who started it)
+     */
+    saveOpenConversation(conversationId, chatHistory, meta = {}) {
+      values.set(key(conversationId), JSON.stringify(chatHistory));
+      values.set(`${key(conversationId)}:meta`, JSON.stringify(meta));
+    },
+    /**
+     * Store a saved (database) conversation
+     * @param {string} conversationId - The conversation ID
+     * @param {number|null} userId - Its owner
+     */
+    saveStoredConversation(conversationId, userId) {
+      conversations.set(conversationId, { conversation_id: conversationId, user_id: userId, chat_history: [] });
+    },
+    reset() {
+      values.clear();
+      conversations.clear();
+    },
+    // Stops the real Redis client retrying its connection, so the test process can exit
+    async close() {
+      await redisClient.client.disconnect().catch(() => {});
+    }
+  };
+}
+
+module.exports = {
+  useMemoryStores
+};
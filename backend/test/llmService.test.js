@@ -0,0 +1,156 @@
+/**
+ * llmService tests
+ * Drive streamChatWithTools through the mock provider: text deltas, the tool use loop, errors and usage
+ */
+process.env.LLM_PROVIDER = 'mock';
+process.env.MOCK_LLM_CHUNK_DELAY_MS = '0';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const llmService = require('../services/llmService');
+
+const provider = llmService.getProvider('mock');
+
+/**
+ * Run a request to the end and collect its events
+ * @param {Array} messages - Chat history messages
+ * @param {Object} options - Options for streamChatWithTools
+ * @returns {Promise<Array<Object>>} - Stream events
+ */
+async function collect(messages, options = {}) {
+  const events = [];
+  for await (const event of llmService.streamChatWithTools(messages, options)) {
+    events.push(event);
+  }
+  return events;
+}
+
+/**
+ * Join the text deltas of a stream
+ * @param {Array<Object>} events - Stream events
+ * @returns {string}
+ */
+function textOf(events) {
+  return events.filter(event => event.type === 'text').map(event => event.text).join('');
+}
+
+beforeEach(() => {
+  provider.setScript([]);
+});
+
+test('streams the answer as text deltas and ends with a single message_stop', async () => {
+  const events = await collect([{ role: 'user', content: 'hello there' }]);
+
+  assert.equal(events[0].type, 'model');
+  assert.ok(events.filter(event => event.type === 'text').length > 1, 'answer arrives in several chunks');
+  assert.equal(textOf(events), 'You said: hello there');
+
+  const stops = events.filter(event => event.type === 'message_stop');
+  assert.deepEqual(stops, [{ type: 'message_stop', stopReason: 'end_turn' }]);
+  assert.equal(events[events.length - 1], stops[0]);
+
+  const messages = events.filter(event => event.type === 'message').map(event => event.message);
+  assert.deepEqual(messages, [{ role: 'assistant', content: 'You said: hello there' }]);
+});
+
+test('runs the tools the model calls and sends the results back', async () => {
+  provider.setScript([
+    { match: 'sum', text: 'Let me work that out.', toolCalls: [{ name: 'calculator', input: { expression: '2 + 2' } }] },
+    { text: 'The sum is 4.' }
+  ]);
+
+  const events = await collect([{ role: 'user', content: 'what is the sum of 2 and 2?' }], { tools: true });
+
+  const results = events.filter(event => event.type === 'tool_result');
+  assert.equal(results.length, 1);
+  assert.equal(results[0].name, 'calculator');
+  assert.equal(results[0].status, 'success');
+  assert.match(results[0].content, /4/);
+
+  // Each turn's text is separated from the last
+  assert.equal(textOf(events), 'Let me work that out.\n\nThe sum is 4.');
+
+  const messages = events.filter(event => event.type === 'message').map(event => event.message);
+  assert.deepEqual(messages.map(message => message.role), ['assistant', 'tool', 'assistant']);
+  assert.equal(messages[0].toolCalls[0].name, 'calculator');
+  assert.equal(messages[1].toolUseId, messages[0].toolCalls[0].id);
+  assert.equal(messages[2].content, 'The sum is 4.');
+
+  assert.deepEqual(events.filter(event => event.type === 'message_stop'), [{ type: 'message_stop', stopReason: 'end_turn' }]);
+});
+
+test('reports a failing tool to the model instead of throwing', async () => {
+  provider.setScript([
+    { text: 'Trying a tool.', toolCalls: [{ name: 'no_such_tool', input: {} }] },
+    { text: 'That did not work.' }
+  ]);
+
+  const events = await collect([{ role: 'user', content: 'use a tool' }], { tools: true });
+
+  const result = events.find(event => event.type === 'tool_result');
+  assert.equal(result.status, 'error');
+  assert.match(result.content, /Unknown tool/);
+  assert.ok(textOf(events).endsWith('That did not work.'));
+});
+
+test('stops offering tools after maxToolIterations so the model has to answer', async () => {
+  const { maxToolIterations } = config.chat;
+  const loop = { text: 'Again.', toolCalls: [{ name: 'current_time', input: {} }] };
+  provider.setScript(Array.from({ length: maxToolIterations + 1 }, () => ({ ...loop })));
+
+  const events = await collect([{ role: 'user', content: 'loop forever' }], { tools: true });
+
+  assert.equal(events.filter(event => event.type === 'tool_result').length, maxToolIterations);
+  const messages = events.filter(event => event.type === 'message').map(event => event.message);
+  assert.equal(messages[messages.length - 1].role, 'assistant');
+  assert.equal(messages[messages.length - 1].toolCalls, undefined);
+});
+
+test('makes no tool calls when tools are turned off', async () => {
+  provider.setScript([{ text: 'No tools here.', toolCalls: [{ name: 'current_time', input: {} }] }]);
+
+  const events = await collect([{ role: 'user', content: 'what time is it?' }], { tools: false });
+
+  assert.equal(events.some(event => event.type === 'tool_result'), false);
+  assert.equal(textOf(events), 'No tools here.');
+});
+
+test('throws provider errors before the answer with their Bedrock name', async () => {
+  provider.setScript([{ error: { name: 'ThrottlingException', message: 'Rate exceeded' } }]);
+
+  await assert.rejects(collect([{ role: 'user', content: 'hello' }]), { name: 'ThrottlingException', message: 'Rate exceeded' });
+});
+
+test('throws mid-stream errors after the chunks already sent', async () => {
+  provider.setScript([{ text: 'one two three four', error: { name: 'ModelStreamErrorException', message: 'Stream broke', afterChunks: 2 } }]);
+
+  const chunks = [];
+  await assert.rejects(async () => {
+    for await (const event of llmService.streamChatWithTools([{ role: 'user', content: 'hello' }])) {
+      if (event.type === 'text') chunks.push(event.text);
+    }
+  }, { name: 'ModelStreamErrorException' });
+  assert.equal(chunks.join(''), 'one two');
+});
+
+test('reports usage for every model turn', async () => {
+  provider.setScript([
+    { text: 'Checking.', toolCalls: [{ name: 'current_time', input: {} }], usage: { inputTokens: 100, outputTokens: 10 } },
+    { text: 'Done.', usage: { inputTokens: 150, outputTokens: 5 } }
+  ]);
+
+  const events = await collect([{ role: 'user', content: 'what time is it?' }], { tools: true });
+
+  const usage = events.filter(event => event.type === 'metadata').map(event => event.usage);
+  assert.deepEqual(usage.map(turn => [turn.inputTokens, turn.outputTokens, turn.totalTokens]), [[100, 10, 110], [150, 5, 155]]);
+});
+
+test('stops with max_tokens when the answer is cut off', async () => {
+  provider.setScript([{ text: 'a'.repeat(100) }]);
+
+  const events = await collect([{ role: 'user', content: 'write a lot' }], { maxTokens: 5 });
+
+  assert.equal(textOf(events).length, 20);
+  assert.deepEqual(events.filter(event => event.type === 'message_stop'), [{ type: 'message_stop', stopReason: 'max_tokens' }]);
+});
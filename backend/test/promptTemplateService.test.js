@@ -0,0 +1,50 @@
+/**
+ * promptTemplateService tests
+ * Who can use a template and how uses are counted, with the database calls replaced
+ */
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const models = require('../models');
+const promptTemplateService = require('../services/promptTemplateService');
+
+const OWNER = { id: 1 };
+const OTHER_USER = { id: 2 };
+const TEMPLATE_ID = '6f1c2b0e-8d4a-4c55-9a3e-2b7d9e0f1a23';
+
+let stored;
+let updates;
+
+models.PromptTemplate.findByPk = async id => (id === TEMPLATE_ID ? stored : null);
+models.PromptTemplate.update = async (values, options) => {
+  updates.push({ values, options });
+  return [1, [{ ...stored, usage_count: stored.usage_count + 1 }]];
+};
+
+beforeEach(() => {
+  stored = { id: TEMPLATE_ID, user_id: OWNER.id, is_public: false, content: 'Summarize {{topic}}', usage_count: 4 };
+  updates = [];
+});
+
+test('a private template can only be used by its owner', async () => {
+  assert.deepEqual(await promptTemplateService.useTemplate(OTHER_USER, TEMPLATE_ID, { topic: 'sales' }), { notFound: true });
+
+  const result = await promptTemplateService.useTemplate(OWNER, TEMPLATE_ID, { topic: 'sales' });
+  assert.equal(result.text, 'Summarize sales');
+});
+
+test('a public template can be used by every user', async () => {
+  stored.is_public = true;
+
+  const result = await promptTemplateService.useTemplate(OTHER_USER, TEMPLATE_ID, { topic: 'sales' });
+  assert.equal(result.text, 'Summarize sales');
+  assert.equal(promptTemplateService.toJSON(stored, OTHER_USER).public, true);
+});
+
+test('a use is counted in a single update that increments in the database', async () => {
+  const result = await promptTemplateService.useTemplate(OWNER, TEMPLATE_ID, { topic: 'sales' });
+
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].values.usage_count.val, 'usage_count + 1');
+  assert.deepEqual(updates[0].options.where, { id: TEMPLATE_ID });
+  assert.equal(result.usageCount, 5);
+});
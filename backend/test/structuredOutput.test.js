@@ -0,0 +1,76 @@
+/**
+ * Structured output tests
+ * Schema checks, validation, and the retry loop driven through the mock provider
+ */
+process.env.LLM_PROVIDER = 'mock';
+process.env.MOCK_LLM_CHUNK_DELAY_MS = '0';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkSchema, validate } = require('../services/jsonSchema');
+const structuredOutput = require('../services/structuredOutput');
+const llmService = require('../services/llmService');
+
+const PERSON = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    age: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+test('accepts schemas that only use supported keywords', () => {
+  assert.deepEqual(checkSchema(PERSON), []);
+  assert.deepEqual(checkSchema({ anyOf: [{ type: 'string' }, { type: 'null' }] }), []);
+});
+
+test('refuses pattern, so client regular expressions never run on the server', () => {
+  const errors = checkSchema({ type: 'object', properties: { code: { type: 'string', pattern: '^(a+)+$' } } });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /schema\.properties\.code: pattern is not supported/);
+});
+
+test('refuses unsupported keywords rather than ignoring them', () => {
+  assert.deepEqual(checkSchema({ type: 'object', patternProperties: {} }), ['schema: unsupported keyword patternProperties']);
+});
+
+test('nullable lets a typed value be null', () => {
+  const schema = { type: 'string', nullable: true };
+  assert.deepEqual(checkSchema(schema), []);
+  assert.deepEqual(validate(null, schema), []);
+  assert.deepEqual(validate(null, { type: 'string' }), ['$: must be string, not null']);
+  assert.deepEqual(checkSchema({ type: 'string', nullable: 'yes' }), ['schema.nullable must be a boolean']);
+});
+
+test('reports where a value does not match', () => {
+  assert.deepEqual(validate({ name: 'Ada', age: 36 }, PERSON), []);
+  assert.deepEqual(validate({ age: -1, extra: true }, PERSON), [
+    '$: missing required property name',
+    '$.age: must be at least 0',
+    '$: unexpected property extra'
+  ]);
+});
+
+test('asks the model again when the answer does not match, then returns the parsed value', async () => {
+  llmService.getProvider('mock').setScript([
+    { text: 'Here you go: Ada' },
+    { text: '{"name": "Ada", "age": 36}' }
+  ]);
+
+  const events = [];
+  const startStream = messages => llmService.streamChatWithTools(messages, { tools: false });
+  for await (const event of structuredOutput.streamStructured(startStream, [{ role: 'user', content: 'Who wrote the first program?' }], PERSON)) {
+    events.push(event);
+  }
+
+  const retries = events.filter(event => event.type === 'structured_retry');
+  assert.equal(retries.length, 1);
+  assert.equal(retries[0].attempt, 1);
+
+  const output = events.find(event => event.type === 'structured_output');
+  assert.deepEqual(output.value, { name: 'Ada', age: 36 });
+  assert.equal(events.filter(event => event.type === 'message_stop').length, 1);
+  assert.equal(events[events.length - 1].type, 'message_stop');
+});
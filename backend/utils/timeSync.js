@@ -65,10 +65,10 @@ function getSyncedTime() {
 // Immediately sync on startup
 syncClock().catch(err => console.error('Initial time sync failed:', err.message));
 
-// Re-sync every hour to prevent clock drift
+// Re-sync every hour to prevent clock drift (unref'd so scripts and tests that load the models can exit)
 setInterval(() => {
   syncClock().catch(err => console.error('Periodic time sync failed:', err.message));
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 module.exports = {
   syncClock,
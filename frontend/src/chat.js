@@ -3,6 +3,7 @@ import './styles.css';
 import { marked } from 'marked';
 import DOMPurify from 'dompurify';
 import { initMFA } from './mfa';
+import { ChatSocket } from './chatSocket';
 
 // Pre-compile marked options
 marked.setOptions({
@@ -33,6 +34,208 @@ window.purifyOptions = purifyOptions;
 window.currentEventSource = null;
 window.currentAssistantMessage = null;
 
+// Attachment limits (mirrors config.attachments on the server)
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const DOCUMENT_EXTENSIONS = ['pdf', 'docx', 'md', 'markdown', 'csv', 'txt', 'text', 'log'];
+const MAX_IMAGES = 5;
+const MAX_DOCUMENTS = 5;
+const MAX_IMAGE_BYTES = 3.75 * 1024 * 1024;
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+// Build the attachments shown on a message: image thumbnails and document chips
+// Each attachment is { type, src, name } for new uploads or a stored attachment reference ({ id, type, name })
+function createAttachmentList(attachments) {
+    const container = document.createElement('div');
+    container.className = 'message-attachments';
+    
+    attachments.forEach(attachment => {
+        const url = attachment.id ? `/api/attachments/${encodeURIComponent(attachment.id)}` : null;
+        
+        if (attachment.type === 'image') {
+            const img = document.createElement('img');
+            img.className = 'attachment-thumbnail';
+            img.src = attachment.src || url;
+            img.alt = attachment.name || 'Attached image';
+            img.loading = 'lazy';
+            container.appendChild(img);
+            return;
+        }
+        
+        // Stored documents link to the original file
+        const chip = document.createElement(url ? 'a' : 'span');
+        chip.className = 'attachment-document';
+        if (url) chip.href = url;
+        chip.textContent = attachment.name || 'Document';
+        container.appendChild(chip);
+    });
+    
+    return container;
+}
+
+// Get the attachments stored on a chat history message
+function getMessageAttachments(msg) {
+    return Array.isArray(msg.attachments) ? msg.attachments : [];
+}
+
+// Build the knowledge base citations shown under an answer
+// Each source is { number, title, excerpt }; the excerpt is shown on hover
+function createSourceList(sources) {
+    const container = document.createElement('div');
+    container.className = 'message-sources';
+    
+    const label = document.createElement('span');
+    label.className = 'message-sources-label';
+    label.textContent = 'Sources:';
+    container.appendChild(label);
+    
+    sources.forEach(source => {
+        const item = document.createElement('span');
+        item.className = 'message-source';
+        item.textContent = `[${source.number}] ${source.title}`;
+        item.title = source.excerpt || '';
+        container.appendChild(item);
+    });
+    
+    return container;
+}
+
+// Describe a server error, adding when the allowance resets if a usage quota was hit
+function describeError(error, quota) {
+    if (!quota || !quota.resetAt) return error;
+    const unit = quota.metric === 'tokens' ? 'tokens' : 'messages';
+    return `${error} ${quota.remaining.toLocaleString()} of ${quota.limit.toLocaleString()} ${unit} remaining; ` +
+        `your allowance resets ${new Date(quota.resetAt).toLocaleString()}.`;
+}
+
+// Build the divider shown where the model starts seeing messages word for word
+// (the messages above it are sent as a summary to fit the model's context window)
+function createSummaryNotice() {
+    const notice = document.createElement('div');
+    notice.className = 'context-summary-notice';
+    notice.textContent = 'Earlier messages have been summarized to fit the model\'s context window';
+    return notice;
+}
+
+// Build the note shown under an answer given by a fallback model (the selected one was busy)
+function createModelNotice(modelId) {
+    const modelSelect = document.getElementById('model-select');
+    const option = modelSelect && Array.from(modelSelect.options).find(candidate => candidate.value === modelId);
+    
+    const notice = document.createElement('div');
+    notice.className = 'message-model-notice';
+    notice.textContent = `Answered by ${option ? option.textContent : modelId} because the selected model was busy`;
+    return notice;
+}
+
+// Build the note shown under an answer the user stopped before it was finished
+function createStoppedNotice() {
+    const notice = document.createElement('div');
+    notice.className = 'message-stopped-notice';
+    notice.textContent = 'Stopped';
+    return notice;
+}
+
+// Build the note shown when the content policy masked part of a message or a guardrail blocked it
+// (answers the content policy blocked are replaced by its message, so they need no note)
+function createModerationNotice(moderation) {
+    if (!moderation || (moderation.action === 'blocked' && moderation.source !== 'guardrail')) return null;
+    
+    const notice = document.createElement('div');
+    notice.className = 'message-moderation-notice';
+    if (moderation.action === 'masked') {
+        notice.textContent = moderation.stage === 'input'
+            ? 'Sensitive details were masked before this message was sent'
+            : 'Sensitive details in this answer were masked';
+    } else {
+        notice.textContent = moderation.stage === 'input'
+            ? 'A guardrail blocked your message'
+            : 'A guardrail blocked this answer';
+    }
+    return notice;
+}
+
+// Build the collapsible panel showing the model's reasoning (extended thinking) above its answer
+function createReasoningPanel(text = '') {
+    const panel = document.createElement('details');
+    panel.className = 'message-reasoning';
+    
+    const summary = document.createElement('summary');
+    summary.textContent = 'Reasoning';
+    panel.appendChild(summary);
+    
+    const body = document.createElement('div');
+    body.className = 'message-reasoning-text';
+    body.textContent = text;
+    panel.appendChild(body);
+    
+    return panel;
+}
+
+// Get the readable reasoning kept with an assistant message (redacted reasoning has no text)
+function getMessageReasoning(msg) {
+    if (msg.role !== 'assistant' || !Array.isArray(msg.reasoning)) return '';
+    return msg.reasoning.filter(block => block.text).map(block => block.text).join('\n\n');
+}
+
+// Get the first message the model still sees in full, if the conversation has been summarized
+function getFirstUnsummarizedMessage(data) {
+    return data.summarized_message_count > 0 ? data.chat_history[data.summarized_message_count] : null;
+}
+
+// Build the controls under a message: flipping between its versions (1/3, 2/3, ...) and an action
+// such as Regenerate or Edit ({ label, className, onClick })
+function createMessageActions(versions, onSelect, action = null) {
+    if (!(versions && versions.count > 1) && !action) return null;
+    
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+    
+    if (versions && versions.count > 1) {
+        const previous = document.createElement('button');
+        previous.type = 'button';
+        previous.className = 'message-action';
+        previous.textContent = '‹';
+        previous.setAttribute('aria-label', 'Previous version');
+        previous.disabled = versions.selected === 0;
+        previous.addEventListener('click', () => onSelect(versions, versions.selected - 1));
+        
+        const position = document.createElement('span');
+        position.className = 'message-branch-position';
+        position.textContent = `${versions.selected + 1}/${versions.count}`;
+        
+        const next = document.createElement('button');
+        next.type = 'button';
+        next.className = 'message-action';
+        next.textContent = '›';
+        next.setAttribute('aria-label', 'Next version');
+        next.disabled = versions.selected === versions.count - 1;
+        next.addEventListener('click', () => onSelect(versions, versions.selected + 1));
+        
+        actions.append(previous, position, next);
+    }
+    
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `message-action ${action.className}`;
+        button.textContent = action.label;
+        button.addEventListener('click', action.onClick);
+        actions.appendChild(button);
+    }
+    
+    return actions;
+}
+
+// Switch the version of a message or answer shown in a conversation (the rest of the conversation follows it)
+async function switchBranch(conversationId, branches, selected) {
+    const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}/branches/${encodeURIComponent(branches.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ selected })
+    });
+    return response.json();
+}
+
 // Create a main function that will be called on load
 function initChat() {
     // Function to cleanup stream connection
@@ -62,6 +265,14 @@ function initChat() {
     const stopButton = document.getElementById('stop-btn');
     const newChatButton = document.getElementById('new-chat-btn');
     const tempChatToggle = document.getElementById('temp-chat-toggle');
+    const modelSelect = document.getElementById('model-select');
+    const assistantSelect = document.getElementById('assistant-select');
+    const reasoningToggle = document.getElementById('reasoning-toggle');
+    const attachButton = document.getElementById('attach-btn');
+    const attachmentInput = document.getElementById('attachment-input');
+    const attachmentPreview = document.getElementById('attachment-preview');
+    const promptsButton = document.getElementById('prompts-btn');
+    const promptLibrary = document.getElementById('prompt-library');
     
     // Add hamburger menu functionality
     const menuButton = document.querySelector('.menu-button');
@@ -73,12 +284,23 @@ function initChat() {
         });
     }
     
+    // The answer being streamed: an EventSource, or a subscription to the chat WebSocket
     let currentEventSource = null;
     let currentAssistantMessage = null;
+    let streamingConversationId = null;
+    let streamingViaSocket = false;
+    const chatSocket = new ChatSocket();
     let isTemporaryChat = false;
+    let defaultModelId = null;
+    let assistants = [];
+    let promptTemplates = [];
+    let pendingAttachments = [];
+    // Models that can reason before answering, and the budget sent when reasoning is turned on
+    let reasoningModelIds = new Set();
+    let thinkingBudget = null;
 
-    function appendMessage(role, content) {
-        console.log(`Appending message - Role: ${role}, Content length: ${content.length}`);
+    function appendMessage(role, content, attachments = []) {
+        console.log(`Appending message - Role: ${role}, Content length: ${content.length}, Attachments: ${attachments.length}`);
         
         const roleDiv = document.createElement('div');
         roleDiv.className = `message-role ${role.toLowerCase()}`;
@@ -99,12 +321,448 @@ function initChat() {
         } else {
             messageDiv.textContent = content;
         }
+        
+        if (attachments.length > 0) {
+            messageDiv.prepend(createAttachmentList(attachments));
+        }
 
         chatContainer.appendChild(roleDiv);
         chatContainer.appendChild(messageDiv);
         return messageDiv;
     }
 
+    // Show (or update) a tool call status line, e.g. "Using calculator..."
+    function showToolCall(tool, beforeElement = null) {
+        const labels = {
+            started: `Using ${tool.name}...`,
+            running: `Running ${tool.name}...`,
+            completed: `Used ${tool.name}`,
+            error: `${tool.name} failed`
+        };
+        
+        let toolDiv = tool.id ? chatContainer.querySelector(`.tool-call[data-tool-id="${CSS.escape(tool.id)}"]`) : null;
+        if (!toolDiv) {
+            toolDiv = document.createElement('div');
+            toolDiv.className = 'tool-call';
+            if (tool.id) toolDiv.dataset.toolId = tool.id;
+            if (beforeElement) {
+                chatContainer.insertBefore(toolDiv, beforeElement);
+            } else {
+                chatContainer.appendChild(toolDiv);
+            }
+        }
+        
+        toolDiv.classList.toggle('tool-call-error', tool.status === 'error');
+        toolDiv.classList.toggle('tool-call-done', tool.status === 'completed');
+        toolDiv.textContent = labels[tool.status] || tool.name;
+        return toolDiv;
+    }
+
+    // Redraw the files waiting to be sent with the next message
+    function renderPendingAttachments() {
+        if (!attachmentPreview) return;
+        attachmentPreview.innerHTML = '';
+        attachmentPreview.hidden = pendingAttachments.length === 0;
+        
+        pendingAttachments.forEach((attachment, index) => {
+            const item = document.createElement('div');
+            item.className = 'attachment-preview-item';
+            
+            let preview;
+            if (attachment.type === 'image') {
+                preview = document.createElement('img');
+                preview.src = attachment.data;
+                preview.alt = attachment.name;
+            } else {
+                preview = document.createElement('span');
+                preview.className = 'attachment-document';
+                preview.textContent = attachment.name;
+            }
+            
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'attachment-remove';
+            removeButton.setAttribute('aria-label', `Remove ${attachment.name}`);
+            removeButton.textContent = '×';
+            removeButton.addEventListener('click', () => {
+                pendingAttachments.splice(index, 1);
+                renderPendingAttachments();
+            });
+            
+            item.appendChild(preview);
+            item.appendChild(removeButton);
+            attachmentPreview.appendChild(item);
+        });
+    }
+
+    // Read image and document files (from the picker, drag-and-drop or paste) into pending attachments
+    function addAttachments(files) {
+        Array.from(files).forEach(file => {
+            const extension = (file.name || '').split('.').pop().toLowerCase();
+            const type = IMAGE_TYPES.includes(file.type) ? 'image' :
+                DOCUMENT_EXTENSIONS.includes(extension) ? 'document' : null;
+            
+            if (!type) {
+                appendMessage('System', `${file.name} is not supported. Attach PNG, JPEG, GIF or WebP images, or PDF, DOCX, Markdown, CSV or text documents.`);
+                return;
+            }
+            if (type === 'image' && file.size > MAX_IMAGE_BYTES) {
+                appendMessage('System', `${file.name} is too large. Images must be at most 3.75 MB.`);
+                return;
+            }
+            if (type === 'document' && file.size > MAX_DOCUMENT_BYTES) {
+                appendMessage('System', `${file.name} is too large. Documents must be at most 10 MB.`);
+                return;
+            }
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                const limit = type === 'image' ? MAX_IMAGES : MAX_DOCUMENTS;
+                if (pendingAttachments.filter(attachment => attachment.type === type).length >= limit) {
+                    appendMessage('System', `At most ${limit} ${type}s can be attached to a message.`);
+                    return;
+                }
+                pendingAttachments.push({ type, data: reader.result, name: file.name || type });
+                renderPendingAttachments();
+            };
+            reader.onerror = () => console.error('Failed to read attachment:', reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // Populate the model picker with the models the user can choose from
+    async function loadModels() {
+        if (!modelSelect) return;
+        
+        try {
+            const response = await fetch('/api/models');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load models');
+            }
+            
+            defaultModelId = data.defaultModelId;
+            thinkingBudget = data.thinkingBudget;
+            reasoningModelIds = new Set(data.models.filter(model => model.reasoning).map(model => model.id));
+            modelSelect.innerHTML = '';
+            data.models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.id;
+                option.textContent = model.name;
+                option.title = model.id;
+                modelSelect.appendChild(option);
+            });
+            modelSelect.value = defaultModelId;
+            
+            // Hide the picker when there is nothing to choose
+            modelSelect.closest('.model-picker').hidden = data.models.length < 2;
+            updateReasoningToggle();
+        } catch (error) {
+            console.error('Error loading models:', error);
+        }
+    }
+    
+    // Select a model in the picker, adding it if it is no longer listed
+    function selectModel(modelId) {
+        if (!modelSelect || !modelId) return;
+        
+        if (!Array.from(modelSelect.options).some(option => option.value === modelId)) {
+            const option = document.createElement('option');
+            option.value = modelId;
+            option.textContent = modelId;
+            modelSelect.appendChild(option);
+        }
+        modelSelect.value = modelId;
+        updateReasoningToggle();
+    }
+    
+    // Only offer reasoning when the selected model supports it
+    function updateReasoningToggle() {
+        if (!reasoningToggle) return;
+        reasoningToggle.closest('.reasoning-toggle').hidden = !modelSelect || !reasoningModelIds.has(modelSelect.value);
+    }
+    
+    // The reasoning setting to send with a message: a budget to turn it on, null to turn it off
+    function getReasoningParams() {
+        if (!reasoningToggle || reasoningToggle.closest('.reasoning-toggle').hidden || !thinkingBudget) {
+            return undefined;
+        }
+        return { thinkingBudget: reasoningToggle.checked ? thinkingBudget : null };
+    }
+
+    // Populate the assistant picker with the organization's assistants and the user's own
+    async function loadAssistants() {
+        if (!assistantSelect) return;
+        
+        try {
+            const response = await fetch('/api/assistants');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load assistants');
+            }
+            
+            assistants = data.assistants;
+            assistantSelect.innerHTML = '';
+            const defaultOption = document.createElement('option');
+            defaultOption.value = '';
+            defaultOption.textContent = 'Default';
+            assistantSelect.appendChild(defaultOption);
+            assistants.forEach(assistant => {
+                const option = document.createElement('option');
+                option.value = assistant.id;
+                option.textContent = assistant.name;
+                option.title = assistant.description || '';
+                assistantSelect.appendChild(option);
+            });
+            
+            // Hide the picker when there is nothing to choose
+            assistantSelect.closest('.assistant-picker').hidden = assistants.length === 0;
+            showStarterPrompts();
+        } catch (error) {
+            console.error('Error loading assistants:', error);
+        }
+    }
+    
+    // The assistant picked in the picker (null for the default one)
+    function getSelectedAssistant() {
+        if (!assistantSelect) return null;
+        return assistants.find(assistant => assistant.id === assistantSelect.value) || null;
+    }
+    
+    // Suggest the picked assistant's starter prompts while a new chat is still empty
+    function showStarterPrompts() {
+        chatContainer.querySelector('.starter-prompts')?.remove();
+        
+        const assistant = getSelectedAssistant();
+        if (!assistant || assistantSelect.disabled || assistant.starterPrompts.length === 0 ||
+            chatContainer.querySelector('.user-message')) {
+            return;
+        }
+        
+        const list = document.createElement('div');
+        list.className = 'starter-prompts';
+        assistant.starterPrompts.forEach(prompt => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'starter-prompt';
+            button.textContent = prompt;
+            button.addEventListener('click', () => {
+                messageInput.value = prompt;
+                messageForm.requestSubmit();
+            });
+            list.appendChild(button);
+        });
+        chatContainer.appendChild(list);
+    }
+
+    // Show one of the prompt library's views: the list, a template's variables or the edit form
+    function showPromptView(view) {
+        document.getElementById('prompt-list').hidden = view !== 'list';
+        document.querySelector('.prompt-library-header').hidden = view !== 'list';
+        document.getElementById('prompt-variables-form').hidden = view !== 'variables';
+        document.getElementById('prompt-edit-form').hidden = view !== 'edit';
+    }
+    
+    // Open the prompt library, loading the user's and the public prompts
+    async function openPromptLibrary() {
+        promptLibrary.hidden = false;
+        showPromptView('list');
+        document.getElementById('prompt-search').focus();
+        
+        try {
+            const response = await fetch('/api/prompt-templates');
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load prompts');
+            }
+            promptTemplates = data.templates;
+            renderPromptList();
+        } catch (error) {
+            console.error('Error loading prompts:', error);
+            document.getElementById('prompt-list').textContent = 'Failed to load prompts.';
+        }
+    }
+    
+    // List the prompts matching the search, most used first
+    function renderPromptList() {
+        const list = document.getElementById('prompt-list');
+        const search = document.getElementById('prompt-search').value.trim().toLowerCase();
+        const matches = promptTemplates.filter(template =>
+            `${template.name} ${template.description || ''}`.toLowerCase().includes(search));
+        
+        list.innerHTML = '';
+        if (matches.length === 0) {
+            list.textContent = promptTemplates.length === 0 ? 'No saved prompts yet. Save one with "New prompt".' : 'No prompts match.';
+            return;
+        }
+        
+        matches.forEach(template => {
+            const item = document.createElement('div');
+            item.className = 'prompt-item';
+            
+            const main = document.createElement('button');
+            main.type = 'button';
+            main.className = 'prompt-item-main';
+            main.title = template.content;
+            const name = document.createElement('div');
+            name.className = 'prompt-item-name';
+            name.textContent = template.name;
+            const details = document.createElement('div');
+            details.className = 'prompt-item-details';
+            details.textContent = [
+                template.description,
+                template.editable ? (template.public ? 'Public' : null) : `Public, by ${template.owner || 'another user'}`,
+                `Used ${template.usageCount} time${template.usageCount === 1 ? '' : 's'}`
+            ].filter(Boolean).join(' · ');
+            main.append(name, details);
+            main.addEventListener('click', () => choosePromptTemplate(template));
+            item.appendChild(main);
+            
+            if (template.editable) {
+                const edit = document.createElement('button');
+                edit.type = 'button';
+                edit.className = 'message-action';
+                edit.textContent = 'Edit';
+                edit.addEventListener('click', () => editPromptTemplate(template));
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'message-action';
+                remove.textContent = 'Delete';
+                remove.addEventListener('click', () => deletePromptTemplate(template));
+                item.append(edit, remove);
+            }
+            list.appendChild(item);
+        });
+    }
+    
+    // Insert a prompt, first asking for the values of its variables
+    function choosePromptTemplate(template) {
+        if (template.variables.length === 0) {
+            insertPromptTemplate(template, {});
+            return;
+        }
+        
+        const form = document.getElementById('prompt-variables-form');
+        const fields = document.getElementById('prompt-variables');
+        document.getElementById('prompt-variables-title').textContent = template.name;
+        fields.innerHTML = '';
+        template.variables.forEach(variable => {
+            const label = document.createElement('label');
+            label.className = 'prompt-variable';
+            label.textContent = variable;
+            const input = document.createElement('textarea');
+            input.rows = 2;
+            input.required = true;
+            input.dataset.variable = variable;
+            label.appendChild(input);
+            fields.appendChild(label);
+        });
+        form.onsubmit = (event) => {
+            event.preventDefault();
+            const values = {};
+            fields.querySelectorAll('textarea').forEach(input => {
+                values[input.dataset.variable] = input.value;
+            });
+            insertPromptTemplate(template, values);
+        };
+        showPromptView('variables');
+        fields.querySelector('textarea').focus();
+    }
+    
+    // Fill in the prompt on the server (which counts the use) and add it to the message input
+    async function insertPromptTemplate(template, values) {
+        try {
+            const response = await fetch(`/api/prompt-templates/${encodeURIComponent(template.id)}/use`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ variables: values })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.error || 'The prompt could not be inserted.');
+                return;
+            }
+            
+            template.usageCount = data.usageCount;
+            messageInput.value = messageInput.value.trim() ? `${messageInput.value.trimEnd()}\n\n${data.text}` : data.text;
+            promptLibrary.hidden = true;
+            messageInput.focus();
+        } catch (error) {
+            console.error('Error inserting prompt:', error);
+            alert('The prompt could not be inserted.');
+        }
+    }
+    
+    // Edit one of the user's prompts, or save a new one (starting from the message being typed)
+    function editPromptTemplate(template = null) {
+        const form = document.getElementById('prompt-edit-form');
+        form.dataset.templateId = template ? template.id : '';
+        document.getElementById('prompt-edit-title').textContent = template ? `Edit ${template.name}` : 'New prompt';
+        document.getElementById('prompt-edit-name').value = template ? template.name : '';
+        document.getElementById('prompt-edit-description').value = template ? template.description || '' : '';
+        document.getElementById('prompt-edit-content').value = template ? template.content : messageInput.value.trim();
+        document.getElementById('prompt-edit-public').checked = template ? template.public : false;
+        form.dataset.wasPublic = template && template.public ? 'true' : '';
+        showPromptView('edit');
+        document.getElementById('prompt-edit-name').focus();
+    }
+    
+    async function savePromptTemplate() {
+        const { templateId, wasPublic } = document.getElementById('prompt-edit-form').dataset;
+        const isPublic = document.getElementById('prompt-edit-public').checked;
+        // There are no teams: a public prompt is listed for every user, so say so before publishing it
+        if (isPublic && !wasPublic &&
+            !confirm('Make this prompt public? Every user who can sign in to this app will be able to see and use it, not only your team.')) return;
+        
+        try {
+            const response = await fetch(templateId ? `/api/prompt-templates/${encodeURIComponent(templateId)}` : '/api/prompt-templates', {
+                method: templateId ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: document.getElementById('prompt-edit-name').value,
+                    description: document.getElementById('prompt-edit-description').value,
+                    content: document.getElementById('prompt-edit-content').value,
+                    public: isPublic
+                })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.error || 'The prompt could not be saved.');
+                return;
+            }
+            openPromptLibrary();
+        } catch (error) {
+            console.error('Error saving prompt:', error);
+            alert('The prompt could not be saved.');
+        }
+    }
+    
+    async function deletePromptTemplate(template) {
+        if (!confirm(`Delete the prompt "${template.name}"?${template.public ? ' Other users will no longer be able to use it.' : ''}`)) return;
+        
+        try {
+            const response = await fetch(`/api/prompt-templates/${encodeURIComponent(template.id)}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.error || 'The prompt could not be deleted.');
+                return;
+            }
+            promptTemplates = promptTemplates.filter(candidate => candidate.id !== template.id);
+            renderPromptList();
+        } catch (error) {
+            console.error('Error deleting prompt:', error);
+            alert('The prompt could not be deleted.');
+        }
+    }
+
     // Shared reset chat function
     async function resetChat() {
         // Clean up any existing stream connection
@@ -138,6 +796,13 @@ function initChat() {
                 chatContainer.innerHTML = '';
                 currentAssistantMessage = null;
                 window.currentConversationId = data.new_conversation_id;
+                // A new chat can be started with another assistant (and its model)
+                if (assistantSelect) assistantSelect.disabled = false;
+                selectModel(getSelectedAssistant()?.modelId || defaultModelId);
+                if (reasoningToggle) reasoningToggle.checked = false;
+                pendingAttachments = [];
+                renderPendingAttachments();
+                showStarterPrompts();
                 
                 // Only reload conversation history for non-temporary chats
                 // Add a small delay to ensure backend processing completes
@@ -153,6 +818,22 @@ function initChat() {
         }
     }
 
+    // Send a chat request ('send', 'regenerate' or 'edit') over the WebSocket, or to the HTTP API if the
+    // WebSocket is unavailable. Over the WebSocket the answer then streams on the same connection.
+    async function sendChatRequest(type, body, url, method = 'POST') {
+        if (await chatSocket.connect()) {
+            const reply = await chatSocket.request(type, body);
+            const status = reply.type === 'error' ? reply.status : 200;
+            return { ok: status === 200, status, data: reply, viaSocket: true };
+        }
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { ok: response.ok, status: response.status, data: await response.json(), viaSocket: false };
+    }
+    
     // Handle Enter key press
     messageInput.addEventListener('keydown', function(event) {
         if (event.key === 'Enter' && !event.shiftKey) {
@@ -161,12 +842,82 @@ function initChat() {
         }
     });
     
-    // Simplified stop button handler
-    stopButton.addEventListener('click', function() {
-        if (currentEventSource) {
-            currentEventSource.close();
-            currentEventSource = null;
-            stopButton.disabled = true;
+    // Ask the server to stop generating; the stream then ends with the partial answer. Closing the
+    // stream stops generation too, so that is the fallback when the server can't stop it directly.
+    stopButton.addEventListener('click', async function() {
+        if (!currentEventSource) return;
+        stopButton.disabled = true;
+        
+        try {
+            let data;
+            if (streamingViaSocket) {
+                data = await chatSocket.request('stop', { conversationId: streamingConversationId });
+            } else {
+                const response = await fetch('/api/chat/stop', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ conversationId: streamingConversationId })
+                });
+                data = await response.json();
+            }
+            if (!data.stopped) {
+                cleanupStream();
+            }
+        } catch (error) {
+            console.error('Failed to stop generation:', error);
+            cleanupStream();
+        }
+    });
+    
+    // Attachments: file picker, drag-and-drop onto the chat and pasting
+    if (attachButton && attachmentInput) {
+        attachButton.addEventListener('click', () => attachmentInput.click());
+        attachmentInput.addEventListener('change', () => {
+            addAttachments(attachmentInput.files);
+            attachmentInput.value = '';
+        });
+    }
+    
+    // Prompt library
+    if (promptsButton && promptLibrary) {
+        promptsButton.addEventListener('click', () => {
+            if (promptLibrary.hidden) {
+                openPromptLibrary();
+            } else {
+                promptLibrary.hidden = true;
+            }
+        });
+        document.getElementById('prompt-close-btn').addEventListener('click', () => { promptLibrary.hidden = true; });
+        document.getElementById('prompt-search').addEventListener('input', renderPromptList);
+        document.getElementById('prompt-new-btn').addEventListener('click', () => editPromptTemplate());
+        document.getElementById('prompt-variables-cancel').addEventListener('click', () => showPromptView('list'));
+        document.getElementById('prompt-edit-cancel').addEventListener('click', () => showPromptView('list'));
+        document.getElementById('prompt-edit-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            savePromptTemplate();
+        });
+    }
+    
+    [chatContainer, messageForm].forEach(dropTarget => {
+        dropTarget.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer.types.includes('Files')) return;
+            event.preventDefault();
+            chatContainer.classList.add('drag-over');
+        });
+        dropTarget.addEventListener('dragleave', () => chatContainer.classList.remove('drag-over'));
+        dropTarget.addEventListener('drop', (event) => {
+            if (!event.dataTransfer.files.length) return;
+            event.preventDefault();
+            chatContainer.classList.remove('drag-over');
+            addAttachments(event.dataTransfer.files);
+        });
+    });
+    
+    messageInput.addEventListener('paste', (event) => {
+        const files = Array.from(event.clipboardData?.files || []);
+        if (files.length > 0) {
+            event.preventDefault();
+            addAttachments(files);
         }
     });
     
@@ -174,6 +925,18 @@ function initChat() {
     clearButton.addEventListener('click', resetChat);
     newChatButton.addEventListener('click', resetChat);
     
+    if (modelSelect) {
+        modelSelect.addEventListener('change', updateReasoningToggle);
+    }
+    
+    // Picking an assistant also picks its model
+    if (assistantSelect) {
+        assistantSelect.addEventListener('change', () => {
+            selectModel(getSelectedAssistant()?.modelId || defaultModelId);
+            showStarterPrompts();
+        });
+    }
+    
     // Temporary chat toggle
     tempChatToggle.addEventListener('change', function() {
         isTemporaryChat = this.checked;
@@ -187,11 +950,342 @@ function initChat() {
         }
     });
 
+    // Add the controls under an answer; only the last one can be regenerated
+    function appendAnswerActions(versions, canRegenerate = false) {
+        const regenerate = { label: 'Regenerate', className: 'message-regenerate', onClick: regenerateAnswer };
+        const actions = createMessageActions(versions, selectBranch, canRegenerate ? regenerate : null);
+        if (actions) {
+            actions.classList.add('answer-actions');
+            chatContainer.appendChild(actions);
+        }
+    }
+    
+    // Add the controls under a message the user sent: its versions and editing it
+    function appendUserMessageActions(messageDiv, message) {
+        const edit = message.id ? { label: 'Edit', className: 'message-edit-button', onClick: () => startEditing(messageDiv, message) } : null;
+        const actions = createMessageActions(message.versions, selectBranch, edit);
+        if (actions) {
+            actions.classList.add('user-message-actions');
+            chatContainer.appendChild(actions);
+        }
+    }
+    
+    // Replace a message with a box to edit it
+    function startEditing(messageDiv, message) {
+        if (currentEventSource || (messageDiv.nextElementSibling && messageDiv.nextElementSibling.classList.contains('message-edit'))) return;
+        
+        const form = document.createElement('form');
+        form.className = 'message-edit';
+        
+        const input = document.createElement('textarea');
+        input.value = message.content || '';
+        input.rows = Math.min(8, input.value.split('\n').length + 1);
+        input.setAttribute('aria-label', 'Edit your message');
+        
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.className = 'message-action';
+        save.textContent = 'Save and send';
+        
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'message-action';
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', () => {
+            form.remove();
+            messageDiv.hidden = false;
+        });
+        
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            submitEdit(message.id, input.value);
+        });
+        
+        form.append(input, save, cancel);
+        messageDiv.hidden = true;
+        messageDiv.after(form);
+        input.focus();
+    }
+    
+    // Send an edited message: the conversation forks there (the original thread is kept as a version)
+    // and the edited message is answered
+    async function submitEdit(messageId, message) {
+        if (currentEventSource) return;
+        const conversationId = window.currentConversationId;
+        
+        try {
+            const { data, viaSocket } = await sendChatRequest('edit', {
+                conversationId,
+                messageId,
+                message,
+                modelId: modelSelect ? modelSelect.value || undefined : undefined,
+                inferenceParams: getReasoningParams()
+            }, `/api/conversations/${encodeURIComponent(conversationId)}/messages/${encodeURIComponent(messageId)}`, 'PUT');
+            if (!data.success) {
+                appendMessage('System', describeError(data.error || 'The message could not be edited.', data.quota));
+                return;
+            }
+            
+            // Show the conversation up to the edited message, then stream the answer to it
+            await loadConversation(conversationId);
+            streamAnswer(conversationId, null, viaSocket);
+        } catch (error) {
+            console.error('Failed to edit message:', error);
+            appendMessage('System', 'An error occurred. Please try again.');
+        }
+    }
+    
+    // A new message makes the last answer an earlier one
+    function removeRegenerateButton() {
+        chatContainer.querySelectorAll('.message-regenerate').forEach(button => {
+            const actions = button.parentElement;
+            button.remove();
+            if (actions.children.length === 0) {
+                actions.remove();
+            }
+        });
+    }
+    
+    // Show another version of a message or answer
+    async function selectBranch(branches, selected) {
+        if (currentEventSource) return;
+        
+        try {
+            const data = await switchBranch(window.currentConversationId, branches, selected);
+            if (!data.success) {
+                appendMessage('System', data.error || 'Could not show that version.');
+                return;
+            }
+            await loadConversation(window.currentConversationId);
+        } catch (error) {
+            console.error('Failed to switch version:', error);
+            appendMessage('System', 'An error occurred. Please try again.');
+        }
+    }
+    
+    // Generate a new answer to the last message with the selected model and settings;
+    // the current answer is kept as a version to flip back to
+    async function regenerateAnswer() {
+        if (currentEventSource) return;
+        const conversationId = window.currentConversationId;
+        
+        try {
+            const { data, viaSocket } = await sendChatRequest('regenerate', {
+                conversationId,
+                modelId: modelSelect ? modelSelect.value || undefined : undefined,
+                inferenceParams: getReasoningParams()
+            }, '/api/chat/regenerate');
+            if (!data.success) {
+                appendMessage('System', describeError(data.error || 'The answer could not be regenerated.', data.quota));
+                return;
+            }
+            
+            // Show the conversation without the old answer, then stream the new one in its place
+            await loadConversation(conversationId);
+            streamAnswer(conversationId, data.branch, viaSocket);
+        } catch (error) {
+            console.error('Failed to regenerate answer:', error);
+            appendMessage('System', 'An error occurred. Please try again.');
+        }
+    }
+    
+    // Stream the answer for a conversation into a new assistant message. `branches` are the versions
+    // of a regenerated answer, shown with it once it is done. `viaSocket` is set when the request was
+    // sent over the WebSocket, which then carries the answer too.
+    function streamAnswer(conversationId, branches = null, viaSocket = false) {
+        const sendButton = document.getElementById('send-btn');
+        streamingConversationId = conversationId;
+        streamingViaSocket = viaSocket;
+        console.log('Using conversation ID for streaming:', conversationId);
+        
+        // The controls above belong to the answer being replaced
+        if (chatContainer.lastElementChild && chatContainer.lastElementChild.classList.contains('answer-actions')) {
+            chatContainer.lastElementChild.remove();
+        }
+        
+        // Setup streaming response
+        stopButton.disabled = false;
+        let accumulatedResponse = '';
+        let reasoningPanel = null;
+        
+        // Create placeholder for assistant response
+        currentAssistantMessage = appendMessage('Assistant', '');
+        
+        // ID of the last event received, to resume the answer over SSE if the WebSocket drops
+        let lastEventId = null;
+        
+        // Start streaming connection
+        const openEventSource = () => {
+            const streamUrl = `/api/chat/stream?conversationId=${conversationId}` +
+                (lastEventId ? `&lastEventId=${encodeURIComponent(lastEventId)}` : '');
+            console.log('Connecting to stream URL:', streamUrl);
+            streamingViaSocket = false;
+            currentEventSource = new EventSource(streamUrl);
+            
+            // Add event handlers for the EventSource
+            currentEventSource.onopen = (event) => {
+                console.log('EventSource connection opened:', event);
+            };
+            
+            currentEventSource.onerror = (event) => {
+                console.error('EventSource error:', event);
+                // While CONNECTING the browser retries with Last-Event-ID and the server resumes the answer
+                if (event.target.readyState === EventSource.CLOSED) {
+                    console.log('EventSource connection closed');
+                    // Re-enable input when connection closes due to error
+                    sendButton.disabled = false;
+                    messageInput.disabled = false;
+                    stopButton.disabled = true;
+                }
+            };
+            
+            currentEventSource.onmessage = (event) => {
+                console.log('Received stream event:', event.data);
+                handleStreamEvent(JSON.parse(event.data));
+            };
+        };
+        
+        if (viaSocket) {
+            const subscription = chatSocket.subscribe(conversationId, (message) => {
+                if (message.type === 'event') {
+                    lastEventId = message.id || lastEventId;
+                    handleStreamEvent(message.data);
+                } else if (message.type === 'closed' && currentEventSource === subscription) {
+                    console.warn('Chat WebSocket closed mid-answer, resuming over SSE');
+                    openEventSource();
+                }
+            });
+            currentEventSource = subscription;
+        } else {
+            openEventSource();
+        }
+        
+        function handleStreamEvent(data) {
+            // Re-enable the send button and input field
+            sendButton.disabled = false;
+            messageInput.disabled = false;
+            
+            // Handle special end marker
+            if (data.content === '[DONE]') {
+                console.log('Stream completed with DONE marker');
+                if (data.stopped && currentAssistantMessage) {
+                    currentAssistantMessage.after(createStoppedNotice());
+                }
+                appendAnswerActions(branches, true);
+                stopButton.disabled = true;
+                cleanupStream();
+                return;
+            }
+            
+            // Handle error response
+            if (data.error) {
+                console.error('Stream error:', data.error);
+                if (currentAssistantMessage) {
+                    // Server text (provider errors include upstream messages), so never parsed as HTML
+                    const errorMessage = document.createElement('div');
+                    errorMessage.className = 'error-message';
+                    errorMessage.textContent = `Error: ${describeError(data.error, data.quota)}`;
+                    currentAssistantMessage.replaceChildren(errorMessage);
+                }
+                appendAnswerActions(branches, true);
+                stopButton.disabled = true;
+                cleanupStream();
+                return;
+            }
+            
+            // Older messages were just rolled up into the conversation summary; the exact
+            // boundary is shown when the conversation is reopened
+            if (data.context && data.context.summarized) {
+                chatContainer.querySelectorAll('.context-summary-notice').forEach(notice => notice.remove());
+                const userRoles = chatContainer.querySelectorAll('.message-role.user');
+                chatContainer.insertBefore(createSummaryNotice(), userRoles[userRoles.length - 1] || currentAssistantMessage);
+                return;
+            }
+            
+            // Show the knowledge base passages the answer draws on
+            if (data.sources) {
+                currentAssistantMessage.after(createSourceList(data.sources));
+                return;
+            }
+            
+            // A fallback model is answering because the selected one is throttled or unavailable
+            if (data.model) {
+                if (currentAssistantMessage.nextElementSibling &&
+                    currentAssistantMessage.nextElementSibling.classList.contains('message-model-notice')) {
+                    currentAssistantMessage.nextElementSibling.remove();
+                }
+                if (data.model.fallback) {
+                    currentAssistantMessage.after(createModelNotice(data.model.id));
+                }
+                return;
+            }
+            
+            // The content policy or a guardrail stepped in; a blocked answer is replaced by the policy's message
+            if (data.moderation) {
+                if (data.moderation.action === 'blocked' && data.moderation.source === 'policy') {
+                    accumulatedResponse = data.moderation.message;
+                    currentAssistantMessage.innerHTML = purify.sanitize(marked.parse(accumulatedResponse), purifyOptions);
+                }
+                const notice = createModerationNotice(data.moderation);
+                if (notice) {
+                    currentAssistantMessage.after(notice);
+                }
+                chatContainer.scrollTop = chatContainer.scrollHeight;
+                return;
+            }
+            
+            // A structured (JSON) answer didn't match its schema and is being generated again
+            if (data.structured && data.structured.status === 'retrying') {
+                accumulatedResponse = '';
+                currentAssistantMessage.innerHTML = '';
+                return;
+            }
+            
+            // Handle tool call progress
+            if (data.tool) {
+                showToolCall(data.tool, currentAssistantMessage);
+                chatContainer.scrollTop = chatContainer.scrollHeight;
+                return;
+            }
+            
+            // The model's reasoning streams before the answer into a panel of its own
+            if (data.reasoning) {
+                if (!reasoningPanel) {
+                    reasoningPanel = createReasoningPanel();
+                    reasoningPanel.open = true;
+                    chatContainer.insertBefore(reasoningPanel, currentAssistantMessage);
+                }
+                reasoningPanel.querySelector('.message-reasoning-text').textContent += data.reasoning;
+                chatContainer.scrollTop = chatContainer.scrollHeight;
+                return;
+            }
+            
+            // Handle content chunks
+            if (data.content) {
+                // Fold the reasoning away once the answer starts
+                if (reasoningPanel && !accumulatedResponse) {
+                    reasoningPanel.open = false;
+                }
+                accumulatedResponse += data.content;
+                console.log('Accumulated response length:', accumulatedResponse.length);
+                
+                // Update the assistant message with the accumulating content
+                const parsedMarkdown = marked.parse(accumulatedResponse);
+                const cleanHtml = purify.sanitize(parsedMarkdown, purifyOptions);
+                currentAssistantMessage.innerHTML = cleanHtml;
+                
+                // Scroll to bottom as content comes in
+                chatContainer.scrollTop = chatContainer.scrollHeight;
+            }
+        }
+    }
+
     messageForm.addEventListener('submit', async function(event) {
         event.preventDefault();
         const message = messageInput.value.trim();
+        const attachments = pendingAttachments;
         
-        if (!message) return;
+        if (!message && attachments.length === 0) return;
 
         try {
             // Disable the send button and input field while processing
@@ -199,108 +1293,61 @@ function initChat() {
             sendButton.disabled = true;
             messageInput.disabled = true;
             
-            // Clear the input field immediately for better UX
+            // Clear the input field and pending images immediately for better UX
             messageInput.value = '';
+            pendingAttachments = [];
+            renderPendingAttachments();
             
             // Clean up any existing stream connection
             cleanupStream();
             
             console.log('Sending chat message:', message);
-            const response = await fetch('/api/chat/message', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ 
-                    message,
-                    isTemporary: isTemporaryChat 
-                })
-            });
+            // A new chat has no conversation yet; otherwise the message goes to the one on screen
+            const response = await sendChatRequest('send', {
+                conversationId: window.currentConversationId || undefined,
+                message,
+                attachments: attachments.length > 0 ?
+                    attachments.map(attachment => ({ data: attachment.data, name: attachment.name })) : undefined,
+                modelId: modelSelect ? modelSelect.value || undefined : undefined,
+                // Only a new chat can be started with an assistant
+                assistantId: assistantSelect && !assistantSelect.disabled ? assistantSelect.value || undefined : undefined,
+                inferenceParams: getReasoningParams(),
+                isTemporary: isTemporaryChat 
+            }, '/api/chat/message');
+
+            if (response.status === 400 || response.status === 429) {
+                // Validation errors (e.g. an unsupported image) and quota errors are safe to show as-is
+                const errorData = response.data;
+                sendButton.disabled = false;
+                messageInput.disabled = false;
+                appendMessage('System', describeError(errorData.error || 'The message could not be sent.', errorData.quota));
+                return;
+            }
 
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            const data = await response.json();
+            const data = response.data;
             console.log('Received response:', data);
             
             // Add the user message to the chat AFTER successful API response
             // This prevents duplicate messages if the conversation is loaded later
-            appendMessage('User', message);
+            // (showing the text as stored, in case the content policy masked part of it)
+            removeRegenerateButton();
+            chatContainer.querySelector('.starter-prompts')?.remove();
+            if (assistantSelect) assistantSelect.disabled = true;
+            const userMessageDiv = appendMessage('User', data.moderation ? data.moderation.text : message, attachments.map(attachment => ({ type: attachment.type, src: attachment.data, name: attachment.name })));
+            const inputNotice = createModerationNotice(data.moderation);
+            if (inputNotice) {
+                userMessageDiv.after(inputNotice);
+            }
+            appendUserMessageActions(userMessageDiv, { id: data.messageId, content: data.moderation ? data.moderation.text : message });
             
             // Get the conversation ID from the response
             const conversationId = data.conversationId;
-            console.log('Using conversation ID for streaming:', conversationId);
-            
-            // Setup streaming response
-            stopButton.disabled = false;
-            let accumulatedResponse = '';
-            
-            // Create placeholder for assistant response
-            currentAssistantMessage = appendMessage('Assistant', '');
-            
-            // Start streaming connection
-            const streamUrl = `/api/chat/stream?conversationId=${conversationId}`;
-            console.log('Connecting to stream URL:', streamUrl);
-            currentEventSource = new EventSource(streamUrl);
-
-            // Add event handlers for the EventSource
-            currentEventSource.onopen = (event) => {
-                console.log('EventSource connection opened:', event);
-            };
-            
-            currentEventSource.onerror = (event) => {
-                console.error('EventSource error:', event);
-                if (event.target.readyState === EventSource.CLOSED) {
-                    console.log('EventSource connection closed');
-                    // Re-enable input when connection closes due to error
-                    sendButton.disabled = false;
-                    messageInput.disabled = false;
-                    stopButton.disabled = true;
-                }
-            };
-            
-            currentEventSource.onmessage = (event) => {
-                // Re-enable the send button and input field
-                sendButton.disabled = false;
-                messageInput.disabled = false;
-                
-                console.log('Received stream event:', event.data);
-                const data = JSON.parse(event.data);
-                
-                // Handle special end marker
-                if (data.content === '[DONE]') {
-                    console.log('Stream completed with DONE marker');
-                    stopButton.disabled = true;
-                    cleanupStream();
-                    return;
-                }
-                
-                // Handle error response
-                if (data.error) {
-                    console.error('Stream error:', data.error);
-                    if (currentAssistantMessage) {
-                        currentAssistantMessage.innerHTML = `<div class="error-message">Error: ${data.error}</div>`;
-                    }
-                    stopButton.disabled = true;
-                    cleanupStream();
-                    return;
-                }
-                
-                // Handle content chunks
-                if (data.content) {
-                    accumulatedResponse += data.content;
-                    console.log('Accumulated response length:', accumulatedResponse.length);
-                    
-                    // Update the assistant message with the accumulating content
-                    const parsedMarkdown = marked.parse(accumulatedResponse);
-                    const cleanHtml = purify.sanitize(parsedMarkdown, purifyOptions);
-                    currentAssistantMessage.innerHTML = cleanHtml;
-                    
-                    // Scroll to bottom as content comes in
-                    chatContainer.scrollTop = chatContainer.scrollHeight;
-                }
-            };
+            window.currentConversationId = conversationId;
+            streamAnswer(conversationId, null, response.viaSocket);
 
         } catch (error) {
             console.error('Error:', error);
@@ -403,19 +1450,70 @@ function initChat() {
                 
                 // Load chat history, skipping system messages
                 if (data.chat_history && Array.isArray(data.chat_history)) {
+                    const firstUnsummarized = getFirstUnsummarizedMessage(data);
+                    let answerVersions = null;
                     data.chat_history.forEach(msg => {
-                        // Skip system messages
-                        if (msg.role === 'system') return;
+                        // The versions of an answer are shown under it, before the next message
+                        if (msg.role === 'user') {
+                            appendAnswerActions(answerVersions);
+                            answerVersions = msg.answerVersions || null;
+                        }
+                        
+                        if (msg === firstUnsummarized) {
+                            chatContainer.appendChild(createSummaryNotice());
+                        }
+                        
+                        // Skip system messages and raw tool results
+                        if (msg.role === 'system' || msg.role === 'tool') return;
+                        
+                        // Show what the model reasoned and the tools an assistant turn used
+                        const reasoning = getMessageReasoning(msg);
+                        if (reasoning) {
+                            chatContainer.appendChild(createReasoningPanel(reasoning));
+                        }
+                        if (Array.isArray(msg.toolCalls)) {
+                            msg.toolCalls.forEach(call => showToolCall({ id: call.id, name: call.name, status: 'completed' }));
+                        }
+                        const attachments = getMessageAttachments(msg);
+                        if (!msg.content && attachments.length === 0) return;
                         
-                        appendMessage(
+                        const messageDiv = appendMessage(
                             msg.role.charAt(0).toUpperCase() + msg.role.slice(1),
-                            msg.content
+                            msg.content || '',
+                            attachments
                         );
+                        if (Array.isArray(msg.sources) && msg.sources.length > 0) {
+                            messageDiv.after(createSourceList(msg.sources));
+                        }
+                        if (msg.modelId) {
+                            messageDiv.after(createModelNotice(msg.modelId));
+                        }
+                        const moderationNotice = createModerationNotice(msg.moderation);
+                        if (moderationNotice) {
+                            messageDiv.after(moderationNotice);
+                        }
+                        if (msg.stopped) {
+                            messageDiv.after(createStoppedNotice());
+                        }
+                        if (msg.role === 'user') {
+                            appendUserMessageActions(messageDiv, msg);
+                        }
                     });
+                    if (data.chat_history.some(msg => msg.role === 'user')) {
+                        appendAnswerActions(answerVersions, true);
+                    }
                 }
                 
-                // Update conversation ID
+                // Update conversation ID and the model it uses
                 window.currentConversationId = data.conversation_id;
+                selectModel(data.model_id || defaultModelId);
+                if (assistantSelect) {
+                    assistantSelect.value = data.assistant && assistants.some(assistant => assistant.id === data.assistant.id) ? data.assistant.id : '';
+                    assistantSelect.disabled = true;
+                }
+                if (reasoningToggle) {
+                    reasoningToggle.checked = Boolean(data.inference_params && data.inference_params.thinkingBudget);
+                }
                 
                 // Update sidebar selection
                 document.querySelectorAll('.conversation-item').forEach(item => {
@@ -447,7 +1545,9 @@ function initChat() {
             `;
         }    }
 
-    // Initial load of conversation history
+    // Initial load of available models, assistants and conversation history
+    loadModels();
+    loadAssistants();
     loadConversationHistory();
 }
 
@@ -519,11 +1619,34 @@ function initMobileNav() {
                     
                     // Load chat history
                     if (data.chat_history && Array.isArray(data.chat_history)) {
-                        // Filter out system messages
-                        const filteredHistory = data.chat_history.filter(msg => msg.role !== 'system');
+                        // Filter out system messages, tool results and tool-only assistant turns
+                        const filteredHistory = data.chat_history.filter(msg => msg.role !== 'system' && msg.role !== 'tool' &&
+                            (msg.content || getMessageAttachments(msg).length > 0));
                         
-                        // Render each message
+                        // Render each message, with the versions of edited messages and regenerated answers under them
+                        const firstUnsummarized = getFirstUnsummarizedMessage(data);
+                        const selectVersion = (versions, selected) => switchBranch(conversationId, versions, selected)
+                            .then(() => loadConversation(conversationId));
+                        const appendVersions = versions => {
+                            const actions = createMessageActions(versions, selectVersion);
+                            if (actions) chatContainer.appendChild(actions);
+                        };
+                        let answerVersions = null;
                         filteredHistory.forEach(msg => {
+                            if (msg.role === 'user') {
+                                appendVersions(answerVersions);
+                                answerVersions = msg.answerVersions || null;
+                            }
+                            
+                            if (msg === firstUnsummarized) {
+                                chatContainer.appendChild(createSummaryNotice());
+                            }
+                            
+                            const reasoning = getMessageReasoning(msg);
+                            if (reasoning) {
+                                chatContainer.appendChild(createReasoningPanel(reasoning));
+                            }
+                            
                             const roleDiv = document.createElement('div');
                             roleDiv.className = `message-role ${msg.role}`;
                             roleDiv.textContent = msg.role === 'user' ? 'User' : 'Assistant';
@@ -532,11 +1655,33 @@ function initMobileNav() {
                             messageDiv.className = msg.role === 'user' ? 'user-message' : 'assistant-message';
                             messageDiv.innerHTML = msg.role === 'assistant' ? 
                                 window.DOMPurify.sanitize(window.marked.parse(msg.content), window.purifyOptions) : 
-                                msg.content;
+                                (msg.content || '');
+                            
+                            const attachments = getMessageAttachments(msg);
+                            if (attachments.length > 0) {
+                                messageDiv.prepend(createAttachmentList(attachments));
+                            }
 
                             chatContainer.appendChild(roleDiv);
                             chatContainer.appendChild(messageDiv);
+                            if (msg.modelId) {
+                                chatContainer.appendChild(createModelNotice(msg.modelId));
+                            }
+                            const moderationNotice = createModerationNotice(msg.moderation);
+                            if (moderationNotice) {
+                                chatContainer.appendChild(moderationNotice);
+                            }
+                            if (msg.stopped) {
+                                chatContainer.appendChild(createStoppedNotice());
+                            }
+                            if (Array.isArray(msg.sources) && msg.sources.length > 0) {
+                                chatContainer.appendChild(createSourceList(msg.sources));
+                            }
+                            if (msg.role === 'user') {
+                                appendVersions(msg.versions);
+                            }
                         });
+                        appendVersions(answerVersions);
                     } 
                     // Update conversation ID
                     window.currentConversationId = data.conversation_id;